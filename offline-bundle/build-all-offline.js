@@ -18,14 +18,14 @@ const TOOLS = [
         id: 'verzugszinsrechner',
         name: { de: 'Verzugszinsrechner', fr: 'Calculateur d\'intérêts moratoires' },
         htmlFile: { de: 'de/index.html', fr: 'fr/index.html' },
-        scripts: ['scripts/utils.js', 'scripts/calculations.js', 'scripts/app.js', 'scripts/pdf-export.js'],
+        scripts: ['scripts/utils.js', 'scripts/dates.js', 'scripts/holidays.js', 'scripts/money.js', 'scripts/calculations.js', 'scripts/currency.js', 'scripts/explanation.js', 'scripts/qr-code.js', 'scripts/qr-bill.js', 'scripts/app.js', 'scripts/pdf-export.js'],
         title: { de: 'Schweizer Verzugszinsrechner (Offline-Version)', fr: 'Calculateur d\'intérêts moratoires suisse (Version hors ligne)' }
     },
     {
         id: 'mahnrechner',
         name: { de: 'Mahnrechner', fr: 'Calculateur de rappel' },
         htmlFile: { de: 'de/mahnrechner.html', fr: 'fr/mahnrechner.html' },
-        scripts: ['scripts/utils.js', 'scripts/calculations.js', 'scripts/pdf-export.js'],
+        scripts: ['scripts/utils.js', 'scripts/dates.js', 'scripts/holidays.js', 'scripts/money.js', 'scripts/calculations.js', 'scripts/debt-collection.js', 'scripts/mahnrechner.js', 'scripts/dunning-policy.js', 'scripts/reminder-letter.js', 'scripts/qr-code.js', 'scripts/qr-bill.js', 'scripts/mahnrechner-app.js', 'scripts/pdf-export.js'],
         title: { de: 'Schweizer Mahnrechner (Offline-Version)', fr: 'Calculateur de rappel suisse (Version hors ligne)' }
     }
 ];
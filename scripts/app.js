@@ -2,7 +2,12 @@
  * Verzugszinsrechner - Application Logic
  */
 
-let startDatePicker, endDatePicker;
+let startDatePicker, endDatePicker, triggerDatePicker, dueDatePicker, conversionDatePicker, projectionDatePicker;
+let datePickerLocale;
+let paymentCount = 0;
+let invoiceCount = 0;
+let rateChangeCount = 0;
+let interruptionCount = 0;
 
 // Save current language to localStorage for redirect
 (function() {
@@ -37,6 +42,8 @@ document.addEventListener('DOMContentLoaded', function() {
         },
     };
 
+    datePickerLocale = locale;
+
     // Initialize date pickers
     startDatePicker = flatpickr("#startDate", {
         dateFormat: "d.m.Y",
@@ -49,6 +56,34 @@ document.addEventListener('DOMContentLoaded', function() {
         locale: locale
     });
 
+    triggerDatePicker = flatpickr("#triggerDate", {
+        dateFormat: "d.m.Y",
+        allowInput: true,
+        locale: locale
+    });
+
+    dueDatePicker = flatpickr("#dueDate", {
+        dateFormat: "d.m.Y",
+        allowInput: true,
+        locale: locale
+    });
+
+    conversionDatePicker = flatpickr("#conversionDate", {
+        dateFormat: "d.m.Y",
+        allowInput: true,
+        locale: locale
+    });
+
+    projectionDatePicker = flatpickr("#projectionDate", {
+        dateFormat: "d.m.Y",
+        allowInput: true,
+        locale: locale
+    });
+
+    fillCantonSelect(document.getElementById('defaultCanton'), lang);
+    showRateTableInfo();
+    QrBillForm.load();
+
     // Show disclaimer
     document.getElementById('disclaimerModal').style.display = 'block';
     document.querySelector('.container').style.pointerEvents = 'none';
@@ -62,6 +97,14 @@ document.addEventListener('DOMContentLoaded', function() {
             this.value = formatNumber(value, 2);
         }
     });
+
+    const costsInput = document.getElementById('costs');
+    costsInput.addEventListener('blur', function() {
+        const value = parseSwissNumber(this.value);
+        if (!isNaN(value) && value > 0) {
+            this.value = formatNumber(value, 2);
+        }
+    });
 });
 
 function acceptDisclaimer() {
@@ -74,139 +117,1813 @@ function toggleCustomRate() {
     const rateType = document.getElementById('rateType').value;
     const customRateGroup = document.getElementById('customRateGroup');
 
-    if (rateType === 'custom') {
+    // The Kontokorrent mode needs the contractual rate as well
+    if (rateType === 'custom' || rateType === 'kontokorrent') {
         customRateGroup.style.display = 'block';
         document.getElementById('customRate').required = true;
     } else {
         customRateGroup.style.display = 'none';
         document.getElementById('customRate').required = false;
     }
+
+    document.getElementById('kontokorrentGroup').style.display = rateType === 'kontokorrent' ? 'block' : 'none';
+    updateRateWarnings();
 }
 
-// Form submission
-document.getElementById('zinsForm').addEventListener('submit', function(e) {
-    e.preventDefault();
+/**
+ * Reverse calculation (Rückwärtsrechnung): the field solved for is not used
+ */
+function toggleSolver() {
+    const solveFor = document.getElementById('solveFor').value;
+    document.getElementById('solverGroup').style.display = solveFor ? 'block' : 'none';
+    document.getElementById('targetAmount').required = !!solveFor;
+
+    document.getElementById('principal').disabled = solveFor === 'principal';
+    document.getElementById('startDate').disabled = solveFor === 'days';
+    document.getElementById('endDate').disabled = solveFor === 'days' || solveFor === 'endDate';
+    document.getElementById('rateType').disabled = solveFor === 'rate';
+    document.getElementById('customRate').disabled = solveFor === 'rate';
+}
+
+function togglePrescription() {
+    const claimType = document.getElementById('claimType').value;
+    document.getElementById('prescriptionGroup').style.display = claimType ? 'block' : 'none';
+}
+
+// ============================================
+// VERZUGSBEGINN ASSISTANT
+// ============================================
+
+/**
+ * Derive the first day of default from the triggering event and fill in startDatePicker
+ */
+function applyDefaultStart() {
+    const lang = document.documentElement.lang || 'de';
+    const trigger = document.getElementById('defaultTrigger').value;
+    const eventDate = triggerDatePicker.selectedDates[0];
+
+    if (!eventDate) {
+        alert(lang === 'fr' ? 'Veuillez sélectionner la date de l\'événement' : 'Bitte wählen Sie das Datum des Ereignisses');
+        return;
+    }
+
+    const canton = document.getElementById('defaultCanton').value;
+    const result = calculateDefaultStart(trigger, eventDate, { canton: canton });
+    if (result.error) {
+        alert(result.error);
+        return;
+    }
+
+    startDatePicker.setDate(result.startDate, false);
+    document.getElementById('defaultStartExplanation').innerHTML = buildDefaultStartExplanationHTML(result, lang);
+}
+
+/**
+ * Add one option per canton (see holidays.js) to a select
+ */
+function fillCantonSelect(select, lang) {
+    SwissHolidays.CANTONS.forEach(canton => {
+        const option = document.createElement('option');
+        option.value = canton;
+        option.textContent = `${canton} - ${SwissHolidays.getCantonName(canton, lang)}`;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Step-by-step explanation of how the start of default was derived
+ */
+function buildDefaultStartExplanationHTML(result, lang) {
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const dateOptions = { weekday: 'short', day: 'numeric', month: 'numeric', year: 'numeric' };
+    const date = (d) => d.toLocaleDateString(locale, dateOptions);
+    const t = lang === 'fr' ? {
+        dueDate: 'Jour d\'échéance convenu',
+        reminder: 'Réception de l\'interpellation',
+        prosecution: 'Notification du commandement de payer ou de la demande',
+        saturday: 'samedi',
+        sunday: 'dimanche',
+        holiday: 'jour férié',
+        holidayIn: (name, canton) => `jour férié (${name}${canton ? ', ' + canton : ''})`,
+        saturdayNote: ' Le samedi est assimilé à un jour férié reconnu (RS 173.110.3).',
+        skipped: (d, reason) => `${d} est un ${reason}: l'échéance est reportée au jour ouvrable suivant (CO art. 78 al. 1).`,
+        shifted: (d) => `Échéance déterminante: ${d}.`,
+        ruleDueDate: 'Le débiteur est en demeure dès l\'expiration du jour d\'échéance (CO art. 102 al. 2).',
+        ruleReminder: 'Le débiteur est mis en demeure par l\'interpellation du créancier (CO art. 102 al. 1).',
+        ruleProsecution: 'La notification du commandement de payer ou de la demande vaut interpellation (CO art. 102 al. 1).',
+        start: 'Début de la demeure (repris dans le formulaire)'
+    } : {
+        dueDate: 'Vereinbarter Verfalltag',
+        reminder: 'Zugang der Mahnung',
+        prosecution: 'Zustellung des Zahlungsbefehls bzw. der Klage',
+        saturday: 'Samstag',
+        sunday: 'Sonntag',
+        holiday: 'Feiertag',
+        holidayIn: (name, canton) => `Feiertag (${name}${canton ? ', ' + canton : ''})`,
+        saturdayNote: ' Samstage sind anerkannten Feiertagen gleichgestellt (SR 173.110.3).',
+        skipped: (d, reason) => `${d} ist ein ${reason}: Die Fälligkeit verschiebt sich auf den nächsten Werktag (OR Art. 78 Abs. 1).`,
+        shifted: (d) => `Massgebender Verfalltag: ${d}.`,
+        ruleDueDate: 'Der Schuldner kommt mit Ablauf des Verfalltags in Verzug (OR Art. 102 Abs. 2).',
+        ruleReminder: 'Der Schuldner wird durch die Mahnung des Gläubigers in Verzug gesetzt (OR Art. 102 Abs. 1).',
+        ruleProsecution: 'Die Zustellung des Zahlungsbefehls bzw. der Klage wirkt als Mahnung (OR Art. 102 Abs. 1).',
+        start: 'Verzugsbeginn (ins Formular übernommen)'
+    };
+
+    const steps = [`${t[result.trigger]}: ${date(result.eventDate)}`];
+    result.skippedDays.forEach(skipped => {
+        const reason = skipped.holiday ? t.holidayIn(skipped.holiday[lang] || skipped.holiday.de, result.canton) : t[skipped.reason];
+        steps.push(t.skipped(date(skipped.date), reason) + (skipped.reason === 'saturday' ? t.saturdayNote : ''));
+    });
+    if (result.skippedDays.length > 0) {
+        steps.push(t.shifted(date(result.dueDate)));
+    }
+    steps.push(result.trigger === 'dueDate' ? t.ruleDueDate : result.trigger === 'reminder' ? t.ruleReminder : t.ruleProsecution);
+
+    return `
+        <ol>${steps.map(step => `<li>${step}</li>`).join('')}</ol>
+        <p><strong>${t.start}: ${result.startDate.toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric' })}</strong></p>
+    `;
+}
+
+// ============================================
+// PARTIAL PAYMENTS (TEILZAHLUNGEN)
+// ============================================
+
+function addPayment(date, amount) {
+    const lang = document.documentElement.lang || 'de';
+    paymentCount++;
+
+    const container = document.getElementById('paymentsContainer');
+    const row = document.createElement('div');
+    row.className = 'entry-row payment-row';
+    row.innerHTML = lang === 'fr' ? `
+        <div class="form-group">
+            <label for="paymentDate${paymentCount}">Date du paiement</label>
+            <input type="text" id="paymentDate${paymentCount}" class="payment-date" placeholder="JJ.MM.AAAA">
+        </div>
+        <div class="form-group">
+            <label for="paymentAmount${paymentCount}">Montant</label>
+            <div class="currency-input-wrapper">
+                <input type="text" id="paymentAmount${paymentCount}" class="payment-amount" placeholder="p.ex. 1'000.00">
+            </div>
+        </div>
+        <button type="button" class="remove-entry" onclick="removeEntry(this)" aria-label="Supprimer">
+            <i class="fas fa-trash"></i>
+        </button>
+    ` : `
+        <div class="form-group">
+            <label for="paymentDate${paymentCount}">Zahlungsdatum</label>
+            <input type="text" id="paymentDate${paymentCount}" class="payment-date" placeholder="TT.MM.JJJJ">
+        </div>
+        <div class="form-group">
+            <label for="paymentAmount${paymentCount}">Betrag</label>
+            <div class="currency-input-wrapper">
+                <input type="text" id="paymentAmount${paymentCount}" class="payment-amount" placeholder="z.B. 1'000.00">
+            </div>
+        </div>
+        <button type="button" class="remove-entry" onclick="removeEntry(this)" aria-label="Entfernen">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    container.appendChild(row);
+
+    const picker = flatpickr(`#paymentDate${paymentCount}`, {
+        dateFormat: "d.m.Y",
+        allowInput: true,
+        locale: datePickerLocale
+    });
+    if (date) {
+        picker.setDate(date, false);
+    }
+
+    const amountInput = row.querySelector('.payment-amount');
+    if (amount !== undefined) {
+        amountInput.value = formatNumber(amount, 2);
+    }
+    amountInput.addEventListener('blur', function() {
+        const value = parseSwissNumber(this.value);
+        if (!isNaN(value) && value > 0) {
+            this.value = formatNumber(value, 2);
+        }
+    });
+}
+
+function removeEntry(button) {
+    button.closest('.entry-row').remove();
+}
+
+/**
+ * Collect partial payments from the form
+ * Returns null (after alerting) if a row is incomplete
+ */
+function collectPayments(lang) {
+    const payments = [];
+    const rows = document.querySelectorAll('.payment-row');
+
+    for (const row of rows) {
+        const dateInput = row.querySelector('.payment-date');
+        const amountInput = row.querySelector('.payment-amount');
+        if (!dateInput.value && !amountInput.value) continue;
+
+        const date = dateInput._flatpickr.selectedDates[0];
+        const amount = parseSwissNumber(amountInput.value);
+        if (!date || isNaN(amount) || amount <= 0) {
+            alert(lang === 'fr'
+                ? 'Veuillez saisir une date et un montant valides pour chaque paiement partiel'
+                : 'Bitte geben Sie für jede Teilzahlung ein gültiges Datum und einen Betrag ein');
+            return null;
+        }
+        payments.push({ date: date, amount: amount });
+    }
+
+    return payments;
+}
+
+// ============================================
+// RATE TIMELINE (ZINSSATZÄNDERUNGEN)
+// ============================================
+
+function addRateChange(date, rate) {
+    const lang = document.documentElement.lang || 'de';
+    rateChangeCount++;
+
+    const container = document.getElementById('rateChangesContainer');
+    const row = document.createElement('div');
+    row.className = 'entry-row rate-change-row';
+    row.innerHTML = lang === 'fr' ? `
+        <div class="form-group">
+            <label for="rateChangeDate${rateChangeCount}">Valable dès le</label>
+            <input type="text" id="rateChangeDate${rateChangeCount}" class="rate-change-date" placeholder="JJ.MM.AAAA">
+        </div>
+        <div class="form-group">
+            <label for="rateChangeRate${rateChangeCount}">Nouveau taux (% p.a.)</label>
+            <input type="number" id="rateChangeRate${rateChangeCount}" class="rate-change-rate" step="0.01" min="0" max="100" placeholder="p.ex. 8">
+        </div>
+        <button type="button" class="remove-entry" onclick="removeEntry(this)" aria-label="Supprimer">
+            <i class="fas fa-trash"></i>
+        </button>
+    ` : `
+        <div class="form-group">
+            <label for="rateChangeDate${rateChangeCount}">Gültig ab</label>
+            <input type="text" id="rateChangeDate${rateChangeCount}" class="rate-change-date" placeholder="TT.MM.JJJJ">
+        </div>
+        <div class="form-group">
+            <label for="rateChangeRate${rateChangeCount}">Neuer Zinssatz (% p.a.)</label>
+            <input type="number" id="rateChangeRate${rateChangeCount}" class="rate-change-rate" step="0.01" min="0" max="100" placeholder="z.B. 8">
+        </div>
+        <button type="button" class="remove-entry" onclick="removeEntry(this)" aria-label="Entfernen">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    container.appendChild(row);
+
+    const picker = flatpickr(`#rateChangeDate${rateChangeCount}`, {
+        dateFormat: "d.m.Y",
+        allowInput: true,
+        locale: datePickerLocale
+    });
+    if (date) {
+        picker.setDate(date, false);
+    }
+    if (rate !== undefined) {
+        row.querySelector('.rate-change-rate').value = rate;
+    }
+}
+
+/**
+ * Collect rate changes from the form
+ * Returns null (after alerting) if a row is incomplete
+ */
+function collectRateChanges(lang) {
+    const rateChanges = [];
+    const rows = document.querySelectorAll('.rate-change-row');
+
+    for (const row of rows) {
+        const dateInput = row.querySelector('.rate-change-date');
+        const rateInput = row.querySelector('.rate-change-rate');
+        if (!dateInput.value && rateInput.value === '') continue;
+
+        const date = dateInput._flatpickr.selectedDates[0];
+        const rate = parseFloat(rateInput.value);
+        if (!date || isNaN(rate) || rate < 0) {
+            alert(lang === 'fr'
+                ? 'Veuillez saisir une date et un taux valides pour chaque changement de taux'
+                : 'Bitte geben Sie für jede Zinssatzänderung ein gültiges Datum und einen Zinssatz ein');
+            return null;
+        }
+        rateChanges.push({ date: date, rate: rate });
+    }
 
+    return rateChanges;
+}
+
+// ============================================
+// PRESCRIPTION (VERJÄHRUNG)
+// ============================================
+
+function addInterruption(date, type) {
+    const lang = document.documentElement.lang || 'de';
+    interruptionCount++;
+
+    const container = document.getElementById('interruptionsContainer');
+    const row = document.createElement('div');
+    row.className = 'entry-row interruption-row';
+    row.innerHTML = lang === 'fr' ? `
+        <div class="form-group">
+            <label for="interruptionDate${interruptionCount}">Date</label>
+            <input type="text" id="interruptionDate${interruptionCount}" class="interruption-date" placeholder="JJ.MM.AAAA">
+        </div>
+        <div class="form-group">
+            <label for="interruptionType${interruptionCount}">Événement</label>
+            <select id="interruptionType${interruptionCount}" class="interruption-type">
+                <option value="acknowledgement">Reconnaissance de dette, paiement d'intérêts ou d'acomptes</option>
+                <option value="prosecution">Réquisition de poursuite</option>
+                <option value="lawsuit">Action ou requête de conciliation</option>
+            </select>
+        </div>
+        <button type="button" class="remove-entry" onclick="removeEntry(this)" aria-label="Supprimer">
+            <i class="fas fa-trash"></i>
+        </button>
+    ` : `
+        <div class="form-group">
+            <label for="interruptionDate${interruptionCount}">Datum</label>
+            <input type="text" id="interruptionDate${interruptionCount}" class="interruption-date" placeholder="TT.MM.JJJJ">
+        </div>
+        <div class="form-group">
+            <label for="interruptionType${interruptionCount}">Ereignis</label>
+            <select id="interruptionType${interruptionCount}" class="interruption-type">
+                <option value="acknowledgement">Schuldanerkennung, Zins- oder Abschlagszahlung</option>
+                <option value="prosecution">Betreibungsbegehren</option>
+                <option value="lawsuit">Klage oder Schlichtungsgesuch</option>
+            </select>
+        </div>
+        <button type="button" class="remove-entry" onclick="removeEntry(this)" aria-label="Entfernen">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    container.appendChild(row);
+
+    const picker = flatpickr(`#interruptionDate${interruptionCount}`, {
+        dateFormat: "d.m.Y",
+        allowInput: true,
+        locale: datePickerLocale
+    });
+    if (date) {
+        picker.setDate(date, false);
+    }
+    if (type) {
+        row.querySelector('.interruption-type').value = type;
+    }
+}
+
+/**
+ * Collect interruptions of the prescription from the form
+ * Returns null (after alerting) if a row has no valid date
+ */
+function collectInterruptions(lang) {
+    const interruptions = [];
+    const rows = document.querySelectorAll('.interruption-row');
+
+    for (const row of rows) {
+        const dateInput = row.querySelector('.interruption-date');
+        if (!dateInput.value) continue;
+
+        const date = dateInput._flatpickr.selectedDates[0];
+        if (!date) {
+            alert(lang === 'fr'
+                ? 'Veuillez saisir une date valide pour chaque interruption'
+                : 'Bitte geben Sie für jede Unterbrechung ein gültiges Datum ein');
+            return null;
+        }
+        interruptions.push({ date: date, type: row.querySelector('.interruption-type').value });
+    }
+
+    return interruptions;
+}
+
+/**
+ * Claim type of the prescription check as text
+ */
+function getClaimTypeLabel(claimType, lang) {
+    const labels = lang === 'fr' ? {
+        'general': 'créance ordinaire, 10 ans (CO art. 127)',
+        'periodic': 'prestation périodique, 5 ans (CO art. 128 ch. 1)',
+        'trade': 'artisan, vente au détail, services professionnels, 5 ans (CO art. 128 ch. 3)'
+    } : {
+        'general': 'allgemeine Forderung, 10 Jahre (OR Art. 127)',
+        'periodic': 'periodische Leistung, 5 Jahre (OR Art. 128 Ziff. 1)',
+        'trade': 'Handwerk, Kleinverkauf, Berufsarbeit, 5 Jahre (OR Art. 128 Ziff. 3)'
+    };
+    return labels[claimType];
+}
+
+function getInterruptionLabel(type, lang) {
+    const labels = lang === 'fr' ? {
+        'acknowledgement': 'Reconnaissance de dette',
+        'prosecution': 'Poursuite',
+        'lawsuit': 'Action'
+    } : {
+        'acknowledgement': 'Schuldanerkennung',
+        'prosecution': 'Betreibung',
+        'lawsuit': 'Klage'
+    };
+    return labels[type];
+}
+
+function buildPrescriptionHTML(result, lang) {
+    const p = result.prescription;
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const labels = lang === 'fr' ? {
+        caption: 'Prescription',
+        claimType: 'Type de créance',
+        dueDate: 'Exigibilité',
+        interruptions: 'Interruptions',
+        capitalExpiry: 'Prescription du capital',
+        barred: 'prescrit',
+        notBarred: 'non prescrit',
+        barredPeriod: 'Période des intérêts prescrits',
+        claimable: 'Exigible',
+        barredAmount: 'Prescrit',
+        capital: 'Capital',
+        interest: 'Intérêts',
+        total: 'Total exigible',
+        note: 'La prescription n\'est prise en compte que si le débiteur l\'invoque (CO art. 142). Avec le capital, les intérêts sont également prescrits (CO art. 133).'
+    } : {
+        caption: 'Verjährung',
+        claimType: 'Art der Forderung',
+        dueDate: 'Fälligkeit',
+        interruptions: 'Unterbrechungen',
+        capitalExpiry: 'Verjährung des Kapitals',
+        barred: 'verjährt',
+        notBarred: 'nicht verjährt',
+        barredPeriod: 'Zeitraum verjährter Zinsen',
+        claimable: 'Durchsetzbar',
+        barredAmount: 'Verjährt',
+        capital: 'Kapital',
+        interest: 'Zins',
+        total: 'Total durchsetzbar',
+        note: 'Die Verjährung wird nur berücksichtigt, wenn sich der Schuldner darauf beruft (OR Art. 142). Mit dem Kapital verjähren auch die Zinsen (OR Art. 133).'
+    };
+    const date = (value) => value.toLocaleDateString(locale);
+
+    const interruptions = p.interruptions.length > 0
+        ? p.interruptions.map(i => `${getInterruptionLabel(i.type, lang)} ${date(i.date)}`).join(', ')
+        : '–';
+
+    return `
+        <p class="schedule-caption">${labels.caption}</p>
+        <table class="schedule-table">
+            <tr><td>${labels.claimType}</td><td colspan="2">${getClaimTypeLabel(p.claimType, lang)}</td></tr>
+            <tr><td>${labels.dueDate}</td><td colspan="2">${date(p.dueDate)}</td></tr>
+            <tr><td>${labels.interruptions}</td><td colspan="2">${interruptions}</td></tr>
+            <tr><td>${labels.capitalExpiry}</td><td colspan="2">${date(p.capitalExpiry)} (${p.capitalBarred ? labels.barred : labels.notBarred})</td></tr>
+            ${p.barredPeriod ? `<tr><td>${labels.barredPeriod}</td><td colspan="2">${date(p.barredPeriod.startDate)} – ${date(p.barredPeriod.endDate)}</td></tr>` : ''}
+            <tr>
+                <th></th>
+                <th>${labels.claimable}</th>
+                <th>${labels.barredAmount}</th>
+            </tr>
+            <tr><td>${labels.capital}</td><td>${formatAmount(p.claimableCapital, result.currency)}</td><td>${formatAmount(p.barredCapital, result.currency)}</td></tr>
+            <tr><td>${labels.interest}</td><td>${formatAmount(p.claimableInterest, result.currency)}</td><td>${formatAmount(p.barredInterest, result.currency)}</td></tr>
+            <tr><td><strong>${labels.total}</strong></td><td colspan="2"><strong>${formatAmount(p.claimableTotal, result.currency)}</strong></td></tr>
+        </table>
+        ${p.capitalBarred || p.barredInterest > 0 ? `<div class="warning">
+            <i class="fas fa-exclamation-triangle"></i>
+            ${labels.note}
+        </div>` : ''}
+    `;
+}
+
+/**
+ * Plain-text prescription check for the clipboard
+ */
+function getPrescriptionText(result, lang) {
+    const p = result.prescription;
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const t = lang === 'fr' ? {
+        caption: 'Prescription',
+        dueDate: 'exigible le',
+        interruptions: 'Interruptions',
+        capitalExpiry: 'Prescription du capital',
+        barred: 'prescrit',
+        notBarred: 'non prescrit',
+        barredPeriod: 'Période des intérêts prescrits',
+        claimableCapital: 'Capital exigible',
+        claimableInterest: 'Intérêts exigibles',
+        barredInterest: 'Intérêts prescrits',
+        total: 'Total exigible'
+    } : {
+        caption: 'Verjährung',
+        dueDate: 'fällig am',
+        interruptions: 'Unterbrechungen',
+        capitalExpiry: 'Verjährung des Kapitals',
+        barred: 'verjährt',
+        notBarred: 'nicht verjährt',
+        barredPeriod: 'Zeitraum verjährter Zinsen',
+        claimableCapital: 'Durchsetzbares Kapital',
+        claimableInterest: 'Durchsetzbare Zinsen',
+        barredInterest: 'Verjährte Zinsen',
+        total: 'Total durchsetzbar'
+    };
+    const date = (value) => value.toLocaleDateString(locale);
+
+    const lines = [`${t.caption}: ${getClaimTypeLabel(p.claimType, lang)}, ${t.dueDate} ${date(p.dueDate)}`];
+    if (p.interruptions.length > 0) {
+        lines.push(`${t.interruptions}: ${p.interruptions.map(i => `${getInterruptionLabel(i.type, lang)} ${date(i.date)}`).join(', ')}`);
+    }
+    lines.push(`${t.capitalExpiry}: ${date(p.capitalExpiry)} (${p.capitalBarred ? t.barred : t.notBarred})`);
+    if (p.barredPeriod) {
+        lines.push(`${t.barredPeriod}: ${date(p.barredPeriod.startDate)} – ${date(p.barredPeriod.endDate)}`);
+    }
+    lines.push(`${t.claimableCapital}: ${formatAmount(p.claimableCapital, result.currency)}`);
+    lines.push(`${t.claimableInterest}: ${formatAmount(p.claimableInterest, result.currency)}`);
+    lines.push(`${t.barredInterest}: ${formatAmount(p.barredInterest, result.currency)}`);
+    lines.push(`${t.total}: ${formatAmount(p.claimableTotal, result.currency)}`);
+    return lines.join('\n');
+}
+
+// ============================================
+// FOREIGN CURRENCY
+// ============================================
+
+const RATE_TABLE_STORAGE_KEY = 'verzugszins-exchange-rates';
+
+function toggleCurrency() {
+    const currency = document.getElementById('currency').value;
+    document.getElementById('zinsForm').style.setProperty('--currency', `'${currency}'`);
+    document.getElementById('conversionGroup').style.display = currency !== 'CHF' ? 'block' : 'none';
+    toggleConversion();
+}
+
+function toggleConversion() {
+    const foreign = document.getElementById('currency').value !== 'CHF';
+    const basis = document.getElementById('conversionBasis').value;
+    document.getElementById('conversionFields').style.display = foreign && basis ? 'block' : 'none';
+}
+
+/**
+ * Exchange-rate table imported earlier, kept locally in the browser
+ */
+function loadRateTable() {
+    const text = localStorage.getItem(RATE_TABLE_STORAGE_KEY);
+    if (!text) return [];
+    const table = Currencies.parseRateTable(text);
+    return table.error ? [] : table.rates;
+}
+
+/**
+ * Read an exchange-rate file (CSV or JSON) and keep it in localStorage
+ */
+function importRateTable(input) {
+    const lang = document.documentElement.lang || 'de';
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function() {
+        const table = Currencies.parseRateTable(reader.result);
+        if (table.error) {
+            alert(lang === 'fr'
+                ? 'Le tableau des cours n\'a pas pu être lu: ' + table.error
+                : 'Die Kurstabelle konnte nicht gelesen werden: ' + table.error);
+            input.value = '';
+            return;
+        }
+        localStorage.setItem(RATE_TABLE_STORAGE_KEY, reader.result);
+        showRateTableInfo();
+    };
+    reader.readAsText(file);
+}
+
+function showRateTableInfo() {
     const lang = document.documentElement.lang || 'de';
+    const rates = loadRateTable();
+    const info = document.getElementById('rateTableInfo');
+    if (rates.length === 0) {
+        info.textContent = lang === 'fr'
+            ? 'Aucun tableau des cours chargé. Lignes CSV «date;monnaie;cours» (CHF par unité) ou JSON.'
+            : 'Keine Kurstabelle geladen. CSV-Zeilen «Datum;Währung;Kurs» (CHF je Einheit) oder JSON.';
+        return;
+    }
+    const currencies = [...new Set(rates.map(entry => entry.currency))].join(', ');
+    const last = rates.reduce((latest, entry) => CalendarDates.compare(entry.date, latest) > 0 ? entry.date : latest, rates[0].date);
+    info.textContent = lang === 'fr'
+        ? `${rates.length} cours chargés (${currencies}), jusqu'au ${CalendarDates.format(last)}. Les cours restent enregistrés dans ce navigateur.`
+        : `${rates.length} Kurse geladen (${currencies}), bis ${CalendarDates.format(last)}. Die Kurse bleiben in diesem Browser gespeichert.`;
+}
+
+/**
+ * Convert the result to CHF at the chosen date
+ * Returns null without a conversion, { error } if no rate can be found
+ */
+function convertResult(result, lang) {
+    const basis = document.getElementById('conversionBasis').value;
+    if (result.currency === 'CHF' || !basis) return null;
+
+    // Default date: due date (day before default) or the calculation date
+    const date = conversionDatePicker.selectedDates[0] ||
+        (basis === 'dueDate' ? CalendarDates.toDate(CalendarDates.addDays(result.startDate || result.lines[0].startDate, -1)) : result.endDate);
+
+    const rateStr = document.getElementById('exchangeRate').value;
+    const rate = rateStr ? parseSwissNumber(rateStr) : null;
+    if (rateStr && !(rate > 0)) {
+        return { error: lang === 'fr' ? 'Veuillez entrer un cours de change valide' : 'Bitte geben Sie einen gültigen Wechselkurs ein' };
+    }
+
+    // Without a rate of its own the imported table must cover the date
+    const rates = loadRateTable();
+    if (rate === null && !Currencies.getRate(rates, result.currency, date)) {
+        return { error: lang === 'fr'
+            ? `Le tableau des cours ne contient aucun cours ${result.currency} au ${CalendarDates.format(date)} ou avant; veuillez importer un tableau des cours ou saisir le cours`
+            : `Die Kurstabelle enthält keinen ${result.currency}-Kurs am oder vor dem ${CalendarDates.format(date)}; bitte importieren Sie eine Kurstabelle oder erfassen Sie den Kurs` };
+    }
+
+    const amounts = { principal: result.principal, interest: result.interest, total: result.total };
+    if (result.prescription) {
+        amounts.claimableTotal = result.prescription.claimableTotal;
+    }
+    return Currencies.convert(amounts, result.currency, date, { basis: basis, rates: rates, rate: rate });
+}
+
+function getConversionBasisLabel(basis, lang) {
+    const labels = lang === 'fr' ? {
+        'dueDate': 'cours à l\'échéance (CO art. 84 al. 2)',
+        'payment': 'cours au jour du paiement (CO art. 84 al. 2)',
+        'prosecution': 'cours au jour de la réquisition de poursuite (LP art. 67 al. 1 ch. 3)'
+    } : {
+        'dueDate': 'Kurs am Verfalltag (OR Art. 84 Abs. 2)',
+        'payment': 'Kurs am Zahlungstag (OR Art. 84 Abs. 2)',
+        'prosecution': 'Kurs am Tag des Betreibungsbegehrens (SchKG Art. 67 Abs. 1 Ziff. 3)'
+    };
+    return labels[basis];
+}
+
+/**
+ * Exchange rate as text, e.g. "1 EUR = 0.9612 CHF (Kurs vom 28.06.2024)"
+ */
+function formatExchangeRate(conversion, lang) {
+    const source = conversion.rateDate
+        ? (lang === 'fr' ? `cours du ${CalendarDates.format(conversion.rateDate)}` : `Kurs vom ${CalendarDates.format(conversion.rateDate)}`)
+        : (lang === 'fr' ? 'cours saisi' : 'Kurs manuell erfasst');
+    return `1 ${conversion.currency} = ${formatNumber(conversion.rate, 4)} CHF (${source})`;
+}
+
+function getConversionLabels(lang) {
+    return lang === 'fr' ? {
+        caption: 'Conversion en CHF',
+        basis: 'Base',
+        date: 'Date de conversion',
+        rate: 'Cours',
+        principal: 'Capital',
+        interest: 'Intérêts',
+        total: 'Total',
+        claimableTotal: 'Total exigible',
+        note: 'Les intérêts sont calculés dans la monnaie de la créance. Le débiteur peut payer en francs suisses au cours du jour de l\'échéance, sauf clause de paiement effectif (CO art. 84 al. 2); la poursuite est requise en francs suisses (LP art. 67 al. 1 ch. 3).'
+    } : {
+        caption: 'Umrechnung in CHF',
+        basis: 'Grundlage',
+        date: 'Stichtag',
+        rate: 'Kurs',
+        principal: 'Kapital',
+        interest: 'Zins',
+        total: 'Total',
+        claimableTotal: 'Total durchsetzbar',
+        note: 'Der Zins wird in der Währung der Forderung berechnet. Der Schuldner kann in Landeswährung zum Kurs am Verfalltag zahlen, sofern nicht effektive Zahlung vereinbart ist (OR Art. 84 Abs. 2); die Betreibung wird in Schweizer Franken verlangt (SchKG Art. 67 Abs. 1 Ziff. 3).'
+    };
+}
+
+function buildConversionHTML(result, lang) {
+    const c = result.conversion;
+    const labels = getConversionLabels(lang);
+    const amountRows = Object.keys(c.amounts).map(key => `
+            <tr><td>${labels[key]}</td><td>${formatAmount(c.original[key], result.currency)}</td><td>${formatAmount(c.amounts[key], 'CHF')}</td></tr>`).join('');
+
+    return `
+        <p class="schedule-caption">${labels.caption}</p>
+        <table class="schedule-table">
+            <tr><td>${labels.basis}</td><td colspan="2">${getConversionBasisLabel(c.basis, lang)}</td></tr>
+            <tr><td>${labels.date}</td><td colspan="2">${CalendarDates.format(c.date)}</td></tr>
+            <tr><td>${labels.rate}</td><td colspan="2">${formatExchangeRate(c, lang)}</td></tr>
+            <tr>
+                <th></th>
+                <th>${c.currency}</th>
+                <th>CHF</th>
+            </tr>${amountRows}
+        </table>
+        <p class="result-method"><small>${labels.note}</small></p>
+    `;
+}
+
+/**
+ * Plain-text conversion to CHF for the clipboard
+ */
+function getConversionText(result, lang) {
+    const c = result.conversion;
+    const labels = getConversionLabels(lang);
+    const lines = [
+        `${labels.caption}: ${getConversionBasisLabel(c.basis, lang)}, ${CalendarDates.format(c.date)}`,
+        `${labels.rate}: ${formatExchangeRate(c, lang)}`
+    ];
+    Object.keys(c.amounts).forEach(key => {
+        lines.push(`${labels[key]}: ${formatAmount(c.amounts[key], 'CHF')}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Rate text of a result, e.g. "5%" or "5% → 8%" for a rate timeline
+ */
+function formatRates(result) {
+    const rates = (result.ratePeriods || result.segments || [result]).map(period => period.interestRate);
+    const steps = rates.filter((rate, i) => i === 0 || rate !== rates[i - 1]);
+    return `${steps.join('% → ')}%`;
+}
+
+// ============================================
+// RATE PLAUSIBILITY (KKG, WUCHER, OR ART. 104)
+// ============================================
+
+/**
+ * All rates used by a calculation: rate periods, payment segments or invoice lines
+ */
+function getResultRates(result) {
+    const periods = result.lines
+        ? result.lines.flatMap(line => line.ratePeriods || [line])
+        : result.ratePeriods || result.segments || [result];
+    return periods.map(period => period.interestRate);
+}
+
+/**
+ * Consumer credit type chosen for a contractual rate, or '' if none applies
+ */
+function getCreditType() {
+    const rateType = document.getElementById('rateType').value;
+    return rateType === 'custom' || rateType === 'kontokorrent' ? document.getElementById('creditType').value : '';
+}
+
+function getRateWarningText(warning, lang) {
+    const rate = `${warning.rate}%`;
+    const limit = `${warning.limit}%`;
+    const legalBasis = warning.legalBasis[lang === 'fr' ? 'fr' : 'de'];
+    if (lang === 'fr') {
+        if (warning.type === 'consumerCredit') {
+            return `Le taux de ${rate} dépasse le taux maximal de ${limit} pour ce crédit à la consommation (${legalBasis}). Le contrat de crédit est nul (LCC art. 15 al. 1).`;
+        }
+        if (warning.type === 'usury') {
+            return `Le taux de ${rate} est très supérieur aux taux usuels. Vérifiez la saisie; un tel taux peut constituer une usure ou une lésion (${legalBasis}).`;
+        }
+        return `Le taux de ${rate} est inférieur au taux légal de ${limit} (${legalBasis}). Il ne vaut pour la demeure que s'il a été convenu pour celle-ci.`;
+    }
+    if (warning.type === 'consumerCredit') {
+        return `Der Zinssatz von ${rate} übersteigt den Höchstzinssatz von ${limit} für diesen Konsumkredit (${legalBasis}). Der Kreditvertrag ist nichtig (KKG Art. 15 Abs. 1).`;
+    }
+    if (warning.type === 'usury') {
+        return `Der Zinssatz von ${rate} liegt weit über dem üblichen Niveau. Prüfen Sie die Eingabe; ein solcher Zins kann Wucher oder Übervorteilung darstellen (${legalBasis}).`;
+    }
+    return `Der Zinssatz von ${rate} liegt unter dem gesetzlichen Verzugszins von ${limit} (${legalBasis}). Er gilt für den Verzug nur, wenn er dafür vereinbart ist.`;
+}
+
+function buildRateWarningsHTML(warnings, lang) {
+    return warnings.map(warning => `
+        <div class="warning">
+            <i class="fas ${warning.severity === 'note' ? 'fa-info-circle' : 'fa-exclamation-triangle'}"></i>
+            ${escapeHTML(getRateWarningText(warning, lang))}
+        </div>`).join('');
+}
+
+/**
+ * Check the contractual rate while it is typed in
+ */
+function updateRateWarnings() {
+    const lang = document.documentElement.lang || 'de';
+    const rate = parseFloat(document.getElementById('customRate').value);
+    const warnings = rate > 0 ? checkInterestRates([rate], { creditType: getCreditType() }) : [];
+    document.getElementById('rateWarnings').innerHTML = warnings.error ? '' : buildRateWarningsHTML(warnings, lang);
+}
+
+// ============================================
+// CLAIM LEDGER (MEHRERE RECHNUNGEN)
+// ============================================
+
+function addInvoice(reference, amount, date, rate) {
+    const lang = document.documentElement.lang || 'de';
+    invoiceCount++;
+
+    const labels = lang === 'fr' ? {
+        reference: 'Référence',
+        referencePlaceholder: 'p.ex. Facture 2024-17',
+        amount: 'Montant',
+        amountPlaceholder: 'p.ex. 2\'500.00',
+        startDate: 'Début de la demeure',
+        datePlaceholder: 'JJ.MM.AAAA',
+        rate: 'Taux (% p.a.)',
+        ratePlaceholder: 'comme ci-dessous',
+        remove: 'Supprimer'
+    } : {
+        reference: 'Referenz',
+        referencePlaceholder: 'z.B. Rechnung 2024-17',
+        amount: 'Betrag',
+        amountPlaceholder: 'z.B. 2\'500.00',
+        startDate: 'Verzugsbeginn',
+        datePlaceholder: 'TT.MM.JJJJ',
+        rate: 'Zinssatz (% p.a.)',
+        ratePlaceholder: 'wie unten',
+        remove: 'Entfernen'
+    };
+
+    const container = document.getElementById('invoicesContainer');
+    const row = document.createElement('div');
+    row.className = 'entry-row invoice-row';
+    row.innerHTML = `
+        <div class="form-group">
+            <label for="invoiceRef${invoiceCount}">${labels.reference}</label>
+            <input type="text" id="invoiceRef${invoiceCount}" class="invoice-ref" placeholder="${labels.referencePlaceholder}">
+        </div>
+        <div class="form-group">
+            <label for="invoiceAmount${invoiceCount}">${labels.amount}</label>
+            <div class="currency-input-wrapper">
+                <input type="text" id="invoiceAmount${invoiceCount}" class="invoice-amount" placeholder="${labels.amountPlaceholder}">
+            </div>
+        </div>
+        <div class="form-group">
+            <label for="invoiceDate${invoiceCount}">${labels.startDate}</label>
+            <input type="text" id="invoiceDate${invoiceCount}" class="invoice-date" placeholder="${labels.datePlaceholder}">
+        </div>
+        <div class="form-group">
+            <label for="invoiceRate${invoiceCount}">${labels.rate}</label>
+            <input type="number" id="invoiceRate${invoiceCount}" class="invoice-rate" step="0.01" min="0" max="100" placeholder="${labels.ratePlaceholder}">
+        </div>
+        <button type="button" class="remove-entry" onclick="removeEntry(this)" aria-label="${labels.remove}">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    container.appendChild(row);
+
+    const picker = flatpickr(`#invoiceDate${invoiceCount}`, {
+        dateFormat: "d.m.Y",
+        allowInput: true,
+        locale: datePickerLocale
+    });
+    if (date) {
+        picker.setDate(date, false);
+    }
+
+    if (reference) {
+        row.querySelector('.invoice-ref').value = reference;
+    }
+    if (rate !== undefined && rate !== null) {
+        row.querySelector('.invoice-rate').value = rate;
+    }
+
+    const amountInput = row.querySelector('.invoice-amount');
+    if (amount !== undefined) {
+        amountInput.value = formatNumber(amount, 2);
+    }
+    amountInput.addEventListener('blur', function() {
+        const value = parseSwissNumber(this.value);
+        if (!isNaN(value) && value > 0) {
+            this.value = formatNumber(value, 2);
+        }
+    });
+}
+
+/**
+ * Collect additional invoice lines from the form
+ * Returns null (after alerting) if a row is incomplete
+ */
+function collectInvoices(lang) {
+    const invoices = [];
+    const rows = document.querySelectorAll('.invoice-row');
+
+    for (const row of rows) {
+        const reference = row.querySelector('.invoice-ref').value.trim();
+        const amountInput = row.querySelector('.invoice-amount');
+        const dateInput = row.querySelector('.invoice-date');
+        const rateInput = row.querySelector('.invoice-rate');
+        if (!reference && !amountInput.value && !dateInput.value) continue;
+
+        const principal = parseSwissNumber(amountInput.value);
+        const startDate = dateInput._flatpickr.selectedDates[0];
+        const interestRate = rateInput.value !== '' ? parseFloat(rateInput.value) : undefined;
+
+        if (isNaN(principal) || principal <= 0 || !startDate ||
+            (interestRate !== undefined && (isNaN(interestRate) || interestRate <= 0))) {
+            alert(lang === 'fr'
+                ? 'Veuillez saisir un montant, un début de la demeure et, le cas échéant, un taux valides pour chaque facture'
+                : 'Bitte geben Sie für jede Rechnung einen gültigen Betrag, Verzugsbeginn und gegebenenfalls Zinssatz ein');
+            return null;
+        }
+        invoices.push({ reference: reference, principal: principal, startDate: startDate, interestRate: interestRate });
+    }
+
+    return invoices;
+}
+
+// Form submission
+document.getElementById('zinsForm').addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const lang = document.documentElement.lang || 'de';
+
+    // Reverse calculation: the field solved for is left out
+    const solveFor = document.getElementById('solveFor').value;
+
+    // Get principal
+    const principalStr = document.getElementById('principal').value;
+    const principal = parseSwissNumber(principalStr);
+
+    if (solveFor !== 'principal' && (isNaN(principal) || principal <= 0)) {
+        alert(lang === 'fr' ? 'Veuillez entrer un montant valide' : 'Bitte geben Sie einen gültigen Betrag ein');
+        return;
+    }
+
+    // Get dates
+    const startDate = startDatePicker.selectedDates[0];
+    const endDate = endDatePicker.selectedDates[0];
+    const needsEndDate = solveFor !== 'days' && solveFor !== 'endDate';
+
+    if (!startDate && solveFor !== 'days') {
+        alert(lang === 'fr' ? 'Veuillez sélectionner la date de début' : 'Bitte wählen Sie das Verzugsdatum');
+        return;
+    }
+    if (!endDate && needsEndDate) {
+        alert(lang === 'fr' ? 'Veuillez sélectionner la date de fin' : 'Bitte wählen Sie das Berechnungsdatum');
+        return;
+    }
+    if (needsEndDate && CalendarDates.compare(startDate, endDate) >= 0) {
+        alert(lang === 'fr' ? 'La date de fin doit être après la date de début' : 'Das Berechnungsdatum muss nach dem Verzugsdatum liegen');
+        return;
+    }
+
+    // Get interest rate
+    const rateType = document.getElementById('rateType').value;
+    let interestRate = 5; // Default OR Art. 104
+
+    if (solveFor !== 'rate' && (rateType === 'custom' || rateType === 'kontokorrent')) {
+        interestRate = parseFloat(document.getElementById('customRate').value);
+        if (isNaN(interestRate) || interestRate <= 0) {
+            alert(lang === 'fr' ? 'Veuillez entrer un taux valide' : 'Bitte geben Sie einen gültigen Zinssatz ein');
+            return;
+        }
+    }
+
+    // Day-count convention (Zinsmethode) and rate timeline
+    const dayCount = document.getElementById('dayCount').value;
+    const rounding = {
+        mode: document.getElementById('rounding').value,
+        cashRounding: document.getElementById('cashRounding').checked
+    };
+    const rateChanges = collectRateChanges(lang);
+    if (rateChanges === null) return;
+
+    // Claims in a foreign currency bear interest in that currency
+    const currency = document.getElementById('currency').value;
+    if (currency !== 'CHF' && rounding.cashRounding) {
+        alert(lang === 'fr'
+            ? 'L\'arrondi à 5 centimes n\'est possible qu\'en francs suisses'
+            : 'Die Rundung auf 5 Rappen ist nur in Schweizer Franken möglich');
+        return;
+    }
+
+    if (solveFor) {
+        const reverse = calculateReverse(solveFor, principal, startDate, endDate, interestRate, {
+            dayCount: dayCount,
+            rounding: rounding,
+            rateChanges: rateChanges,
+            kontokorrent: solveFor !== 'rate' && rateType === 'kontokorrent'
+        }, lang);
+        if (reverse) {
+            showCalculationResult(reverse, currency, lang);
+        }
+        return;
+    }
+
+    // Partial payments and costs (OR Art. 85)
+    const payments = collectPayments(lang);
+    if (payments === null) return;
+
+    const costsStr = document.getElementById('costs').value;
+    const costs = costsStr ? parseSwissNumber(costsStr) : 0;
+    if (isNaN(costs) || costs < 0) {
+        alert(lang === 'fr' ? 'Veuillez entrer des frais valides' : 'Bitte geben Sie gültige Kosten ein');
+        return;
+    }
+
+    for (const payment of payments) {
+        if (CalendarDates.compare(payment.date, startDate) <= 0 || CalendarDates.compare(payment.date, endDate) > 0) {
+            alert(lang === 'fr'
+                ? 'Les paiements partiels doivent se situer dans la période de calcul'
+                : 'Teilzahlungen müssen innerhalb des Berechnungszeitraums liegen');
+            return;
+        }
+    }
+
+    // Additional invoices (claim ledger)
+    const invoices = collectInvoices(lang);
+    if (invoices === null) return;
+
+    if (invoices.length > 0 && (payments.length > 0 || costs > 0)) {
+        alert(lang === 'fr'
+            ? 'Les paiements partiels et les frais ne peuvent être saisis que pour une seule créance'
+            : 'Teilzahlungen und Kosten können nur für eine einzelne Forderung erfasst werden');
+        return;
+    }
+
+    for (const invoice of invoices) {
+        if (CalendarDates.compare(invoice.startDate, endDate) >= 0) {
+            alert(lang === 'fr' ? 'La date de fin doit être après la date de début' : 'Das Berechnungsdatum muss nach dem Verzugsdatum liegen');
+            return;
+        }
+    }
+
+    // Kontokorrent: capitalisation of interest (OR Art. 314 Abs. 3), single balance only
+    const kontokorrent = rateType === 'kontokorrent';
+    if (kontokorrent && (invoices.length > 0 || payments.length > 0 || costs > 0 || rateChanges.length > 0)) {
+        alert(lang === 'fr'
+            ? 'Le mode compte courant ne peut pas être combiné avec des paiements partiels, des frais, d\'autres factures ou des changements de taux'
+            : 'Der Kontokorrent-Modus kann nicht mit Teilzahlungen, Kosten, weiteren Rechnungen oder Zinssatzänderungen kombiniert werden');
+        return;
+    }
+
+    // Prescription check (Verjährung) for a single claim without payments
+    const claimType = document.getElementById('claimType').value;
+    const interruptions = claimType ? collectInterruptions(lang) : [];
+    if (interruptions === null) return;
+
+    if (claimType && (kontokorrent || invoices.length > 0 || payments.length > 0 || costs > 0)) {
+        alert(lang === 'fr'
+            ? 'La vérification de la prescription n\'est possible que pour une seule créance sans paiements partiels, frais ni compte courant'
+            : 'Die Verjährung kann nur für eine einzelne Forderung ohne Teilzahlungen, Kosten und Kontokorrent geprüft werden');
+        return;
+    }
+
+    // Calculate
+    let result;
+    if (kontokorrent) {
+        result = calculateCompoundInterest(principal, startDate, endDate, interestRate, {
+            capitalisation: document.getElementById('capitalisation').value,
+            dayCount: dayCount,
+            rounding: rounding
+        });
+    } else if (invoices.length > 0) {
+        const lines = [{ reference: '', principal: principal, startDate: startDate }, ...invoices];
+        result = calculateClaimLedger(lines, endDate, interestRate, { dayCount: dayCount, rateChanges: rateChanges, rounding: rounding });
+    } else if (payments.length > 0 || costs > 0) {
+        result = calculateInterestWithPayments(principal, startDate, endDate, interestRate, payments, {
+            costs: costs,
+            dayCount: dayCount,
+            rateChanges: rateChanges,
+            rounding: rounding
+        });
+    } else if (claimType) {
+        result = calculatePrescription(principal, startDate, endDate, interestRate, {
+            claimType: claimType,
+            dueDate: dueDatePicker.selectedDates[0],
+            interruptions: interruptions,
+            dayCount: dayCount,
+            rateChanges: rateChanges,
+            rounding: rounding
+        });
+    } else {
+        result = calculateDefaultInterest(principal, startDate, endDate, interestRate, { dayCount: dayCount, rateChanges: rateChanges, rounding: rounding });
+    }
+
+    showCalculationResult(result, currency, lang);
+});
+
+/**
+ * Errors of the calculation functions in the language of the page
+ */
+function getCalculationErrors(lang) {
+    return lang === 'fr' ? {
+        'Costs must not be negative': 'Les frais ne peuvent pas être négatifs',
+        'Payment amounts must be positive': 'Les paiements partiels doivent être positifs',
+        'Payment dates must lie within the calculation period': 'Les paiements partiels doivent se situer dans la période de calcul',
+        'Principal must be positive': 'Le capital doit être positif',
+        'Interest rate must be positive': 'Le taux d\'intérêt doit être positif',
+        'Target must be positive': 'Le montant donné doit être positif',
+        'Target total must exceed the principal': 'Le total donné doit dépasser le capital',
+        'Target is not reached within 100 years': 'Le montant donné n\'est pas atteint en 100 ans',
+        'Day count act/act depends on the calendar year, solve for the end date instead':
+            'Avec la méthode act/act, les intérêts dépendent de l\'année civile; veuillez plutôt rechercher la date de calcul'
+    } : {
+        'Costs must not be negative': 'Die Kosten dürfen nicht negativ sein',
+        'Payment amounts must be positive': 'Teilzahlungen müssen positiv sein',
+        'Payment dates must lie within the calculation period': 'Teilzahlungen müssen innerhalb des Berechnungszeitraums liegen',
+        'Principal must be positive': 'Das Kapital muss positiv sein',
+        'Interest rate must be positive': 'Der Zinssatz muss positiv sein',
+        'Target must be positive': 'Der vorgegebene Betrag muss positiv sein',
+        'Target total must exceed the principal': 'Das vorgegebene Total muss höher als das Kapital sein',
+        'Target is not reached within 100 years': 'Der vorgegebene Betrag wird innerhalb von 100 Jahren nicht erreicht',
+        'Day count act/act depends on the calendar year, solve for the end date instead':
+            'Bei der Methode act/act hängt der Zins vom Kalenderjahr ab; bitte suchen Sie stattdessen das Berechnungsdatum'
+    };
+}
+
+/**
+ * Attach currency and conversion to a calculation result and display it
+ */
+function showCalculationResult(result, currency, lang) {
+    if (result.error) {
+        alert(getCalculationErrors(lang)[result.error] || result.error);
+        return;
+    }
+
+    result.currency = currency;
+    if (currency !== 'CHF' && result.explanation) {
+        result.explanation.legalBasis.push({ key: 'foreignCurrency', article: LEGAL_PROVISIONS.foreignCurrency });
+    }
+    const conversion = convertResult(result, lang);
+    if (conversion && conversion.error) {
+        alert(conversion.error);
+        return;
+    }
+    result.conversion = conversion;
+
+    const projection = projectResult(result, lang);
+    if (projection && projection.error) {
+        alert(projection.error);
+        return;
+    }
+    result.projection = projection;
+
+    result.creditType = getCreditType();
+    const rateWarnings = checkInterestRates(getResultRates(result), { creditType: result.creditType });
+    result.rateWarnings = rateWarnings.error ? [] : rateWarnings;
+
+    displayResult(result);
+}
+
+/**
+ * Reverse calculation (Rückwärtsrechnung) for a single claim
+ * Returns the solver result, or null (after alerting) for invalid input
+ */
+function calculateReverse(solveFor, principal, startDate, endDate, interestRate, options, lang) {
+    const target = parseSwissNumber(document.getElementById('targetAmount').value);
+    if (isNaN(target) || target <= 0) {
+        alert(lang === 'fr' ? 'Veuillez entrer un montant donné valide' : 'Bitte geben Sie einen gültigen vorgegebenen Betrag ein');
+        return null;
+    }
+
+    // Only the plain calculation of one claim can be reversed
+    const payments = collectPayments(lang);
+    const invoices = collectInvoices(lang);
+    if (payments === null || invoices === null) return null;
+    const combined = payments.length > 0 || invoices.length > 0 || options.rateChanges.length > 0 ||
+        options.kontokorrent || document.getElementById('costs').value ||
+        document.getElementById('claimType').value ||
+        (document.getElementById('currency').value !== 'CHF' && document.getElementById('conversionBasis').value);
+    if (combined) {
+        alert(lang === 'fr'
+            ? 'Le calcul inverse ne peut pas être combiné avec des paiements partiels, des frais, d\'autres factures, des changements de taux, le compte courant, la prescription ou la conversion en CHF'
+            : 'Die Rückwärtsrechnung kann nicht mit Teilzahlungen, Kosten, weiteren Rechnungen, Zinssatzänderungen, Kontokorrent, Verjährung oder Umrechnung in CHF kombiniert werden');
+        return null;
+    }
+
+    const solverOptions = {
+        targetType: document.getElementById('targetType').value,
+        dayCount: options.dayCount,
+        rounding: options.rounding
+    };
+    if (solveFor === 'endDate') {
+        return solveEndDate(principal, startDate, target, interestRate, solverOptions);
+    }
+    if (solveFor === 'rate') {
+        return solveInterestRate(principal, startDate, endDate, target, solverOptions);
+    }
+    if (solveFor === 'principal') {
+        return solvePrincipal(startDate, endDate, target, interestRate, solverOptions);
+    }
+    return solveDays(principal, target, interestRate, solverOptions);
+}
+
+// Globale Variable für PDF-Export
+let lastCalculationResult = null;
+
+function displayResult(result) {
+    // Daten für PDF-Export speichern
+    lastCalculationResult = result;
+
+    const lang = document.documentElement.lang || 'de';
+    const resultDiv = document.getElementById('result');
+    const resultSummary = resultDiv.querySelector('.result-summary');
+
+    const dateOptions = { day: 'numeric', month: 'long', year: 'numeric' };
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+
+    const labels = lang === 'fr' ? {
+        title: 'Résultat du calcul',
+        principal: 'Capital',
+        period: 'Période',
+        days: 'Nombre de jours',
+        rate: 'Taux d\'intérêt',
+        interest: 'Intérêts moratoires',
+        total: 'Total (capital + intérêts)',
+        method: 'Méthode de calcul',
+        costs: 'Frais',
+        totalPaid: 'Paiements partiels',
+        openCapital: 'Capital ouvert',
+        openInterest: 'Intérêts ouverts',
+        openCosts: 'Frais ouverts',
+        openTotal: 'Solde ouvert',
+        overpayment: 'Trop-perçu',
+        totalPrincipal: 'Total capital',
+        endDate: 'Date de calcul',
+        invoices: 'Nombre de factures',
+        capitalisedInterest: 'Intérêts capitalisés',
+        accruedInterest: 'Intérêts courus (non capitalisés)',
+        simpleInterest: 'À titre de comparaison, sans capitalisation',
+        cashRounding: 'Arrondi à 5 centimes',
+        dailyInterest: 'Intérêts par jour',
+        from: 'dès le'
+    } : {
+        title: 'Berechnungsergebnis',
+        principal: 'Kapital',
+        period: 'Zeitraum',
+        days: 'Anzahl Tage',
+        rate: 'Zinssatz',
+        interest: 'Verzugszins',
+        total: 'Total (Kapital + Zins)',
+        method: 'Berechnungsmethode',
+        costs: 'Kosten',
+        totalPaid: 'Teilzahlungen',
+        openCapital: 'Offenes Kapital',
+        openInterest: 'Offene Zinsen',
+        openCosts: 'Offene Kosten',
+        openTotal: 'Offener Saldo',
+        overpayment: 'Überzahlung',
+        totalPrincipal: 'Total Kapital',
+        endDate: 'Berechnungsdatum',
+        invoices: 'Anzahl Rechnungen',
+        capitalisedInterest: 'Kapitalisierte Zinsen',
+        accruedInterest: 'Aufgelaufene Zinsen (nicht kapitalisiert)',
+        simpleInterest: 'Zum Vergleich ohne Kapitalisierung',
+        cashRounding: 'Rundung auf 5 Rappen',
+        dailyInterest: 'Zins pro Tag',
+        from: 'ab'
+    };
+
+    const row = (label, value, cls = '') => `
+            <div class="result-row${cls ? ' ' + cls : ''}">
+                <span class="result-label">${label}:</span>
+                <span class="result-value">${value}</span>
+            </div>`;
+
+    // Difference from rounding the amount payable to 5 Rappen
+    const cashRoundingRow = result.cashRoundingDifference
+        ? row(labels.cashRounding, formatSignedAmount(result.cashRoundingDifference, result.currency))
+        : '';
+
+    // With partial payments the total is the open balance after allocation
+    const totalRows = result.segments ? [
+        result.costs > 0 ? row(labels.costs, formatAmount(result.costs, result.currency)) : '',
+        row(labels.totalPaid, '– ' + formatAmount(result.totalPaid, result.currency)),
+        row(labels.openCapital, formatAmount(result.openCapital, result.currency)),
+        row(labels.openInterest, formatAmount(result.openInterest, result.currency)),
+        result.costs > 0 ? row(labels.openCosts, formatAmount(result.openCosts, result.currency)) : '',
+        result.overpayment > 0 ? row(labels.overpayment, formatAmount(result.overpayment, result.currency)) : '',
+        cashRoundingRow,
+        row(labels.openTotal, formatAmount(result.total, result.currency), 'total')
+    ].join('') : result.schedule ? [
+        row(labels.capitalisedInterest, formatAmount(result.capitalisedInterest, result.currency)),
+        row(labels.accruedInterest, formatAmount(result.accruedInterest, result.currency)),
+        cashRoundingRow,
+        row(labels.total, formatAmount(result.total, result.currency), 'total'),
+        row(labels.simpleInterest, formatAmount(result.simpleInterest, result.currency))
+    ].join('') : cashRoundingRow + row(labels.total, formatAmount(result.total, result.currency), 'total');
+
+    // A ledger of several invoices has no single period, days or rate;
+    // solving for the number of days works without dates
+    const periodRows = result.lines ? [
+        row(labels.endDate, result.endDate.toLocaleDateString(locale, dateOptions)),
+        row(labels.invoices, result.lines.length)
+    ].join('') : !result.startDate ? [
+        row(labels.days, result.days),
+        row(labels.rate, `${formatRates(result)} p.a.`)
+    ].join('') : [
+        row(labels.period, `${result.startDate.toLocaleDateString(locale, dateOptions)} – ${result.endDate.toLocaleDateString(locale, dateOptions)}`),
+        row(labels.days, result.days),
+        row(labels.rate, `${formatRates(result)} p.a.`)
+    ].join('');
+
+    resultSummary.innerHTML = `
+        <h3>${labels.title}</h3>
+        ${result.solver ? buildSolverHTML(result, lang) : ''}
+        <div class="result-grid">
+            ${row(result.lines ? labels.totalPrincipal : labels.principal, formatAmount(result.principal, result.currency))}
+            ${periodRows}
+            ${row(labels.interest, formatAmount(result.interest, result.currency), 'highlight')}
+            ${totalRows}
+            ${result.dailyInterest !== undefined ? row(labels.dailyInterest, `${formatAmount(result.dailyInterest, result.currency)} ${labels.from} ${CalendarDates.format(CalendarDates.addDays(result.endDate, 1))}`) : ''}
+        </div>
+        ${result.rateWarnings && result.rateWarnings.length > 0 ? buildRateWarningsHTML(result.rateWarnings, lang) : ''}
+        ${result.ratePeriods ? buildRatePeriodsHTML(result, lang) : ''}
+        ${result.prescription ? buildPrescriptionHTML(result, lang) : ''}
+        ${result.segments ? buildPaymentScheduleHTML(result, lang) : ''}
+        ${result.lines ? buildLedgerHTML(result, lang) : ''}
+        ${result.schedule ? buildCapitalisationHTML(result, lang) : ''}
+        ${result.projection ? buildProjectionHTML(result, lang) : ''}
+        ${result.conversion ? buildConversionHTML(result, lang) : ''}
+        <p class="result-method"><small>${labels.method}: ${getDayCountLabel(result.dayCount, lang)}${result.schedule ? ', ' + getCapitalisationLabel(result.capitalisation, lang) : ''}, ${getRoundingLabel(result.rounding, lang)}</small></p>
+        ${result.explanation ? buildExplanationHTML(result, lang) : ''}
+    `;
+
+    resultDiv.style.display = 'block';
+    resultDiv.scrollIntoView({ behavior: 'smooth' });
+}
+
+// ============================================
+// CALCULATION EXPLANATION (WIE WURDE GERECHNET?)
+// ============================================
+
+/**
+ * Expandable panel with every step of the calculation
+ */
+function buildExplanationHTML(result, lang) {
+    const sections = CalculationExplanation.render(result.explanation, lang, { currency: result.currency });
+    return `
+        <details class="assistant explanation">
+            <summary><i class="fas fa-list-ol"></i> ${CalculationExplanation.getTexts(lang).title}</summary>
+            <div class="assistant-body">
+                ${sections.map(section => `
+                <h4>${section.title}</h4>
+                <ul>
+                    ${section.lines.map(line => `<li>${escapeHTML(line)}</li>`).join('')}
+                </ul>`).join('')}
+            </div>
+        </details>
+    `;
+}
+
+/**
+ * Plain-text explanation for the clipboard; the inputs are listed above it already
+ */
+function getExplanationText(result, lang) {
+    const sections = CalculationExplanation.render(result.explanation, lang, { currency: result.currency })
+        .filter(section => section.key !== 'inputs');
+    const lines = [CalculationExplanation.getTexts(lang).title];
+    sections.forEach(section => {
+        lines.push(`${section.title}:`);
+        section.lines.forEach(line => lines.push(`  ${line}`));
+    });
+    return lines.join('\n');
+}
+
+// ============================================
+// PER-DIEM INTEREST AND PROJECTION
+// ============================================
+
+/**
+ * Project a single claim to later dates
+ * Returns null without projection, { error } for an invalid payment date
+ */
+function projectResult(result, lang) {
+    const paymentDate = projectionDatePicker.selectedDates[0];
+    if (!document.getElementById('showProjection').checked && !paymentDate) return null;
+
+    // Payments, invoices and capitalisation change the capital over time
+    if (result.segments || result.lines || result.schedule || !result.startDate) {
+        return {
+            error: lang === 'fr'
+                ? 'La projection n\'est possible que pour une seule créance sans paiements partiels ni compte courant'
+                : 'Die Hochrechnung ist nur für eine einzelne Forderung ohne Teilzahlungen und Kontokorrent möglich'
+        };
+    }
+
+    return calculateProjection(result.principal, result.startDate, result.endDate, result.interestRate, {
+        paymentDate: paymentDate,
+        dayCount: result.dayCount,
+        rateChanges: result.rateChanges,
+        rounding: result.rounding
+    });
+}
+
+function getProjectionLabels(lang) {
+    return lang === 'fr' ? {
+        caption: 'Projection',
+        date: 'Date',
+        days: 'Jours',
+        interest: 'Intérêts',
+        total: 'Total',
+        keys: {
+            'monthEnd': 'fin du mois',
+            'plus30': '+30 jours',
+            'plus60': '+60 jours',
+            'plus90': '+90 jours',
+            'paymentDate': 'date de paiement'
+        }
+    } : {
+        caption: 'Hochrechnung',
+        date: 'Datum',
+        days: 'Tage',
+        interest: 'Verzugszins',
+        total: 'Total',
+        keys: {
+            'monthEnd': 'Monatsende',
+            'plus30': '+30 Tage',
+            'plus60': '+60 Tage',
+            'plus90': '+90 Tage',
+            'paymentDate': 'Zahlungsdatum'
+        }
+    };
+}
+
+function buildProjectionHTML(result, lang) {
+    const labels = getProjectionLabels(lang);
+    const rows = result.projection.rows.map(row => `
+            <tr>
+                <td>${CalendarDates.format(row.date)} (${labels.keys[row.key]})</td>
+                <td>${row.days}</td>
+                <td>${formatAmount(row.interest, result.currency)}</td>
+                <td>${formatAmount(row.total, result.currency)}</td>
+            </tr>`).join('');
+
+    return `
+        <p class="schedule-caption">${labels.caption}</p>
+        <table class="schedule-table">
+            <tr>
+                <th>${labels.date}</th>
+                <th>${labels.days}</th>
+                <th>${labels.interest}</th>
+                <th>${labels.total}</th>
+            </tr>${rows}
+        </table>
+    `;
+}
+
+/**
+ * Plain-text per-diem line, e.g. "zuzüglich CHF 1.39 pro Tag ab 16.03.2024"
+ */
+function getDailyInterestText(result, lang) {
+    const from = CalendarDates.format(CalendarDates.addDays(result.endDate, 1));
+    return lang === 'fr'
+        ? `Plus ${formatAmount(result.dailyInterest, result.currency)} par jour dès le ${from}`
+        : `Zuzüglich ${formatAmount(result.dailyInterest, result.currency)} pro Tag ab ${from}`;
+}
+
+/**
+ * Plain-text projection table for the clipboard
+ */
+function getProjectionText(result, lang) {
+    const labels = getProjectionLabels(lang);
+    const lines = [`${labels.caption}:`];
+    result.projection.rows.forEach(row => {
+        lines.push(`  ${CalendarDates.format(row.date)} (${labels.keys[row.key]}): ${row.days} ${labels.days}, ` +
+            `${labels.interest} ${formatAmount(row.interest, result.currency)}, ${labels.total} ${formatAmount(row.total, result.currency)}`);
+    });
+    return lines.join('\n');
+}
+
+// ============================================
+// REVERSE CALCULATION
+// ============================================
+
+function getSolverLabels(lang) {
+    return lang === 'fr' ? {
+        solved: {
+            'endDate': 'Date de calcul recherchée',
+            'rate': 'Taux d\'intérêt recherché',
+            'days': 'Nombre de jours recherché',
+            'principal': 'Capital recherché'
+        },
+        target: 'Montant donné',
+        targetTypes: { 'interest': 'intérêts moratoires', 'total': 'total' },
+        deviation: 'Écart dû à l\'arrondi'
+    } : {
+        solved: {
+            'endDate': 'Gesuchtes Berechnungsdatum',
+            'rate': 'Gesuchter Zinssatz',
+            'days': 'Gesuchte Anzahl Tage',
+            'principal': 'Gesuchtes Kapital'
+        },
+        target: 'Vorgabe',
+        targetTypes: { 'interest': 'Verzugszins', 'total': 'Total' },
+        deviation: 'Abweichung durch Rundung'
+    };
+}
+
+/**
+ * Value found by a reverse calculation as text
+ */
+function formatSolvedValue(result, lang) {
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    switch (result.solver.solvedFor) {
+        case 'endDate':
+            return result.endDate.toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric' });
+        case 'rate':
+            return `${result.interestRate}% p.a.`;
+        case 'principal':
+            return formatAmount(result.principal, result.currency);
+        default:
+            return String(result.days);
+    }
+}
 
-    // Get principal
-    const principalStr = document.getElementById('principal').value;
-    const principal = parseSwissNumber(principalStr);
+function buildSolverHTML(result, lang) {
+    const labels = getSolverLabels(lang);
+    const solver = result.solver;
+    return `
+        <div class="result-grid">
+            <div class="result-row highlight">
+                <span class="result-label">${labels.solved[solver.solvedFor]}:</span>
+                <span class="result-value">${formatSolvedValue(result, lang)}</span>
+            </div>
+            <div class="result-row">
+                <span class="result-label">${labels.target}:</span>
+                <span class="result-value">${labels.targetTypes[solver.targetType]} ${formatAmount(solver.target, result.currency)}</span>
+            </div>
+            ${solver.deviation ? `<div class="result-row">
+                <span class="result-label">${labels.deviation}:</span>
+                <span class="result-value">${formatSignedAmount(solver.deviation, result.currency)}</span>
+            </div>` : ''}
+        </div>
+    `;
+}
 
-    if (isNaN(principal) || principal <= 0) {
-        alert(lang === 'fr' ? 'Veuillez entrer un montant valide' : 'Bitte geben Sie einen gültigen Betrag ein');
-        return;
+/**
+ * Plain-text reverse calculation for the clipboard
+ */
+function getSolverText(result, lang) {
+    const labels = getSolverLabels(lang);
+    const solver = result.solver;
+    const lines = [
+        `${labels.solved[solver.solvedFor]}: ${formatSolvedValue(result, lang)}`,
+        `${labels.target}: ${labels.targetTypes[solver.targetType]} ${formatAmount(solver.target, result.currency)}`
+    ];
+    if (solver.deviation) {
+        lines.push(`${labels.deviation}: ${formatSignedAmount(solver.deviation, result.currency)}`);
     }
+    return lines.join('\n');
+}
 
-    // Get dates
-    const startDate = startDatePicker.selectedDates[0];
-    const endDate = endDatePicker.selectedDates[0];
+/**
+ * Build the sub-period table for a rate timeline, one formula line per sub-period
+ */
+function buildRatePeriodsHTML(result, lang) {
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const labels = lang === 'fr' ? {
+        caption: 'Sous-périodes par taux d\'intérêt',
+        period: 'Période',
+        days: 'Jours',
+        formula: 'Calcul',
+        interest: 'Intérêts'
+    } : {
+        caption: 'Teilperioden nach Zinssatz',
+        period: 'Zeitraum',
+        days: 'Tage',
+        formula: 'Berechnung',
+        interest: 'Zins'
+    };
 
-    if (!startDate) {
-        alert(lang === 'fr' ? 'Veuillez sélectionner la date de début' : 'Bitte wählen Sie das Verzugsdatum');
-        return;
-    }
-    if (!endDate) {
-        alert(lang === 'fr' ? 'Veuillez sélectionner la date de fin' : 'Bitte wählen Sie das Berechnungsdatum');
-        return;
-    }
-    if (startDate >= endDate) {
-        alert(lang === 'fr' ? 'La date de fin doit être après la date de début' : 'Das Berechnungsdatum muss nach dem Verzugsdatum liegen');
-        return;
-    }
+    const rows = result.ratePeriods.map(period => `
+            <tr>
+                <td>${period.startDate.toLocaleDateString(locale)} – ${period.endDate.toLocaleDateString(locale)}</td>
+                <td>${period.days}</td>
+                <td>${formatAmount(result.principal, result.currency)} × ${period.interestRate}% × ${formatDayCountFraction(period.dayCountParts)}</td>
+                <td>${formatAmount(period.interest, result.currency)}</td>
+            </tr>`).join('');
 
-    // Get interest rate
-    const rateType = document.getElementById('rateType').value;
-    let interestRate = 5; // Default OR Art. 104
+    return `
+        <p class="schedule-caption">${labels.caption}</p>
+        <table class="schedule-table">
+            <tr>
+                <th>${labels.period}</th>
+                <th>${labels.days}</th>
+                <th>${labels.formula}</th>
+                <th>${labels.interest}</th>
+            </tr>
+            ${rows}
+        </table>
+    `;
+}
 
-    if (rateType === 'custom') {
-        interestRate = parseFloat(document.getElementById('customRate').value);
-        if (isNaN(interestRate) || interestRate <= 0) {
-            alert(lang === 'fr' ? 'Veuillez entrer un taux valide' : 'Bitte geben Sie einen gültigen Zinssatz ein');
-            return;
-        }
-    }
+/**
+ * Build the running balance schedule for calculations with partial payments
+ */
+function buildPaymentScheduleHTML(result, lang) {
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const labels = lang === 'fr' ? {
+        caption: 'Décompte des paiements (imputation selon CO art. 85)',
+        period: 'Période',
+        days: 'Jours',
+        rate: 'Taux',
+        capital: 'Capital',
+        interest: 'Intérêts',
+        payment: 'Paiement',
+        allocation: 'Imputation',
+        toCosts: 'frais',
+        toInterest: 'intérêts',
+        toCapital: 'capital'
+    } : {
+        caption: 'Zahlungsverlauf (Anrechnung nach OR Art. 85)',
+        period: 'Zeitraum',
+        days: 'Tage',
+        rate: 'Zinssatz',
+        capital: 'Kapital',
+        interest: 'Zins',
+        payment: 'Zahlung',
+        allocation: 'Anrechnung',
+        toCosts: 'Kosten',
+        toInterest: 'Zins',
+        toCapital: 'Kapital'
+    };
 
-    // Calculate
-    const result = calculateDefaultInterest(principal, startDate, endDate, interestRate);
+    const rows = result.segments.map(segment => {
+        const allocation = segment.payments.map(p => [
+            p.toCosts > 0 ? `${labels.toCosts} ${formatAmount(p.toCosts, result.currency)}` : '',
+            p.toInterest > 0 ? `${labels.toInterest} ${formatAmount(p.toInterest, result.currency)}` : '',
+            p.toCapital > 0 ? `${labels.toCapital} ${formatAmount(p.toCapital, result.currency)}` : ''
+        ].filter(Boolean).join('<br>')).join('<br>');
 
-    if (result.error) {
-        alert(result.error);
-        return;
-    }
+        return `
+            <tr>
+                <td>${segment.startDate.toLocaleDateString(locale)} – ${segment.endDate.toLocaleDateString(locale)}</td>
+                <td>${segment.days}</td>
+                ${result.rateChanges ? `<td>${segment.interestRate}%</td>` : ''}
+                <td>${formatAmount(segment.capital, result.currency)}</td>
+                <td>${formatAmount(segment.interest, result.currency)}</td>
+                <td>${segment.payments.map(p => formatAmount(p.amount, result.currency)).join('<br>')}</td>
+                <td>${allocation}</td>
+            </tr>`;
+    }).join('');
 
-    displayResult(result);
-});
+    return `
+        <p class="schedule-caption">${labels.caption}</p>
+        <table class="schedule-table">
+            <tr>
+                <th>${labels.period}</th>
+                <th>${labels.days}</th>
+                ${result.rateChanges ? `<th>${labels.rate}</th>` : ''}
+                <th>${labels.capital}</th>
+                <th>${labels.interest}</th>
+                <th>${labels.payment}</th>
+                <th>${labels.allocation}</th>
+            </tr>
+            ${rows}
+        </table>
+    `;
+}
 
-// Globale Variable für PDF-Export
-let lastCalculationResult = null;
+/**
+ * Build the per-invoice table for a claim ledger
+ */
+function buildLedgerHTML(result, lang) {
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const labels = lang === 'fr' ? {
+        caption: 'Détail par facture',
+        reference: 'Facture',
+        startDate: 'Début demeure',
+        principal: 'Montant',
+        rate: 'Taux',
+        days: 'Jours',
+        interest: 'Intérêts'
+    } : {
+        caption: 'Aufstellung nach Rechnungen',
+        reference: 'Rechnung',
+        startDate: 'Verzugsbeginn',
+        principal: 'Betrag',
+        rate: 'Zinssatz',
+        days: 'Tage',
+        interest: 'Zins'
+    };
 
-function displayResult(result) {
-    // Daten für PDF-Export speichern
-    lastCalculationResult = result;
+    const rows = result.lines.map((line, i) => `
+            <tr>
+                <td>${escapeHTML(line.reference) || i + 1}</td>
+                <td>${line.startDate.toLocaleDateString(locale)}</td>
+                <td>${formatAmount(line.principal, result.currency)}</td>
+                <td>${formatRates(line)}</td>
+                <td>${line.days}</td>
+                <td>${formatAmount(line.interest, result.currency)}</td>
+            </tr>`).join('');
 
-    const lang = document.documentElement.lang || 'de';
-    const resultDiv = document.getElementById('result');
-    const resultSummary = resultDiv.querySelector('.result-summary');
+    return `
+        <p class="schedule-caption">${labels.caption}</p>
+        <table class="schedule-table">
+            <tr>
+                <th>${labels.reference}</th>
+                <th>${labels.startDate}</th>
+                <th>${labels.principal}</th>
+                <th>${labels.rate}</th>
+                <th>${labels.days}</th>
+                <th>${labels.interest}</th>
+            </tr>
+            ${rows}
+        </table>
+    `;
+}
 
-    const dateOptions = { day: 'numeric', month: 'long', year: 'numeric' };
+/**
+ * Build the capitalisation schedule of a current account (Kontokorrent)
+ */
+function buildCapitalisationHTML(result, lang) {
     const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
-
     const labels = lang === 'fr' ? {
-        title: 'Résultat du calcul',
-        principal: 'Capital',
+        caption: 'Décompte de capitalisation (compte courant)',
         period: 'Période',
-        days: 'Nombre de jours',
-        rate: 'Taux d\'intérêt',
-        interest: 'Intérêts moratoires',
-        total: 'Total (capital + intérêts)',
-        method: 'Méthode de calcul',
-        methodDesc: 'Année de 360 jours'
+        days: 'Jours',
+        capital: 'Capital',
+        interest: 'Intérêts',
+        capitalised: 'Capitalisés au',
+        accrued: 'courus',
+        warning: 'Les intérêts composés ne sont admis qu\'en compte courant commercial et dans les formes d\'affaires analogues (CO art. 314 al. 3); pour les intérêts moratoires ordinaires, l\'anatocisme est interdit (CO art. 105 al. 3).'
     } : {
-        title: 'Berechnungsergebnis',
-        principal: 'Kapital',
+        caption: 'Kapitalisierungsverlauf (Kontokorrent)',
         period: 'Zeitraum',
-        days: 'Anzahl Tage',
-        rate: 'Zinssatz',
-        interest: 'Verzugszins',
-        total: 'Total (Kapital + Zins)',
-        method: 'Berechnungsmethode',
-        methodDesc: '360-Tage-Jahr'
+        days: 'Tage',
+        capital: 'Kapital',
+        interest: 'Zins',
+        capitalised: 'Kapitalisiert per',
+        accrued: 'aufgelaufen',
+        warning: 'Zinseszinsen sind nur im kaufmännischen Kontokorrent und ähnlichen Geschäftsformen zulässig (OR Art. 314 Abs. 3); für gewöhnliche Verzugszinsen gilt das Zinseszinsverbot (OR Art. 105 Abs. 3).'
     };
 
-    resultSummary.innerHTML = `
-        <h3>${labels.title}</h3>
-        <div class="result-grid">
-            <div class="result-row">
-                <span class="result-label">${labels.principal}:</span>
-                <span class="result-value">${formatCHF(result.principal)}</span>
-            </div>
-            <div class="result-row">
-                <span class="result-label">${labels.period}:</span>
-                <span class="result-value">${result.startDate.toLocaleDateString(locale, dateOptions)} – ${result.endDate.toLocaleDateString(locale, dateOptions)}</span>
-            </div>
-            <div class="result-row">
-                <span class="result-label">${labels.days}:</span>
-                <span class="result-value">${result.days}</span>
-            </div>
-            <div class="result-row">
-                <span class="result-label">${labels.rate}:</span>
-                <span class="result-value">${result.interestRate}% p.a.</span>
-            </div>
-            <div class="result-row highlight">
-                <span class="result-label">${labels.interest}:</span>
-                <span class="result-value">${formatCHF(result.interest)}</span>
-            </div>
-            <div class="result-row total">
-                <span class="result-label">${labels.total}:</span>
-                <span class="result-value">${formatCHF(result.total)}</span>
-            </div>
+    const rows = result.schedule.map(period => `
+            <tr>
+                <td>${period.startDate.toLocaleDateString(locale)} – ${period.endDate.toLocaleDateString(locale)}</td>
+                <td>${period.days}</td>
+                <td>${formatAmount(period.capital, result.currency)}</td>
+                <td>${formatAmount(period.interest, result.currency)}</td>
+                <td>${period.capitalised ? period.capitalisationDate.toLocaleDateString(locale) : labels.accrued}</td>
+            </tr>`).join('');
+
+    return `
+        <p class="schedule-caption">${labels.caption}</p>
+        <table class="schedule-table">
+            <tr>
+                <th>${labels.period}</th>
+                <th>${labels.days}</th>
+                <th>${labels.capital}</th>
+                <th>${labels.interest}</th>
+                <th>${labels.capitalised}</th>
+            </tr>
+            ${rows}
+        </table>
+        <div class="warning">
+            <i class="fas fa-exclamation-triangle"></i>
+            ${labels.warning}
         </div>
-        <p class="result-method"><small>${labels.method}: ${labels.methodDesc}</small></p>
     `;
+}
 
-    resultDiv.style.display = 'block';
-    resultDiv.scrollIntoView({ behavior: 'smooth' });
+/**
+ * Rounding policy as text, e.g. "Rundung pro Position, Total auf 5 Rappen"
+ */
+function getRoundingLabel(rounding, lang) {
+    const labels = lang === 'fr' ? {
+        'line': 'arrondi par position',
+        'total': 'arrondi du total uniquement',
+        cash: 'total arrondi à 5 centimes'
+    } : {
+        'line': 'Rundung pro Position',
+        'total': 'Rundung nur des Totals',
+        cash: 'Total auf 5 Rappen gerundet'
+    };
+    return labels[rounding.mode] + (rounding.cashRounding ? ', ' + labels.cash : '');
+}
+
+/**
+ * Amount with explicit sign, for rounding differences
+ */
+function formatSignedAmount(amount, currency) {
+    return (amount > 0 ? '+ ' : '– ') + formatAmount(Math.abs(amount), currency);
+}
+
+function getCapitalisationLabel(capitalisation, lang) {
+    const labels = lang === 'fr' ? {
+        'quarterly': 'capitalisation trimestrielle',
+        'half-yearly': 'capitalisation semestrielle',
+        'annual': 'capitalisation annuelle'
+    } : {
+        'quarterly': 'vierteljährliche Kapitalisierung',
+        'half-yearly': 'halbjährliche Kapitalisierung',
+        'annual': 'jährliche Kapitalisierung'
+    };
+    return labels[capitalisation] || capitalisation;
+}
+
+/**
+ * Localized name of a day-count convention
+ */
+function getDayCountLabel(dayCount, lang) {
+    const labels = lang === 'fr' ? {
+        '30/360': '30/360 (méthode commerciale allemande)',
+        'act/360': 'act/360 (jours effectifs / 360)',
+        'act/365': 'act/365 (jours effectifs / 365)',
+        'act/act': 'act/act (jours effectifs / 365 ou 366)'
+    } : {
+        '30/360': '30/360 (deutsche kaufmännische Methode)',
+        'act/360': 'act/360 (effektive Tage / 360)',
+        'act/365': 'act/365 (effektive Tage / 365)',
+        'act/act': 'act/act (effektive Tage / 365 bzw. 366)'
+    };
+    return labels[dayCount] || dayCount;
+}
+
+function escapeHTML(str) {
+    return String(str || '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
 }
 
 function printResult() {
@@ -232,8 +1949,17 @@ function exportPDF() {
 
     const lang = document.documentElement.lang || 'de';
 
+    // The payment part is in CHF or EUR; other currencies are paid as converted to CHF
+    const result = lastCalculationResult;
+    const converted = !SwissQrBill.CURRENCIES.includes(result.currency) && result.conversion;
+    const bill = QrBillForm.read(converted ? result.conversion.amounts.total : result.total, converted ? 'CHF' : result.currency);
+    if (bill && bill.error) {
+        alert(QrBillForm.getErrorText(bill, lang));
+        return;
+    }
+
     if (typeof VerzugszinsPdfExport !== 'undefined') {
-        VerzugszinsPdfExport.generatePDF(lastCalculationResult, lang);
+        VerzugszinsPdfExport.generatePDF(lastCalculationResult, lang, bill);
     } else {
         printResult();
     }
@@ -251,25 +1977,33 @@ function copyResultToClipboard() {
     const dateOptions = { day: 'numeric', month: 'long', year: 'numeric' };
     const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
 
+    // Solving for the number of days works without dates
+    const period = result.startDate
+        ? `${result.startDate.toLocaleDateString(locale, dateOptions)} – ${result.endDate.toLocaleDateString(locale, dateOptions)}`
+        : '';
+    const solverText = result.solver ? getSolverText(result, lang) + '\n' : '';
+
     let text;
-    if (lang === 'fr') {
+    if (result.lines) {
+        text = getLedgerText(result, lang);
+    } else if (lang === 'fr') {
         text = `Calcul d'intérêts moratoires
-Capital: ${formatCHF(result.principal)}
-Période: ${result.startDate.toLocaleDateString(locale, dateOptions)} – ${result.endDate.toLocaleDateString(locale, dateOptions)}
-Jours: ${result.days}
-Taux: ${result.interestRate}% p.a.
-Intérêts: ${formatCHF(result.interest)}
-Total: ${formatCHF(result.total)}
+${solverText}Capital: ${formatAmount(result.principal, result.currency)}
+${period ? `Période: ${period}\n` : ''}Jours: ${result.days}
+Taux: ${formatRates(result)} p.a.
+Méthode: ${getDayCountLabel(result.dayCount, lang)}${result.schedule ? ', ' + getCapitalisationLabel(result.capitalisation, lang) : ''}, ${getRoundingLabel(result.rounding, lang)}
+Intérêts: ${formatAmount(result.interest, result.currency)}
+${result.segments ? getPaymentScheduleText(result, lang) : result.schedule ? getCapitalisationText(result, lang) : `${result.cashRoundingDifference ? getCashRoundingText(result, lang) + '\n' : ''}Total: ${formatAmount(result.total, result.currency)}`}${result.dailyInterest !== undefined ? '\n' + getDailyInterestText(result, lang) : ''}${result.projection ? '\n\n' + getProjectionText(result, lang) : ''}${result.prescription ? '\n\n' + getPrescriptionText(result, lang) : ''}${result.conversion ? '\n\n' + getConversionText(result, lang) : ''}${result.explanation ? '\n\n' + getExplanationText(result, lang) : ''}
 
 Calculé sur verzugszinsrechner.ch`;
     } else {
         text = `Verzugszinsberechnung
-Kapital: ${formatCHF(result.principal)}
-Zeitraum: ${result.startDate.toLocaleDateString(locale, dateOptions)} – ${result.endDate.toLocaleDateString(locale, dateOptions)}
-Tage: ${result.days}
-Zinssatz: ${result.interestRate}% p.a.
-Verzugszins: ${formatCHF(result.interest)}
-Total: ${formatCHF(result.total)}
+${solverText}Kapital: ${formatAmount(result.principal, result.currency)}
+${period ? `Zeitraum: ${period}\n` : ''}Tage: ${result.days}
+Zinssatz: ${formatRates(result)} p.a.
+Methode: ${getDayCountLabel(result.dayCount, lang)}${result.schedule ? ', ' + getCapitalisationLabel(result.capitalisation, lang) : ''}, ${getRoundingLabel(result.rounding, lang)}
+Verzugszins: ${formatAmount(result.interest, result.currency)}
+${result.segments ? getPaymentScheduleText(result, lang) : result.schedule ? getCapitalisationText(result, lang) : `${result.cashRoundingDifference ? getCashRoundingText(result, lang) + '\n' : ''}Total: ${formatAmount(result.total, result.currency)}`}${result.dailyInterest !== undefined ? '\n' + getDailyInterestText(result, lang) : ''}${result.projection ? '\n\n' + getProjectionText(result, lang) : ''}${result.prescription ? '\n\n' + getPrescriptionText(result, lang) : ''}${result.conversion ? '\n\n' + getConversionText(result, lang) : ''}${result.explanation ? '\n\n' + getExplanationText(result, lang) : ''}
 
 Berechnet auf verzugszinsrechner.ch`;
     }
@@ -280,24 +2014,277 @@ Berechnet auf verzugszinsrechner.ch`;
     });
 }
 
+/**
+ * Plain-text line for the 5-Rappen rounding difference
+ */
+function getCashRoundingText(result, lang) {
+    return `${lang === 'fr' ? 'Arrondi à 5 centimes' : 'Rundung auf 5 Rappen'}: ${formatSignedAmount(result.cashRoundingDifference, result.currency)}`;
+}
+
+/**
+ * Plain-text claim ledger for the clipboard
+ */
+function getLedgerText(result, lang) {
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const dateOptions = { day: 'numeric', month: 'long', year: 'numeric' };
+    const t = lang === 'fr' ? {
+        title: 'Calcul d\'intérêts moratoires (plusieurs factures)',
+        endDate: 'Date de calcul',
+        method: 'Méthode',
+        invoice: 'Facture',
+        from: 'dès le',
+        days: 'jours',
+        interest: 'intérêts',
+        totalPrincipal: 'Total capital',
+        totalInterest: 'Total intérêts',
+        footer: 'Calculé sur verzugszinsrechner.ch'
+    } : {
+        title: 'Verzugszinsberechnung (mehrere Rechnungen)',
+        endDate: 'Berechnungsdatum',
+        method: 'Methode',
+        invoice: 'Rechnung',
+        from: 'ab',
+        days: 'Tage',
+        interest: 'Zins',
+        totalPrincipal: 'Total Kapital',
+        totalInterest: 'Total Verzugszins',
+        footer: 'Berechnet auf verzugszinsrechner.ch'
+    };
+
+    const lines = [
+        t.title,
+        `${t.endDate}: ${result.endDate.toLocaleDateString(locale, dateOptions)}`,
+        `${t.method}: ${getDayCountLabel(result.dayCount, lang)}, ${getRoundingLabel(result.rounding, lang)}`,
+        ''
+    ];
+    result.lines.forEach((line, i) => {
+        lines.push(`${line.reference || `${t.invoice} ${i + 1}`}: ${formatAmount(line.principal, result.currency)} ${t.from} ${line.startDate.toLocaleDateString(locale)}, ` +
+            `${formatRates(line)} p.a., ${line.days} ${t.days}, ${t.interest} ${formatAmount(line.interest, result.currency)}`);
+    });
+    lines.push('');
+    lines.push(`${t.totalPrincipal}: ${formatAmount(result.principal, result.currency)}`);
+    lines.push(`${t.totalInterest}: ${formatAmount(result.interest, result.currency)}`);
+    if (result.cashRoundingDifference) {
+        lines.push(getCashRoundingText(result, lang));
+    }
+    lines.push(`Total: ${formatAmount(result.total, result.currency)}`);
+    lines.push(getDailyInterestText(result, lang));
+    if (result.conversion) {
+        lines.push('');
+        lines.push(getConversionText(result, lang));
+    }
+    if (result.explanation) {
+        lines.push('');
+        lines.push(getExplanationText(result, lang));
+    }
+    lines.push('');
+    lines.push(t.footer);
+
+    return lines.join('\n');
+}
+
+/**
+ * Plain-text capitalisation schedule of a current account for the clipboard
+ */
+function getCapitalisationText(result, lang) {
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const t = lang === 'fr' ? {
+        schedule: 'Décompte de capitalisation (compte courant, CO art. 314 al. 3):',
+        days: 'jours',
+        capital: 'capital',
+        interest: 'intérêts',
+        capitalised: 'capitalisés au',
+        accrued: 'courus',
+        capitalisedInterest: 'Intérêts capitalisés',
+        accruedInterest: 'Intérêts courus',
+        simpleInterest: 'Sans capitalisation'
+    } : {
+        schedule: 'Kapitalisierungsverlauf (Kontokorrent, OR Art. 314 Abs. 3):',
+        days: 'Tage',
+        capital: 'Kapital',
+        interest: 'Zins',
+        capitalised: 'kapitalisiert per',
+        accrued: 'aufgelaufen',
+        capitalisedInterest: 'Kapitalisierte Zinsen',
+        accruedInterest: 'Aufgelaufene Zinsen',
+        simpleInterest: 'Ohne Kapitalisierung'
+    };
+
+    const lines = [t.schedule];
+    result.schedule.forEach(period => {
+        lines.push(`  ${period.startDate.toLocaleDateString(locale)} – ${period.endDate.toLocaleDateString(locale)}: ` +
+            `${period.days} ${t.days}, ${t.capital} ${formatAmount(period.capital, result.currency)}, ${t.interest} ${formatAmount(period.interest, result.currency)} ` +
+            `(${period.capitalised ? `${t.capitalised} ${period.capitalisationDate.toLocaleDateString(locale)}` : t.accrued})`);
+    });
+
+    lines.push(`${t.capitalisedInterest}: ${formatAmount(result.capitalisedInterest, result.currency)}`);
+    lines.push(`${t.accruedInterest}: ${formatAmount(result.accruedInterest, result.currency)}`);
+    if (result.cashRoundingDifference) {
+        lines.push(getCashRoundingText(result, lang));
+    }
+    lines.push(`Total: ${formatAmount(result.total, result.currency)}`);
+    lines.push(`${t.simpleInterest}: ${formatAmount(result.simpleInterest, result.currency)}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Plain-text payment schedule for the clipboard
+ */
+function getPaymentScheduleText(result, lang) {
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const t = lang === 'fr' ? {
+        schedule: 'Décompte (imputation selon CO art. 85):',
+        days: 'jours',
+        capital: 'capital',
+        interest: 'intérêts',
+        payment: 'Paiement',
+        toCosts: 'frais',
+        toInterest: 'intérêts',
+        toCapital: 'capital',
+        totalPaid: 'Paiements partiels',
+        openCapital: 'Capital ouvert',
+        openInterest: 'Intérêts ouverts',
+        openCosts: 'Frais ouverts',
+        openTotal: 'Solde ouvert'
+    } : {
+        schedule: 'Zahlungsverlauf (Anrechnung nach OR Art. 85):',
+        days: 'Tage',
+        capital: 'Kapital',
+        interest: 'Zins',
+        payment: 'Zahlung',
+        toCosts: 'Kosten',
+        toInterest: 'Zins',
+        toCapital: 'Kapital',
+        totalPaid: 'Teilzahlungen',
+        openCapital: 'Offenes Kapital',
+        openInterest: 'Offene Zinsen',
+        openCosts: 'Offene Kosten',
+        openTotal: 'Offener Saldo'
+    };
+
+    const lines = [t.schedule];
+    result.segments.forEach(segment => {
+        lines.push(`  ${segment.startDate.toLocaleDateString(locale)} – ${segment.endDate.toLocaleDateString(locale)}: ` +
+            `${segment.days} ${t.days}, ${result.rateChanges ? `${segment.interestRate}%, ` : ''}${t.capital} ${formatAmount(segment.capital, result.currency)}, ${t.interest} ${formatAmount(segment.interest, result.currency)}`);
+        segment.payments.forEach(p => {
+            lines.push(`  ${t.payment} ${formatAmount(p.amount, result.currency)} → ${t.toCosts} ${formatAmount(p.toCosts, result.currency)}, ` +
+                `${t.toInterest} ${formatAmount(p.toInterest, result.currency)}, ${t.toCapital} ${formatAmount(p.toCapital, result.currency)}`);
+        });
+    });
+
+    lines.push(`${t.totalPaid}: ${formatAmount(result.totalPaid, result.currency)}`);
+    lines.push(`${t.openCapital}: ${formatAmount(result.openCapital, result.currency)}`);
+    lines.push(`${t.openInterest}: ${formatAmount(result.openInterest, result.currency)}`);
+    if (result.costs > 0) {
+        lines.push(`${t.openCosts}: ${formatAmount(result.openCosts, result.currency)}`);
+    }
+    if (result.cashRoundingDifference) {
+        lines.push(getCashRoundingText(result, lang));
+    }
+    lines.push(`${t.openTotal}: ${formatAmount(result.total, result.currency)}`);
+
+    return lines.join('\n');
+}
+
 function shareCalculation() {
     if (!lastCalculationResult) return;
 
     const result = lastCalculationResult;
-    const formatDate = (date) => {
-        const d = date.getDate().toString().padStart(2, '0');
-        const m = (date.getMonth() + 1).toString().padStart(2, '0');
-        const y = date.getFullYear();
-        return `${d}.${m}.${y}`;
-    };
+    const formatDate = (date) => CalendarDates.format(date);
 
+    // For a ledger the first line fills the main fields
+    const mainLine = result.lines ? result.lines[0] : result;
     const params = {
-        p: result.principal,
-        s: formatDate(result.startDate),
-        e: formatDate(result.endDate),
+        p: mainLine.principal,
+        s: mainLine.startDate ? formatDate(mainLine.startDate) : '',
+        e: result.endDate ? formatDate(result.endDate) : '',
         r: result.interestRate
     };
 
+    // Reverse calculation: field solved for, target and target type
+    if (result.solver) {
+        params.rw = result.solver.solvedFor;
+        params.rz = result.solver.target;
+        if (result.solver.targetType !== 'interest') {
+            params.rt = result.solver.targetType;
+        }
+    }
+
+    // Day-count convention only when it differs from the default
+    if (result.dayCount !== 'act/360') {
+        params.m = result.dayCount;
+    }
+
+    // Further invoices as "reference:amount:date[:rate];..."
+    if (result.lines) {
+        params.l = result.lines.slice(1).map(line => {
+            const fields = [encodeURIComponent(line.reference), line.principal, formatDate(line.startDate)];
+            if (!line.usesCommonRate) {
+                fields.push(line.interestRate);
+            }
+            return fields.join(':');
+        }).join(';');
+    }
+
+    // Partial payments as "date:amount;date:amount", costs separately
+    if (result.segments) {
+        params.z = result.segments
+            .flatMap(segment => segment.payments)
+            .map(payment => `${formatDate(payment.date)}:${payment.amount}`)
+            .join(';');
+        params.k = result.costs || '';
+    }
+
+    // Rounding policy only when it differs from the default
+    if (result.rounding.mode !== 'line') {
+        params.rd = result.rounding.mode;
+    }
+    if (result.rounding.cashRounding) {
+        params.c5 = 1;
+    }
+
+    // Kontokorrent: capitalisation frequency
+    if (result.schedule) {
+        params.kk = result.capitalisation;
+    }
+
+    // Consumer credit type for the rate plausibility check
+    if (result.creditType) {
+        params.kt = result.creditType;
+    }
+
+    // Rate timeline as "date:rate;date:rate"
+    if (result.rateChanges) {
+        params.v = result.rateChanges.map(change => `${formatDate(change.date)}:${change.rate}`).join(';');
+    }
+
+    // Prescription check: claim type, due date and interruptions as "date:type;..."
+    if (result.prescription) {
+        params.vj = result.prescription.claimType;
+        params.fd = formatDate(result.prescription.dueDate);
+        params.u = result.prescription.interruptions.map(i => `${formatDate(i.date)}:${i.type}`).join(';');
+    }
+
+    // Projection with an optional payment date
+    if (result.projection) {
+        params.hr = 1;
+        const payment = result.projection.rows.find(row => row.key === 'paymentDate');
+        if (payment) {
+            params.hd = formatDate(payment.date);
+        }
+    }
+
+    // Foreign currency and its conversion to CHF
+    if (result.currency !== 'CHF') {
+        params.w = result.currency;
+    }
+    if (result.conversion) {
+        params.wk = result.conversion.basis;
+        params.wd = formatDate(result.conversion.date);
+        params.wx = result.conversion.rate;
+    }
+
     const button = document.querySelector('.share-btn');
     ShareUtils.shareUrl(params, button);
 }
@@ -316,29 +2303,147 @@ function loadFromUrlParams() {
         }
     }
 
-    if (params.s && startDatePicker) {
-        startDatePicker.setDate(params.s, false, 'd.m.Y');
+    // Dates are plain calendar dates "dd.mm.yyyy"; invalid dates are ignored
+    const parseDateParam = (value) => {
+        const date = CalendarDates.parse(value);
+        return date ? CalendarDates.toDate(date) : null;
+    };
+    const startDate = parseDateParam(params.s);
+    const endDate = parseDateParam(params.e);
+
+    if (startDate && startDatePicker) {
+        startDatePicker.setDate(startDate, false);
     }
 
-    if (params.e && endDatePicker) {
-        endDatePicker.setDate(params.e, false, 'd.m.Y');
+    if (endDate && endDatePicker) {
+        endDatePicker.setDate(endDate, false);
     }
 
     if (params.r) {
         const rate = parseFloat(params.r);
+        const capitalisationSelect = document.getElementById('capitalisation');
         if (!isNaN(rate)) {
-            if (rate === 5) {
+            if (params.kk && [...capitalisationSelect.options].some(option => option.value === params.kk)) {
+                document.getElementById('rateType').value = 'kontokorrent';
+                capitalisationSelect.value = params.kk;
+                toggleCustomRate();
+                document.getElementById('customRate').value = rate;
+            } else if (rate === 5) {
                 document.getElementById('rateType').value = '5';
             } else {
                 document.getElementById('rateType').value = 'custom';
                 toggleCustomRate();
                 document.getElementById('customRate').value = rate;
             }
+            if (params.kt && [...document.getElementById('creditType').options].some(option => option.value === params.kt)) {
+                document.getElementById('creditType').value = params.kt;
+            }
+            updateRateWarnings();
+        }
+    }
+
+    if (params.m) {
+        const dayCountSelect = document.getElementById('dayCount');
+        if ([...dayCountSelect.options].some(option => option.value === params.m)) {
+            dayCountSelect.value = params.m;
+        }
+    }
+
+    if (params.rd) {
+        const roundingSelect = document.getElementById('rounding');
+        if ([...roundingSelect.options].some(option => option.value === params.rd)) {
+            roundingSelect.value = params.rd;
+        }
+    }
+    document.getElementById('cashRounding').checked = params.c5 === '1';
+
+    if (params.v) {
+        params.v.split(';').forEach(entry => {
+            const [date, rate] = entry.split(':');
+            const value = parseFloat(rate);
+            if (parseDateParam(date) && !isNaN(value)) {
+                addRateChange(parseDateParam(date), value);
+            }
+        });
+    }
+
+    if (params.z) {
+        params.z.split(';').forEach(entry => {
+            const [date, amount] = entry.split(':');
+            const value = parseFloat(amount);
+            if (parseDateParam(date) && !isNaN(value)) {
+                addPayment(parseDateParam(date), value);
+            }
+        });
+    }
+
+    if (params.l) {
+        params.l.split(';').forEach(entry => {
+            const [reference, amount, date, rate] = entry.split(':');
+            const value = parseFloat(amount);
+            if (parseDateParam(date) && !isNaN(value)) {
+                addInvoice(decodeURIComponent(reference || ''), value, parseDateParam(date), rate ? parseFloat(rate) : undefined);
+            }
+        });
+    }
+
+    if (params.vj) {
+        const claimTypeSelect = document.getElementById('claimType');
+        if ([...claimTypeSelect.options].some(option => option.value === params.vj)) {
+            claimTypeSelect.value = params.vj;
+            togglePrescription();
+            if (parseDateParam(params.fd)) {
+                dueDatePicker.setDate(parseDateParam(params.fd), false);
+            }
+            (params.u || '').split(';').forEach(entry => {
+                const [date, type] = entry.split(':');
+                if (parseDateParam(date)) {
+                    addInterruption(parseDateParam(date), type);
+                }
+            });
+        }
+    }
+
+    if (params.w && Currencies.CODES.includes(params.w)) {
+        document.getElementById('currency').value = params.w;
+        const basisSelect = document.getElementById('conversionBasis');
+        if ([...basisSelect.options].some(option => option.value === params.wk)) {
+            basisSelect.value = params.wk;
+            if (parseDateParam(params.wd)) {
+                conversionDatePicker.setDate(parseDateParam(params.wd), false);
+            }
+            // The shared rate is used as is, the recipient may not have the rate table
+            if (parseFloat(params.wx) > 0) {
+                document.getElementById('exchangeRate').value = parseFloat(params.wx);
+            }
+        }
+        toggleCurrency();
+    }
+
+    if (params.rw) {
+        const solveForSelect = document.getElementById('solveFor');
+        if ([...solveForSelect.options].some(option => option.value === params.rw) && parseFloat(params.rz) > 0) {
+            solveForSelect.value = params.rw;
+            document.getElementById('targetType').value = params.rt === 'total' ? 'total' : 'interest';
+            document.getElementById('targetAmount').value = formatNumber(parseFloat(params.rz), 2);
+            toggleSolver();
+        }
+    }
+
+    document.getElementById('showProjection').checked = params.hr === '1';
+    if (parseDateParam(params.hd)) {
+        projectionDatePicker.setDate(parseDateParam(params.hd), false);
+    }
+
+    if (params.k) {
+        const costs = parseFloat(params.k);
+        if (!isNaN(costs)) {
+            document.getElementById('costs').value = formatNumber(costs, 2);
         }
     }
 
     // Auto-calculate if all parameters present
-    if (params.p && params.s && params.e) {
+    if ((params.p && startDate && endDate) || document.getElementById('solveFor').value) {
         setTimeout(() => {
             document.getElementById('zinsForm').dispatchEvent(new Event('submit'));
         }, 100);
@@ -1,92 +1,1323 @@
 /**
  * Verzugszinsrechner - Calculation Functions
  * Swiss default interest calculations according to OR Art. 104-106
+ * Day counts use calendar dates (see dates.js), never millisecond differences.
+ * Amounts are calculated in integer Rappen with one rounding policy (see money.js);
+ * results report CHF amounts.
  */
 
+if (typeof require === 'function' && typeof CalendarDates === 'undefined') {
+    globalThis.CalendarDates = require('./dates.js').CalendarDates;
+}
+if (typeof require === 'function' && typeof SwissHolidays === 'undefined') {
+    globalThis.SwissHolidays = require('./holidays.js').SwissHolidays;
+}
+if (typeof require === 'function' && typeof Money === 'undefined') {
+    globalThis.Money = require('./money.js').Money;
+}
+
+/**
+ * Day-count conventions (Zinsmethoden)
+ * - 30/360:  every month counts 30 days, the year 360 days (deutsche kaufmännische Methode)
+ * - act/360: actual days, 360-day year (Eurozinsmethode)
+ * - act/365: actual days, 365-day year (englische Methode)
+ * - act/act: actual days, divided by 365 or 366 per calendar year (ISDA)
+ */
+const DAY_COUNT_METHODS = {
+    '30/360': '30/360 (German)',
+    'act/360': 'actual/360',
+    'act/365': 'actual/365',
+    'act/act': 'actual/actual (ISDA)'
+};
+
+const DEFAULT_DAY_COUNT = 'act/360';
+
+/**
+ * Split a period into day-count fractions
+ * Every part is { days, basis }; the year fraction is the sum of days / basis.
+ * Only act/act yields more than one part (one per calendar year touched).
+ * @param {Date} startDate - Start of the period (exclusive)
+ * @param {Date} endDate - End of the period (inclusive)
+ * @param {string} dayCount - One of the DAY_COUNT_METHODS keys
+ * @returns {Array<{days: number, basis: number}>}
+ */
+function getDayCountParts(startDate, endDate, dayCount = DEFAULT_DAY_COUNT) {
+    const start = CalendarDates.from(startDate);
+    const end = CalendarDates.from(endDate);
+
+    if (dayCount === '30/360') {
+        // German variant: the 31st and the last day of February count as the 30th
+        const day = (date) => (date.day === 31 || (date.month === 2 && date.day === CalendarDates.daysInMonth(date.year, 2)))
+            ? 30
+            : date.day;
+        const days = (end.year - start.year) * 360 + (end.month - start.month) * 30 + (day(end) - day(start));
+        return [{ days: days, basis: 360 }];
+    }
+    if (dayCount === 'act/365') {
+        return [{ days: CalendarDates.daysBetween(start, end), basis: 365 }];
+    }
+    if (dayCount === 'act/act') {
+        const parts = [];
+        let from = start;
+        while (CalendarDates.compare(from, end) < 0) {
+            const yearEnd = { year: from.year + 1, month: 1, day: 1 };
+            const to = CalendarDates.compare(end, yearEnd) < 0 ? end : yearEnd;
+            parts.push({ days: CalendarDates.daysBetween(from, to), basis: CalendarDates.isLeapYear(from.year) ? 366 : 365 });
+            from = to;
+        }
+        return parts;
+    }
+    return [{ days: CalendarDates.daysBetween(start, end), basis: 360 }];
+}
+
+/**
+ * Interest on a capital for the given day-count fractions (not rounded)
+ */
+function interestForParts(capital, interestRate, parts) {
+    return parts.reduce((sum, part) => sum + capital * interestRate / 100 * part.days / part.basis, 0);
+}
+
+/**
+ * Interest for one further day after the end date (Zins pro Tag), in CHF
+ * Uses the rate in force after the end date and the day basis of the convention
+ * (for act/act the length of the following day's year); 30/360 counts every day.
+ */
+function getDailyInterest(capitalRappen, endDate, interestRate, rateChanges, dayCount) {
+    const nextDay = CalendarDates.toDate(CalendarDates.addDays(endDate, 1));
+    const rate = getRatePeriods(endDate, nextDay, interestRate, rateChanges)[0].interestRate;
+    const basis = dayCount === 'act/act'
+        ? (CalendarDates.isLeapYear(nextDay.getFullYear()) ? 366 : 365)
+        : (dayCount === 'act/365' ? 365 : 360);
+    return Money.toCHF(Money.round(interestForParts(capitalRappen, rate, [{ days: 1, basis: basis }])));
+}
+
+/**
+ * Format day-count fractions for a formula line, e.g. "60 / 360" or "(31 / 365 + 59 / 366)"
+ */
+function formatDayCountFraction(parts) {
+    const terms = parts.map(part => `${part.days} / ${part.basis}`);
+    return terms.length === 1 ? terms[0] : `(${terms.join(' + ')})`;
+}
+
+/**
+ * Validate a rate timeline (Zinssatzänderungen)
+ * @returns {string|null} Error message or null
+ */
+function validateRateChanges(rateChanges) {
+    for (const change of rateChanges) {
+        if (!(change.date instanceof Date) || isNaN(change.date) || typeof change.rate !== 'number' || !(change.rate >= 0)) {
+            return 'Rate changes need a valid date and a non-negative rate';
+        }
+    }
+    return null;
+}
+
+/**
+ * Split a period into sub-periods with a constant interest rate
+ * A rate change applies from its effective date on; changes on or before the
+ * start date replace the initial rate, changes on or after the end date are ignored.
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @param {number} interestRate - Rate at the start of the period
+ * @param {Array<{date: Date, rate: number}>} rateChanges - Rate timeline
+ * @returns {Array<{startDate: Date, endDate: Date, interestRate: number}>}
+ */
+function getRatePeriods(startDate, endDate, interestRate, rateChanges = []) {
+    const sortedChanges = [...rateChanges].sort((a, b) => CalendarDates.compare(a.date, b.date));
+    let rate = interestRate;
+    let periodStart = startDate;
+    const periods = [];
+
+    sortedChanges.forEach(change => {
+        if (CalendarDates.compare(change.date, periodStart) <= 0) {
+            rate = change.rate;
+        } else if (CalendarDates.compare(change.date, endDate) < 0) {
+            periods.push({ startDate: periodStart, endDate: change.date, interestRate: rate });
+            periodStart = change.date;
+            rate = change.rate;
+        }
+    });
+    periods.push({ startDate: periodStart, endDate: endDate, interestRate: rate });
+
+    return periods;
+}
+
+/**
+ * Legal provisions an explanation trace refers to
+ */
+const LEGAL_PROVISIONS = {
+    'defaultInterest': { de: 'OR Art. 104 Abs. 1', fr: 'CO art. 104 al. 1' },
+    'contractualRate': { de: 'OR Art. 104 Abs. 2', fr: 'CO art. 104 al. 2' },
+    'compoundBan': { de: 'OR Art. 105 Abs. 3', fr: 'CO art. 105 al. 3' },
+    'partialPayments': { de: 'OR Art. 85 Abs. 1', fr: 'CO art. 85 al. 1' },
+    'kontokorrent': { de: 'OR Art. 314 Abs. 3', fr: 'CO art. 314 al. 3' },
+    'prescription': { de: 'OR Art. 127 f.', fr: 'CO art. 127 s.' },
+    'interruption': { de: 'OR Art. 135, 137', fr: 'CO art. 135, 137' },
+    'foreignCurrency': { de: 'OR Art. 84 Abs. 2', fr: 'CO art. 84 al. 2' }
+};
+
+/**
+ * Explanation trace of a calculation result ("Wie wurde gerechnet?")
+ * Built from the finished result, so every view (screen, copy text, PDF) shows
+ * the same steps: the inputs, the interest days per sub-period, one formula per
+ * sub-period (rate change, payment, invoice or capitalisation period), the
+ * rounding steps and the legal provisions applied.
+ * @param {Object} result - Result of one of the calculation functions
+ * @returns {Object} { inputs: [{ key, value, solved }],
+ *                    dayCount: { convention, periods: [{ startDate, endDate, days, dayCountParts }] },
+ *                    formulas: [{ reference, startDate, endDate, capital, interestRate, dayCountParts,
+ *                                 exactInterest, interest }],
+ *                    rounding: { mode, exactInterest, interest, cash: { before, difference, total } | null },
+ *                    legalBasis: [{ key, article: { de, fr } }] }
+ */
+function explainCalculation(result) {
+    const solvedFor = result.solver ? { endDate: 'endDate', rate: 'interestRate', days: 'days', principal: 'principal' }[result.solver.solvedFor] : null;
+    const inputs = [];
+    const input = (key, value) => inputs.push({ key: key, value: value, solved: key === solvedFor });
+
+    if (result.lines) {
+        input('invoices', result.lines.map(line => ({
+            reference: line.reference,
+            principal: line.principal,
+            startDate: line.startDate,
+            interestRate: line.usesCommonRate ? null : line.interestRate
+        })));
+    } else {
+        input('principal', result.principal);
+        if (result.startDate) input('startDate', result.startDate);
+    }
+    if (result.endDate) {
+        input('endDate', result.endDate);
+    } else {
+        input('days', result.days);
+    }
+    input('interestRate', result.interestRate);
+    if (result.rateChanges) {
+        input('rateChanges', result.rateChanges.map(change => ({ date: change.date, rate: change.rate })));
+    }
+    const payments = (result.segments || []).flatMap(segment => segment.payments);
+    if (payments.length > 0) {
+        input('payments', payments.map(payment => ({ date: payment.date, amount: payment.amount })));
+    }
+    if (result.costs > 0) input('costs', result.costs);
+    if (result.capitalisation) input('capitalisation', result.capitalisation);
+    if (result.solver) input('target', { amount: result.solver.target, targetType: result.solver.targetType });
+    input('dayCount', result.dayCount);
+    input('rounding', result.rounding);
+
+    // One formula per sub-period with the unrounded interest in CHF
+    const formula = (period, capital, reference) => ({
+        reference: reference,
+        startDate: period.startDate,
+        endDate: period.endDate,
+        capital: capital,
+        interestRate: period.interestRate,
+        dayCountParts: period.dayCountParts,
+        exactInterest: Money.toCHF(interestForParts(Money.toRappen(capital), period.interestRate, period.dayCountParts)),
+        interest: period.interest
+    });
+    let formulas;
+    if (result.segments || result.schedule) {
+        formulas = (result.segments || result.schedule).map(segment => formula(segment, segment.capital));
+    } else if (result.lines) {
+        formulas = result.lines.flatMap(line => (line.ratePeriods || [line]).map(period => formula(period, line.principal, line.reference)));
+    } else {
+        formulas = (result.ratePeriods || [result]).map(period => formula(period, result.principal));
+    }
+
+    const rates = formulas.map(f => f.interestRate);
+    const legalBasis = [
+        'defaultInterest',
+        ...(rates.some(rate => rate !== 5) ? ['contractualRate'] : []),
+        ...(payments.length > 0 ? ['partialPayments'] : []),
+        ...(result.schedule ? ['kontokorrent'] : []),
+        'compoundBan',
+        ...(result.prescription ? ['prescription'] : []),
+        ...(result.prescription && result.prescription.interruptions.length > 0 ? ['interruption'] : [])
+    ];
+
+    return {
+        inputs: inputs,
+        dayCount: {
+            convention: result.dayCount,
+            periods: formulas.map(f => ({
+                startDate: f.startDate,
+                endDate: f.endDate,
+                days: f.dayCountParts.reduce((sum, part) => sum + part.days, 0),
+                dayCountParts: f.dayCountParts
+            }))
+        },
+        formulas: formulas,
+        rounding: {
+            mode: result.rounding.mode,
+            exactInterest: formulas.reduce((sum, f) => sum + f.exactInterest, 0),
+            interest: result.interest,
+            cash: result.cashRoundingDifference ? {
+                before: Money.toCHF(Money.toRappen(result.total) - Money.toRappen(result.cashRoundingDifference)),
+                difference: result.cashRoundingDifference,
+                total: result.total
+            } : null
+        },
+        legalBasis: legalBasis.map(key => ({ key: key, article: LEGAL_PROVISIONS[key] }))
+    };
+}
+
 /**
  * Calculate default interest (Verzugszins)
  * @param {number} principal - The principal amount (Kapital)
  * @param {Date} startDate - Start date of default (Verzugsbeginn)
  * @param {Date} endDate - End date for calculation
  * @param {number} interestRate - Annual interest rate (default 5% per OR Art. 104)
- * @returns {Object} Calculation result with details
+ * @param {Object} options - { dayCount: day-count convention (default act/360),
+ *                            rateChanges: [{date, rate}] rate timeline, see getRatePeriods,
+ *                            rounding: { mode: 'line'|'total', cashRounding }, see money.js }
+ * @returns {Object} Calculation result with details; with a rate timeline also
+ *                   one entry per sub-period (ratePeriods)
  */
-function calculateDefaultInterest(principal, startDate, endDate, interestRate = 5) {
+function calculateDefaultInterest(principal, startDate, endDate, interestRate = 5, options = {}) {
+    const dayCount = options.dayCount || DEFAULT_DAY_COUNT;
+    const rateChanges = options.rateChanges || [];
+    const rounding = Money.getPolicy(options.rounding);
+
     // Validate inputs
     if (principal <= 0) {
         return { error: 'Principal must be positive' };
     }
-    if (startDate >= endDate) {
+    if (CalendarDates.compare(startDate, endDate) >= 0) {
         return { error: 'End date must be after start date' };
     }
+    if (!DAY_COUNT_METHODS[dayCount]) {
+        return { error: 'Unknown day-count convention' };
+    }
+    const rateError = validateRateChanges(rateChanges);
+    if (rateError) {
+        return { error: rateError };
+    }
+    if (rounding.error) {
+        return { error: rounding.error };
+    }
+
+    // Interest days and year fraction according to the day-count convention,
+    // calculated in Rappen per sub-period of constant rate
+    const principalRappen = Money.toRappen(principal);
+    let interestRappen = 0;
+    const periods = getRatePeriods(startDate, endDate, interestRate, rateChanges).map(period => {
+        const parts = getDayCountParts(period.startDate, period.endDate, dayCount);
+        const periodInterest = interestForParts(principalRappen, period.interestRate, parts);
+        interestRappen += Money.line(periodInterest, rounding);
+        return {
+            startDate: period.startDate,
+            endDate: period.endDate,
+            days: parts.reduce((sum, part) => sum + part.days, 0),
+            dayCountParts: parts,
+            interestRate: period.interestRate,
+            interest: Money.toCHF(Money.round(periodInterest))
+        };
+    });
 
-    // Calculate days
-    const msPerDay = 24 * 60 * 60 * 1000;
-    const totalDays = Math.floor((endDate - startDate) / msPerDay);
+    const parts = getDayCountParts(startDate, endDate, dayCount);
+    interestRappen = Money.round(interestRappen);
+    const total = Money.settle(principalRappen + interestRappen, rounding);
 
-    // Calculate interest using actual/360 method (common in Swiss banking)
-    // Alternative: actual/365 or actual/actual
-    const dailyRate = interestRate / 100 / 360;
-    const interest = principal * dailyRate * totalDays;
+    const result = {
+        principal: principal,
+        startDate: startDate,
+        endDate: endDate,
+        days: periods.reduce((sum, period) => sum + period.days, 0),
+        dayCountParts: parts,
+        interestRate: periods[0].interestRate,
+        interest: Money.toCHF(interestRappen),
+        total: Money.toCHF(total.amount),
+        cashRoundingDifference: Money.toCHF(total.difference),
+        dailyInterest: getDailyInterest(principalRappen, endDate, interestRate, rateChanges, dayCount),
+        rounding: rounding,
+        dayCount: dayCount,
+        method: DAY_COUNT_METHODS[dayCount]
+    };
+    if (rateChanges.length > 0) {
+        result.rateChanges = rateChanges;
+        result.ratePeriods = periods;
+    }
+    result.explanation = explainCalculation(result);
+    return result;
+}
 
-    // Round to 2 decimal places (Rappen)
-    const roundedInterest = Math.round(interest * 100) / 100;
-    const total = Math.round((principal + roundedInterest) * 100) / 100;
+/**
+ * Longest period searched by the reverse calculation (Rückwärtsrechnung)
+ */
+const SOLVER_MAX_DAYS = 100 * 366;
+
+/**
+ * Validate the target of a reverse calculation and return the interest to reach
+ * A target total is the principal plus the interest.
+ * @returns {Object} { interest } in CHF or { error }
+ */
+function getTargetInterest(principal, target, targetType) {
+    if (targetType !== 'interest' && targetType !== 'total') {
+        return { error: 'Unknown target type' };
+    }
+    if (!(target > 0)) {
+        return { error: 'Target must be positive' };
+    }
+    if (targetType === 'total' && !(target > principal)) {
+        return { error: 'Target total must exceed the principal' };
+    }
+    return { interest: targetType === 'total' ? Money.toCHF(Money.toRappen(target) - Money.toRappen(principal)) : target };
+}
+
+/**
+ * Reverse calculation: first end date on which the interest (or the total)
+ * reaches a target, e.g. "up to which date does CHF 500 of interest cover?"
+ * @param {number} principal - The principal amount (Kapital)
+ * @param {Date} startDate - Start date of default (Verzugsbeginn)
+ * @param {number} target - Interest or total to reach
+ * @param {number} interestRate - Annual interest rate (default 5% per OR Art. 104)
+ * @param {Object} options - { targetType: 'interest'|'total' (default interest),
+ *                            dayCount, rounding: see calculateDefaultInterest }
+ * @returns {Object} calculateDefaultInterest result for the end date found, with
+ *                   solver: { solvedFor, target, targetType, deviation }
+ */
+function solveEndDate(principal, startDate, target, interestRate = 5, options = {}) {
+    const targetType = options.targetType || 'interest';
+    const targetInterest = getTargetInterest(principal, target, targetType);
+    if (targetInterest.error) {
+        return { error: targetInterest.error };
+    }
+    if (!(interestRate > 0)) {
+        return { error: 'Interest rate must be positive' };
+    }
+
+    const calculate = (days) => calculateDefaultInterest(principal, startDate,
+        CalendarDates.toDate(CalendarDates.addDays(startDate, days)), interestRate, options);
+    const first = calculate(1);
+    if (first.error) {
+        return first;
+    }
+
+    // Interest grows with every day (30/360 may stand still on the 31st), so a
+    // doubling search followed by bisection finds the first day reaching the target
+    let low = 0;
+    let high = 1;
+    while (calculate(high).interest < targetInterest.interest) {
+        low = high;
+        high *= 2;
+        if (high > SOLVER_MAX_DAYS) {
+            return { error: 'Target is not reached within 100 years' };
+        }
+    }
+    while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (calculate(middle).interest < targetInterest.interest) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    const result = calculate(high);
+    result.solver = {
+        solvedFor: 'endDate',
+        target: target,
+        targetType: targetType,
+        deviation: Money.toCHF(Money.toRappen(result.interest) - Money.toRappen(targetInterest.interest))
+    };
+    result.explanation = explainCalculation(result);
+    return result;
+}
+
+/**
+ * Reverse calculation: interest rate that yields a target interest (or total)
+ * for a period, e.g. "what rate did the opposing party use?"
+ * Returns the rate with the fewest decimals (at most four) that reproduces the
+ * target to the Rappen, as counterparties use round rates; otherwise the
+ * deviation shows the remaining difference of the recalculated interest.
+ * @param {number} principal - The principal amount (Kapital)
+ * @param {Date} startDate - Start date of default (Verzugsbeginn)
+ * @param {Date} endDate - End date for calculation
+ * @param {number} target - Interest or total to reach
+ * @param {Object} options - { targetType, dayCount, rounding }
+ * @returns {Object} calculateDefaultInterest result with the rate found and solver
+ */
+function solveInterestRate(principal, startDate, endDate, target, options = {}) {
+    const targetType = options.targetType || 'interest';
+    const targetInterest = getTargetInterest(principal, target, targetType);
+    if (targetInterest.error) {
+        return { error: targetInterest.error };
+    }
+    const check = calculateDefaultInterest(principal, startDate, endDate, 0, options);
+    if (check.error) {
+        return check;
+    }
+
+    const fraction = check.dayCountParts.reduce((sum, part) => sum + part.days / part.basis, 0);
+    const exactRate = targetInterest.interest / (principal * fraction) * 100;
+
+    let result;
+    for (let decimals = 0; decimals <= 4; decimals++) {
+        const interestRate = Math.round(exactRate * 10 ** decimals) / 10 ** decimals;
+        result = calculateDefaultInterest(principal, startDate, endDate, interestRate, options);
+        if (result.interest === targetInterest.interest) break;
+    }
+    result.solver = {
+        solvedFor: 'rate',
+        target: target,
+        targetType: targetType,
+        deviation: Money.toCHF(Money.toRappen(result.interest) - Money.toRappen(targetInterest.interest))
+    };
+    result.explanation = explainCalculation(result);
+    return result;
+}
+
+/**
+ * Reverse calculation: principal on which a period yields a target interest,
+ * or which together with its interest amounts to a target total
+ * @param {Date} startDate - Start date of default (Verzugsbeginn)
+ * @param {Date} endDate - End date for calculation
+ * @param {number} target - Interest or total to reach
+ * @param {number} interestRate - Annual interest rate (default 5% per OR Art. 104)
+ * @param {Object} options - { targetType, dayCount, rounding }
+ * @returns {Object} calculateDefaultInterest result with the principal found and solver
+ */
+function solvePrincipal(startDate, endDate, target, interestRate = 5, options = {}) {
+    const targetType = options.targetType || 'interest';
+    if (targetType !== 'interest' && targetType !== 'total') {
+        return { error: 'Unknown target type' };
+    }
+    if (!(target > 0)) {
+        return { error: 'Target must be positive' };
+    }
+    if (!(interestRate > 0)) {
+        return { error: 'Interest rate must be positive' };
+    }
+    const check = calculateDefaultInterest(1, startDate, endDate, interestRate, options);
+    if (check.error) {
+        return check;
+    }
+
+    const factor = check.dayCountParts.reduce((sum, part) => sum + interestRate / 100 * part.days / part.basis, 0);
+    const principal = Money.toCHF(Money.round(Money.toRappen(target) / (targetType === 'total' ? 1 + factor : factor)));
+
+    const result = calculateDefaultInterest(principal, startDate, endDate, interestRate, options);
+    if (result.error) {
+        return result;
+    }
+    const reached = targetType === 'total' ? result.principal + result.interest : result.interest;
+    result.solver = {
+        solvedFor: 'principal',
+        target: target,
+        targetType: targetType,
+        deviation: Money.toCHF(Money.toRappen(reached) - Money.toRappen(target))
+    };
+    result.explanation = explainCalculation(result);
+    return result;
+}
+
+/**
+ * Reverse calculation: number of interest days needed to reach a target
+ * Works without dates on the fixed day basis of the convention (360 or 365),
+ * so act/act, whose basis depends on the calendar year, needs solveEndDate.
+ * @param {number} principal - The principal amount (Kapital)
+ * @param {number} target - Interest or total to reach
+ * @param {number} interestRate - Annual interest rate (default 5% per OR Art. 104)
+ * @param {Object} options - { targetType, dayCount, rounding }
+ * @returns {Object} { principal, interestRate, days, dayCountParts, interest, total, ..., solver } or { error }
+ */
+function solveDays(principal, target, interestRate = 5, options = {}) {
+    const dayCount = options.dayCount || DEFAULT_DAY_COUNT;
+    const targetType = options.targetType || 'interest';
+    const rounding = Money.getPolicy(options.rounding);
+
+    if (principal <= 0) {
+        return { error: 'Principal must be positive' };
+    }
+    const targetInterest = getTargetInterest(principal, target, targetType);
+    if (targetInterest.error) {
+        return { error: targetInterest.error };
+    }
+    if (!(interestRate > 0)) {
+        return { error: 'Interest rate must be positive' };
+    }
+    if (!DAY_COUNT_METHODS[dayCount]) {
+        return { error: 'Unknown day-count convention' };
+    }
+    if (dayCount === 'act/act') {
+        return { error: 'Day count act/act depends on the calendar year, solve for the end date instead' };
+    }
+    if (rounding.error) {
+        return { error: rounding.error };
+    }
+
+    const basis = dayCount === 'act/365' ? 365 : 360;
+    const principalRappen = Money.toRappen(principal);
+    const interestFor = (days) => Money.round(interestForParts(principalRappen, interestRate, [{ days: days, basis: basis }]));
+    const targetRappen = Money.toRappen(targetInterest.interest);
+
+    // Estimate from the formula, then correct for the rounding to whole Rappen
+    let days = Math.max(1, Math.ceil(targetRappen * basis * 100 / (principalRappen * interestRate)));
+    while (days > 1 && interestFor(days - 1) >= targetRappen) days--;
+    while (interestFor(days) < targetRappen) days++;
+    if (days > SOLVER_MAX_DAYS) {
+        return { error: 'Target is not reached within 100 years' };
+    }
+
+    const interestRappen = interestFor(days);
+    const total = Money.settle(principalRappen + interestRappen, rounding);
+    const result = {
+        principal: principal,
+        days: days,
+        dayCountParts: [{ days: days, basis: basis }],
+        interestRate: interestRate,
+        interest: Money.toCHF(interestRappen),
+        total: Money.toCHF(total.amount),
+        cashRoundingDifference: Money.toCHF(total.difference),
+        rounding: rounding,
+        dayCount: dayCount,
+        method: DAY_COUNT_METHODS[dayCount],
+        solver: {
+            solvedFor: 'days',
+            target: target,
+            targetType: targetType,
+            deviation: Money.toCHF(interestRappen - targetRappen)
+        }
+    };
+    result.explanation = explainCalculation(result);
+    return result;
+}
+
+/**
+ * Projection (Hochrechnung): interest and total owed at dates after the end
+ * date - the end of the month, 30, 60 and 90 days later and an optional
+ * payment date. At the end of a month the next month end is used.
+ * @param {number} principal - The principal amount (Kapital)
+ * @param {Date} startDate - Start date of default (Verzugsbeginn)
+ * @param {Date} endDate - End date of the calculation the projection continues
+ * @param {number} interestRate - Annual interest rate (default 5% per OR Art. 104)
+ * @param {Object} options - { paymentDate: further date to project to,
+ *                            dayCount, rateChanges, rounding: see calculateDefaultInterest }
+ * @returns {Object} { dailyInterest, rows: [{ key, date, days, interest, total }] } or { error }
+ */
+function calculateProjection(principal, startDate, endDate, interestRate = 5, options = {}) {
+    const base = calculateDefaultInterest(principal, startDate, endDate, interestRate, options);
+    if (base.error) {
+        return base;
+    }
+    const paymentDate = options.paymentDate;
+    if (paymentDate && (!(paymentDate instanceof Date) || isNaN(paymentDate) || CalendarDates.compare(paymentDate, endDate) <= 0)) {
+        return { error: 'Payment date must be after the end date' };
+    }
+
+    const end = CalendarDates.from(endDate);
+    let monthEnd = { year: end.year, month: end.month, day: CalendarDates.daysInMonth(end.year, end.month) };
+    if (CalendarDates.compare(monthEnd, end) === 0) {
+        const next = CalendarDates.addDays(end, 1);
+        monthEnd = { year: next.year, month: next.month, day: CalendarDates.daysInMonth(next.year, next.month) };
+    }
+
+    const dates = [
+        { key: 'monthEnd', date: monthEnd },
+        { key: 'plus30', date: CalendarDates.addDays(end, 30) },
+        { key: 'plus60', date: CalendarDates.addDays(end, 60) },
+        { key: 'plus90', date: CalendarDates.addDays(end, 90) }
+    ];
+    if (paymentDate) {
+        dates.push({ key: 'paymentDate', date: CalendarDates.from(paymentDate) });
+    }
+    dates.sort((a, b) => CalendarDates.compare(a.date, b.date));
+
+    const rows = dates.map(({ key, date }) => {
+        const result = calculateDefaultInterest(principal, startDate, CalendarDates.toDate(date), interestRate, options);
+        return {
+            key: key,
+            date: CalendarDates.toDate(date),
+            days: result.days,
+            interest: result.interest,
+            total: result.total
+        };
+    });
 
     return {
+        dailyInterest: base.dailyInterest,
+        rows: rows
+    };
+}
+
+/**
+ * Reference rates for the plausibility check of contractual rates
+ * - consumerCredit: maximum rates for consumer credits (KKG Art. 14, KKV Art. 1),
+ *   10% for cash loans and 12% for overdraft and credit card accounts
+ * - usury: rates above about 18% are regarded as far beyond the customary level
+ *   (Wucher, StGB Art. 157; Übervorteilung, OR Art. 21)
+ * - statutory: the default interest rate (OR Art. 104 Abs. 1)
+ */
+const RATE_LIMITS = {
+    consumerCredit: {
+        'cash': { limit: 10, legalBasis: { de: 'KKG Art. 14, KKV Art. 1 Abs. 1', fr: 'LCC art. 14, OLCC art. 1 al. 1' } },
+        'overdraft': { limit: 12, legalBasis: { de: 'KKG Art. 14, KKV Art. 1 Abs. 2', fr: 'LCC art. 14, OLCC art. 1 al. 2' } }
+    },
+    usury: { limit: 18, legalBasis: { de: 'StGB Art. 157, OR Art. 21', fr: 'CP art. 157, CO art. 21' } },
+    statutory: { limit: 5, legalBasis: { de: 'OR Art. 104 Abs. 1', fr: 'CO art. 104 al. 1' } }
+};
+
+/**
+ * Plausibility check of the contractual rates of a calculation
+ * Warnings do not stop the calculation; a rate below the statutory rate only
+ * yields a note, since the parties may agree on it for the default as well.
+ * @param {Array<number>} rates - All rates used (initial rate, rate changes, invoices)
+ * @param {Object} options - { creditType: 'cash'|'overdraft' for a consumer credit }
+ * @returns {Array<{type, severity: 'warning'|'note', rate, limit, legalBasis: { de, fr }}>} or { error }
+ */
+function checkInterestRates(rates, options = {}) {
+    const creditLimit = options.creditType ? RATE_LIMITS.consumerCredit[options.creditType] : null;
+    if (options.creditType && !creditLimit) {
+        return { error: 'Unknown consumer credit type' };
+    }
+    if (!Array.isArray(rates) || rates.length === 0 || rates.some(rate => typeof rate !== 'number' || !(rate >= 0))) {
+        return { error: 'Rates must be non-negative numbers' };
+    }
+
+    const highest = Math.max(...rates);
+    const lowest = Math.min(...rates);
+    const warnings = [];
+    if (creditLimit && highest > creditLimit.limit) {
+        warnings.push({ type: 'consumerCredit', severity: 'warning', rate: highest, limit: creditLimit.limit, legalBasis: creditLimit.legalBasis });
+    }
+    if (highest > RATE_LIMITS.usury.limit) {
+        warnings.push({ type: 'usury', severity: 'warning', rate: highest, limit: RATE_LIMITS.usury.limit, legalBasis: RATE_LIMITS.usury.legalBasis });
+    }
+    if (lowest < RATE_LIMITS.statutory.limit) {
+        warnings.push({ type: 'belowStatutory', severity: 'note', rate: lowest, limit: RATE_LIMITS.statutory.limit, legalBasis: RATE_LIMITS.statutory.legalBasis });
+    }
+    return warnings;
+}
+
+/**
+ * Limitation periods (Verjährungsfristen) of the capital by claim type
+ * - general: ten years (OR Art. 127)
+ * - periodic: rent, interest on capital and other periodic payments (OR Art. 128 Ziff. 1)
+ * - trade: craftwork, retail sales, medical care, professional services and
+ *   claims of employees (OR Art. 128 Ziff. 3)
+ */
+const PRESCRIPTION_PERIODS = {
+    'general': { years: 10, article: 'OR Art. 127' },
+    'periodic': { years: 5, article: 'OR Art. 128 Ziff. 1' },
+    'trade': { years: 5, article: 'OR Art. 128 Ziff. 3' }
+};
+
+/**
+ * Default interest prescribes like a periodic payment after five years (OR Art. 128 Ziff. 1)
+ */
+const INTEREST_PRESCRIPTION_YEARS = 5;
+
+/**
+ * Events that interrupt the prescription (OR Art. 135)
+ */
+const INTERRUPTION_TYPES = {
+    'acknowledgement': 'OR Art. 135 Ziff. 1',
+    'prosecution': 'OR Art. 135 Ziff. 2',
+    'lawsuit': 'OR Art. 135 Ziff. 2'
+};
+
+/**
+ * Calendar date a number of years later (or earlier); a 29 February
+ * becomes the 28 February in other years (OR Art. 77 Abs. 1 Ziff. 3)
+ */
+function addYears(date, years) {
+    const day = CalendarDates.from(date);
+    const year = day.year + years;
+    return { year: year, month: day.month, day: Math.min(day.day, CalendarDates.daysInMonth(year, day.month)) };
+}
+
+/**
+ * Check the prescription (Verjährung) of the capital and of the default interest
+ * The capital prescribes with the period of its claim type, counted from the due
+ * date (OR Art. 130 Abs. 1). Default interest prescribes five years after each day
+ * it accrues, and in any case together with the capital (OR Art. 133). An
+ * acknowledgement by the debtor, a Betreibung or a lawsuit interrupts the
+ * prescription and a new period of the same length begins (OR Art. 135, 137 Abs. 1).
+ * Prescription only applies if the debtor invokes it (OR Art. 142).
+ * @param {number} principal - The principal amount (Kapital)
+ * @param {Date} startDate - Start date of default (Verzugsbeginn)
+ * @param {Date} endDate - End date of calculation, taken as the date the claim is asserted
+ * @param {number} interestRate - Annual interest rate (default 5% per OR Art. 104)
+ * @param {Object} options - { claimType: 'general'|'periodic'|'trade' (default general),
+ *                            dueDate: due date of the capital (default: the day before startDate),
+ *                            interruptions: [{date, type: 'acknowledgement'|'prosecution'|'lawsuit'}],
+ *                            dayCount, rateChanges, rounding: see calculateDefaultInterest }
+ * @returns {Object} Interest calculation with claimable and time-barred amounts
+ */
+function calculatePrescription(principal, startDate, endDate, interestRate = 5, options = {}) {
+    const claimType = options.claimType || 'general';
+    const period = PRESCRIPTION_PERIODS[claimType];
+    const interruptions = options.interruptions || [];
+
+    if (!period) {
+        return { error: 'Unknown claim type' };
+    }
+    for (const interruption of interruptions) {
+        if (!(interruption.date instanceof Date) || isNaN(interruption.date) || !INTERRUPTION_TYPES[interruption.type]) {
+            return { error: 'Interruptions need a valid date and type' };
+        }
+    }
+    if (options.dueDate !== undefined && (!(options.dueDate instanceof Date) || isNaN(options.dueDate))) {
+        return { error: 'Due date is invalid' };
+    }
+
+    const result = calculateDefaultInterest(principal, startDate, endDate, interestRate, options);
+    if (result.error) {
+        return result;
+    }
+
+    const dueDate = options.dueDate || CalendarDates.toDate(CalendarDates.addDays(startDate, -1));
+    const events = interruptions
+        .filter(interruption => CalendarDates.compare(interruption.date, endDate) <= 0)
+        .sort((a, b) => CalendarDates.compare(a.date, b.date));
+
+    // Capital: each interruption before the period has run out starts a new period
+    let capitalExpiry = addYears(dueDate, period.years);
+    events.forEach(event => {
+        if (CalendarDates.compare(event.date, dueDate) >= 0 && CalendarDates.compare(event.date, capitalExpiry) <= 0) {
+            capitalExpiry = addYears(event.date, period.years);
+        }
+    });
+    const capitalBarred = CalendarDates.compare(endDate, capitalExpiry) > 0;
+
+    // Interest: interest accrued before the cutoff has prescribed. Going back from the
+    // end date, an interruption that still lies within five years extends the cutoff.
+    let cutoff = addYears(endDate, -INTEREST_PRESCRIPTION_YEARS);
+    [...events].reverse().forEach(event => {
+        if (CalendarDates.compare(event.date, cutoff) >= 0) {
+            const reach = addYears(event.date, -INTEREST_PRESCRIPTION_YEARS);
+            if (CalendarDates.compare(reach, cutoff) < 0) {
+                cutoff = reach;
+            }
+        }
+    });
+
+    let barredInterest = 0;
+    let barredUntil = null;
+    if (capitalBarred || CalendarDates.compare(cutoff, endDate) >= 0) {
+        barredInterest = result.interest;
+        barredUntil = endDate;
+    } else if (CalendarDates.compare(cutoff, startDate) > 0) {
+        barredUntil = CalendarDates.toDate(cutoff);
+        barredInterest = calculateDefaultInterest(principal, startDate, barredUntil, interestRate, options).interest;
+    }
+
+    const interestRappen = Money.toRappen(result.interest);
+    const barredRappen = Money.toRappen(barredInterest);
+    const claimableCapital = capitalBarred ? 0 : Money.toRappen(principal);
+    const claimableTotal = Money.settle(claimableCapital + interestRappen - barredRappen, result.rounding);
+
+    result.prescription = {
+        claimType: claimType,
+        capitalPeriod: period.years,
+        interestPeriod: INTEREST_PRESCRIPTION_YEARS,
+        dueDate: dueDate,
+        interruptions: events.map(event => ({ date: event.date, type: event.type, article: INTERRUPTION_TYPES[event.type] })),
+        capitalExpiry: CalendarDates.toDate(capitalExpiry),
+        capitalBarred: capitalBarred,
+        barredPeriod: barredUntil ? { startDate: startDate, endDate: barredUntil } : null,
+        claimableCapital: Money.toCHF(claimableCapital),
+        barredCapital: capitalBarred ? principal : 0,
+        claimableInterest: Money.toCHF(interestRappen - barredRappen),
+        barredInterest: barredInterest,
+        claimableTotal: Money.toCHF(claimableTotal.amount),
+        cashRoundingDifference: Money.toCHF(claimableTotal.difference),
+        legalBasis: [
+            period.article,
+            'OR Art. 128 Ziff. 1',
+            'OR Art. 130 Abs. 1',
+            ...(capitalBarred ? ['OR Art. 133'] : []),
+            ...(events.length > 0 ? ['OR Art. 135', 'OR Art. 137 Abs. 1'] : []),
+            'OR Art. 142'
+        ]
+    };
+    result.explanation = explainCalculation(result);
+    return result;
+}
+
+/**
+ * Calculate default interest with partial payments (Teilzahlungen)
+ * Each payment is applied first to costs and accrued interest and only then
+ * to the capital (OR Art. 85 Abs. 1). Interest accrues on the open capital only.
+ * @param {number} principal - The principal amount (Kapital)
+ * @param {Date} startDate - Start date of default (Verzugsbeginn)
+ * @param {Date} endDate - End date for calculation
+ * @param {number} interestRate - Annual interest rate (default 5% per OR Art. 104)
+ * @param {Array<{date: Date, amount: number}>} payments - Partial payments
+ * @param {Object} options - { costs: costs owed in addition to the capital (e.g. Mahngebühren),
+ *                            dayCount: day-count convention (default act/360),
+ *                            rateChanges: [{date, rate}] rate timeline, see getRatePeriods,
+ *                            rounding: { mode: 'line'|'total', cashRounding }, see money.js;
+ *                            in total mode accrued interest is rounded only when a payment
+ *                            settles it and at the end date }
+ * @returns {Object} Calculation result with running balance schedule (segments)
+ */
+function calculateInterestWithPayments(principal, startDate, endDate, interestRate = 5, payments = [], options = {}) {
+    const costs = options.costs || 0;
+    const dayCount = options.dayCount || DEFAULT_DAY_COUNT;
+    const rateChanges = options.rateChanges || [];
+    const rounding = Money.getPolicy(options.rounding);
+
+    if (principal <= 0) {
+        return { error: 'Principal must be positive' };
+    }
+    if (CalendarDates.compare(startDate, endDate) >= 0) {
+        return { error: 'End date must be after start date' };
+    }
+    if (costs < 0) {
+        return { error: 'Costs must not be negative' };
+    }
+    if (!DAY_COUNT_METHODS[dayCount]) {
+        return { error: 'Unknown day-count convention' };
+    }
+    const rateError = validateRateChanges(rateChanges);
+    if (rateError) {
+        return { error: rateError };
+    }
+    if (rounding.error) {
+        return { error: rounding.error };
+    }
+    for (const payment of payments) {
+        if (!(payment.amount > 0)) {
+            return { error: 'Payment amounts must be positive' };
+        }
+        if (CalendarDates.compare(payment.date, startDate) <= 0 || CalendarDates.compare(payment.date, endDate) > 0) {
+            return { error: 'Payment dates must lie within the calculation period' };
+        }
+    }
+
+    const sortedPayments = [...payments].sort((a, b) => CalendarDates.compare(a.date, b.date));
+
+    // All balances in Rappen; accrued holds interest not yet rounded (total mode)
+    let capital = Money.toRappen(principal);
+    let openInterest = 0;
+    let accrued = 0;
+    let openCosts = Money.toRappen(costs);
+    let totalInterest = 0;
+    let overpayment = 0;
+    let segmentStart = startDate;
+    const segments = [];
+
+    // One segment per payment date and per rate change, plus the remaining period up to
+    // the end date; payments on the same day close one segment and are applied in order
+    const ratePeriods = getRatePeriods(startDate, endDate, interestRate, rateChanges);
+    const rateAt = (date) => ratePeriods.find(period => CalendarDates.compare(date, period.endDate) < 0).interestRate;
+    const boundaries = [];
+    sortedPayments.forEach(p => {
+        const previous = boundaries[boundaries.length - 1];
+        if (previous && CalendarDates.compare(previous.date, p.date) === 0) {
+            previous.payments.push(p);
+        } else {
+            boundaries.push({ date: p.date, payments: [p] });
+        }
+    });
+    ratePeriods.slice(0, -1).forEach(period => {
+        if (!sortedPayments.some(p => CalendarDates.compare(p.date, period.endDate) === 0)) {
+            boundaries.push({ date: period.endDate, payments: [] });
+        }
+    });
+    boundaries.sort((a, b) => CalendarDates.compare(a.date, b.date));
+    // A payment on the end date already closes the last segment
+    const last = boundaries[boundaries.length - 1];
+    if (!last || CalendarDates.compare(last.date, endDate) < 0) {
+        boundaries.push({ date: endDate, payments: [] });
+    }
+
+    boundaries.forEach(({ date, payments: paidOnDate }, index) => {
+        const rate = rateAt(segmentStart);
+        const parts = getDayCountParts(segmentStart, date, dayCount);
+        const interest = interestForParts(capital, rate, parts);
+        const segment = {
+            startDate: segmentStart,
+            endDate: date,
+            days: parts.reduce((sum, part) => sum + part.days, 0),
+            dayCountParts: parts,
+            interestRate: rate,
+            capital: Money.toCHF(capital),
+            interest: Money.toCHF(Money.round(interest)),
+            payments: []
+        };
+
+        accrued += Money.line(interest, rounding);
+
+        // Interest is settled in whole Rappen at every payment and at the end date
+        if (paidOnDate.length > 0 || index === boundaries.length - 1) {
+            const settled = Money.round(accrued);
+            totalInterest += settled;
+            openInterest += settled;
+            accrued = 0;
+        }
+
+        paidOnDate.forEach(payment => {
+            // OR Art. 85: costs and interest first, then capital
+            let remaining = Money.toRappen(payment.amount);
+            const toCosts = Math.min(remaining, openCosts);
+            remaining -= toCosts;
+            const toInterest = Math.min(remaining, openInterest);
+            remaining -= toInterest;
+            const toCapital = Math.min(remaining, capital);
+            remaining -= toCapital;
+
+            openCosts -= toCosts;
+            openInterest -= toInterest;
+            capital -= toCapital;
+            overpayment += remaining;
+
+            segment.payments.push({
+                date: payment.date,
+                amount: payment.amount,
+                toCosts: Money.toCHF(toCosts),
+                toInterest: Money.toCHF(toInterest),
+                toCapital: Money.toCHF(toCapital),
+                surplus: Money.toCHF(remaining)
+            });
+        });
+
+        segment.capitalAfter = Money.toCHF(capital);
+        segment.openInterest = Money.toCHF(openInterest);
+        segment.openCosts = Money.toCHF(openCosts);
+        segments.push(segment);
+        segmentStart = date;
+    });
+
+    const totalPaid = sortedPayments.reduce((sum, p) => sum + Money.toRappen(p.amount), 0);
+    const parts = getDayCountParts(startDate, endDate, dayCount);
+    const total = Money.settle(capital + openInterest + openCosts, rounding);
+
+    const result = {
         principal: principal,
         startDate: startDate,
         endDate: endDate,
-        days: totalDays,
+        days: parts.reduce((sum, part) => sum + part.days, 0),
+        dayCountParts: parts,
+        interestRate: ratePeriods[0].interestRate,
+        interest: Money.toCHF(totalInterest),
+        costs: costs,
+        totalPaid: Money.toCHF(totalPaid),
+        openCapital: Money.toCHF(capital),
+        openInterest: Money.toCHF(openInterest),
+        openCosts: Money.toCHF(openCosts),
+        overpayment: Money.toCHF(overpayment),
+        total: Money.toCHF(total.amount),
+        cashRoundingDifference: Money.toCHF(total.difference),
+        dailyInterest: getDailyInterest(capital, endDate, interestRate, rateChanges, dayCount),
+        rounding: rounding,
+        segments: segments,
+        rateChanges: rateChanges.length > 0 ? rateChanges : undefined,
+        dayCount: dayCount,
+        method: DAY_COUNT_METHODS[dayCount]
+    };
+    result.explanation = explainCalculation(result);
+    return result;
+}
+
+/**
+ * Calculate default interest for a ledger of several invoices (Forderungsaufstellung)
+ * Every line is calculated on its own up to the common calculation date and then totalled.
+ * @param {Array<{reference: string, principal: number, startDate: Date, interestRate: number}>} lines
+ *        Invoice lines; interestRate is optional and defaults to the common rate
+ * @param {Date} endDate - Common calculation date
+ * @param {number} interestRate - Common annual interest rate (default 5% per OR Art. 104)
+ * @param {Object} options - { dayCount: day-count convention (default act/360),
+ *                            rateChanges: [{date, rate}] timeline of the common rate,
+ *                            rounding: { mode: 'line'|'total', cashRounding }; in line mode
+ *                            every invoice is rounded, in total mode only the ledger total }
+ * @returns {Object} Calculation result with one result per line and totals
+ */
+function calculateClaimLedger(lines, endDate, interestRate = 5, options = {}) {
+    const dayCount = options.dayCount || DEFAULT_DAY_COUNT;
+    const rounding = Money.getPolicy(options.rounding);
+
+    if (!lines || lines.length === 0) {
+        return { error: 'At least one invoice line is required' };
+    }
+    if (rounding.error) {
+        return { error: rounding.error };
+    }
+
+    const results = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const ownRate = line.interestRate !== undefined && line.interestRate !== null;
+        const result = calculateDefaultInterest(line.principal, line.startDate, endDate, ownRate ? line.interestRate : interestRate, {
+            dayCount: dayCount,
+            rateChanges: ownRate ? [] : options.rateChanges,
+            rounding: { mode: rounding.mode }
+        });
+        if (result.error) {
+            return { error: `Line ${i + 1}: ${result.error}` };
+        }
+        result.reference = line.reference || '';
+        result.usesCommonRate = !ownRate;
+        results.push(result);
+    }
+
+    // In total mode the unrounded interest of every line is added up and rounded once
+    const exactInterest = (r) => (r.ratePeriods || [r]).reduce((sum, period) =>
+        sum + interestForParts(Money.toRappen(r.principal), period.interestRate, period.dayCountParts), 0);
+    const totalPrincipal = results.reduce((sum, r) => sum + Money.toRappen(r.principal), 0);
+    const totalInterest = Money.round(results.reduce((sum, r) =>
+        sum + (rounding.mode === 'line' ? Money.toRappen(r.interest) : exactInterest(r)), 0));
+    const total = Money.settle(totalPrincipal + totalInterest, rounding);
+
+    const result = {
+        principal: Money.toCHF(totalPrincipal),
+        startDate: results.reduce((earliest, r) => CalendarDates.compare(r.startDate, earliest) < 0 ? r.startDate : earliest, results[0].startDate),
+        endDate: endDate,
         interestRate: interestRate,
-        interest: roundedInterest,
-        total: total,
-        method: '360-day year'
+        interest: Money.toCHF(totalInterest),
+        total: Money.toCHF(total.amount),
+        cashRoundingDifference: Money.toCHF(total.difference),
+        dailyInterest: Money.toCHF(results.reduce((sum, r) => sum + Money.toRappen(r.dailyInterest), 0)),
+        rounding: rounding,
+        lines: results,
+        rateChanges: options.rateChanges && options.rateChanges.length > 0 ? options.rateChanges : undefined,
+        dayCount: dayCount,
+        method: DAY_COUNT_METHODS[dayCount]
+    };
+    result.explanation = explainCalculation(result);
+    return result;
+}
+
+/**
+ * Move a calendar date to the next business day if it is a Saturday, Sunday
+ * or public holiday (at the canton's place of performance)
+ * @returns {Object} { date: calendar date, skippedDays: [{ date, reason, holiday }] }
+ */
+function shiftToBusinessDay(date, canton) {
+    let day = CalendarDates.from(date);
+    const skippedDays = [];
+    let reason = SwissHolidays.getNonBusinessDayReason(day, canton);
+    while (reason) {
+        const holiday = reason === 'holiday' ? SwissHolidays.getHoliday(day, canton) : null;
+        skippedDays.push({ date: CalendarDates.toDate(day), reason: reason, holiday: holiday ? holiday.name : null });
+        day = CalendarDates.addDays(day, 1);
+        reason = SwissHolidays.getNonBusinessDayReason(day, canton);
+    }
+    return { date: day, skippedDays: skippedDays };
+}
+
+/**
+ * Determine the first day of default (Verzugsbeginn) from the triggering event
+ * - dueDate: agreed due date (Verfalltag, OR Art. 102 Abs. 2); a due date on a Saturday,
+ *   Sunday or public holiday moves to the next business day (OR Art. 78 Abs. 1)
+ * - reminder: receipt of a reminder (Mahnung, OR Art. 102 Abs. 1)
+ * - prosecution: service of the payment order (Zahlungsbefehl) or of the claim,
+ *   which has the effect of a reminder
+ * Default begins on the day after the (shifted) event.
+ * @param {string} trigger - 'dueDate', 'reminder' or 'prosecution'
+ * @param {Date} eventDate - Date of the triggering event
+ * @param {Object} options - { canton: place of performance for cantonal holidays (see holidays.js) }
+ * @returns {Object} Event date, shifted due date, skipped days with reason and the start date
+ */
+function calculateDefaultStart(trigger, eventDate, options = {}) {
+    const canton = options.canton || null;
+
+    if (!['dueDate', 'reminder', 'prosecution'].includes(trigger)) {
+        return { error: 'Unknown default trigger' };
+    }
+    if (!(eventDate instanceof Date) || isNaN(eventDate)) {
+        return { error: 'Event date is required' };
+    }
+
+    // OR Art. 78: only a due date is moved, receipt and service are facts
+    let dueDate = CalendarDates.from(eventDate);
+    const skippedDays = [];
+    if (trigger === 'dueDate') {
+        const shifted = shiftToBusinessDay(dueDate, canton);
+        dueDate = shifted.date;
+        skippedDays.push(...shifted.skippedDays);
+    }
+
+    return {
+        trigger: trigger,
+        canton: canton,
+        eventDate: eventDate,
+        dueDate: CalendarDates.toDate(dueDate),
+        skippedDays: skippedDays,
+        startDate: CalendarDates.toDate(CalendarDates.addDays(dueDate, 1)),
+        legalBasis: trigger !== 'dueDate' ? ['OR Art. 102 Abs. 1'] : [
+            'OR Art. 102 Abs. 2',
+            ...(skippedDays.length > 0 ? ['OR Art. 78 Abs. 1'] : []),
+            // Saturdays count as public holidays (Bundesgesetz über den Fristenlauf an Samstagen)
+            ...(skippedDays.some(d => d.reason === 'saturday') ? ['SR 173.110.3'] : [])
+        ]
     };
 }
 
 /**
- * Calculate compound interest with annual compounding
- * For cases where interest on interest is claimed (Zinseszins)
- * Note: In Swiss law, compound interest is generally not allowed (OR Art. 105 Abs. 3)
- * except in specific cases (e.g., current account agreements)
+ * Payment deadline set in a reminder: a number of days after the reminder date,
+ * moved to the next business day if it ends on a Saturday, Sunday or public
+ * holiday (OR Art. 78 Abs. 1)
+ * @param {Date} reminderDate - Date of the reminder
+ * @param {number} days - Payment term in days
+ * @param {Object} options - { canton: place of performance for cantonal holidays }
+ * @returns {Object} Unadjusted and adjusted deadline, skipped days
+ */
+function calculatePaymentDeadline(reminderDate, days, options = {}) {
+    if (!(reminderDate instanceof Date) || isNaN(reminderDate)) {
+        return { error: 'Reminder date is required' };
+    }
+    if (!Number.isInteger(days) || days < 0) {
+        return { error: 'Payment term must be a whole number of days' };
+    }
+
+    const unadjusted = CalendarDates.addDays(reminderDate, days);
+    const shifted = shiftToBusinessDay(unadjusted, options.canton || null);
+
+    return {
+        reminderDate: reminderDate,
+        days: days,
+        unadjustedDeadline: CalendarDates.toDate(unadjusted),
+        deadline: CalendarDates.toDate(shifted.date),
+        skippedDays: shifted.skippedDays
+    };
+}
+
+/**
+ * Capitalisation frequencies for current accounts (Kontokorrent):
+ * number of months between two capitalisation dates, counted from 1 January
+ */
+const CAPITALISATION_MONTHS = {
+    'quarterly': 3,
+    'half-yearly': 6,
+    'annual': 12
+};
+
+/**
+ * First capitalisation boundary after a date: the first day of the next
+ * quarter, half-year or year (interest is capitalised as per the day before)
  */
-function calculateCompoundInterest(principal, startDate, endDate, interestRate = 5) {
+function getNextCapitalisationBoundary(date, months) {
+    const day = CalendarDates.from(date);
+    const periodIndex = Math.floor((day.month - 1) / months) + 1;
+    const month = periodIndex * months + 1;
+    return month > 12 ? { year: day.year + 1, month: 1, day: 1 } : { year: day.year, month: month, day: 1 };
+}
+
+/**
+ * Calculate compound interest for a current account (Kontokorrent)
+ * Interest is added to the capital at the end of every quarter, half-year or
+ * calendar year and bears interest from then on. The interest of the last,
+ * incomplete period is accrued but not capitalised.
+ * Note: In Swiss law, compound interest is generally not allowed (OR Art. 105 Abs. 3,
+ * Art. 314 Abs. 3) except in commercial current-account relationships and similar
+ * business where it is customary (Art. 314 Abs. 3).
+ * @param {number} principal - Opening balance in CHF
+ * @param {Date} startDate - Start of the interest period
+ * @param {Date} endDate - End date of calculation
+ * @param {number} interestRate - Annual interest rate in percent
+ * @param {Object} options - { capitalisation: 'quarterly'|'half-yearly'|'annual', dayCount }
+ * @returns {Object} Capitalisation schedule, capitalised and accrued interest
+ */
+function calculateCompoundInterest(principal, startDate, endDate, interestRate = 5, options = {}) {
+    const capitalisation = options.capitalisation || 'annual';
+    const dayCount = options.dayCount || DEFAULT_DAY_COUNT;
+    const rounding = Money.getPolicy(options.rounding);
+
     if (principal <= 0) {
         return { error: 'Principal must be positive' };
     }
-    if (startDate >= endDate) {
+    if (CalendarDates.compare(startDate, endDate) >= 0) {
         return { error: 'End date must be after start date' };
     }
+    if (!CAPITALISATION_MONTHS[capitalisation]) {
+        return { error: 'Unknown capitalisation frequency' };
+    }
+    if (!DAY_COUNT_METHODS[dayCount]) {
+        return { error: 'Unknown day-count convention' };
+    }
+    if (rounding.error) {
+        return { error: rounding.error };
+    }
 
-    const msPerDay = 24 * 60 * 60 * 1000;
-    const totalDays = Math.floor((endDate - startDate) / msPerDay);
-    const years = totalDays / 365;
+    // Capitalised interest is booked to the account and therefore always whole Rappen
+    const schedule = [];
+    let capital = Money.toRappen(principal);
+    let periodStart = CalendarDates.from(startDate);
+    let capitalisedInterest = 0;
+    let accruedInterest = 0;
 
-    // Compound interest formula: A = P(1 + r)^t
-    const total = principal * Math.pow(1 + interestRate / 100, years);
-    const interest = total - principal;
+    while (CalendarDates.compare(periodStart, endDate) < 0) {
+        const boundary = getNextCapitalisationBoundary(periodStart, CAPITALISATION_MONTHS[capitalisation]);
+        const capitalised = CalendarDates.compare(boundary, endDate) <= 0;
+        const periodEnd = capitalised ? boundary : CalendarDates.from(endDate);
 
-    return {
+        const dayCountParts = getDayCountParts(periodStart, periodEnd, dayCount);
+        const exact = interestForParts(capital, interestRate, dayCountParts);
+        const interest = capitalised ? Money.round(exact) : Money.line(exact, rounding);
+
+        schedule.push({
+            startDate: CalendarDates.toDate(periodStart),
+            endDate: CalendarDates.toDate(periodEnd),
+            days: dayCountParts.reduce((sum, part) => sum + part.days, 0),
+            dayCountParts: dayCountParts,
+            capital: Money.toCHF(capital),
+            interestRate: interestRate,
+            interest: Money.toCHF(Money.round(exact)),
+            capitalised: capitalised,
+            // Value date of the capitalisation: last day of the period
+            capitalisationDate: capitalised ? CalendarDates.toDate(CalendarDates.addDays(boundary, -1)) : null,
+            balance: Money.toCHF(capital + Money.round(exact))
+        });
+
+        if (capitalised) {
+            capital += interest;
+            capitalisedInterest += interest;
+        } else {
+            accruedInterest += interest;
+        }
+        periodStart = periodEnd;
+    }
+
+    accruedInterest = Money.round(accruedInterest);
+    const interest = capitalisedInterest + accruedInterest;
+    const total = Money.settle(Money.toRappen(principal) + interest, rounding);
+    const simple = calculateDefaultInterest(principal, startDate, endDate, interestRate, {
+        dayCount: dayCount,
+        rounding: { mode: rounding.mode }
+    });
+
+    const result = {
         principal: principal,
         startDate: startDate,
         endDate: endDate,
-        days: totalDays,
-        years: Math.round(years * 100) / 100,
+        days: schedule.reduce((sum, period) => sum + period.days, 0),
         interestRate: interestRate,
-        interest: Math.round(interest * 100) / 100,
-        total: Math.round(total * 100) / 100,
-        method: 'compound (annual)'
+        capitalisation: capitalisation,
+        schedule: schedule,
+        capitalisedInterest: Money.toCHF(capitalisedInterest),
+        accruedInterest: Money.toCHF(accruedInterest),
+        interest: Money.toCHF(interest),
+        total: Money.toCHF(total.amount),
+        cashRoundingDifference: Money.toCHF(total.difference),
+        rounding: rounding,
+        // Interest without capitalisation, to show the effect of compounding
+        simpleInterest: simple.interest,
+        dayCount: dayCount,
+        method: `compound (${capitalisation}), ${DAY_COUNT_METHODS[dayCount]}`,
+        legalBasis: ['OR Art. 314 Abs. 3', 'OR Art. 105 Abs. 3']
     };
+    result.explanation = explainCalculation(result);
+    return result;
 }
 
 /**
  * Format currency in Swiss Francs
  */
 function formatCHF(amount) {
+    return formatAmount(amount, 'CHF');
+}
+
+/**
+ * Format an amount with its ISO currency code ("EUR 1’234.50")
+ */
+function formatAmount(amount, currency = 'CHF') {
     return new Intl.NumberFormat('de-CH', {
         style: 'currency',
-        currency: 'CHF',
+        currency: currency,
+        currencyDisplay: 'code',
         minimumFractionDigits: 2,
         maximumFractionDigits: 2
     }).format(amount);
@@ -117,8 +1348,29 @@ function parseSwissNumber(str) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         calculateDefaultInterest,
+        solveEndDate,
+        solveInterestRate,
+        solvePrincipal,
+        solveDays,
+        calculateProjection,
+        checkInterestRates,
+        calculatePrescription,
+        calculateInterestWithPayments,
+        calculateClaimLedger,
+        calculateDefaultStart,
+        calculatePaymentDeadline,
         calculateCompoundInterest,
+        explainCalculation,
+        getDayCountParts,
+        getRatePeriods,
+        formatDayCountFraction,
+        DAY_COUNT_METHODS,
+        CAPITALISATION_MONTHS,
+        PRESCRIPTION_PERIODS,
+        RATE_LIMITS,
+        LEGAL_PROVISIONS,
         formatCHF,
+        formatAmount,
         formatNumber,
         parseSwissNumber
     };
@@ -0,0 +1,153 @@
+/**
+ * Foreign currencies for Swiss Legal Tools
+ * Claims in a foreign currency bear interest in that currency. For payment in
+ * Swiss francs or for a Betreibung the amounts are converted at the rate of a
+ * chosen date (OR Art. 84 Abs. 2, SchKG Art. 67 Abs. 1 Ziff. 3). Exchange rates
+ * come from a table imported locally as CSV or JSON; nothing is fetched online.
+ */
+
+if (typeof require === 'function' && typeof CalendarDates === 'undefined') {
+    globalThis.CalendarDates = require('./dates.js').CalendarDates;
+}
+if (typeof require === 'function' && typeof Money === 'undefined') {
+    globalThis.Money = require('./money.js').Money;
+}
+
+const Currencies = {
+    CODES: ['CHF', 'EUR', 'USD', 'GBP'],
+
+    /**
+     * Dates on which a conversion to CHF is usually made
+     * - dueDate: due date (Verfalltag), OR Art. 84 Abs. 2
+     * - payment: day of payment
+     * - prosecution: request for a Betreibung, SchKG Art. 67 Abs. 1 Ziff. 3
+     */
+    CONVERSION_BASES: ['dueDate', 'payment', 'prosecution'],
+
+    /**
+     * Parse a date "dd.mm.yyyy" or "yyyy-mm-dd" to a calendar date, or null
+     */
+    parseDate(value) {
+        const iso = /^\s*(\d{4})-(\d{1,2})-(\d{1,2})\s*$/.exec(value || '');
+        return iso ? CalendarDates.parse(`${iso[3]}.${iso[2]}.${iso[1]}`) : CalendarDates.parse(value);
+    },
+
+    /**
+     * Parse an exchange-rate table
+     * CSV: one rate per line "date;currency;rate" (also separated by commas or tabs),
+     * an optional header line is skipped.
+     * JSON: [{ date, currency, rate }] or { "EUR": { "2024-01-31": 0.9312, ... } }
+     * A rate is the price of one unit of the currency in CHF.
+     * @param {string} text - File content
+     * @returns {Object} { rates: [{ date: calendar date, currency, rate }] } or { error }
+     */
+    parseRateTable(text) {
+        let entries;
+        const trimmed = (text || '').trim();
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (e) {
+                return { error: 'Exchange-rate table is not valid JSON' };
+            }
+            entries = Array.isArray(data)
+                ? data.map(entry => [entry.date, entry.currency, entry.rate])
+                : Object.entries(data).flatMap(([currency, rates]) =>
+                    Object.entries(rates || {}).map(([date, rate]) => [date, currency, rate]));
+        } else {
+            entries = trimmed.split(/\r?\n/)
+                .filter(line => line.trim())
+                .map(line => line.split(/[;,\t]/).map(field => field.trim().replace(/^"|"$/g, '')));
+            // Header line, e.g. "Datum;Währung;Kurs"
+            if (entries.length > 0 && isNaN(parseFloat(entries[0][2]))) {
+                entries.shift();
+            }
+        }
+
+        const rates = [];
+        for (const [dateValue, currency, rateValue] of entries) {
+            const date = this.parseDate(String(dateValue));
+            const rate = typeof rateValue === 'number' ? rateValue : parseFloat(String(rateValue).replace(',', '.'));
+            const code = String(currency || '').toUpperCase();
+            if (!date || !/^[A-Z]{3}$/.test(code) || !(rate > 0)) {
+                return { error: 'Exchange rates need a date, a currency code and a positive rate' };
+            }
+            rates.push({ date: date, currency: code, rate: rate });
+        }
+        if (rates.length === 0) {
+            return { error: 'Exchange-rate table is empty' };
+        }
+
+        rates.sort((a, b) => a.currency.localeCompare(b.currency) || CalendarDates.compare(a.date, b.date));
+        return { rates: rates };
+    },
+
+    /**
+     * Rate of a currency on a date: the latest rate on or before that date
+     * @returns {Object|null} { date: calendar date, rate } or null if the table has none
+     */
+    getRate(rates, currency, date) {
+        let found = null;
+        rates.forEach(entry => {
+            if (entry.currency === currency && CalendarDates.compare(entry.date, date) <= 0 &&
+                (!found || CalendarDates.compare(entry.date, found.date) > 0)) {
+                found = entry;
+            }
+        });
+        return found ? { date: found.date, rate: found.rate } : null;
+    },
+
+    /**
+     * Convert amounts of a foreign currency to CHF, each rounded to the Rappen
+     * @param {Object} amounts - e.g. { principal, interest, total } in the foreign currency
+     * @param {string} currency - ISO code of the foreign currency
+     * @param {Date} date - Conversion date
+     * @param {Object} options - { basis: see CONVERSION_BASES, rates: imported table,
+     *                            rate: fixed rate that takes precedence over the table }
+     * @returns {Object} { currency, basis, date, rate, rateDate, original: amounts,
+     *                    amounts: { ... in CHF } } or { error }
+     */
+    convert(amounts, currency, date, options = {}) {
+        if (!(date instanceof Date) || isNaN(date)) {
+            return { error: 'Conversion date is required' };
+        }
+        if (options.basis && !this.CONVERSION_BASES.includes(options.basis)) {
+            return { error: 'Unknown conversion basis' };
+        }
+
+        let rate = options.rate;
+        let rateDate = null;
+        if (rate === undefined || rate === null) {
+            const found = this.getRate(options.rates || [], currency, date);
+            if (!found) {
+                return { error: `No exchange rate for ${currency} on or before ${CalendarDates.format(date)}` };
+            }
+            rate = found.rate;
+            rateDate = CalendarDates.toDate(found.date);
+        }
+        if (!(rate > 0)) {
+            return { error: 'Exchange rate must be positive' };
+        }
+
+        const converted = {};
+        Object.entries(amounts).forEach(([key, amount]) => {
+            converted[key] = Money.toCHF(Money.round(Money.toRappen(amount) * rate));
+        });
+
+        return {
+            currency: currency,
+            basis: options.basis || null,
+            date: date,
+            rate: rate,
+            rateDate: rateDate,
+            original: { ...amounts },
+            amounts: converted
+        };
+    }
+};
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Currencies };
+}
@@ -0,0 +1,111 @@
+/**
+ * Calendar dates for Swiss Legal Tools
+ * Works on plain calendar dates { year, month, day } (month 1-12) instead of
+ * points in time, so day differences are exact and independent of daylight
+ * saving time and of the timezone the code runs in.
+ */
+
+const CalendarDates = {
+    MS_PER_DAY: 24 * 60 * 60 * 1000,
+
+    /**
+     * Calendar date of a Date object (its local year, month and day)
+     * Calendar date objects are returned as they are.
+     */
+    from(value) {
+        if (value instanceof Date) {
+            return { year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate() };
+        }
+        return { year: value.year, month: value.month, day: value.day };
+    },
+
+    /**
+     * Local Date at midnight of a calendar date (for date pickers and display)
+     */
+    toDate(value) {
+        const date = this.from(value);
+        return new Date(date.year, date.month - 1, date.day);
+    },
+
+    /**
+     * Parse "dd.mm.yyyy" (also d.m.yyyy)
+     * Returns null for malformed input or dates that do not exist (e.g. 31.02.2024)
+     */
+    parse(str) {
+        const match = /^\s*(\d{1,2})\.(\d{1,2})\.(\d{4})\s*$/.exec(str || '');
+        if (!match) return null;
+
+        const date = { year: parseInt(match[3], 10), month: parseInt(match[2], 10), day: parseInt(match[1], 10) };
+        if (date.month < 1 || date.month > 12 || date.day < 1 || date.day > this.daysInMonth(date.year, date.month)) {
+            return null;
+        }
+        return date;
+    },
+
+    /**
+     * Format as "dd.mm.yyyy"
+     */
+    format(value) {
+        const date = this.from(value);
+        const d = String(date.day).padStart(2, '0');
+        const m = String(date.month).padStart(2, '0');
+        return `${d}.${m}.${date.year}`;
+    },
+
+    /**
+     * Consecutive day number (days since 1.1.1970), computed in UTC
+     */
+    toDayNumber(value) {
+        const date = this.from(value);
+        return Math.round(Date.UTC(date.year, date.month - 1, date.day) / this.MS_PER_DAY);
+    },
+
+    /**
+     * Calendar date of a day number
+     */
+    fromDayNumber(dayNumber) {
+        const date = new Date(dayNumber * this.MS_PER_DAY);
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    },
+
+    /**
+     * Exact number of days from start to end (negative if end lies before start)
+     */
+    daysBetween(start, end) {
+        return this.toDayNumber(end) - this.toDayNumber(start);
+    },
+
+    /**
+     * Calendar date a number of days later (or earlier for negative days)
+     */
+    addDays(value, days) {
+        return this.fromDayNumber(this.toDayNumber(value) + days);
+    },
+
+    /**
+     * Compare two dates: negative if a is earlier, 0 if equal, positive if later
+     */
+    compare(a, b) {
+        return this.toDayNumber(a) - this.toDayNumber(b);
+    },
+
+    isLeapYear(year) {
+        return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    },
+
+    daysInMonth(year, month) {
+        return [31, this.isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+    },
+
+    /**
+     * Today's calendar date
+     */
+    today() {
+        return this.from(new Date());
+    }
+};
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CalendarDates };
+}
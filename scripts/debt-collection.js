@@ -0,0 +1,96 @@
+/**
+ * Debt collection fees for Swiss Legal Tools
+ * Official fees of the debt collection office according to the fee ordinance
+ * to the SchKG (GebV SchKG, SR 281.35), computed from the claim amount and the
+ * steps of the Betreibung. Fees are graduated by claim bands; expenses such as
+ * postage and travel allowances (GebV SchKG Art. 13/14) come on top and are
+ * not included.
+ */
+
+if (typeof require === 'function' && typeof Money === 'undefined') {
+    globalThis.Money = require('./money.js').Money;
+}
+
+const DebtCollectionFees = {
+    /**
+     * Upper limits of the claim bands in CHF ("bis 100", "über 100 bis 500", ...)
+     */
+    CLAIM_BANDS: [100, 500, 1000, 10000, 100000, 1000000, Infinity],
+
+    /**
+     * Fee schedule per step, one fee per claim band
+     * Steps are listed in the order of the proceedings.
+     */
+    STEPS: {
+        'paymentOrder': {
+            fees: [7, 20, 40, 60, 90, 190, 400],
+            article: { de: 'GebV SchKG Art. 16 Abs. 1', fr: 'OELP art. 16 al. 1' },
+            name: { de: 'Zahlungsbefehl', fr: 'Commandement de payer' }
+        },
+        'seizure': {
+            fees: [10, 25, 45, 65, 90, 190, 400],
+            article: { de: 'GebV SchKG Art. 20 Abs. 1', fr: 'OELP art. 20 al. 1' },
+            name: { de: 'Fortsetzung: Pfändungsvollzug', fr: 'Continuation: exécution de la saisie' }
+        },
+        'bankruptcyNotice': {
+            fees: [7, 20, 40, 60, 90, 190, 400],
+            article: { de: 'GebV SchKG Art. 39 Abs. 1', fr: 'OELP art. 39 al. 1' },
+            name: { de: 'Fortsetzung: Konkursandrohung', fr: 'Continuation: commination de faillite' }
+        }
+    },
+
+    /**
+     * Fee of one step for a claim amount
+     * @returns {number|null} Fee in CHF, or null for an unknown step
+     */
+    getFee(step, claim) {
+        const schedule = this.STEPS[step];
+        if (!schedule) return null;
+        const band = this.CLAIM_BANDS.findIndex(limit => claim <= limit);
+        return schedule.fees[band];
+    },
+
+    /**
+     * Fees for the chosen steps of a Betreibung
+     * Seizure (Betreibung auf Pfändung) and bankruptcy notice (Betreibung auf
+     * Konkurs) are alternative continuations and cannot be combined.
+     * @param {number} claim - Claim amount in CHF
+     * @param {Array<string>} steps - Keys of STEPS
+     * @returns {Object} { claim, lines: [{ step, fee, article, name }], total } or { error }
+     */
+    calculate(claim, steps) {
+        if (!(claim > 0)) {
+            return { error: 'Claim must be positive' };
+        }
+        if (!Array.isArray(steps) || steps.length === 0) {
+            return { error: 'At least one step is required' };
+        }
+        if (steps.some(step => !this.STEPS[step])) {
+            return { error: 'Unknown debt collection step' };
+        }
+        if (steps.includes('seizure') && steps.includes('bankruptcyNotice')) {
+            return { error: 'Seizure and bankruptcy notice cannot be combined' };
+        }
+
+        const lines = Object.keys(this.STEPS)
+            .filter(step => steps.includes(step))
+            .map(step => ({
+                step: step,
+                fee: this.getFee(step, claim),
+                article: this.STEPS[step].article,
+                name: this.STEPS[step].name
+            }));
+        const total = lines.reduce((sum, line) => sum + Money.toRappen(line.fee), 0);
+
+        return {
+            claim: claim,
+            lines: lines,
+            total: Money.toCHF(total)
+        };
+    }
+};
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DebtCollectionFees };
+}
@@ -0,0 +1,105 @@
+/**
+ * Dunning policies (Mahnwesen) for Swiss Legal Tools
+ * A policy fixes the steps of the dunning process: when each reminder is sent,
+ * counted from the due date or the previous reminder, the fee of each reminder
+ * and the Betreibung that follows. plan() turns a policy into the reminder rows of
+ * the Mahnrechner; dates falling on a Saturday, Sunday or public holiday move to
+ * the next business day at the place of performance.
+ */
+
+if (typeof require === 'function' && typeof calculatePaymentDeadline === 'undefined') {
+    globalThis.calculatePaymentDeadline = require('./calculations.js').calculatePaymentDeadline;
+}
+
+const DunningPolicies = {
+    /**
+     * Built-in policies; saved policies of the user come after them
+     * steps: days after the due date (first step) or the previous reminder, fee in CHF
+     */
+    DEFAULT_POLICIES: [
+        {
+            id: 'usual',
+            name: { de: 'Übliche Gebühren (CHF 20 / 30 / 40)', fr: 'Frais usuels (CHF 20 / 30 / 40)' },
+            steps: [{ days: 10, fee: 20 }, { days: 10, fee: 30 }, { days: 10, fee: 40 }],
+            collectionStep: ''
+        },
+        {
+            id: 'escalating',
+            name: { de: 'Erinnerung gratis, dann CHF 20 / 30 und Betreibung', fr: 'Rappel gratuit, puis CHF 20 / 30 et poursuite' },
+            steps: [{ days: 10, fee: 0 }, { days: 14, fee: 20 }, { days: 14, fee: 30 }],
+            collectionStep: 'paymentOrder'
+        }
+    ],
+
+    COLLECTION_STEPS: ['', 'paymentOrder', 'seizure', 'bankruptcyNotice'],
+
+    /**
+     * Check a policy entered or saved by the user
+     * @param {Object} policy - { name, steps: [{ days, fee }], collectionStep }
+     * @returns {Object} Policy with trimmed name and numeric steps, or { error }
+     */
+    validate(policy) {
+        const name = String(policy.name || '').trim();
+        if (!name) {
+            return { error: 'Policy name is required' };
+        }
+        if (!Array.isArray(policy.steps) || policy.steps.length === 0) {
+            return { error: 'Policy needs at least one reminder' };
+        }
+        for (const step of policy.steps) {
+            if (!Number.isInteger(step.days) || step.days < 0) {
+                return { error: 'Days between reminders must be a whole number' };
+            }
+            if (!(step.fee >= 0)) {
+                return { error: 'Reminder fee must not be negative' };
+            }
+        }
+        const collectionStep = policy.collectionStep || '';
+        if (!this.COLLECTION_STEPS.includes(collectionStep)) {
+            return { error: 'Unknown Betreibung step' };
+        }
+        return {
+            name: name,
+            steps: policy.steps.map(step => ({ days: step.days, fee: step.fee })),
+            collectionStep: collectionStep
+        };
+    },
+
+    /**
+     * Fee of the n-th reminder; beyond the last step the fee of the last step
+     * @param {Object} policy - Policy
+     * @param {number} number - Number of the reminder, 1-based
+     */
+    getFee(policy, number) {
+        return policy.steps[Math.min(number, policy.steps.length) - 1].fee;
+    },
+
+    /**
+     * Plan the reminders of a policy
+     * @param {Object} policy - Policy
+     * @param {Date} dueDate - Due date of the invoice (Verfalltag)
+     * @param {Object} options - { canton: place of performance for the public holidays }
+     * @returns {Object} { reminders: [{ date, fee, shifted }], collectionStep } or { error }
+     */
+    plan(policy, dueDate, options = {}) {
+        if (!(dueDate instanceof Date) || isNaN(dueDate)) {
+            return { error: 'Due date is required' };
+        }
+
+        const reminders = [];
+        let previous = dueDate;
+        for (const step of policy.steps) {
+            const planned = calculatePaymentDeadline(previous, step.days, { canton: options.canton || null });
+            if (planned.error) return planned;
+            reminders.push({ date: planned.deadline, fee: step.fee, shifted: planned.skippedDays.length > 0 });
+            previous = planned.deadline;
+        }
+
+        return { reminders: reminders, collectionStep: policy.collectionStep || '' };
+    }
+};
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DunningPolicies };
+}
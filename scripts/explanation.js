@@ -0,0 +1,231 @@
+/**
+ * Calculation explanation for Swiss Legal Tools ("Wie wurde gerechnet?")
+ * Renders the explanation trace of a calculation result (see explainCalculation
+ * in calculations.js) as titled sections of text lines in German or French.
+ * The result panel, the copy text and the PDF all render from these sections,
+ * so the three views always show the same steps.
+ */
+
+if (typeof require === 'function' && typeof CalendarDates === 'undefined') {
+    globalThis.CalendarDates = require('./dates.js').CalendarDates;
+}
+if (typeof require === 'function' && typeof formatAmount === 'undefined') {
+    const calculations = require('./calculations.js');
+    globalThis.formatAmount = calculations.formatAmount;
+    globalThis.formatNumber = calculations.formatNumber;
+    globalThis.formatDayCountFraction = calculations.formatDayCountFraction;
+}
+
+const CalculationExplanation = {
+    SECTIONS: ['inputs', 'dayCount', 'formulas', 'rounding', 'legalBasis'],
+
+    getTexts(lang) {
+        if (lang === 'fr') {
+            return {
+                title: 'Comment le calcul a-t-il été effectué?',
+                sections: {
+                    'inputs': 'Données',
+                    'dayCount': 'Jours d\'intérêts',
+                    'formulas': 'Formule',
+                    'rounding': 'Arrondi',
+                    'legalBasis': 'Bases légales'
+                },
+                inputs: {
+                    'principal': 'Capital',
+                    'startDate': 'Début de la demeure',
+                    'endDate': 'Date de calcul',
+                    'days': 'Nombre de jours',
+                    'interestRate': 'Taux d\'intérêt',
+                    'rateChanges': 'Changements de taux',
+                    'payments': 'Paiements partiels',
+                    'costs': 'Frais',
+                    'invoices': 'Factures',
+                    'capitalisation': 'Capitalisation',
+                    'target': 'Montant donné',
+                    'dayCount': 'Méthode',
+                    'rounding': 'Arrondi'
+                },
+                solved: 'recherché',
+                commonRate: 'taux commun',
+                targetTypes: { 'interest': 'intérêts', 'total': 'total' },
+                dayCounts: {
+                    '30/360': '30/360: chaque mois compte 30 jours, l\'année 360 jours',
+                    'act/360': 'act/360: jours effectifs, année de 360 jours',
+                    'act/365': 'act/365: jours effectifs, année de 365 jours',
+                    'act/act': 'act/act: jours effectifs par année civile, divisés par 365 ou 366'
+                },
+                capitalisations: {
+                    'quarterly': 'trimestrielle',
+                    'half-yearly': 'semestrielle',
+                    'annual': 'annuelle'
+                },
+                days: 'jours',
+                basis: 'base',
+                roundingModes: { 'line': 'Arrondi par position', 'total': 'Arrondi du total' },
+                roundings: {
+                    'line': 'Arrondi par position: chaque montant partiel est arrondi au centime',
+                    'total': 'Arrondi du total: les montants partiels sont additionnés sans arrondi, puis le total est arrondi au centime'
+                },
+                cashRounding: 'Arrondi à 5 centimes',
+                exactInterest: 'Intérêts non arrondis',
+                roundedInterest: 'arrondis',
+                legalBasis: {
+                    'defaultInterest': 'Taux d\'intérêt moratoire de 5% par an',
+                    'contractualRate': 'Un taux conventionnel plus élevé s\'applique aussi pendant la demeure',
+                    'compoundBan': 'Interdiction des intérêts composés',
+                    'partialPayments': 'Imputation des paiements partiels sur les intérêts et frais, puis sur le capital',
+                    'kontokorrent': 'Intérêts composés admis en compte courant commercial',
+                    'prescription': 'Prescription par dix ans, par cinq ans pour les intérêts et prestations périodiques',
+                    'interruption': 'Interruption de la prescription et nouveau délai',
+                    'foreignCurrency': 'Dette en monnaie étrangère payable en monnaie nationale au cours du jour de l\'échéance'
+                }
+            };
+        }
+        return {
+            title: 'Wie wurde gerechnet?',
+            sections: {
+                'inputs': 'Eingaben',
+                'dayCount': 'Zinstage',
+                'formulas': 'Zinsformel',
+                'rounding': 'Rundung',
+                'legalBasis': 'Rechtliche Grundlagen'
+            },
+            inputs: {
+                'principal': 'Kapital',
+                'startDate': 'Verzugsbeginn',
+                'endDate': 'Berechnungsdatum',
+                'days': 'Anzahl Tage',
+                'interestRate': 'Zinssatz',
+                'rateChanges': 'Zinssatzänderungen',
+                'payments': 'Teilzahlungen',
+                'costs': 'Kosten',
+                'invoices': 'Rechnungen',
+                'capitalisation': 'Kapitalisierung',
+                'target': 'Vorgegebener Betrag',
+                'dayCount': 'Zinsmethode',
+                'rounding': 'Rundung'
+            },
+            solved: 'gesucht',
+            commonRate: 'gemeinsamer Zinssatz',
+            targetTypes: { 'interest': 'Zins', 'total': 'Total' },
+            dayCounts: {
+                '30/360': '30/360: jeder Monat zählt 30 Tage, das Jahr 360 Tage',
+                'act/360': 'act/360: effektive Tage, Jahr zu 360 Tagen',
+                'act/365': 'act/365: effektive Tage, Jahr zu 365 Tagen',
+                'act/act': 'act/act: effektive Tage je Kalenderjahr, geteilt durch 365 oder 366'
+            },
+            capitalisations: {
+                'quarterly': 'vierteljährlich',
+                'half-yearly': 'halbjährlich',
+                'annual': 'jährlich'
+            },
+            days: 'Tage',
+            basis: 'Basis',
+            roundingModes: { 'line': 'Rundung pro Position', 'total': 'Rundung des Totals' },
+            roundings: {
+                'line': 'Rundung pro Position: jeder Teilbetrag wird auf den Rappen gerundet',
+                'total': 'Rundung des Totals: die Teilbeträge werden ungerundet addiert und das Total auf den Rappen gerundet'
+            },
+            cashRounding: 'Rundung auf 5 Rappen',
+            exactInterest: 'Zins ungerundet',
+            roundedInterest: 'gerundet',
+            legalBasis: {
+                'defaultInterest': 'Verzugszins von 5% pro Jahr',
+                'contractualRate': 'Ein höherer vertraglicher Zins gilt auch im Verzug',
+                'compoundBan': 'Zinseszinsverbot',
+                'partialPayments': 'Anrechnung von Teilzahlungen zuerst auf Zinsen und Kosten, dann auf das Kapital',
+                'kontokorrent': 'Zinseszinsen im kaufmännischen Kontokorrent zulässig',
+                'prescription': 'Verjährung nach zehn Jahren, nach fünf Jahren für Zinsen und periodische Leistungen',
+                'interruption': 'Unterbrechung der Verjährung und neue Frist',
+                'foreignCurrency': 'Fremdwährungsschuld in Landeswährung zahlbar zum Kurs am Verfalltag'
+            }
+        };
+    },
+
+    /**
+     * Render an explanation trace
+     * @param {Object} explanation - Trace of a calculation result
+     * @param {string} lang - 'de' or 'fr'
+     * @param {Object} options - { currency (default CHF),
+     *                            formatAmount: (amount) => string, formatDate: (date) => string,
+     *                            plain: only characters of the PDF standard fonts ('x', '-', '->') }
+     * @returns {Array<{ key, title, lines: Array<string> }>} One entry per section with content
+     */
+    render(explanation, lang, options = {}) {
+        const texts = this.getTexts(lang);
+        const currency = options.currency || 'CHF';
+        const amount = options.formatAmount || ((value) => formatAmount(value, currency));
+        const date = options.formatDate || ((value) => CalendarDates.format(value));
+        const times = options.plain ? 'x' : '×';
+        const dash = options.plain ? '-' : '–';
+        const arrow = options.plain ? '->' : '→';
+        const period = (item) => item.startDate ? `${date(item.startDate)} ${dash} ${date(item.endDate)}: ` : '';
+        const exact = (value) => `${currency} ${formatNumber(value, 4)}`;
+
+        const inputValue = (input) => {
+            switch (input.key) {
+            case 'principal':
+            case 'costs':
+                return amount(input.value);
+            case 'startDate':
+            case 'endDate':
+                return date(input.value);
+            case 'interestRate':
+                return `${input.value}% p.a.`;
+            case 'rateChanges':
+                return input.value.map(change => `${date(change.date)}: ${change.rate}%`).join(', ');
+            case 'payments':
+                return input.value.map(payment => `${date(payment.date)}: ${amount(payment.amount)}`).join(', ');
+            case 'invoices':
+                return input.value.map(invoice => `${invoice.reference ? invoice.reference + ' ' : ''}${amount(invoice.principal)} ` +
+                    `(${date(invoice.startDate)}, ${invoice.interestRate !== null ? invoice.interestRate + '%' : texts.commonRate})`).join('; ');
+            case 'capitalisation':
+                return texts.capitalisations[input.value] || input.value;
+            case 'target':
+                return `${amount(input.value.amount)} (${texts.targetTypes[input.value.targetType]})`;
+            case 'dayCount':
+                return texts.dayCounts[input.value] || input.value;
+            case 'rounding':
+                return texts.roundingModes[input.value.mode] + (input.value.cashRounding ? ', ' + texts.cashRounding : '');
+            default:
+                return String(input.value);
+            }
+        };
+
+        // act/act splits a period by calendar year, each part with its own basis
+        const dayCountLine = (item) => {
+            const parts = item.dayCountParts;
+            return period(item) + (parts.length === 1
+                ? `${parts[0].days} ${texts.days}, ${texts.basis} ${parts[0].basis}`
+                : `${item.days} ${texts.days} = ` + parts.map(part => `${part.days} ${texts.days} (${texts.basis} ${part.basis})`).join(' + '));
+        };
+
+        const rounding = explanation.rounding;
+        const sections = {
+            'inputs': explanation.inputs.map(input =>
+                `${texts.inputs[input.key]}${input.solved ? ` (${texts.solved})` : ''}: ${inputValue(input)}`),
+            'dayCount': [
+                texts.dayCounts[explanation.dayCount.convention],
+                ...explanation.dayCount.periods.map(dayCountLine)
+            ],
+            'formulas': explanation.formulas.map(f => `${f.reference ? f.reference + ', ' : ''}${period(f)}` +
+                `${amount(f.capital)} ${times} ${f.interestRate}% ${times} ${formatDayCountFraction(f.dayCountParts)} = ${amount(f.interest)}`),
+            'rounding': [
+                texts.roundings[rounding.mode],
+                `${texts.exactInterest} ${exact(rounding.exactInterest)} ${arrow} ${texts.roundedInterest} ${amount(rounding.interest)}`,
+                ...(rounding.cash ? [`${texts.cashRounding}: ${amount(rounding.cash.before)} ${arrow} ${amount(rounding.cash.total)}`] : [])
+            ],
+            'legalBasis': explanation.legalBasis.map(provision =>
+                `${provision.article[lang === 'fr' ? 'fr' : 'de']}: ${texts.legalBasis[provision.key]}`)
+        };
+
+        return this.SECTIONS
+            .filter(key => sections[key].length > 0)
+            .map(key => ({ key: key, title: texts.sections[key], lines: sections[key] }));
+    }
+};
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CalculationExplanation };
+}
@@ -0,0 +1,241 @@
+/**
+ * Swiss public holidays for Swiss Legal Tools
+ * Computes federal and cantonal public holidays for any year, including the
+ * Easter-dependent dates, without network access. Covers the holidays that
+ * are recognised canton-wide; communal holidays (e.g. Sechseläuten) and
+ * holidays that only apply in parts of a canton are not included.
+ */
+
+if (typeof require === 'function' && typeof CalendarDates === 'undefined') {
+    globalThis.CalendarDates = require('./dates.js').CalendarDates;
+}
+
+const SwissHolidays = {
+    CANTONS: [
+        'AG', 'AI', 'AR', 'BE', 'BL', 'BS', 'FR', 'GE', 'GL', 'GR', 'JU', 'LU', 'NE',
+        'NW', 'OW', 'SG', 'SH', 'SO', 'SZ', 'TG', 'TI', 'UR', 'VD', 'VS', 'ZG', 'ZH'
+    ],
+
+    CANTON_NAMES: {
+        de: {
+            AG: 'Aargau', AI: 'Appenzell Innerrhoden', AR: 'Appenzell Ausserrhoden', BE: 'Bern',
+            BL: 'Basel-Landschaft', BS: 'Basel-Stadt', FR: 'Freiburg', GE: 'Genf', GL: 'Glarus',
+            GR: 'Graubünden', JU: 'Jura', LU: 'Luzern', NE: 'Neuenburg', NW: 'Nidwalden',
+            OW: 'Obwalden', SG: 'St. Gallen', SH: 'Schaffhausen', SO: 'Solothurn', SZ: 'Schwyz',
+            TG: 'Thurgau', TI: 'Tessin', UR: 'Uri', VD: 'Waadt', VS: 'Wallis', ZG: 'Zug', ZH: 'Zürich'
+        },
+        fr: {
+            AG: 'Argovie', AI: 'Appenzell Rhodes-Intérieures', AR: 'Appenzell Rhodes-Extérieures', BE: 'Berne',
+            BL: 'Bâle-Campagne', BS: 'Bâle-Ville', FR: 'Fribourg', GE: 'Genève', GL: 'Glaris',
+            GR: 'Grisons', JU: 'Jura', LU: 'Lucerne', NE: 'Neuchâtel', NW: 'Nidwald',
+            OW: 'Obwald', SG: 'Saint-Gall', SH: 'Schaffhouse', SO: 'Soleure', SZ: 'Schwytz',
+            TG: 'Thurgovie', TI: 'Tessin', UR: 'Uri', VD: 'Vaud', VS: 'Valais', ZG: 'Zoug', ZH: 'Zurich'
+        }
+    },
+
+    /**
+     * Holiday rules
+     * date: fixed [month, day] or a function (year, easter) -> calendar date
+     * cantons: 'all', a list of cantons, or { except: [...] }
+     */
+    RULES: [
+        { id: 'newYear', date: [1, 1], cantons: 'all', name: { de: 'Neujahr', fr: 'Nouvel An' } },
+        {
+            id: 'berchtold', date: [1, 2],
+            cantons: ['BE', 'FR', 'GL', 'JU', 'LU', 'NE', 'NW', 'OW', 'SH', 'SO', 'TG', 'VD', 'ZG', 'ZH'],
+            name: { de: 'Berchtoldstag', fr: 'Saint-Berchtold' }
+        },
+        { id: 'epiphany', date: [1, 6], cantons: ['SZ', 'TI', 'UR'], name: { de: 'Dreikönigstag', fr: 'Épiphanie' } },
+        { id: 'republicNE', date: [3, 1], cantons: ['NE'], name: { de: 'Jahrestag der Republik', fr: 'Instauration de la République' } },
+        { id: 'joseph', date: [3, 19], cantons: ['NW', 'SZ', 'TI', 'UR', 'VS'], name: { de: 'Josefstag', fr: 'Saint-Joseph' } },
+        {
+            id: 'goodFriday', date: (year, easter) => CalendarDates.addDays(easter, -2),
+            cantons: { except: ['TI', 'VS'] }, name: { de: 'Karfreitag', fr: 'Vendredi saint' }
+        },
+        {
+            id: 'easterMonday', date: (year, easter) => CalendarDates.addDays(easter, 1),
+            cantons: { except: ['VS'] }, name: { de: 'Ostermontag', fr: 'Lundi de Pâques' }
+        },
+        {
+            id: 'naefelserFahrt', date: (year, easter) => SwissHolidays.getNaefelserFahrt(year, easter),
+            cantons: ['GL'], name: { de: 'Näfelser Fahrt', fr: 'Näfelser Fahrt' }
+        },
+        {
+            id: 'labourDay', date: [5, 1], cantons: ['BL', 'BS', 'JU', 'NE', 'SH', 'TG', 'TI', 'ZH'],
+            name: { de: 'Tag der Arbeit', fr: 'Fête du travail' }
+        },
+        {
+            id: 'ascension', date: (year, easter) => CalendarDates.addDays(easter, 39),
+            cantons: 'all', name: { de: 'Auffahrt', fr: 'Ascension' }
+        },
+        {
+            id: 'whitMonday', date: (year, easter) => CalendarDates.addDays(easter, 50),
+            cantons: { except: ['VS'] }, name: { de: 'Pfingstmontag', fr: 'Lundi de Pentecôte' }
+        },
+        {
+            id: 'corpusChristi', date: (year, easter) => CalendarDates.addDays(easter, 60),
+            cantons: ['AG', 'AI', 'FR', 'JU', 'LU', 'NW', 'OW', 'SO', 'SZ', 'TI', 'UR', 'VS', 'ZG'],
+            name: { de: 'Fronleichnam', fr: 'Fête-Dieu' }
+        },
+        { id: 'independenceJU', date: [6, 23], cantons: ['JU'], name: { de: 'Fest der Unabhängigkeit', fr: 'Commémoration du plébiscite' } },
+        { id: 'peterPaul', date: [6, 29], cantons: ['TI'], name: { de: 'Peter und Paul', fr: 'Saint-Pierre et Saint-Paul' } },
+        { id: 'nationalDay', date: [8, 1], cantons: 'all', name: { de: 'Bundesfeier', fr: 'Fête nationale' } },
+        {
+            id: 'assumption', date: [8, 15],
+            cantons: ['AI', 'FR', 'JU', 'LU', 'NW', 'OW', 'SO', 'SZ', 'TI', 'UR', 'VS', 'ZG'],
+            name: { de: 'Mariä Himmelfahrt', fr: 'Assomption' }
+        },
+        {
+            id: 'jeuneGenevois', date: (year) => CalendarDates.addDays(SwissHolidays.getNthSunday(year, 9, 1), 4),
+            cantons: ['GE'], name: { de: 'Genfer Bettag', fr: 'Jeûne genevois' }
+        },
+        {
+            id: 'lundiJeune', date: (year) => CalendarDates.addDays(SwissHolidays.getNthSunday(year, 9, 3), 1),
+            cantons: ['VD'], name: { de: 'Bettagsmontag', fr: 'Lundi du Jeûne fédéral' }
+        },
+        { id: 'bruderKlaus', date: [9, 25], cantons: ['OW'], name: { de: 'Bruder Klaus', fr: 'Saint-Nicolas de Flüe' } },
+        {
+            id: 'allSaints', date: [11, 1],
+            cantons: ['AI', 'FR', 'GL', 'JU', 'LU', 'NW', 'OW', 'SO', 'SZ', 'TI', 'UR', 'VS', 'ZG'],
+            name: { de: 'Allerheiligen', fr: 'Toussaint' }
+        },
+        {
+            id: 'immaculateConception', date: [12, 8],
+            cantons: ['AI', 'FR', 'LU', 'NW', 'OW', 'SZ', 'TI', 'UR', 'VS', 'ZG'],
+            name: { de: 'Mariä Empfängnis', fr: 'Immaculée Conception' }
+        },
+        { id: 'christmas', date: [12, 25], cantons: 'all', name: { de: 'Weihnachten', fr: 'Noël' } },
+        {
+            id: 'stephen', date: [12, 26], cantons: { except: ['GE', 'JU', 'NE', 'VD', 'VS'] },
+            name: { de: 'Stephanstag', fr: 'Saint-Étienne' }
+        },
+        { id: 'restoration', date: [12, 31], cantons: ['GE'], name: { de: 'Wiederherstellung der Republik', fr: 'Restauration de la République' } }
+    ],
+
+    /**
+     * Easter Sunday of a year (Gregorian calendar, anonymous algorithm)
+     */
+    getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return { year, month, day };
+    },
+
+    /**
+     * n-th Sunday of a month (month 1-12)
+     */
+    getNthSunday(year, month, n) {
+        const first = { year, month, day: 1 };
+        const weekday = CalendarDates.toDate(first).getDay();
+        return CalendarDates.addDays(first, (7 - weekday) % 7 + (n - 1) * 7);
+    },
+
+    /**
+     * Näfelser Fahrt: first Thursday in April, one week later if that
+     * Thursday falls on Maundy Thursday or into Easter week
+     */
+    getNaefelserFahrt(year, easter) {
+        const first = { year, month: 4, day: 1 };
+        const weekday = CalendarDates.toDate(first).getDay();
+        const thursday = CalendarDates.addDays(first, (11 - weekday) % 7);
+        const offset = CalendarDates.daysBetween(easter, thursday);
+        return offset === -3 || offset === 4 ? CalendarDates.addDays(thursday, 7) : thursday;
+    },
+
+    appliesTo(rule, canton) {
+        if (rule.cantons === 'all') return true;
+        if (!canton) return false;
+        if (Array.isArray(rule.cantons)) return rule.cantons.includes(canton);
+        return !rule.cantons.except.includes(canton);
+    },
+
+    /**
+     * Public holidays of a year, sorted by date
+     * Without a canton only the holidays observed in every canton are returned.
+     * @returns {Array<{date, id, name: {de, fr}}>}
+     */
+    getHolidays(year, canton = null) {
+        const easter = this.getEasterSunday(year);
+        return this.RULES
+            .filter(rule => this.appliesTo(rule, canton))
+            .map(rule => ({
+                date: Array.isArray(rule.date)
+                    ? { year, month: rule.date[0], day: rule.date[1] }
+                    : rule.date(year, easter),
+                id: rule.id,
+                name: rule.name
+            }))
+            .sort((a, b) => CalendarDates.compare(a.date, b.date));
+    },
+
+    /**
+     * Holiday on a date, or null
+     */
+    getHoliday(date, canton = null) {
+        const day = CalendarDates.from(date);
+        return this.getHolidays(day.year, canton)
+            .find(holiday => CalendarDates.compare(holiday.date, day) === 0) || null;
+    },
+
+    isHoliday(date, canton = null) {
+        return this.getHoliday(date, canton) !== null;
+    },
+
+    /**
+     * Why a date is not a business day: 'saturday', 'sunday', 'holiday' or null
+     */
+    getNonBusinessDayReason(date, canton = null) {
+        const weekday = CalendarDates.toDate(date).getDay();
+        if (weekday === 6) return 'saturday';
+        if (weekday === 0) return 'sunday';
+        return this.isHoliday(date, canton) ? 'holiday' : null;
+    },
+
+    isBusinessDay(date, canton = null) {
+        return this.getNonBusinessDayReason(date, canton) === null;
+    },
+
+    /**
+     * First business day after a date
+     * @returns {Date} Local midnight
+     */
+    nextBusinessDay(date, canton = null) {
+        let day = CalendarDates.addDays(date, 1);
+        while (!this.isBusinessDay(day, canton)) {
+            day = CalendarDates.addDays(day, 1);
+        }
+        return CalendarDates.toDate(day);
+    },
+
+    /**
+     * The date itself if it is a business day, otherwise the next business day
+     * (OR Art. 78 Abs. 1)
+     * @returns {Date} Local midnight
+     */
+    adjustToBusinessDay(date, canton = null) {
+        return this.isBusinessDay(date, canton)
+            ? CalendarDates.toDate(date)
+            : this.nextBusinessDay(date, canton);
+    },
+
+    getCantonName(canton, lang = 'de') {
+        return (this.CANTON_NAMES[lang] || this.CANTON_NAMES.de)[canton] || canton;
+    }
+};
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SwissHolidays };
+}
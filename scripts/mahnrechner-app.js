@@ -0,0 +1,943 @@
+/**
+ * Mahnrechner - Page logic (DE and FR)
+ * Collects the form, calls calculateReminderClaim (mahnrechner.js) and renders
+ * the result, the copy text and the PDF in the language of the page.
+ */
+
+let reminderCount = 1;
+let lastMahnData = null;
+
+function getMahnLabels(lang) {
+    return lang === 'fr' ? {
+        reminder: 'rappel',
+        date: 'Date',
+        datePlaceholder: 'JJ.MM.AAAA',
+        fee: 'Frais de rappel (CHF)',
+        feePlaceholder: 'p.ex.',
+        invalidAmount: 'Veuillez entrer un montant valide.',
+        invalidDates: 'Veuillez entrer des dates valides.',
+        invalidTerm: 'Veuillez entrer un délai de paiement valable en jours.',
+        invalidRate: 'Veuillez entrer un taux valide.',
+        invalidDueDate: 'Veuillez entrer le jour d\'échéance.',
+        invalidReminder: 'Veuillez choisir un rappel saisi avec sa date.',
+        noResult: 'Veuillez d\'abord effectuer un calcul.',
+        invalidAddresses: 'Veuillez saisir l\'adresse de l\'expéditeur et celle du destinataire.',
+        invalidLetterTerm: 'Veuillez entrer un nouveau délai de paiement valable en jours.',
+        invalidLetterLevel: 'Veuillez choisir le niveau de rappel.',
+        invalidPlanDates: 'Veuillez entrer la date de la facture avec le délai de paiement ou le jour d\'échéance.',
+        invalidPolicyName: 'Veuillez entrer un nom pour le plan de rappel.',
+        builtInPolicy: 'Les plans de rappel prédéfinis ne peuvent pas être supprimés.',
+        policyErrors: {
+            'Policy name is required': 'Veuillez entrer un nom pour le plan de rappel.',
+            'Policy needs at least one reminder': 'Le plan de rappel doit comporter au moins un rappel.',
+            'Days between reminders must be a whole number': 'Veuillez entrer un nombre entier de jours pour chaque rappel.',
+            'Reminder fee must not be negative': 'Les frais de rappel ne peuvent pas être négatifs.',
+            'Unknown Betreibung step': 'Veuillez choisir une étape de poursuite valable.',
+            'Due date is required': 'Veuillez entrer la date de la facture avec le délai de paiement ou le jour d\'échéance.'
+        },
+        policyDaysFirst: 'Jours après l\'échéance',
+        policyDaysNext: 'Jours après le rappel précédent',
+        policyPlanned: (count, dueDate, shifted) => `${count} rappels saisis à partir de l'échéance du ${dueDate}.` +
+            (shifted.length ? ` Reporté au jour ouvrable suivant: ${shifted.join(', ')}.` : ''),
+        summary: 'Résumé',
+        title: 'Calcul des frais de rappel',
+        principal: 'Montant de la facture',
+        reminderFees: 'Frais de rappel',
+        deadline: 'délai au',
+        totalFees: 'Total frais de rappel',
+        interest: 'Intérêts moratoires',
+        startDate: 'Début de la demeure',
+        rule: 'Événement déclencheur',
+        rules: {
+            invoiceTerm: (d, date) => `Date de la facture ${date(d.invoiceDate)} + délai de paiement de ${d.defaultStart.term} jours, échéance ${date(d.defaultStart.eventDate)} (CO art. 102 al. 2)`,
+            dueDate: (d, date) => `Jour d'échéance fixe ${date(d.defaultStart.eventDate)} (CO art. 102 al. 2)`,
+            reminder: (d, date) => `Réception du ${getReminderName(d.defaultStart.reminder, 'fr')} le ${date(d.defaultStart.eventDate)} (CO art. 102 al. 1)`
+        },
+        dueDateShifted: 'échéance reportée au',
+        dueDateShiftedText: 'échéance reportée selon CO art. 78',
+        rate: 'Taux d\'intérêt',
+        rateShort: 'Taux',
+        period: 'Période de demeure',
+        days: 'jours',
+        cashRounding: 'Arrondi à 5 centimes',
+        total: 'Créance totale',
+        collectionFees: 'Frais de poursuite (OELP)',
+        totalCollectionFees: 'Total frais de poursuite',
+        collectionNote: (claim) => `Émoluments pour une créance de ${formatCHF(claim)}, plus les débours (port).`,
+        collectionAdvance: 'Le créancier avance les frais, qui sont à la charge du débiteur (LP art. 68).',
+        printDate: 'Créé le: ',
+        footer: 'Calculé sur verzugszinsrechner.ch/fr/mahnrechner.html'
+    } : {
+        reminder: 'Mahnung',
+        date: 'Datum',
+        datePlaceholder: 'TT.MM.JJJJ',
+        fee: 'Mahngebühr (CHF)',
+        feePlaceholder: 'z.B.',
+        invalidAmount: 'Bitte geben Sie einen gültigen Rechnungsbetrag ein.',
+        invalidDates: 'Bitte geben Sie gültige Daten ein.',
+        invalidTerm: 'Bitte geben Sie eine gültige Zahlungsfrist in Tagen ein.',
+        invalidRate: 'Bitte geben Sie einen gültigen Zinssatz ein.',
+        invalidDueDate: 'Bitte geben Sie den Verfalltag ein.',
+        invalidReminder: 'Bitte wählen Sie eine erfasste Mahnung mit Datum.',
+        noResult: 'Bitte führen Sie zuerst eine Berechnung durch.',
+        invalidAddresses: 'Bitte geben Sie die Adressen von Absender und Empfänger ein.',
+        invalidLetterTerm: 'Bitte geben Sie eine gültige neue Zahlungsfrist in Tagen ein.',
+        invalidLetterLevel: 'Bitte wählen Sie die Mahnstufe.',
+        invalidPlanDates: 'Bitte geben Sie das Rechnungsdatum mit Zahlungsfrist oder den Verfalltag ein.',
+        invalidPolicyName: 'Bitte geben Sie einen Namen für den Mahnplan ein.',
+        builtInPolicy: 'Vorgegebene Mahnpläne können nicht gelöscht werden.',
+        policyErrors: {
+            'Policy name is required': 'Bitte geben Sie einen Namen für den Mahnplan ein.',
+            'Policy needs at least one reminder': 'Der Mahnplan muss mindestens eine Mahnung enthalten.',
+            'Days between reminders must be a whole number': 'Bitte geben Sie für jede Mahnung eine ganze Anzahl Tage ein.',
+            'Reminder fee must not be negative': 'Die Mahngebühr darf nicht negativ sein.',
+            'Unknown Betreibung step': 'Bitte wählen Sie einen gültigen Betreibungsschritt.',
+            'Due date is required': 'Bitte geben Sie das Rechnungsdatum mit Zahlungsfrist oder den Verfalltag ein.'
+        },
+        policyDaysFirst: 'Tage nach Verfalltag',
+        policyDaysNext: 'Tage nach der vorherigen Mahnung',
+        policyPlanned: (count, dueDate, shifted) => `${count} Mahnungen ab Verfalltag ${dueDate} eingetragen.` +
+            (shifted.length ? ` Auf den nächsten Werktag verschoben: ${shifted.join(', ')}.` : ''),
+        summary: 'Zusammenfassung',
+        title: 'Mahnkostenberechnung',
+        principal: 'Rechnungsbetrag',
+        reminderFees: 'Mahngebühren',
+        deadline: 'Frist bis',
+        totalFees: 'Total Mahngebühren',
+        interest: 'Verzugszinsen',
+        startDate: 'Verzugsbeginn',
+        rule: 'Auslösendes Ereignis',
+        rules: {
+            invoiceTerm: (d, date) => `Rechnungsdatum ${date(d.invoiceDate)} + ${d.defaultStart.term} Tage Zahlungsfrist, Verfalltag ${date(d.defaultStart.eventDate)} (OR Art. 102 Abs. 2)`,
+            dueDate: (d, date) => `Fester Verfalltag ${date(d.defaultStart.eventDate)} (OR Art. 102 Abs. 2)`,
+            reminder: (d, date) => `Zugang der ${getReminderName(d.defaultStart.reminder, 'de')} am ${date(d.defaultStart.eventDate)} (OR Art. 102 Abs. 1)`
+        },
+        dueDateShifted: 'Fälligkeit verschoben auf',
+        dueDateShiftedText: 'Fälligkeit verschoben nach OR Art. 78',
+        rate: 'Zinssatz',
+        rateShort: 'Zinssatz',
+        period: 'Verzugszeitraum',
+        days: 'Tage',
+        cashRounding: 'Rundung auf 5 Rappen',
+        total: 'Gesamtforderung',
+        collectionFees: 'Betreibungskosten (GebV SchKG)',
+        totalCollectionFees: 'Total Betreibungskosten',
+        collectionNote: (claim) => `Gebühren für eine Forderung von ${formatCHF(claim)}, zuzüglich Auslagen (Porto).`,
+        collectionAdvance: 'Der Gläubiger schiesst die Kosten vor, sie gehen zulasten des Schuldners (SchKG Art. 68).',
+        printDate: 'Erstellt am: ',
+        footer: 'Berechnet auf verzugszinsrechner.ch/de/mahnrechner.html'
+    };
+}
+
+/**
+ * Name of the n-th reminder: "2. Mahnung" / "2e rappel"
+ */
+function getReminderName(number, lang) {
+    if (lang === 'fr') {
+        return `${number === 1 ? '1er' : number + 'e'} rappel`;
+    }
+    return `${number}. Mahnung`;
+}
+
+function formatSignedCHF(amount) {
+    return (amount > 0 ? '+ ' : '– ') + formatCHF(Math.abs(amount));
+}
+
+// ============================================
+// REMINDER ROWS
+// ============================================
+
+/**
+ * Add a reminder row, optionally prefilled (from a shared link)
+ * @param {Date} date - Date of the reminder
+ * @param {number} fee - Reminder fee in CHF
+ */
+function addReminder(date, fee) {
+    const lang = document.documentElement.lang || 'de';
+    const labels = getMahnLabels(lang);
+    reminderCount++;
+    const defaultFee = DunningPolicies.getFee(getSelectedPolicy(), reminderCount);
+
+    const container = document.getElementById('remindersContainer');
+    const row = document.createElement('div');
+    row.className = 'reminder-row';
+    row.dataset.reminder = reminderCount;
+    row.innerHTML = `
+        <div class="form-group">
+            <div class="reminder-number">${getReminderName(reminderCount, lang)}</div>
+            <label for="reminderDate${reminderCount}">${labels.date}</label>
+            <input type="text" id="reminderDate${reminderCount}" name="reminderDate${reminderCount}" class="reminder-date" pattern="\\d{2}\\.\\d{2}\\.\\d{4}" placeholder="${labels.datePlaceholder}">
+        </div>
+        <div class="form-group">
+            <label for="reminderFee${reminderCount}">${labels.fee}</label>
+            <div class="currency-input-wrapper">
+                <input type="text" id="reminderFee${reminderCount}" name="reminderFee${reminderCount}" class="reminder-fee" placeholder="${labels.feePlaceholder} ${formatNumber(defaultFee, 2)}" value="${formatNumber(fee !== undefined ? fee : defaultFee, 2)}">
+            </div>
+        </div>
+        <button type="button" class="remove-reminder" onclick="removeReminder(this)">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    container.appendChild(row);
+
+    const picker = flatpickr(`#reminderDate${reminderCount}`, {
+        dateFormat: "d.m.Y",
+        allowInput: true
+    });
+    if (date) {
+        picker.setDate(date, false);
+    }
+}
+
+function removeReminder(button) {
+    const lang = document.documentElement.lang || 'de';
+    button.closest('.reminder-row').remove();
+
+    // Renumber the remaining reminders
+    const rows = document.querySelectorAll('.reminder-row');
+    rows.forEach((row, i) => {
+        row.querySelector('.reminder-number').textContent = getReminderName(i + 1, lang);
+        row.dataset.reminder = i + 1;
+    });
+    reminderCount = rows.length;
+}
+
+/**
+ * Replace the reminder rows: the first fills the existing row, every further one adds a row
+ * @param {Array} reminders - [{ date, fee }]
+ */
+function setReminders(reminders) {
+    document.querySelectorAll('.reminder-row:not(:first-child)').forEach(row => row.remove());
+    reminderCount = 1;
+
+    const firstDate = document.getElementById('reminderDate1');
+    if (reminders.length > 0) {
+        firstDate._flatpickr.setDate(reminders[0].date, false);
+        document.getElementById('reminderFee1').value = formatNumber(reminders[0].fee, 2);
+    } else {
+        firstDate._flatpickr.clear();
+    }
+    reminders.slice(1).forEach(reminder => addReminder(reminder.date, reminder.fee));
+}
+
+/**
+ * Show the fields of the chosen rule for the start of default
+ */
+function toggleDefaultRule() {
+    const rule = document.getElementById('defaultRule').value;
+    document.getElementById('invoiceTermGroup').style.display = rule === 'invoiceTerm' ? 'block' : 'none';
+    document.getElementById('dueDateGroup').style.display = rule === 'dueDate' ? 'block' : 'none';
+    document.getElementById('reminderRuleGroup').style.display = rule === 'reminder' ? 'block' : 'none';
+}
+
+/**
+ * Rule for the start of default from the form (see DEFAULT_START_RULES in mahnrechner.js)
+ */
+function collectDefaultStart() {
+    const rule = document.getElementById('defaultRule').value;
+    if (rule === 'dueDate') {
+        return { rule: rule, dueDate: parseDateInput(document.getElementById('dueDate').value) };
+    }
+    if (rule === 'reminder') {
+        return {
+            rule: rule,
+            reminder: parseInt(document.getElementById('defaultReminder').value, 10),
+            receiptDays: parseInt(document.getElementById('receiptDays').value, 10) || 0
+        };
+    }
+    return { rule: rule, term: parseInt(document.getElementById('invoiceTerm').value, 10) };
+}
+
+function toggleCustomRate() {
+    const rateType = document.getElementById('rateType').value;
+    document.getElementById('customRateGroup').style.display = rateType === 'custom' ? 'block' : 'none';
+}
+
+/**
+ * Date of a text field "dd.mm.yyyy", or null
+ */
+function parseDateInput(value) {
+    const date = CalendarDates.parse(value);
+    return date ? CalendarDates.toDate(date) : null;
+}
+
+/**
+ * Reminders with a valid date; rows without a date are left out
+ */
+function collectReminders() {
+    const reminders = [];
+    document.querySelectorAll('.reminder-row').forEach(row => {
+        const date = parseDateInput(row.querySelector('.reminder-date').value);
+        const fee = row.querySelector('.reminder-fee').value;
+        if (date) {
+            reminders.push({ date: date, fee: fee ? parseSwissNumber(fee) : 0 });
+        }
+    });
+    return reminders;
+}
+
+// ============================================
+// DUNNING POLICIES
+// ============================================
+
+/**
+ * Policies saved in this browser: [{ name, steps, collectionStep }]
+ */
+function loadSavedPolicies() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('mahnrechner_dunning_policies'));
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Built-in and saved policies, each with the value of its option
+ */
+function getPolicies(lang) {
+    return [
+        ...DunningPolicies.DEFAULT_POLICIES.map(policy => ({ ...policy, value: policy.id, label: policy.name[lang], builtIn: true })),
+        ...loadSavedPolicies().map(policy => ({ ...policy, value: 'saved:' + policy.name, label: policy.name, builtIn: false }))
+    ];
+}
+
+function getSelectedPolicy() {
+    const lang = document.documentElement.lang || 'de';
+    const policies = getPolicies(lang);
+    const select = document.getElementById('dunningPolicy');
+    return policies.find(policy => policy.value === select.value) || policies[0];
+}
+
+function fillPolicySelect(selected) {
+    const lang = document.documentElement.lang || 'de';
+    const select = document.getElementById('dunningPolicy');
+    select.innerHTML = '';
+    getPolicies(lang).forEach(policy => {
+        const option = document.createElement('option');
+        option.value = policy.value;
+        option.textContent = policy.label;
+        select.appendChild(option);
+    });
+    if ([...select.options].some(option => option.value === selected)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Show the chosen policy in the editor; it also gives the fees of new reminder rows
+ */
+function selectDunningPolicy() {
+    const policy = getSelectedPolicy();
+    localStorage.setItem('mahnrechner_dunning_policy', policy.value);
+
+    document.getElementById('policyName').value = policy.builtIn ? '' : policy.name;
+    document.getElementById('policyCollection').value = policy.collectionStep;
+    document.getElementById('policyStepsContainer').innerHTML = '';
+    policy.steps.forEach(step => addPolicyStep(step.days, step.fee));
+    document.getElementById('policyPlanInfo').textContent = '';
+}
+
+/**
+ * Add a step to the policy editor
+ * @param {number} days - Days after the due date or the previous reminder
+ * @param {number} fee - Reminder fee in CHF
+ */
+function addPolicyStep(days, fee) {
+    const lang = document.documentElement.lang || 'de';
+    const labels = getMahnLabels(lang);
+    const container = document.getElementById('policyStepsContainer');
+    const number = container.children.length + 1;
+
+    const row = document.createElement('div');
+    row.className = 'policy-step';
+    row.innerHTML = `
+        <div class="form-group">
+            <div class="reminder-number">${getReminderName(number, lang)}</div>
+            <label>${number === 1 ? labels.policyDaysFirst : labels.policyDaysNext}</label>
+            <input type="number" class="policy-days" min="0" step="1" value="${days !== undefined ? days : 14}">
+        </div>
+        <div class="form-group">
+            <label>${labels.fee}</label>
+            <div class="currency-input-wrapper">
+                <input type="text" class="policy-fee" value="${formatNumber(fee !== undefined ? fee : 0, 2)}">
+            </div>
+        </div>
+        <button type="button" class="remove-reminder" onclick="removePolicyStep(this)">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    container.appendChild(row);
+}
+
+function removePolicyStep(button) {
+    const lang = document.documentElement.lang || 'de';
+    const labels = getMahnLabels(lang);
+    button.closest('.policy-step').remove();
+
+    document.querySelectorAll('.policy-step').forEach((row, i) => {
+        row.querySelector('.reminder-number').textContent = getReminderName(i + 1, lang);
+        row.querySelector('label').textContent = i === 0 ? labels.policyDaysFirst : labels.policyDaysNext;
+    });
+}
+
+/**
+ * Policy as entered in the editor, validated by DunningPolicies.validate
+ */
+function collectPolicy() {
+    const steps = [...document.querySelectorAll('.policy-step')].map(row => ({
+        days: Number(row.querySelector('.policy-days').value),
+        fee: parseSwissNumber(row.querySelector('.policy-fee').value || '0')
+    }));
+    return DunningPolicies.validate({
+        name: document.getElementById('policyName').value || getSelectedPolicy().label,
+        steps: steps,
+        collectionStep: document.getElementById('policyCollection').value
+    });
+}
+
+function saveDunningPolicy() {
+    const lang = document.documentElement.lang || 'de';
+    const labels = getMahnLabels(lang);
+    if (!document.getElementById('policyName').value.trim()) {
+        alert(labels.invalidPolicyName);
+        return;
+    }
+    const policy = collectPolicy();
+    if (policy.error) {
+        alert(labels.policyErrors[policy.error] || policy.error);
+        return;
+    }
+
+    // A policy with the same name is replaced
+    const saved = loadSavedPolicies().filter(entry => entry.name !== policy.name);
+    saved.push(policy);
+    localStorage.setItem('mahnrechner_dunning_policies', JSON.stringify(saved));
+    fillPolicySelect('saved:' + policy.name);
+    selectDunningPolicy();
+}
+
+function deleteDunningPolicy() {
+    const lang = document.documentElement.lang || 'de';
+    const policy = getSelectedPolicy();
+    if (policy.builtIn) {
+        alert(getMahnLabels(lang).builtInPolicy);
+        return;
+    }
+    localStorage.setItem('mahnrechner_dunning_policies',
+        JSON.stringify(loadSavedPolicies().filter(entry => entry.name !== policy.name)));
+    fillPolicySelect(DunningPolicies.DEFAULT_POLICIES[0].id);
+    selectDunningPolicy();
+}
+
+/**
+ * Fill the reminder rows from the policy in the editor, counted from the due
+ * date of the invoice (fixed due date or invoice date + payment term)
+ */
+function planReminders() {
+    const lang = document.documentElement.lang || 'de';
+    const labels = getMahnLabels(lang);
+    const canton = document.getElementById('canton').value;
+
+    const policy = collectPolicy();
+    if (policy.error) {
+        alert(labels.policyErrors[policy.error] || policy.error);
+        return;
+    }
+
+    let dueDate = null;
+    if (document.getElementById('defaultRule').value === 'dueDate') {
+        const date = parseDateInput(document.getElementById('dueDate').value);
+        dueDate = date ? calculatePaymentDeadline(date, 0, { canton: canton }).deadline : null;
+    } else {
+        const invoiceDate = parseDateInput(document.getElementById('invoiceDate').value);
+        const term = parseInt(document.getElementById('invoiceTerm').value, 10);
+        dueDate = invoiceDate && term >= 0 ? calculatePaymentDeadline(invoiceDate, term, { canton: canton }).deadline : null;
+    }
+    if (!dueDate) {
+        alert(labels.invalidPlanDates);
+        return;
+    }
+
+    const plan = DunningPolicies.plan(policy, dueDate, { canton: canton });
+    if (plan.error) {
+        alert(labels.policyErrors[plan.error] || plan.error);
+        return;
+    }
+    setReminders(plan.reminders);
+    document.getElementById('collectionSteps').value = plan.collectionStep;
+
+    const shifted = plan.reminders
+        .map((reminder, i) => reminder.shifted ? getReminderName(i + 1, lang) : null)
+        .filter(name => name);
+    document.getElementById('policyPlanInfo').textContent = labels.policyPlanned(plan.reminders.length, CalendarDates.format(dueDate), shifted);
+}
+
+// ============================================
+// CALCULATION AND RESULT
+// ============================================
+
+document.getElementById('mahnForm').addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const lang = document.documentElement.lang || 'de';
+    const labels = getMahnLabels(lang);
+
+    const principal = parseSwissNumber(document.getElementById('principal').value);
+    const invoiceDate = parseDateInput(document.getElementById('invoiceDate').value);
+    const endDate = parseDateInput(document.getElementById('endDate').value);
+    const rateType = document.getElementById('rateType').value;
+    const rate = rateType === 'custom' ? parseFloat(document.getElementById('customRate').value) : 5;
+    const paymentTerm = parseInt(document.getElementById('reminderTerm').value, 10);
+
+    if (isNaN(principal) || principal <= 0) {
+        alert(labels.invalidAmount);
+        return;
+    }
+    if (!invoiceDate || !endDate) {
+        alert(labels.invalidDates);
+        return;
+    }
+    if (isNaN(paymentTerm) || paymentTerm < 0) {
+        alert(labels.invalidTerm);
+        return;
+    }
+    if (isNaN(rate) || rate <= 0) {
+        alert(labels.invalidRate);
+        return;
+    }
+
+    const reminders = collectReminders();
+    if (reminders.some(reminder => isNaN(reminder.fee) || reminder.fee < 0)) {
+        alert(labels.invalidAmount);
+        return;
+    }
+
+    const defaultStart = collectDefaultStart();
+    if (defaultStart.rule === 'invoiceTerm' && !(defaultStart.term >= 0)) {
+        alert(labels.invalidTerm);
+        return;
+    }
+    if (defaultStart.rule === 'dueDate' && !defaultStart.dueDate) {
+        alert(labels.invalidDueDate);
+        return;
+    }
+    if (defaultStart.rule === 'reminder' && !reminders[defaultStart.reminder - 1]) {
+        alert(labels.invalidReminder);
+        return;
+    }
+
+    const result = calculateReminderClaim(principal, invoiceDate, endDate, reminders, rate, {
+        canton: document.getElementById('canton').value,
+        paymentTerm: paymentTerm,
+        collectionStep: document.getElementById('collectionSteps').value,
+        rounding: {
+            mode: document.getElementById('rounding').value,
+            cashRounding: document.getElementById('cashRounding').checked
+        },
+        defaultStart: defaultStart
+    });
+    if (result.error) {
+        alert(result.error);
+        return;
+    }
+
+    displayMahnResult(result, lang);
+});
+
+function displayMahnResult(result, lang) {
+    // Daten für PDF-Export und Kopieren speichern
+    lastMahnData = result;
+
+    const labels = getMahnLabels(lang);
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const row = (label, value, style = '') => `
+            <tr>
+                <td${style}>${label}:</td>
+                <td class="amount">${value}</td>
+            </tr>`;
+    const indent = ' style="padding-left: 20px;"';
+
+    let html = `
+        <h3>${labels.summary}</h3>
+        <table class="result-table">
+            ${row(labels.principal, formatCHF(result.principal))}
+    `;
+
+    if (result.reminders.length > 0) {
+        html += `
+            <tr>
+                <td colspan="2" style="padding-top: 10px;"><strong>${labels.reminderFees}:</strong></td>
+            </tr>
+        `;
+        result.reminders.forEach((reminder, i) => {
+            if (reminder.fee > 0) {
+                html += row(`${getReminderName(i + 1, lang)} (${reminder.date.toLocaleDateString(locale)}, ${labels.deadline} ${reminder.deadline.toLocaleDateString(locale)})`,
+                    formatCHF(reminder.fee), indent);
+            }
+        });
+        html += row(`<strong>${labels.totalFees}</strong>`, `<strong>${formatCHF(result.totalFees)}</strong>`, indent);
+    }
+
+    html += `
+            <tr>
+                <td colspan="2" style="padding-top: 10px;"><strong>${labels.interest}:</strong></td>
+            </tr>
+            <tr>
+                <td${indent}>${labels.rule}:</td>
+                <td>${labels.rules[result.defaultStart.rule](result, date => date.toLocaleDateString(locale))}</td>
+            </tr>
+            <tr>
+                <td${indent}>${labels.startDate}:</td>
+                <td>${result.startDate.toLocaleDateString(locale)}${result.dueDateShifted ? `<br><small>${labels.dueDateShifted} ${result.dueDate.toLocaleDateString(locale)} (${lang === 'fr' ? 'CO art. 78' : 'OR Art. 78'})</small>` : ''}</td>
+            </tr>
+            <tr>
+                <td${indent}>${labels.rate}:</td>
+                <td>${result.interestRate}% p.a.</td>
+            </tr>
+            <tr>
+                <td${indent}>${labels.period}:</td>
+                <td>${result.days} ${labels.days}</td>
+            </tr>
+            ${row(labels.interest, formatCHF(result.interest), indent)}
+            ${result.cashRoundingDifference !== 0 ? row(labels.cashRounding, formatSignedCHF(result.cashRoundingDifference)) : ''}
+            <tr class="result-total">
+                <td><strong>${labels.total}:</strong></td>
+                <td class="amount"><strong>${formatCHF(result.total)}</strong></td>
+            </tr>
+        </table>
+    `;
+
+    // Betreibungskosten nach GebV SchKG, bemessen an der Gesamtforderung
+    const fees = result.collectionFees;
+    if (fees) {
+        html += `
+        <h3>${labels.collectionFees}</h3>
+        <table class="result-table">
+            ${fees.lines.map(line => row(`${line.name[lang]} <small>(${line.article[lang]})</small>`, formatCHF(line.fee))).join('')}
+            <tr class="result-total">
+                <td><strong>${labels.totalCollectionFees}:</strong></td>
+                <td class="amount"><strong>${formatCHF(fees.total)}</strong></td>
+            </tr>
+        </table>
+        <p><small>${labels.collectionNote(fees.claim)} ${labels.collectionAdvance}</small></p>
+        `;
+    }
+
+    document.querySelector('.result-summary').innerHTML = html;
+    document.getElementById('result').style.display = 'block';
+    document.getElementById('result').scrollIntoView({ behavior: 'smooth' });
+}
+
+// ============================================
+// PRINT, PDF AND CLIPBOARD
+// ============================================
+
+function printResult() {
+    const lang = document.documentElement.lang || 'de';
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    document.getElementById('printDate').textContent = getMahnLabels(lang).printDate + new Date().toLocaleDateString(locale);
+    window.print();
+}
+
+function exportPDF() {
+    const lang = document.documentElement.lang || 'de';
+    if (!lastMahnData) {
+        alert(getMahnLabels(lang).noResult);
+        return;
+    }
+    const bill = QrBillForm.read(lastMahnData.total, 'CHF');
+    if (bill && bill.error) {
+        alert(QrBillForm.getErrorText(bill, lang));
+        return;
+    }
+    if (typeof MahnrechnerPdfExport !== 'undefined') {
+        MahnrechnerPdfExport.generatePDF(lastMahnData, lang, bill);
+    } else {
+        printResult();
+    }
+}
+
+function copyMahnResult() {
+    if (!lastMahnData) return;
+
+    const lang = document.documentElement.lang || 'de';
+    const labels = getMahnLabels(lang);
+    const locale = lang === 'fr' ? 'fr-CH' : 'de-CH';
+    const d = lastMahnData;
+
+    const lines = [labels.title, `${labels.principal}: ${formatCHF(d.principal)}`];
+    if (d.reminders.length > 0) {
+        lines.push('', `${labels.reminderFees}:`);
+        d.reminders.forEach((reminder, i) => {
+            if (reminder.fee > 0) {
+                lines.push(`  ${getReminderName(i + 1, lang)} (${labels.deadline} ${reminder.deadline.toLocaleDateString(locale)}): ${formatCHF(reminder.fee)}`);
+            }
+        });
+        lines.push(`  ${labels.totalFees}: ${formatCHF(d.totalFees)}`);
+    }
+    lines.push('', `${labels.interest}:`,
+        `  ${labels.rateShort}: ${d.interestRate}% p.a.`,
+        `  ${labels.rule}: ${labels.rules[d.defaultStart.rule](d, date => date.toLocaleDateString(locale))}`,
+        `  ${labels.startDate}: ${d.startDate.toLocaleDateString(locale)}${d.dueDateShifted ? ` (${labels.dueDateShiftedText})` : ''}`,
+        `  ${labels.period}: ${d.days} ${labels.days}`,
+        `  ${labels.interest}: ${formatCHF(d.interest)}`);
+    if (d.cashRoundingDifference !== 0) {
+        lines.push(`${labels.cashRounding}: ${formatSignedCHF(d.cashRoundingDifference)}`);
+    }
+    lines.push('', `${labels.total}: ${formatCHF(d.total)}`);
+    if (d.collectionFees) {
+        lines.push('', `${labels.collectionFees}:`);
+        d.collectionFees.lines.forEach(line => {
+            lines.push(`  ${line.name[lang]} (${line.article[lang]}): ${formatCHF(line.fee)}`);
+        });
+        lines.push(`  ${labels.totalCollectionFees}: ${formatCHF(d.collectionFees.total)}`);
+        lines.push(`  ${labels.collectionNote(d.collectionFees.claim)}`);
+    }
+    lines.push('', labels.footer);
+
+    const button = document.querySelector('.copy-btn');
+    ClipboardUtils.copy(lines.join('\n')).then(success => {
+        ClipboardUtils.showFeedback(button, success);
+    });
+}
+
+// ============================================
+// REMINDER LETTER (MAHNSCHREIBEN)
+// ============================================
+
+/**
+ * localStorage key of the adjusted template of a reminder level
+ */
+function getLetterTemplateKey(lang, level) {
+    return `mahnrechner_letter_template_${lang}_${level}`;
+}
+
+/**
+ * Show the template of the chosen level: the adjusted one or the standard text
+ */
+function loadLetterTemplate() {
+    const lang = document.documentElement.lang || 'de';
+    const level = document.getElementById('letterLevel').value;
+    document.getElementById('letterTemplate').value = localStorage.getItem(getLetterTemplateKey(lang, level)) ||
+        ReminderLetter.getTexts(lang).templates[level];
+}
+
+function saveLetterTemplate() {
+    const lang = document.documentElement.lang || 'de';
+    const level = document.getElementById('letterLevel').value;
+    localStorage.setItem(getLetterTemplateKey(lang, level), document.getElementById('letterTemplate').value);
+}
+
+function resetLetterTemplate() {
+    const lang = document.documentElement.lang || 'de';
+    localStorage.removeItem(getLetterTemplateKey(lang, document.getElementById('letterLevel').value));
+    loadLetterTemplate();
+}
+
+function exportLetter() {
+    const lang = document.documentElement.lang || 'de';
+    const labels = getMahnLabels(lang);
+    if (!lastMahnData) {
+        alert(labels.noResult);
+        return;
+    }
+
+    const creditor = document.getElementById('letterCreditor').value;
+    const debtor = document.getElementById('letterDebtor').value;
+    const term = parseInt(document.getElementById('letterTerm').value, 10);
+    const level = document.getElementById('letterLevel').value;
+    if (!creditor.trim() || !debtor.trim()) {
+        alert(labels.invalidAddresses);
+        return;
+    }
+    if (!ReminderLetter.LEVELS.includes(level)) {
+        alert(labels.invalidLetterLevel);
+        return;
+    }
+
+    // New deadline from today, moved to a business day at the place of performance
+    const today = CalendarDates.toDate(CalendarDates.from(new Date()));
+    const deadline = calculatePaymentDeadline(today, term, { canton: lastMahnData.canton });
+    if (deadline.error) {
+        alert(labels.invalidLetterTerm);
+        return;
+    }
+    const letter = ReminderLetter.build(lastMahnData, {
+        creditor: creditor,
+        debtor: debtor,
+        reference: document.getElementById('letterReference').value,
+        place: document.getElementById('letterPlace').value,
+        date: today,
+        level: level,
+        deadline: deadline.deadline,
+        template: document.getElementById('letterTemplate').value
+    }, lang);
+    if (letter.error) {
+        alert(letter.error);
+        return;
+    }
+    const bill = QrBillForm.read(lastMahnData.total, 'CHF');
+    if (bill && bill.error) {
+        alert(QrBillForm.getErrorText(bill, lang));
+        return;
+    }
+
+    // The sender stays the same for the next letters
+    localStorage.setItem('mahnrechner_letter_creditor', creditor);
+
+    if (typeof MahnrechnerPdfExport !== 'undefined') {
+        MahnrechnerPdfExport.generateLetter(letter, lang, bill);
+    }
+}
+
+// ============================================
+// SHARE LINK AND URL PARAMETERS
+// ============================================
+
+/**
+ * Copy a link that rebuilds the calculation: invoice amount (p), invoice date (f),
+ * end date (e), rate (r) and the reminders as "date:fee;date:fee" (mg)
+ */
+function shareMahnResult() {
+    if (!lastMahnData) return;
+
+    const d = lastMahnData;
+    const formatDate = (date) => CalendarDates.format(date);
+    const params = {
+        p: d.principal,
+        f: formatDate(d.invoiceDate),
+        e: formatDate(d.endDate),
+        r: d.interestRate,
+        mg: formatReminderParam(d.reminders)
+    };
+
+    // Rule for the start of default with its own fields
+    Object.assign(params, formatDefaultStartParams(d.defaultStart));
+
+    // Settings only when they differ from the defaults
+    if (d.canton) {
+        params.ka = d.canton;
+    }
+    if (d.paymentTerm !== 10) {
+        params.zf = d.paymentTerm;
+    }
+    if (d.collectionStep) {
+        params.bk = d.collectionStep;
+    }
+    if (d.rounding.mode !== 'line') {
+        params.rd = d.rounding.mode;
+    }
+    if (d.rounding.cashRounding) {
+        params.c5 = 1;
+    }
+
+    const button = document.querySelector('.share-btn');
+    ShareUtils.shareUrl(params, button);
+}
+
+function loadFromUrlParams() {
+    const params = UrlParams.getAll();
+
+    // Dates are plain calendar dates "dd.mm.yyyy"; invalid dates are ignored
+    const invoiceDate = parseDateInput(params.f);
+    const endDate = parseDateInput(params.e);
+    const principal = parseFloat(params.p);
+
+    if (!isNaN(principal)) {
+        document.getElementById('principal').value = formatNumber(principal, 2);
+    }
+    if (invoiceDate) {
+        document.getElementById('invoiceDate')._flatpickr.setDate(invoiceDate, false);
+    }
+    if (endDate) {
+        document.getElementById('endDate')._flatpickr.setDate(endDate, false);
+    }
+
+    const rate = parseFloat(params.r);
+    if (!isNaN(rate)) {
+        document.getElementById('rateType').value = rate === 5 ? '5' : 'custom';
+        document.getElementById('customRate').value = rate === 5 ? '' : rate;
+        toggleCustomRate();
+    }
+
+    if (params.mg !== undefined) {
+        setReminders(parseReminderParam(params.mg));
+    }
+
+    const selects = { ka: 'canton', bk: 'collectionSteps', rd: 'rounding' };
+    Object.entries(selects).forEach(([key, id]) => {
+        const select = document.getElementById(id);
+        if (params[key] && [...select.options].some(option => option.value === params[key])) {
+            select.value = params[key];
+        }
+    });
+    if (parseInt(params.zf, 10) >= 0) {
+        document.getElementById('reminderTerm').value = parseInt(params.zf, 10);
+    }
+
+    // Rule for the start of default with its own fields
+    const defaultStart = parseDefaultStartParams(params);
+    if (defaultStart.rule) {
+        document.getElementById('defaultRule').value = defaultStart.rule;
+    }
+    const numbers = { term: 'invoiceTerm', reminder: 'defaultReminder', receiptDays: 'receiptDays' };
+    Object.entries(numbers).forEach(([field, id]) => {
+        if (defaultStart[field] !== undefined) {
+            document.getElementById(id).value = defaultStart[field];
+        }
+    });
+    if (defaultStart.dueDate) {
+        document.getElementById('dueDate')._flatpickr.setDate(defaultStart.dueDate, false);
+    }
+    toggleDefaultRule();
+    document.getElementById('cashRounding').checked = params.c5 === '1';
+
+    // Auto-calculate if all parameters present
+    if (!isNaN(principal) && invoiceDate && endDate) {
+        setTimeout(() => {
+            document.getElementById('mahnForm').dispatchEvent(new Event('submit'));
+        }, 100);
+    }
+}
+
+// ============================================
+// INITIALISATION AND DISCLAIMER
+// ============================================
+
+document.addEventListener('DOMContentLoaded', function() {
+    const lang = document.documentElement.lang || 'de';
+
+    flatpickr("#invoiceDate", { dateFormat: "d.m.Y", allowInput: true });
+    flatpickr("#endDate", { dateFormat: "d.m.Y", allowInput: true, defaultDate: "today" });
+    flatpickr("#reminderDate1", { dateFormat: "d.m.Y", allowInput: true });
+    flatpickr("#dueDate", { dateFormat: "d.m.Y", allowInput: true });
+
+    const cantonSelect = document.getElementById('canton');
+    SwissHolidays.CANTONS.forEach(canton => {
+        const option = document.createElement('option');
+        option.value = canton;
+        option.textContent = `${canton} - ${SwissHolidays.getCantonName(canton, lang)}`;
+        cantonSelect.appendChild(option);
+    });
+
+    // The chosen dunning policy gives the fees of the reminder rows
+    fillPolicySelect(localStorage.getItem('mahnrechner_dunning_policy'));
+    selectDunningPolicy();
+    document.getElementById('reminderFee1').value = formatNumber(DunningPolicies.getFee(getSelectedPolicy(), 1), 2);
+
+    document.getElementById('letterCreditor').value = localStorage.getItem('mahnrechner_letter_creditor') || '';
+    loadLetterTemplate();
+    QrBillForm.load();
+
+    loadFromUrlParams();
+
+    if (!localStorage.getItem('mahnrechner_disclaimer_accepted')) {
+        document.getElementById('disclaimerModal').style.display = 'flex';
+    }
+});
+
+function acceptDisclaimer() {
+    document.getElementById('disclaimerModal').style.display = 'none';
+    localStorage.setItem('mahnrechner_disclaimer_accepted', 'true');
+}
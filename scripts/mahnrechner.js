@@ -0,0 +1,246 @@
+/**
+ * Mahnrechner - Calculation
+ * Claim of a creditor after reminders (Mahnungen): invoice amount, reminder fees
+ * with their payment deadlines, default interest (via calculations.js) and,
+ * optionally, the fees of a Betreibung (via debt-collection.js).
+ * The function is pure; the DE and FR pages only collect the form and render it.
+ */
+
+if (typeof require === 'function' && typeof calculateDefaultInterest === 'undefined') {
+    const calculations = require('./calculations.js');
+    globalThis.calculateDefaultInterest = calculations.calculateDefaultInterest;
+    globalThis.calculateDefaultStart = calculations.calculateDefaultStart;
+    globalThis.calculatePaymentDeadline = calculations.calculatePaymentDeadline;
+}
+if (typeof require === 'function' && typeof CalendarDates === 'undefined') {
+    globalThis.CalendarDates = require('./dates.js').CalendarDates;
+}
+if (typeof require === 'function' && typeof Money === 'undefined') {
+    globalThis.Money = require('./money.js').Money;
+}
+if (typeof require === 'function' && typeof DebtCollectionFees === 'undefined') {
+    globalThis.DebtCollectionFees = require('./debt-collection.js').DebtCollectionFees;
+}
+
+/**
+ * Rules for the start of default (Verzugsbeginn)
+ * - invoiceTerm: invoice date plus a payment term in days, e.g. "30 days net" (OR Art. 102 Abs. 2)
+ * - dueDate: due date fixed in the contract (OR Art. 102 Abs. 2)
+ * - reminder: receipt of the first or a chosen reminder (OR Art. 102 Abs. 1)
+ */
+const DEFAULT_START_RULES = ['invoiceTerm', 'dueDate', 'reminder'];
+
+/**
+ * Calculate the claim after reminders
+ * Default begins on the day after the due date or the receipt of the reminder
+ * chosen by the rule. A due date on a Saturday, Sunday or public holiday first
+ * moves to the next business day (OR Art. 78 Abs. 1); receipt is a fact and is
+ * not moved. Before that day no interest accrues.
+ * @param {number} principal - Invoice amount in CHF
+ * @param {Date} invoiceDate - Invoice (due) date
+ * @param {Date} endDate - End date of the interest calculation
+ * @param {Array<{date: Date, fee: number}>} reminders - Reminders in the order sent
+ * @param {number} interestRate - Annual interest rate (default 5% per OR Art. 104)
+ * @param {Object} options - { canton: place of performance for cantonal holidays,
+ *                            paymentTerm: days until the deadline of each reminder (default 10),
+ *                            collectionStep: 'seizure'|'bankruptcyNotice' to add the Betreibung fees,
+ *                            rounding: { mode, cashRounding }, see money.js,
+ *                            defaultStart: { rule: see DEFAULT_START_RULES (default invoiceTerm),
+ *                                            term: payment term of the invoice in days (default 0),
+ *                                            dueDate: fixed due date,
+ *                                            reminder: number of the reminder, 1 for the first (default 1),
+ *                                            receiptDays: days from the reminder date to its receipt (default 0) } }
+ * @returns {Object} { principal, invoiceDate, endDate, reminders: [{ date, fee, deadline }],
+ *                    totalFees, interestRate, canton, paymentTerm,
+ *                    defaultStart: { rule, term, reminder, receiptDays, eventDate, legalBasis },
+ *                    dueDate, dueDateShifted, startDate, days,
+ *                    interest, rounding, cashRoundingDifference, total, collectionStep, collectionFees } or { error }
+ */
+function calculateReminderClaim(principal, invoiceDate, endDate, reminders = [], interestRate = 5, options = {}) {
+    const canton = options.canton || null;
+    const paymentTerm = options.paymentTerm !== undefined ? options.paymentTerm : 10;
+    const rounding = Money.getPolicy(options.rounding);
+    const rule = Object.assign({ rule: 'invoiceTerm', term: 0, reminder: 1, receiptDays: 0 }, options.defaultStart);
+
+    if (!(principal > 0)) {
+        return { error: 'Invoice amount must be positive' };
+    }
+    if (!(invoiceDate instanceof Date) || isNaN(invoiceDate) || !(endDate instanceof Date) || isNaN(endDate)) {
+        return { error: 'Invoice date and end date are required' };
+    }
+    if (!(interestRate > 0)) {
+        return { error: 'Interest rate must be positive' };
+    }
+    if (rounding.error) {
+        return { error: rounding.error };
+    }
+    for (const reminder of reminders) {
+        if (!(reminder.date instanceof Date) || isNaN(reminder.date) || typeof reminder.fee !== 'number' || !(reminder.fee >= 0)) {
+            return { error: 'Reminders need a valid date and a non-negative fee' };
+        }
+    }
+
+    if (!DEFAULT_START_RULES.includes(rule.rule)) {
+        return { error: 'Unknown rule for the start of default' };
+    }
+    if (rule.rule === 'invoiceTerm' && (!Number.isInteger(rule.term) || rule.term < 0)) {
+        return { error: 'Payment term must be a whole number of days' };
+    }
+    if (rule.rule === 'dueDate' && (!(rule.dueDate instanceof Date) || isNaN(rule.dueDate))) {
+        return { error: 'Due date is required' };
+    }
+    if (rule.rule === 'reminder' && !reminders[rule.reminder - 1]) {
+        return { error: 'No reminder with this number' };
+    }
+    if (rule.rule === 'reminder' && (!Number.isInteger(rule.receiptDays) || rule.receiptDays < 0)) {
+        return { error: 'Receipt of the reminder must be a whole number of days after its date' };
+    }
+
+    // Payment deadline of every reminder, moved to a business day (OR Art. 78)
+    const reminderLines = [];
+    for (const reminder of reminders) {
+        const deadline = calculatePaymentDeadline(reminder.date, paymentTerm, { canton: canton });
+        if (deadline.error) {
+            return { error: deadline.error };
+        }
+        reminderLines.push({ date: reminder.date, fee: reminder.fee, deadline: deadline.deadline });
+    }
+    const totalFees = reminderLines.reduce((sum, reminder) => sum + Money.toRappen(reminder.fee), 0);
+
+    // Default begins on the day after the due date or the receipt of the reminder
+    let eventDate;
+    if (rule.rule === 'invoiceTerm') {
+        eventDate = CalendarDates.toDate(CalendarDates.addDays(invoiceDate, rule.term));
+    } else if (rule.rule === 'dueDate') {
+        eventDate = rule.dueDate;
+    } else {
+        eventDate = CalendarDates.toDate(CalendarDates.addDays(reminders[rule.reminder - 1].date, rule.receiptDays));
+    }
+    const defaultStart = calculateDefaultStart(rule.rule === 'reminder' ? 'reminder' : 'dueDate', eventDate, { canton: canton });
+    const startDate = defaultStart.startDate;
+    let days = 0;
+    let interest = 0;
+    if (CalendarDates.compare(startDate, endDate) < 0) {
+        const result = calculateDefaultInterest(principal, startDate, endDate, interestRate, { rounding: { mode: rounding.mode } });
+        days = result.days;
+        interest = result.interest;
+    }
+
+    const settled = Money.settle(Money.toRappen(principal) + totalFees + Money.toRappen(interest), rounding);
+    const total = Money.toCHF(settled.amount);
+
+    // Fees of the debt collection office, assessed on the total claim
+    let collectionFees = null;
+    if (options.collectionStep) {
+        collectionFees = DebtCollectionFees.calculate(total, ['paymentOrder', options.collectionStep]);
+        if (collectionFees.error) {
+            return { error: collectionFees.error };
+        }
+    }
+
+    return {
+        principal: principal,
+        invoiceDate: invoiceDate,
+        endDate: endDate,
+        reminders: reminderLines,
+        totalFees: Money.toCHF(totalFees),
+        interestRate: interestRate,
+        canton: canton,
+        paymentTerm: paymentTerm,
+        defaultStart: {
+            rule: rule.rule,
+            term: rule.rule === 'invoiceTerm' ? rule.term : null,
+            reminder: rule.rule === 'reminder' ? rule.reminder : null,
+            receiptDays: rule.rule === 'reminder' ? rule.receiptDays : null,
+            eventDate: eventDate,
+            legalBasis: defaultStart.legalBasis
+        },
+        dueDate: defaultStart.dueDate,
+        dueDateShifted: defaultStart.skippedDays.length > 0,
+        startDate: startDate,
+        days: days,
+        interest: interest,
+        rounding: rounding,
+        cashRoundingDifference: Money.toCHF(settled.difference),
+        total: total,
+        collectionStep: options.collectionStep || null,
+        collectionFees: collectionFees
+    };
+}
+
+/**
+ * Reminders of the share link as "dd.mm.yyyy:fee;dd.mm.yyyy:fee" (parameter mg)
+ * @param {Array<{date: Date, fee: number}>} reminders - Reminders in order
+ * @returns {string} Parameter value, empty without reminders
+ */
+function formatReminderParam(reminders) {
+    return reminders.map(reminder => `${CalendarDates.format(reminder.date)}:${reminder.fee}`).join(';');
+}
+
+/**
+ * Reminders from the share link; entries with an invalid date or fee are skipped
+ * @param {string} value - Parameter value "dd.mm.yyyy:fee;..."
+ * @returns {Array<{date: Date, fee: number}>} Reminders in order
+ */
+function parseReminderParam(value) {
+    return value.split(';')
+        .map(entry => entry.split(':'))
+        .map(([date, fee]) => {
+            const parsed = CalendarDates.parse(date);
+            return { date: parsed ? CalendarDates.toDate(parsed) : null, fee: parseFloat(fee) };
+        })
+        .filter(reminder => reminder.date && !isNaN(reminder.fee));
+}
+
+/**
+ * Rule for the start of default as share link parameters: the rule (vb) and its
+ * own fields, the payment term (zt), the due date (vt) or the reminder (vm) with
+ * the days until receipt (zg)
+ * @param {Object} defaultStart - defaultStart of a calculateReminderClaim result
+ * @returns {Object} Parameters
+ */
+function formatDefaultStartParams(defaultStart) {
+    if (defaultStart.rule === 'invoiceTerm') {
+        return { vb: defaultStart.rule, zt: defaultStart.term };
+    }
+    if (defaultStart.rule === 'dueDate') {
+        return { vb: defaultStart.rule, vt: CalendarDates.format(defaultStart.eventDate) };
+    }
+    return { vb: defaultStart.rule, vm: defaultStart.reminder, zg: defaultStart.receiptDays };
+}
+
+/**
+ * Rule for the start of default from the share link; only valid fields are
+ * returned: a known rule, whole days from 0 and a valid due date
+ * @param {Object} params - URL parameters
+ * @returns {Object} { rule, term, dueDate, reminder, receiptDays }, each optional
+ */
+function parseDefaultStartParams(params) {
+    const result = {};
+    if (DEFAULT_START_RULES.includes(params.vb)) {
+        result.rule = params.vb;
+    }
+    const numbers = { zt: 'term', vm: 'reminder', zg: 'receiptDays' };
+    Object.entries(numbers).forEach(([key, field]) => {
+        if (parseInt(params[key], 10) >= 0) {
+            result[field] = parseInt(params[key], 10);
+        }
+    });
+    const dueDate = CalendarDates.parse(params.vt);
+    if (dueDate) {
+        result.dueDate = CalendarDates.toDate(dueDate);
+    }
+    return result;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        calculateReminderClaim,
+        DEFAULT_START_RULES,
+        formatReminderParam,
+        parseReminderParam,
+        formatDefaultStartParams,
+        parseDefaultStartParams
+    };
+}
@@ -0,0 +1,93 @@
+/**
+ * Money arithmetic for Swiss Legal Tools
+ * Amounts are calculated in integer Rappen (1/100 CHF) so that sums are exact.
+ * One rounding policy decides where fractions of a Rappen are rounded:
+ * - line:  every line (interest per period, per invoice, ...) is rounded to the Rappen
+ * - total: lines keep their fractions, only the total is rounded
+ * With cash rounding the amount payable is in addition rounded to 5 Rappen.
+ */
+
+const Money = {
+    ROUNDING_MODES: {
+        'line': 'round every line',
+        'total': 'round the total only'
+    },
+
+    DEFAULT_ROUNDING_MODE: 'line',
+
+    /**
+     * Round a Rappen amount to a whole Rappen (commercial rounding, half away from zero)
+     * Fractions are first cut to 6 decimals so that binary noise such as
+     * 12.4999999999 is rounded like the intended 12.5.
+     */
+    round(rappen) {
+        const value = Math.round(Math.abs(rappen) * 1e6) / 1e6;
+        return Math.sign(rappen) * Math.round(value) || 0;
+    },
+
+    /**
+     * Whole Rappen of a CHF amount
+     */
+    toRappen(chf) {
+        return this.round(chf * 100);
+    },
+
+    /**
+     * CHF amount of a Rappen amount
+     */
+    toCHF(rappen) {
+        return rappen / 100;
+    },
+
+    /**
+     * Round a Rappen amount to 5 Rappen (Rappenrundung for cash payments)
+     */
+    roundToFiveRappen(rappen) {
+        return this.round(rappen / 5) * 5;
+    },
+
+    /**
+     * Normalise rounding options to a policy { mode, cashRounding }
+     * @returns {Object} Policy, or { error } for an unknown mode
+     */
+    getPolicy(options = {}) {
+        const mode = options.mode || this.DEFAULT_ROUNDING_MODE;
+        if (!this.ROUNDING_MODES[mode]) {
+            return { error: 'Unknown rounding mode' };
+        }
+        return { mode: mode, cashRounding: !!options.cashRounding };
+    },
+
+    /**
+     * A line amount under the policy: rounded in line mode, exact in total mode
+     */
+    line(rappen, policy) {
+        return policy.mode === 'line' ? this.round(rappen) : rappen;
+    },
+
+    /**
+     * Final amount payable under the policy
+     * @returns {Object} { amount: whole (or 5) Rappen, difference: Rappen added by cash rounding }
+     */
+    settle(rappen, policy) {
+        const rounded = this.round(rappen);
+        const amount = policy.cashRounding ? this.roundToFiveRappen(rounded) : rounded;
+        return { amount: amount, difference: amount - rounded };
+    },
+
+    /**
+     * Format a Rappen amount as "CHF 1'234.55" without floating-point formatting
+     */
+    format(rappen) {
+        const sign = rappen < 0 ? '-' : '';
+        const abs = Math.abs(this.round(rappen));
+        const francs = String(Math.floor(abs / 100)).replace(/\B(?=(\d{3})+(?!\d))/g, "'");
+        const cents = String(abs % 100).padStart(2, '0');
+        return `CHF ${sign}${francs}.${cents}`;
+    }
+};
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Money };
+}
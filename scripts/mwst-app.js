@@ -0,0 +1,967 @@
+/**
+ * MWST-Rechner - Page logic (DE and FR)
+ * Collects the form, calls calculateVat or, for an invoice with several lines,
+ * calculateVatInvoice (mwst.js) with the date or period of the supply and renders
+ * the result, the split at rate changes and the copy text in the language of the page.
+ * The net tax rate mode calls calculateNetTaxRate for a settlement period.
+ */
+
+let mode = 'single';
+let direction = 'gross-to-net';
+let category = 'normal';
+let lastVatResult = null;
+let lastInvoiceResult = null;
+let lastNetTaxRateResult = null;
+let invoiceLineCount = 0;
+
+function getMwstLabels(lang) {
+    return lang === 'fr' ? {
+        grossLabel: 'Montant TTC (CHF)',
+        grossHint: 'Le montant TVA comprise',
+        netLabel: 'Montant HT (CHF)',
+        netHint: 'Le montant hors TVA',
+        invalidDates: 'Veuillez entrer une date de prestation valable (JJ.MM.AAAA).',
+        noLines: 'Veuillez saisir au moins une ligne avec un montant.',
+        errors: {
+            'No VAT rates before 01.01.2001': 'Les taux de TVA ne sont disponibles qu\'à partir du 01.01.2001.',
+            'Service period ends before it starts': 'La fin de la période de prestation précède son début.',
+            'Amount must be positive': 'Veuillez entrer un montant positif.',
+            'Net tax rate must be between 0 and 100 percent': 'Le taux de la dette fiscale nette doit être compris entre 0 et 100 %.',
+            'Input tax must not be negative': 'L\'impôt préalable ne peut pas être négatif.'
+        },
+        invalidActivity: 'Veuillez entrer le chiffre d\'affaires et le taux de la dette fiscale nette de l\'activité.',
+        dateFields: {
+            supply: { start: 'Date de la prestation', end: 'Période de prestation jusqu\'au (facultatif)',
+                startHint: 'Pour une prestation sur une période: premier jour',
+                endHint: 'Si la période couvre un changement de taux, le montant est réparti au prorata temporis.' },
+            settlement: { start: 'Période de décompte du', end: 'au',
+                startHint: 'Premier jour du semestre ou de la période de décompte',
+                endHint: 'Dernier jour; sans date, un seul jour' }
+        },
+        netTaxRateTitle: 'Taux de la dette fiscale nette ou méthode effective',
+        settlementPeriod: 'Période de décompte',
+        activity: 'Activité',
+        netTaxRateMethod: 'Méthode des taux de la dette fiscale nette',
+        effectiveMethod: 'Méthode effective',
+        outputTax: 'Impôt sur le chiffre d\'affaires',
+        inputTax: 'Impôt préalable',
+        taxDue: 'Impôt dû à l\'AFC',
+        netTaxRateTax: 'Impôt au taux de la dette fiscale nette',
+        effectiveTax: 'Impôt selon la méthode effective',
+        difference: 'Différence',
+        conclusion: {
+            netTaxRate: (amount) => `Avec le taux de la dette fiscale nette, l'impôt est inférieur de ${amount} à celui de la méthode effective.`,
+            effective: (amount) => `Avec la méthode effective, l'impôt est inférieur de ${amount} à celui du taux de la dette fiscale nette.`,
+            equal: () => 'Les deux méthodes donnent le même impôt.'
+        },
+        cashRoundingHints: {
+            single: 'Seulement HT → TTC: le montant à payer est arrondi à 5 centimes.',
+            invoice: 'Le total TTC de la facture est arrondi à 5 centimes.'
+        },
+        line: 'Ligne',
+        description: 'Désignation',
+        descriptionPlaceholder: 'p.ex. Conseil',
+        amount: 'Montant (CHF)',
+        entry: 'Montant saisi',
+        entries: { gross: 'TTC', net: 'HT' },
+        category: 'Taux',
+        categories: { normal: 'Taux normal', reduced: 'Taux réduit', accommodation: 'Hébergement' },
+        removeLine: 'Supprimer la ligne',
+        invoiceTitle: 'Calcul de la TVA de la facture',
+        lines: 'Lignes',
+        summary: 'Récapitulatif TVA',
+        totalNet: 'Total HT',
+        totalVat: 'Total TVA',
+        totalGross: 'Total TTC',
+        title: 'Calcul de la TVA',
+        net: 'Montant HT',
+        vat: 'TVA',
+        cashRounding: 'Arrondi à 5 centimes',
+        gross: 'Montant TTC',
+        serviceDate: 'Date de la prestation',
+        servicePeriod: 'Période de prestation',
+        split: 'Répartition au prorata (changement de taux)',
+        days: 'jours',
+        copied: 'Résultat copié!',
+        linkCopied: 'Lien copié!',
+        shareTitle: 'Calcul de la TVA',
+        shareText: 'Calcul de la TVA sur verzugszinsrechner.ch',
+        params: { amount: 'montant', category: 'taux', direction: 'direction', rounding: 'arrondi', date: 'date', end: 'fin', lines: 'lignes',
+            activities: 'tdfn', inputTax: 'impot-prealable' }
+    } : {
+        grossLabel: 'Bruttobetrag (CHF)',
+        grossHint: 'Der Betrag inkl. Mehrwertsteuer',
+        netLabel: 'Nettobetrag (CHF)',
+        netHint: 'Der Betrag exkl. Mehrwertsteuer',
+        invalidDates: 'Bitte geben Sie ein gültiges Leistungsdatum ein (TT.MM.JJJJ).',
+        noLines: 'Bitte erfassen Sie mindestens eine Position mit Betrag.',
+        errors: {
+            'No VAT rates before 01.01.2001': 'MWST-Sätze sind erst ab dem 01.01.2001 hinterlegt.',
+            'Service period ends before it starts': 'Das Ende des Leistungszeitraums liegt vor dessen Beginn.',
+            'Amount must be positive': 'Bitte geben Sie einen positiven Betrag ein.',
+            'Net tax rate must be between 0 and 100 percent': 'Der Saldosteuersatz muss zwischen 0 und 100 % liegen.',
+            'Input tax must not be negative': 'Die Vorsteuer darf nicht negativ sein.'
+        },
+        invalidActivity: 'Bitte geben Sie den Umsatz und den Saldosteuersatz der Tätigkeit ein.',
+        dateFields: {
+            supply: { start: 'Leistungsdatum', end: 'Leistungszeitraum bis (optional)',
+                startHint: 'Bei einer Leistung über einen Zeitraum: erster Tag',
+                endHint: 'Überspannt der Zeitraum eine Satzänderung, wird der Betrag pro rata temporis aufgeteilt.' },
+            settlement: { start: 'Abrechnungsperiode vom', end: 'bis',
+                startHint: 'Erster Tag des Semesters bzw. der Abrechnungsperiode',
+                endHint: 'Letzter Tag; ohne Datum ein einzelner Tag' }
+        },
+        netTaxRateTitle: 'Saldosteuersatz oder effektive Methode',
+        settlementPeriod: 'Abrechnungsperiode',
+        activity: 'Tätigkeit',
+        netTaxRateMethod: 'Saldosteuersatzmethode',
+        effectiveMethod: 'Effektive Methode',
+        outputTax: 'Umsatzsteuer',
+        inputTax: 'Vorsteuer',
+        taxDue: 'Steuer an die ESTV',
+        netTaxRateTax: 'Steuer mit Saldosteuersatz',
+        effectiveTax: 'Steuer nach effektiver Methode',
+        difference: 'Differenz',
+        conclusion: {
+            netTaxRate: (amount) => `Mit Saldosteuersatz ist die Steuer um ${amount} tiefer als nach der effektiven Methode.`,
+            effective: (amount) => `Nach der effektiven Methode ist die Steuer um ${amount} tiefer als mit Saldosteuersatz.`,
+            equal: () => 'Beide Methoden ergeben dieselbe Steuer.'
+        },
+        cashRoundingHints: {
+            single: 'Nur bei Netto → Brutto: der zu zahlende Betrag wird auf 5 Rappen gerundet.',
+            invoice: 'Das Total brutto der Rechnung wird auf 5 Rappen gerundet.'
+        },
+        line: 'Position',
+        description: 'Bezeichnung',
+        descriptionPlaceholder: 'z.B. Beratung',
+        amount: 'Betrag (CHF)',
+        entry: 'Erfasst als',
+        entries: { gross: 'Brutto', net: 'Netto' },
+        category: 'Satz',
+        categories: { normal: 'Normalsatz', reduced: 'Reduzierter Satz', accommodation: 'Beherbergung' },
+        removeLine: 'Position entfernen',
+        invoiceTitle: 'MWST-Berechnung der Rechnung',
+        lines: 'Positionen',
+        summary: 'MWST-Zusammenstellung',
+        totalNet: 'Total netto',
+        totalVat: 'Total MWST',
+        totalGross: 'Total brutto',
+        title: 'MWST-Berechnung',
+        net: 'Nettobetrag',
+        vat: 'MWST',
+        cashRounding: 'Rundung auf 5 Rappen',
+        gross: 'Bruttobetrag',
+        serviceDate: 'Leistungsdatum',
+        servicePeriod: 'Leistungszeitraum',
+        split: 'Aufteilung pro rata (Satzänderung)',
+        days: 'Tage',
+        copied: 'Ergebnis kopiert!',
+        linkCopied: 'Link kopiert!',
+        shareTitle: 'MWST-Berechnung',
+        shareText: 'MWST-Berechnung auf verzugszinsrechner.ch',
+        params: { amount: 'betrag', category: 'satz', direction: 'richtung', rounding: 'rundung', date: 'datum', end: 'bis', lines: 'positionen',
+            activities: 'saldo', inputTax: 'vorsteuer' }
+    };
+}
+
+/**
+ * Amount typed in a field: apostrophes and spaces as thousands separators, comma as decimal point
+ */
+function parseAmount(value) {
+    return parseFloat(value.replace(/['\s]/g, '').replace(',', '.'));
+}
+
+function formatAmount(amount) {
+    return Money.format(Money.toRappen(amount));
+}
+
+function formatRate(rate) {
+    return rate.toFixed(1) + '%';
+}
+
+/**
+ * Distinct rates of a list of periods, e.g. "7.7% / 8.1%"
+ */
+function formatRates(periods) {
+    return [...new Set(periods.map(period => period.rate))].map(formatRate).join(' / ');
+}
+
+/**
+ * Date or period of the supply from the form; an empty end means a single day
+ * @returns {Object|null} { start, end } as calendar dates, or null if a date is invalid
+ */
+function readServicePeriod() {
+    const start = CalendarDates.parse(document.getElementById('serviceDate').value);
+    const endValue = document.getElementById('serviceEnd').value.trim();
+    const end = endValue ? CalendarDates.parse(endValue) : start;
+    return start && end ? { start: start, end: end } : null;
+}
+
+/**
+ * Show the rates of the chosen date or period on the rate cards
+ */
+function updateRateCards() {
+    const period = readServicePeriod() || { start: CalendarDates.today(), end: CalendarDates.today() };
+    document.querySelectorAll('.rate-card').forEach(card => {
+        const periods = getVatRatePeriods(card.dataset.category, period.start, period.end);
+        card.querySelector('.rate-value').textContent = periods.error ? '–' : formatRates(periods);
+    });
+}
+
+function setCategory(value) {
+    category = value;
+    document.querySelectorAll('.rate-card').forEach(card => {
+        card.classList.toggle('active', card.dataset.category === category);
+    });
+}
+
+function setDirection(value) {
+    direction = value;
+    document.querySelectorAll('.direction-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.direction === direction);
+    });
+    updateLabels();
+}
+
+function updateLabels() {
+    const labels = getMwstLabels(document.documentElement.lang || 'de');
+    const gross = direction === 'gross-to-net';
+    document.getElementById('amountLabel').innerHTML = gross ? labels.grossLabel : labels.netLabel;
+    document.getElementById('amountHint').textContent = gross ? labels.grossHint : labels.netHint;
+}
+
+/**
+ * Switch between a single amount, an invoice with several lines and the net tax rate method
+ * @param {string} value - 'single', 'invoice' or 'netTaxRate'
+ */
+function setMode(value) {
+    const labels = getMwstLabels(document.documentElement.lang || 'de');
+    mode = value;
+    const single = mode === 'single';
+    document.querySelectorAll('.mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    document.getElementById('singleSettings').style.display = single ? '' : 'none';
+    document.getElementById('amountGroup').style.display = single ? '' : 'none';
+    document.getElementById('amount').required = single;
+    document.getElementById('invoiceLines').style.display = mode === 'invoice' ? '' : 'none';
+    document.getElementById('netTaxRateFields').style.display = mode === 'netTaxRate' ? '' : 'none';
+    document.getElementById('cashRoundingGroup').style.display = mode === 'netTaxRate' ? 'none' : '';
+    if (mode !== 'netTaxRate') {
+        document.getElementById('cashRoundingHint').textContent = labels.cashRoundingHints[mode];
+    }
+
+    // The dates are the supply in the calculator modes, the settlement period with net tax rates
+    const dateFields = labels.dateFields[mode === 'netTaxRate' ? 'settlement' : 'supply'];
+    document.getElementById('serviceDateLabel').textContent = dateFields.start;
+    document.getElementById('serviceEndLabel').textContent = dateFields.end;
+    document.getElementById('serviceDateHint').textContent = dateFields.startHint;
+    document.getElementById('serviceEndHint').textContent = dateFields.endHint;
+
+    document.getElementById('result').style.display = 'none';
+    document.getElementById('invoiceResult').style.display = 'none';
+    document.getElementById('netTaxRateResult').style.display = 'none';
+}
+
+// ============================================
+// INVOICE LINES
+// ============================================
+
+/**
+ * Add an invoice line, optionally prefilled (from a shared link)
+ * @param {Object} line - { amount, entry, category, description }
+ */
+function addInvoiceLine(line = {}) {
+    const labels = getMwstLabels(document.documentElement.lang || 'de');
+    invoiceLineCount++;
+    const n = invoiceLineCount;
+    const options = (values, selected) => Object.entries(values)
+        .map(([value, text]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${text}</option>`)
+        .join('');
+
+    const row = document.createElement('div');
+    row.className = 'invoice-line';
+    row.innerHTML = `
+        <div class="form-group">
+            <label for="lineDescription${n}">${labels.description}</label>
+            <input type="text" id="lineDescription${n}" class="line-description" placeholder="${labels.descriptionPlaceholder}">
+        </div>
+        <div class="form-group">
+            <label for="lineAmount${n}">${labels.amount}</label>
+            <input type="text" id="lineAmount${n}" class="line-amount" inputmode="decimal" placeholder="0.00">
+        </div>
+        <div class="form-group">
+            <label for="lineEntry${n}">${labels.entry}</label>
+            <select id="lineEntry${n}" class="line-entry">${options(labels.entries, line.entry || 'gross')}</select>
+        </div>
+        <div class="form-group">
+            <label for="lineCategory${n}">${labels.category}</label>
+            <select id="lineCategory${n}" class="line-category">${options(labels.categories, line.category || 'normal')}</select>
+        </div>
+        <button type="button" class="remove-line" onclick="removeInvoiceLine(this)" aria-label="${labels.removeLine}">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    // Set as values so that quotes in a shared description cannot break the markup
+    row.querySelector('.line-description').value = line.description || '';
+    row.querySelector('.line-amount').value = line.amount !== undefined ? line.amount : '';
+    document.getElementById('invoiceLinesContainer').appendChild(row);
+}
+
+/**
+ * Remove an invoice line; the last line is only emptied
+ */
+function removeInvoiceLine(button) {
+    const rows = document.querySelectorAll('.invoice-line');
+    if (rows.length === 1) {
+        rows[0].querySelectorAll('input').forEach(input => { input.value = ''; });
+    } else {
+        button.closest('.invoice-line').remove();
+    }
+    if (hasInput()) {
+        calculate(true);
+    }
+}
+
+/**
+ * Replace the invoice lines
+ * @param {Array} lines - [{ amount, entry, category, description }]
+ */
+function setInvoiceLines(lines) {
+    document.getElementById('invoiceLinesContainer').innerHTML = '';
+    (lines.length > 0 ? lines : [{}]).forEach(line => addInvoiceLine(line));
+}
+
+/**
+ * Invoice lines with an amount; rows without an amount are left out
+ */
+function collectInvoiceLines() {
+    const lines = [];
+    document.querySelectorAll('.invoice-line').forEach(row => {
+        const value = row.querySelector('.line-amount').value.trim();
+        if (value) {
+            lines.push({
+                description: row.querySelector('.line-description').value.trim(),
+                amount: parseAmount(value),
+                entry: row.querySelector('.line-entry').value,
+                category: row.querySelector('.line-category').value
+            });
+        }
+    });
+    return lines;
+}
+
+// ============================================
+// CALCULATION AND RESULT
+// ============================================
+
+/**
+ * Whether the form of the current mode has something to calculate
+ */
+function hasInput() {
+    if (mode === 'invoice') {
+        return collectInvoiceLines().length > 0;
+    }
+    if (mode === 'netTaxRate') {
+        const activities = collectActivities();
+        return activities !== null && activities.length > 0;
+    }
+    return document.getElementById('amount').value !== '';
+}
+
+/**
+ * @param {boolean} silent - Do not report invalid dates (while typing the amount)
+ */
+function calculate(silent = false) {
+    if (mode === 'invoice') {
+        calculateInvoice(silent);
+        return;
+    }
+    if (mode === 'netTaxRate') {
+        calculateNetTaxRateMode(silent);
+        return;
+    }
+    const lang = document.documentElement.lang || 'de';
+    const labels = getMwstLabels(lang);
+
+    const amount = parseAmount(document.getElementById('amount').value);
+    if (isNaN(amount) || amount <= 0) {
+        return;
+    }
+
+    const period = readServicePeriod();
+    if (!period) {
+        if (!silent) alert(labels.invalidDates);
+        return;
+    }
+
+    const result = calculateVat(amount, {
+        direction: direction,
+        category: category,
+        date: period.start,
+        endDate: period.end,
+        cashRounding: document.getElementById('cashRounding').checked
+    });
+    if (result.error) {
+        if (!silent) alert(labels.errors[result.error] || result.error);
+        return;
+    }
+
+    lastVatResult = result;
+    displayVatResult(result, labels);
+    updateURL(amount);
+}
+
+function displayVatResult(result, labels) {
+    const singleDay = CalendarDates.compare(result.start, result.end) === 0;
+    document.getElementById('servicePeriodLabel').textContent = singleDay ? labels.serviceDate : labels.servicePeriod;
+    document.getElementById('servicePeriodDisplay').textContent = formatServicePeriod(result);
+
+    document.getElementById('netAmount').textContent = formatAmount(result.net);
+    document.getElementById('vatAmount').textContent = formatAmount(result.vat);
+    document.getElementById('rateDisplay').textContent = formatRates(result.parts);
+    document.getElementById('cashRoundingAmount').textContent = formatSignedAmount(result.cashRoundingDifference);
+    document.getElementById('cashRoundingRow').style.display = result.cashRoundingDifference !== 0 ? '' : 'none';
+    document.getElementById('grossAmount').textContent = formatAmount(result.gross);
+
+    // Breakdown only when the period spans a rate change
+    const split = document.getElementById('vatSplit');
+    split.style.display = result.parts.length > 1 ? '' : 'none';
+    document.getElementById('vatSplitBody').innerHTML = result.parts.map(part => `
+        <tr>
+            <td>${CalendarDates.format(part.start)} – ${CalendarDates.format(part.end)}</td>
+            <td>${part.days}</td>
+            <td>${formatRate(part.rate)}</td>
+            <td>${formatAmount(part.net)}</td>
+            <td>${formatAmount(part.vat)}</td>
+            <td>${formatAmount(part.gross)}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('result').style.display = 'block';
+}
+
+function calculateInvoice(silent) {
+    const labels = getMwstLabels(document.documentElement.lang || 'de');
+
+    const lines = collectInvoiceLines();
+    if (lines.length === 0) {
+        if (!silent) alert(labels.noLines);
+        return;
+    }
+    const period = readServicePeriod();
+    if (!period) {
+        if (!silent) alert(labels.invalidDates);
+        return;
+    }
+
+    const result = calculateVatInvoice(lines, {
+        date: period.start,
+        endDate: period.end,
+        cashRounding: document.getElementById('cashRounding').checked
+    });
+    if (result.error) {
+        if (!silent) alert(`${labels.line} ${result.line}: ${labels.errors[result.error] || result.error}`);
+        return;
+    }
+
+    lastInvoiceResult = result;
+    displayInvoiceResult(result, labels);
+    updateInvoiceURL();
+}
+
+function getLineDescription(line, index, labels) {
+    return line.description || `${labels.line} ${index + 1}`;
+}
+
+function displayInvoiceResult(result, labels) {
+    const singleDay = CalendarDates.compare(result.start, result.end) === 0;
+    document.getElementById('invoicePeriodLabel').textContent = singleDay ? labels.serviceDate : labels.servicePeriod;
+    document.getElementById('invoicePeriodDisplay').textContent = formatServicePeriod(result);
+
+    // Text of the descriptions is inserted as text, the rest is formatted numbers
+    const body = document.getElementById('invoiceLinesBody');
+    body.innerHTML = result.lines.map(line => `
+        <tr>
+            <td></td>
+            <td>${labels.entries[line.entry]}</td>
+            <td>${line.rates.map(formatRate).join(' / ')}</td>
+            <td>${formatAmount(line.net)}</td>
+            <td>${formatAmount(line.vat)}</td>
+            <td>${formatAmount(line.gross)}</td>
+        </tr>
+    `).join('');
+    body.querySelectorAll('tr').forEach((row, i) => {
+        row.cells[0].textContent = getLineDescription(result.lines[i], i, labels);
+    });
+
+    document.getElementById('vatSummaryBody').innerHTML = result.rates.map(rate => `
+        <tr>
+            <td>${labels.categories[rate.category]} ${formatRate(rate.rate)}</td>
+            <td>${formatAmount(rate.net)}</td>
+            <td>${formatAmount(rate.vat)}</td>
+            <td>${formatAmount(rate.gross)}</td>
+        </tr>
+    `).join('') + `
+        <tr class="summary-total">
+            <td>Total</td>
+            <td>${formatAmount(result.net)}</td>
+            <td>${formatAmount(result.vat)}</td>
+            <td>${formatAmount(result.net + result.vat)}</td>
+        </tr>
+    `;
+
+    document.getElementById('invoiceNet').textContent = formatAmount(result.net);
+    document.getElementById('invoiceVat').textContent = formatAmount(result.vat);
+    document.getElementById('invoiceCashRounding').textContent = formatSignedAmount(result.cashRoundingDifference);
+    document.getElementById('invoiceCashRoundingRow').style.display = result.cashRoundingDifference !== 0 ? '' : 'none';
+    document.getElementById('invoiceGross').textContent = formatAmount(result.gross);
+
+    document.getElementById('invoiceResult').style.display = 'block';
+}
+
+// ============================================
+// NET TAX RATE METHOD (SALDOSTEUERSATZ)
+// ============================================
+
+/**
+ * Activities with a revenue; the second activity is optional
+ * @returns {Array|null} [{ revenue, netTaxRate, category }], or null if a revenue lacks its rate
+ */
+function collectActivities() {
+    const activities = [];
+    for (const n of [1, 2]) {
+        const revenue = document.getElementById(`ntRevenue${n}`).value.trim();
+        const rate = document.getElementById(`ntRate${n}`).value.trim();
+        if (!revenue && !rate) continue;
+        if (!revenue || !rate) return null;
+        activities.push({
+            revenue: parseAmount(revenue),
+            netTaxRate: parseAmount(rate),
+            category: document.getElementById(`ntCategory${n}`).value
+        });
+    }
+    return activities;
+}
+
+function calculateNetTaxRateMode(silent) {
+    const labels = getMwstLabels(document.documentElement.lang || 'de');
+
+    const activities = collectActivities();
+    if (!activities || activities.length === 0) {
+        if (!silent) alert(labels.invalidActivity);
+        return;
+    }
+    const period = readServicePeriod();
+    if (!period) {
+        if (!silent) alert(labels.invalidDates);
+        return;
+    }
+
+    const inputTax = document.getElementById('ntInputTax').value.trim();
+    const result = calculateNetTaxRate(activities, {
+        date: period.start,
+        endDate: period.end,
+        inputTax: inputTax ? parseAmount(inputTax) : 0
+    });
+    if (result.error) {
+        if (!silent) alert(labels.errors[result.error] || result.error);
+        return;
+    }
+
+    lastNetTaxRateResult = result;
+    displayNetTaxRateResult(result, labels);
+    updateNetTaxRateURL();
+}
+
+/**
+ * Lines of the calculation, shared by the result and the copy text
+ * @returns {Object} { netTaxRate: [{ label, formula, amount }], effective: [...] }
+ */
+function getNetTaxRateSteps(result, labels) {
+    const name = (i) => result.activities.length > 1 ? `${labels.activity} ${i + 1}` : labels.activity;
+
+    const netTaxRate = result.activities.map((activity, i) => ({
+        label: name(i),
+        formula: `${formatAmount(activity.revenue)} × ${formatRate(activity.netTaxRate)}`,
+        amount: activity.tax
+    }));
+
+    // Output tax per period of the statutory rate: gross × rate / (100 + rate)
+    const effective = [];
+    result.activities.forEach((activity, i) => {
+        activity.parts.forEach(part => {
+            effective.push({
+                label: activity.parts.length > 1
+                    ? `${name(i)} (${CalendarDates.format(part.start)} – ${CalendarDates.format(part.end)})`
+                    : name(i),
+                formula: `${formatAmount(part.gross)} × ${part.rate.toFixed(1)} / ${(100 + part.rate).toFixed(1)}`,
+                amount: part.vat
+            });
+        });
+    });
+    effective.push({ label: labels.inputTax, formula: '', amount: -result.inputTax });
+
+    return { netTaxRate: netTaxRate, effective: effective };
+}
+
+function displayNetTaxRateResult(result, labels) {
+    const steps = getNetTaxRateSteps(result, labels);
+    const rows = (list, total) => list.map(step => `
+        <tr>
+            <td>${step.label}</td>
+            <td>${step.formula}</td>
+            <td>${formatAmount(step.amount)}</td>
+        </tr>
+    `).join('') + `
+        <tr class="summary-total">
+            <td>${labels.taxDue}</td>
+            <td></td>
+            <td>${formatAmount(total)}</td>
+        </tr>
+    `;
+    document.getElementById('ntNetTaxRateBody').innerHTML = rows(steps.netTaxRate, result.netTaxRateTax);
+    document.getElementById('ntEffectiveBody').innerHTML = rows(steps.effective, result.effectiveTax);
+
+    document.getElementById('ntPeriodDisplay').textContent = formatServicePeriod(result);
+    document.getElementById('ntNetTaxRateTax').textContent = formatAmount(result.netTaxRateTax);
+    document.getElementById('ntEffectiveTax').textContent = formatAmount(result.effectiveTax);
+    document.getElementById('ntDifference').textContent = formatAmount(result.difference);
+    document.getElementById('ntConclusion').textContent = labels.conclusion[result.cheaper](formatAmount(Math.abs(result.difference)));
+
+    document.getElementById('netTaxRateResult').style.display = 'block';
+}
+
+function formatServicePeriod(result) {
+    return CalendarDates.compare(result.start, result.end) === 0
+        ? CalendarDates.format(result.start)
+        : `${CalendarDates.format(result.start)} – ${CalendarDates.format(result.end)}`;
+}
+
+function formatSignedAmount(amount) {
+    return (amount > 0 ? '+ ' : '– ') + formatAmount(Math.abs(amount));
+}
+
+// ============================================
+// CLIPBOARD, SHARE LINK AND URL PARAMETERS
+// ============================================
+
+function copyResult() {
+    if (mode === 'invoice') {
+        copyInvoiceResult();
+        return;
+    }
+    if (mode === 'netTaxRate') {
+        copyNetTaxRateResult();
+        return;
+    }
+    if (!lastVatResult) return;
+    const labels = getMwstLabels(document.documentElement.lang || 'de');
+    const result = lastVatResult;
+    const singleDay = CalendarDates.compare(result.start, result.end) === 0;
+
+    let text = `${labels.title} (${formatRates(result.parts)})\n`;
+    text += `${singleDay ? labels.serviceDate : labels.servicePeriod}: ${formatServicePeriod(result)}\n`;
+    if (result.parts.length > 1) {
+        text += `${labels.split}:\n`;
+        result.parts.forEach(part => {
+            text += `  ${CalendarDates.format(part.start)} – ${CalendarDates.format(part.end)} (${part.days} ${labels.days}), ` +
+                `${formatRate(part.rate)}: ${labels.net} ${formatAmount(part.net)}, ${labels.vat} ${formatAmount(part.vat)}\n`;
+        });
+    }
+    text += `${labels.net}: ${formatAmount(result.net)}\n`;
+    text += `${labels.vat}: ${formatAmount(result.vat)}\n`;
+    if (result.cashRoundingDifference !== 0) {
+        text += `${labels.cashRounding}: ${formatSignedAmount(result.cashRoundingDifference)}\n`;
+    }
+    text += `${labels.gross}: ${formatAmount(result.gross)}`;
+
+    navigator.clipboard.writeText(text).then(() => {
+        alert(labels.copied);
+    });
+}
+
+function copyInvoiceResult() {
+    if (!lastInvoiceResult) return;
+    const labels = getMwstLabels(document.documentElement.lang || 'de');
+    const result = lastInvoiceResult;
+    const singleDay = CalendarDates.compare(result.start, result.end) === 0;
+
+    let text = `${labels.invoiceTitle}\n`;
+    text += `${singleDay ? labels.serviceDate : labels.servicePeriod}: ${formatServicePeriod(result)}\n\n`;
+    text += `${labels.lines}:\n`;
+    result.lines.forEach((line, i) => {
+        text += `  ${getLineDescription(line, i, labels)}: ${formatAmount(line.amount)} ${labels.entries[line.entry]}, ` +
+            `${line.rates.map(formatRate).join(' / ')}, ${labels.vat} ${formatAmount(line.vat)}\n`;
+    });
+    text += `\n${labels.summary}:\n`;
+    result.rates.forEach(rate => {
+        text += `  ${labels.categories[rate.category]} ${formatRate(rate.rate)}: ${labels.net} ${formatAmount(rate.net)}, ` +
+            `${labels.vat} ${formatAmount(rate.vat)}, ${labels.gross} ${formatAmount(rate.gross)}\n`;
+    });
+    text += `\n${labels.totalNet}: ${formatAmount(result.net)}\n`;
+    text += `${labels.totalVat}: ${formatAmount(result.vat)}\n`;
+    if (result.cashRoundingDifference !== 0) {
+        text += `${labels.cashRounding}: ${formatSignedAmount(result.cashRoundingDifference)}\n`;
+    }
+    text += `${labels.totalGross}: ${formatAmount(result.gross)}`;
+
+    navigator.clipboard.writeText(text).then(() => {
+        alert(labels.copied);
+    });
+}
+
+function copyNetTaxRateResult() {
+    if (!lastNetTaxRateResult) return;
+    const labels = getMwstLabels(document.documentElement.lang || 'de');
+    const result = lastNetTaxRateResult;
+    const steps = getNetTaxRateSteps(result, labels);
+    const lines = (list) => list.map(step =>
+        `  ${step.label}: ${step.formula ? step.formula + ' = ' : ''}${formatAmount(step.amount)}\n`).join('');
+
+    let text = `${labels.netTaxRateTitle}\n`;
+    text += `${labels.settlementPeriod}: ${formatServicePeriod(result)}\n\n`;
+    text += `${labels.netTaxRateMethod}:\n${lines(steps.netTaxRate)}`;
+    text += `  ${labels.taxDue}: ${formatAmount(result.netTaxRateTax)}\n\n`;
+    text += `${labels.effectiveMethod}:\n${lines(steps.effective)}`;
+    text += `  ${labels.taxDue}: ${formatAmount(result.effectiveTax)}\n\n`;
+    text += `${labels.difference}: ${formatAmount(result.difference)}\n`;
+    text += labels.conclusion[result.cheaper](formatAmount(Math.abs(result.difference)));
+
+    navigator.clipboard.writeText(text).then(() => {
+        alert(labels.copied);
+    });
+}
+
+function shareResult() {
+    const labels = getMwstLabels(document.documentElement.lang || 'de');
+    const url = window.location.href;
+
+    if (navigator.share) {
+        navigator.share({
+            title: labels.shareTitle,
+            text: labels.shareText,
+            url: url
+        });
+    } else {
+        navigator.clipboard.writeText(url).then(() => {
+            alert(labels.linkCopied);
+        });
+    }
+}
+
+function updateURL(amount) {
+    const names = getMwstLabels(document.documentElement.lang || 'de').params;
+    const params = new URLSearchParams();
+    params.set(names.amount, amount);
+    params.set(names.category, category);
+    params.set(names.direction, direction);
+    params.set(names.date, CalendarDates.format(lastVatResult.start));
+    if (CalendarDates.compare(lastVatResult.start, lastVatResult.end) !== 0) {
+        params.set(names.end, CalendarDates.format(lastVatResult.end));
+    }
+    if (document.getElementById('cashRounding').checked) {
+        params.set(names.rounding, '5');
+    }
+
+    const newURL = window.location.pathname + '?' + params.toString();
+    window.history.replaceState({}, '', newURL);
+}
+
+/**
+ * Link of an invoice: the lines as "amount:entry:category:description;...",
+ * the description URI-encoded so that it may contain ":" and ";"
+ */
+function updateInvoiceURL() {
+    const names = getMwstLabels(document.documentElement.lang || 'de').params;
+    const result = lastInvoiceResult;
+    const params = new URLSearchParams();
+    params.set(names.lines, result.lines
+        .map(line => [line.amount, line.entry, line.category, encodeURIComponent(line.description)].join(':'))
+        .join(';'));
+    params.set(names.date, CalendarDates.format(result.start));
+    if (CalendarDates.compare(result.start, result.end) !== 0) {
+        params.set(names.end, CalendarDates.format(result.end));
+    }
+    if (document.getElementById('cashRounding').checked) {
+        params.set(names.rounding, '5');
+    }
+
+    const newURL = window.location.pathname + '?' + params.toString();
+    window.history.replaceState({}, '', newURL);
+}
+
+/**
+ * Link of the net tax rate mode: the activities as "revenue:rate:category;..." and the input tax
+ */
+function updateNetTaxRateURL() {
+    const names = getMwstLabels(document.documentElement.lang || 'de').params;
+    const result = lastNetTaxRateResult;
+    const params = new URLSearchParams();
+    params.set(names.activities, result.activities
+        .map(activity => [activity.revenue, activity.netTaxRate, activity.category].join(':'))
+        .join(';'));
+    if (result.inputTax) {
+        params.set(names.inputTax, result.inputTax);
+    }
+    params.set(names.date, CalendarDates.format(result.start));
+    if (CalendarDates.compare(result.start, result.end) !== 0) {
+        params.set(names.end, CalendarDates.format(result.end));
+    }
+
+    const newURL = window.location.pathname + '?' + params.toString();
+    window.history.replaceState({}, '', newURL);
+}
+
+function loadActivitiesParam(value) {
+    const activities = value.split(';')
+        .map(entry => entry.split(':'))
+        .filter(([revenue, rate, activityCategory]) => !isNaN(parseFloat(revenue)) && !isNaN(parseFloat(rate)) &&
+            VAT_CATEGORIES.includes(activityCategory))
+        .slice(0, 2);
+    activities.forEach(([revenue, rate, activityCategory], i) => {
+        document.getElementById(`ntRevenue${i + 1}`).value = revenue;
+        document.getElementById(`ntRate${i + 1}`).value = rate;
+        document.getElementById(`ntCategory${i + 1}`).value = activityCategory;
+    });
+    return activities.length;
+}
+
+function parseInvoiceLinesParam(value) {
+    return value.split(';')
+        .map(entry => entry.split(':'))
+        .map(([amount, entry, lineCategory, description]) => {
+            let text = '';
+            try {
+                text = decodeURIComponent(description || '');
+            } catch (e) {
+                text = '';
+            }
+            return { amount: parseFloat(amount), entry: entry, category: lineCategory, description: text };
+        })
+        .filter(line => !isNaN(line.amount) && (line.entry === 'gross' || line.entry === 'net') &&
+            VAT_CATEGORIES.includes(line.category));
+}
+
+/**
+ * Category of the rate parameter; older links carry the rate itself (e.g. 7.7),
+ * which is matched against the rate history, newest rates first
+ */
+function parseCategoryParam(value) {
+    if (VAT_CATEGORIES.includes(value)) {
+        return value;
+    }
+    const rate = parseFloat(value);
+    for (let i = VAT_RATE_HISTORY.length - 1; i >= 0; i--) {
+        const match = VAT_CATEGORIES.find(key => VAT_RATE_HISTORY[i].rates[key] === rate);
+        if (match) return match;
+    }
+    return null;
+}
+
+function loadFromUrlParams() {
+    const names = getMwstLabels(document.documentElement.lang || 'de').params;
+    const params = UrlParams.getAll();
+
+    if (params[names.amount]) {
+        document.getElementById('amount').value = params[names.amount];
+    }
+    const paramCategory = parseCategoryParam(params[names.category]);
+    if (paramCategory) {
+        setCategory(paramCategory);
+    }
+    if (params[names.direction] === 'gross-to-net' || params[names.direction] === 'net-to-gross') {
+        setDirection(params[names.direction]);
+    }
+    if (CalendarDates.parse(params[names.date])) {
+        document.getElementById('serviceDate').value = params[names.date];
+    }
+    if (CalendarDates.parse(params[names.end])) {
+        document.getElementById('serviceEnd').value = params[names.end];
+    }
+    document.getElementById('cashRounding').checked = params[names.rounding] === '5';
+    updateRateCards();
+
+    const lines = params[names.lines] ? parseInvoiceLinesParam(params[names.lines]) : [];
+    if (lines.length > 0) {
+        setInvoiceLines(lines);
+        setMode('invoice');
+    }
+
+    const activities = params[names.activities] ? loadActivitiesParam(params[names.activities]) : 0;
+    if (activities > 0) {
+        if (parseFloat(params[names.inputTax]) >= 0) {
+            document.getElementById('ntInputTax').value = params[names.inputTax];
+        }
+        setMode('netTaxRate');
+    }
+
+    if (params[names.amount] || lines.length > 0 || activities > 0) {
+        setTimeout(calculate, 100);
+    }
+}
+
+// ============================================
+// INITIALISATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('serviceDate').value = CalendarDates.format(CalendarDates.today());
+    updateRateCards();
+    addInvoiceLine();
+
+    document.querySelectorAll('.mode-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            setMode(this.dataset.mode);
+        });
+    });
+
+    document.querySelectorAll('.direction-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            setDirection(this.dataset.direction);
+        });
+    });
+
+    document.querySelectorAll('.rate-card').forEach(card => {
+        card.addEventListener('click', function() {
+            setCategory(this.dataset.category);
+        });
+    });
+
+    document.getElementById('mwstForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        calculate();
+    });
+
+    document.getElementById('cashRounding').addEventListener('change', function() {
+        if (hasInput()) {
+            calculate(true);
+        }
+    });
+
+    // The rates follow the date or period of the supply
+    ['serviceDate', 'serviceEnd'].forEach(id => {
+        document.getElementById(id).addEventListener('change', function() {
+            updateRateCards();
+            if (hasInput()) {
+                calculate();
+            }
+        });
+    });
+
+    document.getElementById('amount').addEventListener('input', function() {
+        if (this.value) {
+            calculate(true);
+        }
+    });
+
+    ['invoiceLinesContainer', 'netTaxRateFields'].forEach(id => {
+        document.getElementById(id).addEventListener('input', function() {
+            if (hasInput()) {
+                calculate(true);
+            }
+        });
+    });
+
+    loadFromUrlParams();
+});
@@ -0,0 +1,310 @@
+/**
+ * MWST (Swiss VAT) calculations for Swiss Legal Tools
+ * The rate depends on when the supply was made. For a supply over a period that
+ * spans a rate change, the amount is split pro rata temporis by days and each part
+ * is taxed at the rate of its period (MWSTG Art. 115 with Art. 112 Abs. 3). All
+ * amounts are calculated in whole Rappen, so net, VAT and gross add up exactly.
+ */
+
+if (typeof require === 'function' && typeof CalendarDates === 'undefined') {
+    globalThis.CalendarDates = require('./dates.js').CalendarDates;
+}
+if (typeof require === 'function' && typeof Money === 'undefined') {
+    globalThis.Money = require('./money.js').Money;
+}
+
+/**
+ * Categories of rates: Normalsatz, reduzierter Satz, Sondersatz für Beherbergung
+ */
+const VAT_CATEGORIES = ['normal', 'reduced', 'accommodation'];
+
+/**
+ * Rates in percent, each valid from its date until the day before the next entry
+ */
+const VAT_RATE_HISTORY = [
+    { from: { year: 2001, month: 1, day: 1 }, rates: { normal: 7.6, reduced: 2.4, accommodation: 3.6 } },
+    { from: { year: 2011, month: 1, day: 1 }, rates: { normal: 8.0, reduced: 2.5, accommodation: 3.8 } },
+    { from: { year: 2018, month: 1, day: 1 }, rates: { normal: 7.7, reduced: 2.5, accommodation: 3.7 } },
+    { from: { year: 2024, month: 1, day: 1 }, rates: { normal: 8.1, reduced: 2.6, accommodation: 3.8 } }
+];
+
+/**
+ * Rates valid on a date
+ * @param {Date|Object} date - Date or calendar date
+ * @returns {Object} { from, to (null for the current rates), rates } or { error }
+ */
+function getVatRates(date) {
+    const day = CalendarDates.from(date);
+    for (let i = VAT_RATE_HISTORY.length - 1; i >= 0; i--) {
+        if (CalendarDates.compare(day, VAT_RATE_HISTORY[i].from) >= 0) {
+            const next = VAT_RATE_HISTORY[i + 1];
+            return {
+                from: VAT_RATE_HISTORY[i].from,
+                to: next ? CalendarDates.addDays(next.from, -1) : null,
+                rates: VAT_RATE_HISTORY[i].rates
+            };
+        }
+    }
+    return { error: 'No VAT rates before 01.01.2001' };
+}
+
+/**
+ * Split a service period at the rate changes of a category
+ * @param {string} category - See VAT_CATEGORIES
+ * @param {Date|Object} start - First day of the service period
+ * @param {Date|Object} end - Last day of the service period (inclusive)
+ * @returns {Array|Object} [{ start, end, days, rate }] as calendar dates, or { error }
+ */
+function getVatRatePeriods(category, start, end) {
+    if (!VAT_CATEGORIES.includes(category)) {
+        return { error: 'Unknown VAT rate category' };
+    }
+    let day = CalendarDates.from(start);
+    const last = CalendarDates.from(end);
+    if (CalendarDates.compare(last, day) < 0) {
+        return { error: 'Service period ends before it starts' };
+    }
+
+    const periods = [];
+    while (CalendarDates.compare(day, last) <= 0) {
+        const valid = getVatRates(day);
+        if (valid.error) return valid;
+        const periodEnd = valid.to && CalendarDates.compare(valid.to, last) < 0 ? valid.to : last;
+        periods.push({
+            start: day,
+            end: periodEnd,
+            days: CalendarDates.daysBetween(day, periodEnd) + 1,
+            rate: valid.rates[category]
+        });
+        day = CalendarDates.addDays(periodEnd, 1);
+    }
+    return periods;
+}
+
+/**
+ * Calculate the VAT of an amount
+ * @param {number} amount - Amount in CHF, gross or net according to the direction
+ * @param {Object} options - { direction: 'gross-to-net' (default) or 'net-to-gross',
+ *                            category: see VAT_CATEGORIES (default normal),
+ *                            date: date of the supply (default today),
+ *                            endDate: last day if the supply covers a period,
+ *                            cashRounding: round the gross amount to 5 Rappen (net to gross only) }
+ * @returns {Object} { direction, category, start, end, net, vat, gross, cashRoundingDifference,
+ *                    parts: [{ start, end, days, rate, net, vat, gross }] } in CHF, or { error }
+ */
+function calculateVat(amount, options = {}) {
+    const direction = options.direction || 'gross-to-net';
+    if (direction !== 'gross-to-net' && direction !== 'net-to-gross') {
+        return { error: 'Unknown direction' };
+    }
+    if (!(amount > 0)) {
+        return { error: 'Amount must be positive' };
+    }
+    const category = options.category || 'normal';
+    const start = options.date ? CalendarDates.from(options.date) : CalendarDates.today();
+    const end = options.endDate ? CalendarDates.from(options.endDate) : start;
+
+    const periods = getVatRatePeriods(category, start, end);
+    if (periods.error) return periods;
+
+    // Pro rata by days; the last part takes the remainder so the parts add up
+    const amountRappen = Money.toRappen(amount);
+    const totalDays = CalendarDates.daysBetween(start, end) + 1;
+    let allocated = 0;
+    const parts = periods.map((period, i) => {
+        const partRappen = i === periods.length - 1
+            ? amountRappen - allocated
+            : Money.round(amountRappen * period.days / totalDays);
+        allocated += partRappen;
+
+        const vatRappen = direction === 'gross-to-net'
+            ? Money.round(partRappen * period.rate / (100 + period.rate))
+            : Money.round(partRappen * period.rate / 100);
+        const netRappen = direction === 'gross-to-net' ? partRappen - vatRappen : partRappen;
+        return { ...period, net: netRappen, vat: vatRappen, gross: netRappen + vatRappen };
+    });
+
+    const netRappen = parts.reduce((sum, part) => sum + part.net, 0);
+    const vatRappen = parts.reduce((sum, part) => sum + part.vat, 0);
+    const settled = direction === 'net-to-gross'
+        ? Money.settle(netRappen + vatRappen, { cashRounding: !!options.cashRounding })
+        : { amount: amountRappen, difference: 0 };
+
+    return {
+        direction: direction,
+        category: category,
+        start: start,
+        end: end,
+        net: Money.toCHF(netRappen),
+        vat: Money.toCHF(vatRappen),
+        gross: Money.toCHF(settled.amount),
+        cashRoundingDifference: Money.toCHF(settled.difference),
+        parts: parts.map(part => ({
+            ...part,
+            net: Money.toCHF(part.net),
+            vat: Money.toCHF(part.vat),
+            gross: Money.toCHF(part.gross)
+        }))
+    };
+}
+
+/**
+ * Calculate an invoice with several lines at different rates
+ * The VAT is rounded per line (and per part of a period), so the lines add up
+ * exactly to the subtotals per rate and the subtotals to the total.
+ * @param {Array} lines - [{ amount, entry: 'gross' or 'net', category, description }]
+ * @param {Object} options - { date, endDate, cashRounding: round the total to 5 Rappen }
+ * @returns {Object} { start, end, lines: [{ ...line, net, vat, gross, rates }],
+ *                    rates: [{ category, rate, net, vat, gross }], net, vat, gross,
+ *                    cashRoundingDifference } in CHF, or { error, line (1-based) }
+ */
+function calculateVatInvoice(lines, options = {}) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return { error: 'Invoice needs at least one line' };
+    }
+
+    const results = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.entry !== 'gross' && line.entry !== 'net') {
+            return { error: 'Unknown entry of the amount', line: i + 1 };
+        }
+        const result = calculateVat(line.amount, {
+            direction: line.entry === 'gross' ? 'gross-to-net' : 'net-to-gross',
+            category: line.category,
+            date: options.date,
+            endDate: options.endDate
+        });
+        if (result.error) {
+            return { error: result.error, line: i + 1 };
+        }
+        results.push({ line: line, result: result });
+    }
+
+    // Subtotals per rate: a period across a rate change adds to both rates
+    const subtotals = [];
+    results.forEach(({ line, result }) => {
+        result.parts.forEach(part => {
+            let subtotal = subtotals.find(entry => entry.category === line.category && entry.rate === part.rate);
+            if (!subtotal) {
+                subtotal = { category: line.category, rate: part.rate, net: 0, vat: 0 };
+                subtotals.push(subtotal);
+            }
+            subtotal.net += Money.toRappen(part.net);
+            subtotal.vat += Money.toRappen(part.vat);
+        });
+    });
+    subtotals.sort((a, b) => b.rate - a.rate);
+
+    const netRappen = subtotals.reduce((sum, subtotal) => sum + subtotal.net, 0);
+    const vatRappen = subtotals.reduce((sum, subtotal) => sum + subtotal.vat, 0);
+    const settled = Money.settle(netRappen + vatRappen, { cashRounding: !!options.cashRounding });
+
+    return {
+        start: results[0].result.start,
+        end: results[0].result.end,
+        lines: results.map(({ line, result }) => ({
+            description: String(line.description || '').trim(),
+            entry: line.entry,
+            category: line.category,
+            amount: line.amount,
+            net: result.net,
+            vat: result.vat,
+            gross: result.gross,
+            rates: result.parts.map(part => part.rate)
+        })),
+        rates: subtotals.map(subtotal => ({
+            category: subtotal.category,
+            rate: subtotal.rate,
+            net: Money.toCHF(subtotal.net),
+            vat: Money.toCHF(subtotal.vat),
+            gross: Money.toCHF(subtotal.net + subtotal.vat)
+        })),
+        net: Money.toCHF(netRappen),
+        vat: Money.toCHF(vatRappen),
+        gross: Money.toCHF(settled.amount),
+        cashRoundingDifference: Money.toCHF(settled.difference)
+    };
+}
+
+/**
+ * Tax due under the net tax rate method (Saldosteuersatzmethode, MWSTG Art. 37),
+ * compared with the effective method
+ * With net tax rates the gross revenue of each activity is multiplied by its
+ * approved rate (at most two rates); input tax cannot be deducted. The effective
+ * method takes the VAT contained in the gross revenue at the statutory rate of
+ * the period, less the input tax.
+ * @param {Array} activities - [{ revenue: gross revenue in CHF, netTaxRate: percent,
+ *                               category: statutory rate for the effective method }]
+ * @param {Object} options - { date, endDate: settlement period, inputTax: in CHF }
+ * @returns {Object} { start, end, activities: [{ ...activity, tax, outputTax, parts }],
+ *                    netTaxRateTax, outputTax, inputTax, effectiveTax, difference,
+ *                    cheaper: 'netTaxRate', 'effective' or 'equal' } in CHF, or { error }
+ */
+function calculateNetTaxRate(activities, options = {}) {
+    if (!Array.isArray(activities) || activities.length === 0) {
+        return { error: 'Revenue of at least one activity is required' };
+    }
+    if (activities.length > 2) {
+        return { error: 'At most two net tax rates can be approved' };
+    }
+    const inputTax = options.inputTax !== undefined ? options.inputTax : 0;
+    if (!(inputTax >= 0)) {
+        return { error: 'Input tax must not be negative' };
+    }
+
+    const results = [];
+    for (const activity of activities) {
+        if (!(activity.netTaxRate > 0 && activity.netTaxRate < 100)) {
+            return { error: 'Net tax rate must be between 0 and 100 percent' };
+        }
+        // Output tax of the effective method, split at rate changes within the period
+        const effective = calculateVat(activity.revenue, {
+            direction: 'gross-to-net',
+            category: activity.category,
+            date: options.date,
+            endDate: options.endDate
+        });
+        if (effective.error) return effective;
+
+        const taxRappen = Money.round(Money.toRappen(activity.revenue) * activity.netTaxRate / 100);
+        results.push({ activity: activity, effective: effective, tax: taxRappen, outputTax: Money.toRappen(effective.vat) });
+    }
+
+    const netTaxRateRappen = results.reduce((sum, result) => sum + result.tax, 0);
+    const outputTaxRappen = results.reduce((sum, result) => sum + result.outputTax, 0);
+    const effectiveRappen = outputTaxRappen - Money.toRappen(inputTax);
+    const difference = netTaxRateRappen - effectiveRappen;
+
+    return {
+        start: results[0].effective.start,
+        end: results[0].effective.end,
+        activities: results.map(result => ({
+            revenue: result.activity.revenue,
+            netTaxRate: result.activity.netTaxRate,
+            category: result.activity.category,
+            tax: Money.toCHF(result.tax),
+            outputTax: Money.toCHF(result.outputTax),
+            parts: result.effective.parts
+        })),
+        netTaxRateTax: Money.toCHF(netTaxRateRappen),
+        outputTax: Money.toCHF(outputTaxRappen),
+        inputTax: Money.toCHF(Money.toRappen(inputTax)),
+        effectiveTax: Money.toCHF(effectiveRappen),
+        difference: Money.toCHF(difference),
+        cheaper: difference < 0 ? 'netTaxRate' : (difference > 0 ? 'effective' : 'equal')
+    };
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VAT_CATEGORIES,
+        VAT_RATE_HISTORY,
+        getVatRates,
+        getVatRatePeriods,
+        calculateVat,
+        calculateVatInvoice,
+        calculateNetTaxRate
+    };
+}
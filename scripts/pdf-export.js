@@ -4,7 +4,12 @@
  */
 
 const VerzugszinsPdfExport = {
-    generatePDF(data, lang = 'de') {
+    /**
+     * @param {Object} data - Calculation result
+     * @param {string} lang - 'de' or 'fr'
+     * @param {Object} bill - Optional QR-bill (SwissQrBill.validate) added as payment part
+     */
+    generatePDF(data, lang = 'de', bill = null) {
         if (typeof jspdf === 'undefined' && typeof jsPDF === 'undefined') {
             console.error('jsPDF nicht geladen');
             window.print();
@@ -41,13 +46,34 @@ const VerzugszinsPdfExport = {
         doc.setTextColor(0, 0, 0);
         y = this.addSectionHeader(doc, texts.inputData, y, primaryColor);
 
-        const inputLines = [
-            [texts.principal, this.formatCHF(data.principal)],
-            [texts.startDate, this.formatDate(data.startDate, lang)],
+        const inputLines = data.lines ? [
+            [texts.totalPrincipal, this.formatAmount(data.principal, data.currency)],
+            [texts.invoices, String(data.lines.length)],
             [texts.endDate, this.formatDate(data.endDate, lang)],
-            [texts.rate, `${data.interestRate}% p.a.`],
+            [texts.rate, `${this.formatRates(data)} p.a.`]
+        ] : [
+            [texts.principal, this.formatAmount(data.principal, data.currency)],
+            ...(data.startDate ? [
+                [texts.startDate, this.formatDate(data.startDate, lang)],
+                [texts.endDate, this.formatDate(data.endDate, lang)]
+            ] : []),
+            [texts.rate, `${this.formatRates(data)} p.a.`],
             [texts.days, `${data.days} ${lang === 'fr' ? 'jours' : 'Tage'}`]
         ];
+        if (data.schedule) {
+            inputLines.push([texts.capitalisation, texts.capitalisations[data.capitalisation]]);
+        }
+
+        // Rückwärtsrechnung: gesuchter Wert und Vorgabe zuerst
+        if (data.solver) {
+            inputLines.unshift(
+                [texts.solved[data.solver.solvedFor], this.formatSolvedValue(data, lang)],
+                [texts.target, `${texts.targetTypes[data.solver.targetType]} ${this.formatAmount(data.solver.target, data.currency)}`]
+            );
+            if (data.solver.deviation) {
+                inputLines.splice(2, 0, [texts.deviation, this.formatSignedAmount(data.solver.deviation, data.currency)]);
+            }
+        }
 
         y = this.addTable(doc, inputLines, 15, y);
         y += 10;
@@ -66,53 +92,105 @@ const VerzugszinsPdfExport = {
 
         doc.setFontSize(14);
         doc.setTextColor(...accentColor);
-        doc.text(this.formatCHF(data.interest), 190, y + 10, { align: 'right' });
+        doc.text(this.formatAmount(data.interest, data.currency), 190, y + 10, { align: 'right' });
 
         doc.setTextColor(...primaryColor);
         doc.setFontSize(10);
-        doc.text(texts.total, 25, y + 25);
+        doc.text(data.segments ? texts.openTotal : texts.total, 25, y + 25);
 
         doc.setFontSize(14);
         doc.setTextColor(0, 0, 0);
         doc.setFont('helvetica', 'bold');
-        doc.text(this.formatCHF(data.total), 190, y + 25, { align: 'right' });
+        doc.text(this.formatAmount(data.total, data.currency), 190, y + 25, { align: 'right' });
 
         y += 45;
 
-        // Berechnungsdetails
-        y = this.addSectionHeader(doc, texts.calculation, y, primaryColor);
+        // Rappenrundung des Totals (Barzahlung) und Zins pro Tag
+        const resultRows = [];
+        if (data.cashRoundingDifference) {
+            resultRows.push([texts.cashRounding, this.formatSignedAmount(data.cashRoundingDifference, data.currency)]);
+        }
+        if (data.dailyInterest !== undefined) {
+            const from = new Date(data.endDate.getFullYear(), data.endDate.getMonth(), data.endDate.getDate() + 1);
+            resultRows.push([texts.dailyInterest, `${this.formatAmount(data.dailyInterest, data.currency)} ${texts.from} ${this.formatDate(from, lang)}`]);
+        }
+        if (resultRows.length > 0) {
+            y = this.addTable(doc, resultRows, 15, y - 4) + 4;
+        }
 
-        doc.setFontSize(9);
-        doc.setTextColor(80, 80, 80);
-        doc.setFont('helvetica', 'normal');
+        // Plausibilität des Zinssatzes (KKG, Wucher, OR Art. 104)
+        if (data.rateWarnings && data.rateWarnings.length > 0) {
+            y = this.addRateWarnings(doc, data, texts, y, primaryColor, lang);
+        }
 
-        const formula = lang === 'fr'
-            ? `${this.formatCHF(data.principal)} x ${data.interestRate}% x ${data.days} / 360 = ${this.formatCHF(data.interest)}`
-            : `${this.formatCHF(data.principal)} x ${data.interestRate}% x ${data.days} / 360 = ${this.formatCHF(data.interest)}`;
+        // Hochrechnung auf spätere Daten
+        if (data.projection) {
+            y = this.addProjection(doc, data, texts, y, primaryColor, lang);
+        }
 
-        doc.text(texts.method + ': ' + texts.methodDesc, 15, y);
-        y += 6;
-        doc.text(texts.formula + ': ' + formula, 15, y);
+        // Zahlungsverlauf (Teilzahlungen nach OR Art. 85)
+        if (data.segments) {
+            y = this.addPaymentSchedule(doc, data, texts, y, primaryColor, lang);
+        }
 
-        y += 15;
+        // Aufstellung nach Rechnungen
+        if (data.lines) {
+            y = this.addLedger(doc, data, texts, y, primaryColor, lang);
+        }
+
+        // Kapitalisierungsverlauf (Kontokorrent)
+        if (data.schedule) {
+            y = this.addCapitalisationSchedule(doc, data, texts, y, primaryColor, lang);
+        }
+
+        // Verjährung: durchsetzbare und verjährte Beträge
+        if (data.prescription) {
+            y = this.addPrescription(doc, data, texts, y, primaryColor, lang);
+        }
+
+        // Umrechnung einer Fremdwährungsforderung in CHF
+        if (data.conversion) {
+            y = this.addConversion(doc, data, texts, y, primaryColor, lang);
+        }
+
+        // Berechnungsdetails aus dem Erklärungsprotokoll (Wie wurde gerechnet?)
+        const sections = CalculationExplanation.render(data.explanation, lang, {
+            currency: data.currency,
+            formatAmount: (amount) => this.formatAmount(amount, data.currency),
+            formatDate: (date) => this.formatDate(date, lang),
+            plain: true
+        });
+        y = this.checkPageBreak(doc, y, 30);
+        y = this.addSectionHeader(doc, texts.calculation, y, primaryColor);
+
+        doc.setFontSize(9);
+        sections.filter(section => section.key !== 'inputs' && section.key !== 'legalBasis').forEach(section => {
+            y = this.checkPageBreak(doc, y, 16);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(0, 0, 0);
+            doc.text(section.title, 15, y);
+            y += 5;
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(80, 80, 80);
+            section.lines.forEach(line => {
+                const lines = doc.splitTextToSize(line, 180);
+                y = this.checkPageBreak(doc, y, lines.length * 5);
+                doc.text(lines, 15, y);
+                y += lines.length * 5;
+            });
+            y += 2;
+        });
+
+        y += 7;
 
         // Rechtliche Grundlagen
+        y = this.checkPageBreak(doc, y, 40);
         y = this.addSectionHeader(doc, texts.legalBasis, y, primaryColor);
 
         doc.setFontSize(8);
         doc.setTextColor(80, 80, 80);
 
-        const legalLines = lang === 'fr' ? [
-            'CO Art. 104: Taux d\'intérêt moratoire de 5% par an',
-            'CO Art. 105: Dommages supplémentaires',
-            'CO Art. 105 al. 3: Interdiction des intérêts composés'
-        ] : [
-            'OR Art. 104: Verzugszins von 5% pro Jahr',
-            'OR Art. 105: Weiterer Schaden',
-            'OR Art. 105 Abs. 3: Zinseszinsverbot'
-        ];
-
-        legalLines.forEach(line => {
+        sections.find(section => section.key === 'legalBasis').lines.forEach(line => {
             doc.text(line, 15, y);
             y += 5;
         });
@@ -120,16 +198,268 @@ const VerzugszinsPdfExport = {
         y += 10;
 
         // Footer
+        y = this.checkPageBreak(doc, y, 10);
         doc.setTextColor(100, 100, 100);
         doc.setFontSize(7);
         doc.setFont('helvetica', 'italic');
         doc.text(texts.disclaimer, 15, y);
         doc.text('verzugszinsrechner.ch - ' + texts.footerInfo, 15, y + 4);
 
+        if (bill) {
+            QrBillPdf.add(doc, bill, lang, y + 4);
+        }
+
         const filename = `Verzugszins_${this.formatDateFile(new Date())}.pdf`;
         doc.save(filename);
     },
 
+    addPaymentSchedule(doc, data, texts, y, color, lang) {
+        y = this.checkPageBreak(doc, y, 30);
+        y = this.addSectionHeader(doc, texts.paymentSchedule, y, color);
+
+        doc.setFontSize(8);
+        doc.setTextColor(0, 0, 0);
+
+        data.segments.forEach(segment => {
+            y = this.checkPageBreak(doc, y, 12);
+            doc.setFont('helvetica', 'normal');
+            doc.text(`${this.formatDate(segment.startDate, lang)} - ${this.formatDate(segment.endDate, lang)}`, 15, y);
+            doc.text(`${segment.days} ${lang === 'fr' ? 'jours' : 'Tage'}`, 70, y);
+            doc.text(`${texts.capital}: ${this.formatAmount(segment.capital, data.currency)}`, 90, y);
+            doc.text(`${texts.interestShort}: ${this.formatAmount(segment.interest, data.currency)}`, 190, y, { align: 'right' });
+            y += 5;
+
+            segment.payments.forEach(p => {
+                y = this.checkPageBreak(doc, y, 6);
+                doc.setFont('helvetica', 'bold');
+                doc.text(`${texts.payment} ${this.formatAmount(p.amount, data.currency)}`, 20, y);
+                doc.setFont('helvetica', 'normal');
+                doc.text(`${texts.toCosts} ${this.formatAmount(p.toCosts, data.currency)} / ${texts.interestShort} ${this.formatAmount(p.toInterest, data.currency)} / ${texts.capital} ${this.formatAmount(p.toCapital, data.currency)}`, 190, y, { align: 'right' });
+                y += 5;
+            });
+        });
+
+        y += 2;
+        const summary = [
+            [texts.totalPaid, this.formatAmount(data.totalPaid, data.currency)],
+            [texts.openCapital, this.formatAmount(data.openCapital, data.currency)],
+            [texts.openInterest, this.formatAmount(data.openInterest, data.currency)]
+        ];
+        if (data.costs > 0) {
+            summary.push([texts.openCosts, this.formatAmount(data.openCosts, data.currency)]);
+        }
+        y = this.checkPageBreak(doc, y, summary.length * 6);
+        y = this.addTable(doc, summary, 15, y);
+
+        return y + 8;
+    },
+
+    addLedger(doc, data, texts, y, color, lang) {
+        y = this.checkPageBreak(doc, y, 30);
+        y = this.addSectionHeader(doc, texts.ledger, y, color);
+
+        doc.setFontSize(8);
+        doc.setTextColor(0, 0, 0);
+
+        data.lines.forEach((line, i) => {
+            y = this.checkPageBreak(doc, y, 6);
+            doc.setFont('helvetica', 'normal');
+            doc.text(line.reference || `${texts.invoice} ${i + 1}`, 15, y);
+            doc.text(this.formatDate(line.startDate, lang), 70, y);
+            doc.text(this.formatAmount(line.principal, data.currency), 120, y, { align: 'right' });
+            doc.text(this.formatRates(line), 135, y, { align: 'right' });
+            doc.text(`${line.days} ${lang === 'fr' ? 'jours' : 'Tage'}`, 155, y, { align: 'right' });
+            doc.setFont('helvetica', 'bold');
+            doc.text(this.formatAmount(line.interest, data.currency), 190, y, { align: 'right' });
+            y += 5;
+        });
+
+        return y + 8;
+    },
+
+    addCapitalisationSchedule(doc, data, texts, y, color, lang) {
+        y = this.checkPageBreak(doc, y, 30);
+        y = this.addSectionHeader(doc, texts.capitalisationSchedule, y, color);
+
+        doc.setFontSize(8);
+        doc.setTextColor(0, 0, 0);
+        doc.setFont('helvetica', 'normal');
+
+        data.schedule.forEach(period => {
+            y = this.checkPageBreak(doc, y, 6);
+            doc.text(`${this.formatDate(period.startDate, lang)} - ${this.formatDate(period.endDate, lang)}`, 15, y);
+            doc.text(`${period.days} ${lang === 'fr' ? 'jours' : 'Tage'}`, 70, y);
+            doc.text(`${texts.capital}: ${this.formatAmount(period.capital, data.currency)}`, 90, y);
+            doc.text(`${texts.interestShort}: ${this.formatAmount(period.interest, data.currency)}`, 155, y, { align: 'right' });
+            doc.text(period.capitalised ? this.formatDate(period.capitalisationDate, lang) : texts.accrued, 190, y, { align: 'right' });
+            y += 5;
+        });
+
+        y += 2;
+        const summary = [
+            [texts.capitalisedInterest, this.formatAmount(data.capitalisedInterest, data.currency)],
+            [texts.accruedInterest, this.formatAmount(data.accruedInterest, data.currency)],
+            [texts.simpleInterest, this.formatAmount(data.simpleInterest, data.currency)]
+        ];
+        y = this.checkPageBreak(doc, y, summary.length * 6 + 12);
+        y = this.addTable(doc, summary, 15, y);
+
+        // Zinseszinsen nur im Kontokorrent (OR Art. 105 Abs. 3, Art. 314 Abs. 3)
+        doc.setFontSize(8);
+        doc.setTextColor(204, 92, 83);
+        doc.text(doc.splitTextToSize(texts.capitalisationWarning, 180), 15, y);
+        doc.setTextColor(0, 0, 0);
+
+        return y + 16;
+    },
+
+    /**
+     * Rate text, e.g. "5%" or "5% -> 8%" for a rate timeline
+     */
+    formatRates(data) {
+        let periods = data.ratePeriods || data.segments || [data];
+        if (data.lines && data.rateChanges) {
+            const changes = [...data.rateChanges].sort((a, b) => a.date - b.date);
+            periods = [data, ...changes.map(change => ({ interestRate: change.rate }))];
+        }
+        const rates = periods.map(period => period.interestRate);
+        const steps = rates.filter((rate, i) => i === 0 || rate !== rates[i - 1]);
+        return `${steps.join('% -> ')}%`;
+    },
+
+    /**
+     * Value found by the solver: end date, rate, principal or number of days
+     */
+    formatSolvedValue(data, lang) {
+        switch (data.solver.solvedFor) {
+            case 'endDate':
+                return this.formatDate(data.endDate, lang);
+            case 'rate':
+                return `${data.interestRate}% p.a.`;
+            case 'principal':
+                return this.formatAmount(data.principal, data.currency);
+            default:
+                return `${data.days} ${lang === 'fr' ? 'jours' : 'Tage'}`;
+        }
+    },
+
+    addPrescription(doc, data, texts, y, color, lang) {
+        const prescription = data.prescription;
+        y = this.checkPageBreak(doc, y, 70);
+        y = this.addSectionHeader(doc, texts.prescription, y, color);
+
+        const interruptions = prescription.interruptions.length > 0
+            ? prescription.interruptions.map(i => `${texts.interruptionTypes[i.type]} ${this.formatDate(i.date, lang)}`).join(', ')
+            : '-';
+        const status = prescription.capitalBarred ? texts.barred : texts.notBarred;
+        const rows = [
+            [texts.claimType, texts.claimTypes[prescription.claimType]],
+            [texts.dueDate, this.formatDate(prescription.dueDate, lang)],
+            [texts.interruptions, interruptions],
+            [texts.capitalExpiry, `${this.formatDate(prescription.capitalExpiry, lang)} (${status})`]
+        ];
+        if (prescription.barredPeriod) {
+            rows.push([texts.barredPeriod, `${this.formatDate(prescription.barredPeriod.startDate, lang)} - ${this.formatDate(prescription.barredPeriod.endDate, lang)}`]);
+        }
+        rows.push(
+            [texts.claimableCapital, this.formatAmount(prescription.claimableCapital, data.currency)],
+            [texts.claimableInterest, this.formatAmount(prescription.claimableInterest, data.currency)],
+            [texts.barredInterest, this.formatAmount(prescription.barredInterest, data.currency)],
+            [texts.claimableTotal, this.formatAmount(prescription.claimableTotal, data.currency)]
+        );
+        y = this.addTable(doc, rows, 15, y);
+
+        if (prescription.capitalBarred || prescription.barredInterest > 0) {
+            doc.setFontSize(8);
+            doc.setTextColor(204, 92, 83);
+            doc.text(doc.splitTextToSize(texts.prescriptionWarning, 180), 15, y);
+            doc.setTextColor(0, 0, 0);
+            y += 10;
+        }
+
+        return y + 6;
+    },
+
+    addRateWarnings(doc, data, texts, y, color, lang) {
+        y = this.checkPageBreak(doc, y, 20 + data.rateWarnings.length * 10);
+        y = this.addSectionHeader(doc, texts.rateWarnings, y, color);
+
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'normal');
+        data.rateWarnings.forEach(warning => {
+            const legalBasis = warning.legalBasis[lang === 'fr' ? 'fr' : 'de'];
+            const line = `${warning.rate}% (${texts.rateLimit} ${warning.limit}%, ${legalBasis}): ${texts.rateWarningTypes[warning.type]}`;
+            const lines = doc.splitTextToSize(line, 180);
+            if (warning.severity === 'note') {
+                doc.setTextColor(80, 80, 80);
+            } else {
+                doc.setTextColor(204, 92, 83);
+            }
+            doc.text(lines, 15, y);
+            y += lines.length * 5;
+        });
+        doc.setTextColor(0, 0, 0);
+
+        return y + 6;
+    },
+
+    addProjection(doc, data, texts, y, color, lang) {
+        y = this.checkPageBreak(doc, y, 20 + data.projection.rows.length * 6);
+        y = this.addSectionHeader(doc, texts.projection, y, color);
+
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(0, 0, 0);
+        doc.text(texts.projectionColumns.date, 20, y);
+        doc.text(texts.projectionColumns.days, 100, y, { align: 'right' });
+        doc.text(texts.projectionColumns.interest, 150, y, { align: 'right' });
+        doc.text(texts.projectionColumns.total, 190, y, { align: 'right' });
+        doc.setFont('helvetica', 'normal');
+        y += 6;
+
+        data.projection.rows.forEach(row => {
+            doc.text(`${this.formatDate(row.date, lang)} (${texts.projectionKeys[row.key]})`, 20, y);
+            doc.text(String(row.days), 100, y, { align: 'right' });
+            doc.text(this.formatAmount(row.interest, data.currency), 150, y, { align: 'right' });
+            doc.text(this.formatAmount(row.total, data.currency), 190, y, { align: 'right' });
+            y += 6;
+        });
+
+        return y + 6;
+    },
+
+    addConversion(doc, data, texts, y, color, lang) {
+        const conversion = data.conversion;
+        y = this.checkPageBreak(doc, y, 60);
+        y = this.addSectionHeader(doc, texts.conversion, y, color);
+
+        const source = conversion.rateDate
+            ? `${texts.rateFrom} ${this.formatDate(conversion.rateDate, lang)}`
+            : texts.rateManual;
+        const rows = [
+            [texts.conversionBasis, texts.conversionBases[conversion.basis]],
+            [texts.conversionDate, this.formatDate(conversion.date, lang)],
+            [texts.exchangeRate, `1 ${conversion.currency} = ${conversion.rate.toFixed(4)} CHF (${source})`]
+        ];
+        Object.keys(conversion.amounts).forEach(key => {
+            rows.push([
+                texts.conversionAmounts[key],
+                `${this.formatAmount(conversion.original[key], conversion.currency)} = ${this.formatAmount(conversion.amounts[key])}`
+            ]);
+        });
+        y = this.addTable(doc, rows, 15, y);
+
+        return y + 6;
+    },
+
+    checkPageBreak(doc, y, needed) {
+        if (y + needed > 280) {
+            doc.addPage();
+            return 20;
+        }
+        return y;
+    },
+
     addSectionHeader(doc, title, y, color) {
         doc.setFillColor(...color);
         doc.rect(15, y, 3, 7, 'F');
@@ -154,8 +484,14 @@ const VerzugszinsPdfExport = {
         return y;
     },
 
-    formatCHF(amount) {
-        return 'CHF ' + amount.toLocaleString('de-CH', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    formatAmount(amount, currency = 'CHF') {
+        // Via whole Rappen, so that the PDF shows the same amounts as the screen
+        const rounded = Money.toCHF(Money.toRappen(amount));
+        return currency + ' ' + rounded.toLocaleString('de-CH', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    },
+
+    formatSignedAmount(amount, currency) {
+        return (amount > 0 ? '+ ' : '- ') + this.formatAmount(Math.abs(amount), currency);
     },
 
     formatDate(date, lang) {
@@ -189,10 +525,101 @@ const VerzugszinsPdfExport = {
                 interest: 'Intérêts moratoires:',
                 total: 'Total (capital + intérêts):',
                 calculation: 'Détails du calcul',
-                method: 'Méthode',
-                methodDesc: 'Année de 360 jours',
-                formula: 'Formule',
                 legalBasis: 'Base légale',
+                paymentSchedule: 'Décompte des paiements (CO art. 85)',
+                capital: 'Capital',
+                interestShort: 'Intérêts',
+                payment: 'Paiement',
+                toCosts: 'Frais',
+                totalPaid: 'Paiements partiels',
+                openCapital: 'Capital ouvert',
+                openInterest: 'Intérêts ouverts',
+                openCosts: 'Frais ouverts',
+                openTotal: 'Solde ouvert:',
+                totalPrincipal: 'Total capital',
+                invoices: 'Nombre de factures',
+                ledger: 'Détail par facture',
+                invoice: 'Facture',
+                capitalisation: 'Capitalisation',
+                capitalisations: {
+                    'quarterly': 'trimestrielle',
+                    'half-yearly': 'semestrielle',
+                    'annual': 'annuelle'
+                },
+                capitalisationSchedule: 'Décompte de capitalisation (compte courant)',
+                accrued: 'courus',
+                capitalisedInterest: 'Intérêts capitalisés',
+                accruedInterest: 'Intérêts courus (non capitalisés)',
+                simpleInterest: 'À titre de comparaison, sans capitalisation',
+                cashRounding: 'Arrondi à 5 centimes',
+                prescription: 'Prescription',
+                claimType: 'Type de créance',
+                claimTypes: {
+                    'general': 'Créance ordinaire, 10 ans (CO art. 127)',
+                    'periodic': 'Prestation périodique, 5 ans (CO art. 128 ch. 1)',
+                    'trade': 'Artisan, vente au détail, services, 5 ans (CO art. 128 ch. 3)'
+                },
+                dueDate: 'Exigibilité',
+                interruptions: 'Interruptions',
+                interruptionTypes: {
+                    'acknowledgement': 'Reconnaissance de dette',
+                    'prosecution': 'Poursuite',
+                    'lawsuit': 'Action'
+                },
+                capitalExpiry: 'Prescription du capital',
+                barred: 'prescrit',
+                notBarred: 'non prescrit',
+                barredPeriod: 'Intérêts prescrits pour la période',
+                claimableCapital: 'Capital exigible',
+                claimableInterest: 'Intérêts exigibles',
+                barredInterest: 'Intérêts prescrits',
+                claimableTotal: 'Total exigible',
+                prescriptionWarning: 'La prescription n\'est prise en compte que si le débiteur l\'invoque (CO art. 142). Avec le capital, les intérêts sont également prescrits (CO art. 133).',
+                solved: {
+                    'endDate': 'Date de calcul recherchée',
+                    'rate': 'Taux d\'intérêt recherché',
+                    'days': 'Nombre de jours recherché',
+                    'principal': 'Capital recherché'
+                },
+                target: 'Montant donné',
+                targetTypes: { 'interest': 'Intérêts moratoires', 'total': 'Total' },
+                deviation: 'Écart dû à l\'arrondi',
+                dailyInterest: 'Intérêts par jour',
+                from: 'dès le',
+                projection: 'Projection',
+                projectionColumns: { date: 'Date', days: 'Jours', interest: 'Intérêts', total: 'Total' },
+                projectionKeys: {
+                    'monthEnd': 'fin du mois',
+                    'plus30': '+30 jours',
+                    'plus60': '+60 jours',
+                    'plus90': '+90 jours',
+                    'paymentDate': 'date de paiement'
+                },
+                conversion: 'Conversion en CHF',
+                conversionBasis: 'Base',
+                conversionBases: {
+                    'dueDate': 'Cours à l\'échéance (CO art. 84 al. 2)',
+                    'payment': 'Cours au jour du paiement (CO art. 84 al. 2)',
+                    'prosecution': 'Cours à la réquisition de poursuite (LP art. 67 al. 1 ch. 3)'
+                },
+                conversionDate: 'Date de conversion',
+                exchangeRate: 'Cours',
+                rateFrom: 'cours du',
+                rateManual: 'cours saisi',
+                conversionAmounts: {
+                    principal: 'Capital',
+                    interest: 'Intérêts',
+                    total: 'Total',
+                    claimableTotal: 'Total exigible'
+                },
+                rateWarnings: 'Plausibilité du taux',
+                rateWarningTypes: {
+                    'consumerCredit': 'Taux maximal du crédit à la consommation dépassé, contrat nul (LCC art. 15 al. 1)',
+                    'usury': 'Taux très supérieur aux taux usuels, usure ou lésion possible',
+                    'belowStatutory': 'Remarque: taux inférieur au taux légal, valable pour la demeure seulement si convenu'
+                },
+                rateLimit: 'limite',
+                capitalisationWarning: 'Les intérêts composés ne sont admis qu\'en compte courant commercial et dans les formes d\'affaires analogues (CO art. 314 al. 3). Pour les intérêts moratoires ordinaires, l\'anatocisme est interdit (CO art. 105 al. 3).',
                 disclaimer: 'Ce document sert uniquement d\'orientation. Pas de conseil juridique.',
                 footerInfo: 'Calculateur d\'intérêts moratoires selon le CO suisse'
             };
@@ -211,10 +638,101 @@ const VerzugszinsPdfExport = {
             interest: 'Verzugszins:',
             total: 'Total (Kapital + Zins):',
             calculation: 'Berechnungsdetails',
-            method: 'Methode',
-            methodDesc: '360-Tage-Jahr',
-            formula: 'Formel',
             legalBasis: 'Rechtliche Grundlagen',
+            paymentSchedule: 'Zahlungsverlauf (OR Art. 85)',
+            capital: 'Kapital',
+            interestShort: 'Zins',
+            payment: 'Zahlung',
+            toCosts: 'Kosten',
+            totalPaid: 'Teilzahlungen',
+            openCapital: 'Offenes Kapital',
+            openInterest: 'Offene Zinsen',
+            openCosts: 'Offene Kosten',
+            openTotal: 'Offener Saldo:',
+            totalPrincipal: 'Total Kapital',
+            invoices: 'Anzahl Rechnungen',
+            ledger: 'Aufstellung nach Rechnungen',
+            invoice: 'Rechnung',
+            capitalisation: 'Kapitalisierung',
+            capitalisations: {
+                'quarterly': 'vierteljährlich',
+                'half-yearly': 'halbjährlich',
+                'annual': 'jährlich'
+            },
+            capitalisationSchedule: 'Kapitalisierungsverlauf (Kontokorrent)',
+            accrued: 'aufgelaufen',
+            capitalisedInterest: 'Kapitalisierte Zinsen',
+            accruedInterest: 'Aufgelaufene Zinsen (nicht kapitalisiert)',
+            simpleInterest: 'Zum Vergleich ohne Kapitalisierung',
+            cashRounding: 'Rundung auf 5 Rappen',
+            prescription: 'Verjährung',
+            claimType: 'Art der Forderung',
+            claimTypes: {
+                'general': 'Allgemeine Forderung, 10 Jahre (OR Art. 127)',
+                'periodic': 'Periodische Leistung, 5 Jahre (OR Art. 128 Ziff. 1)',
+                'trade': 'Handwerk, Kleinverkauf, Berufsarbeit, 5 Jahre (OR Art. 128 Ziff. 3)'
+            },
+            dueDate: 'Fälligkeit',
+            interruptions: 'Unterbrechungen',
+            interruptionTypes: {
+                'acknowledgement': 'Schuldanerkennung',
+                'prosecution': 'Betreibung',
+                'lawsuit': 'Klage'
+            },
+            capitalExpiry: 'Verjährung des Kapitals',
+            barred: 'verjährt',
+            notBarred: 'nicht verjährt',
+            barredPeriod: 'Verjährte Zinsen für den Zeitraum',
+            claimableCapital: 'Durchsetzbares Kapital',
+            claimableInterest: 'Durchsetzbare Zinsen',
+            barredInterest: 'Verjährte Zinsen',
+            claimableTotal: 'Total durchsetzbar',
+            prescriptionWarning: 'Die Verjährung wird nur berücksichtigt, wenn sich der Schuldner darauf beruft (OR Art. 142). Mit dem Kapital verjähren auch die Zinsen (OR Art. 133).',
+            solved: {
+                'endDate': 'Gesuchtes Berechnungsdatum',
+                'rate': 'Gesuchter Zinssatz',
+                'days': 'Gesuchte Anzahl Tage',
+                'principal': 'Gesuchtes Kapital'
+            },
+            target: 'Vorgabe',
+            targetTypes: { 'interest': 'Verzugszins', 'total': 'Total' },
+            deviation: 'Abweichung durch Rundung',
+            dailyInterest: 'Zins pro Tag',
+            from: 'ab',
+            projection: 'Hochrechnung',
+            projectionColumns: { date: 'Datum', days: 'Tage', interest: 'Verzugszins', total: 'Total' },
+            projectionKeys: {
+                'monthEnd': 'Monatsende',
+                'plus30': '+30 Tage',
+                'plus60': '+60 Tage',
+                'plus90': '+90 Tage',
+                'paymentDate': 'Zahlungsdatum'
+            },
+            conversion: 'Umrechnung in CHF',
+            conversionBasis: 'Grundlage',
+            conversionBases: {
+                'dueDate': 'Kurs am Verfalltag (OR Art. 84 Abs. 2)',
+                'payment': 'Kurs am Zahlungstag (OR Art. 84 Abs. 2)',
+                'prosecution': 'Kurs am Betreibungsbegehren (SchKG Art. 67 Abs. 1 Ziff. 3)'
+            },
+            conversionDate: 'Stichtag',
+            exchangeRate: 'Kurs',
+            rateFrom: 'Kurs vom',
+            rateManual: 'Kurs manuell erfasst',
+            conversionAmounts: {
+                principal: 'Kapital',
+                interest: 'Zins',
+                total: 'Total',
+                claimableTotal: 'Total durchsetzbar'
+            },
+            rateWarnings: 'Plausibilität des Zinssatzes',
+            rateWarningTypes: {
+                'consumerCredit': 'Höchstzinssatz für Konsumkredite überschritten, Vertrag nichtig (KKG Art. 15 Abs. 1)',
+                'usury': 'Zinssatz weit über dem üblichen Niveau, Wucher oder Übervorteilung möglich',
+                'belowStatutory': 'Hinweis: Zinssatz unter dem gesetzlichen Verzugszins, für den Verzug nur gültig, wenn vereinbart'
+            },
+            rateLimit: 'Grenze',
+            capitalisationWarning: 'Zinseszinsen sind nur im kaufmännischen Kontokorrent und ähnlichen Geschäftsformen zulässig (OR Art. 314 Abs. 3). Für gewöhnliche Verzugszinsen gilt das Zinseszinsverbot (OR Art. 105 Abs. 3).',
             disclaimer: 'Dieses Dokument dient nur zur Orientierung. Keine Rechtsberatung.',
             footerInfo: 'Verzugszinsrechner nach Schweizer Obligationenrecht'
         };
@@ -225,15 +743,29 @@ const VerzugszinsPdfExport = {
  * Mahnrechner PDF Export
  */
 const MahnrechnerPdfExport = {
-    generatePDF(data, lang = 'de') {
+    /**
+     * New jsPDF document; prints the page instead if jsPDF is not loaded
+     * @returns {Object|null} jsPDF document or null
+     */
+    createDocument() {
         if (typeof jspdf === 'undefined' && typeof jsPDF === 'undefined') {
             console.error('jsPDF nicht geladen');
             window.print();
-            return;
+            return null;
         }
 
         const { jsPDF } = window.jspdf || window;
-        const doc = new jsPDF();
+        return new jsPDF();
+    },
+
+    /**
+     * @param {Object} data - Result of calculateReminderClaim (mahnrechner.js)
+     * @param {string} lang - 'de' or 'fr'
+     * @param {Object} bill - Optional QR-bill (SwissQrBill.validate) added as payment part
+     */
+    generatePDF(data, lang = 'de', bill = null) {
+        const doc = this.createDocument();
+        if (!doc) return;
         const texts = this.getTexts(lang);
 
         const primaryColor = [63, 96, 111];
@@ -279,7 +811,8 @@ const MahnrechnerPdfExport = {
                 if (r.fee > 0) {
                     doc.setFont('helvetica', 'normal');
                     const dateStr = r.date.toLocaleDateString(lang === 'fr' ? 'fr-CH' : 'de-CH');
-                    doc.text(`${i + 1}. ${texts.reminder} (${dateStr}):`, 20, y);
+                    const deadlineStr = r.deadline ? `, ${texts.deadline} ${this.formatDate(r.deadline, lang)}` : '';
+                    doc.text(`${i + 1}. ${texts.reminder} (${dateStr}${deadlineStr}):`, 20, y);
                     doc.setFont('helvetica', 'bold');
                     doc.text(this.formatCHF(r.fee), 190, y, { align: 'right' });
                     y += 6;
@@ -298,8 +831,22 @@ const MahnrechnerPdfExport = {
 
         doc.setFontSize(9);
         doc.setFont('helvetica', 'normal');
+        if (data.defaultStart) {
+            doc.text(texts.defaultRule, 20, y);
+            y += 5;
+            const ruleLines = doc.splitTextToSize(this.formatDefaultRule(data, texts, lang), 165);
+            doc.text(ruleLines, 25, y);
+            y += ruleLines.length * 5 + 1;
+        }
+        if (data.startDate) {
+            doc.text(texts.defaultStart, 20, y);
+            const shifted = data.dueDateShifted ? ` (${texts.dueDateShifted})` : '';
+            doc.text(`${this.formatDate(data.startDate, lang)}${shifted}`, 190, y, { align: 'right' });
+            y += 6;
+        }
+
         doc.text(texts.rate, 20, y);
-        doc.text(`${data.rate}% p.a.`, 190, y, { align: 'right' });
+        doc.text(`${data.interestRate}% p.a.`, 190, y, { align: 'right' });
         y += 6;
 
         doc.text(texts.period, 20, y);
@@ -311,6 +858,14 @@ const MahnrechnerPdfExport = {
         doc.text(this.formatCHF(data.interest), 190, y, { align: 'right' });
         y += 12;
 
+        // Rappenrundung des Totals (Barzahlung)
+        if (data.cashRoundingDifference) {
+            doc.setFont('helvetica', 'normal');
+            doc.text(texts.cashRounding, 20, y - 4);
+            doc.text(this.formatSignedCHF(data.cashRoundingDifference), 190, y - 4, { align: 'right' });
+            y += 4;
+        }
+
         // Gesamtforderung
         doc.setFillColor(240, 248, 255);
         doc.roundedRect(15, y, 180, 18, 3, 3, 'F');
@@ -326,7 +881,13 @@ const MahnrechnerPdfExport = {
 
         y += 28;
 
+        // Betreibungskosten (GebV SchKG)
+        if (data.collectionFees) {
+            y = this.addCollectionFees(doc, data.collectionFees, texts, y, primaryColor, lang);
+        }
+
         // Rechtliche Grundlagen
+        y = this.checkPageBreak(doc, y, 35);
         y = this.addSectionHeader(doc, texts.legalBasis, y, primaryColor);
 
         doc.setFontSize(8);
@@ -340,6 +901,14 @@ const MahnrechnerPdfExport = {
             'OR Art. 104: Verzugszins von 5% pro Jahr',
             'Mahngebühren müssen angemessen sein'
         ];
+        if (data.defaultStart) {
+            legalLines.push(data.defaultStart.rule === 'reminder' ? texts.legalReminder : texts.legalDueDate);
+        }
+        if (data.collectionFees) {
+            legalLines.push(lang === 'fr'
+                ? 'LP art. 68: Les frais de poursuite sont à la charge du débiteur; le créancier en fait l\'avance'
+                : 'SchKG Art. 68: Die Betreibungskosten trägt der Schuldner; der Gläubiger schiesst sie vor');
+        }
 
         legalLines.forEach(line => {
             doc.text(line, 15, y);
@@ -355,10 +924,125 @@ const MahnrechnerPdfExport = {
         doc.text(texts.disclaimer, 15, y);
         doc.text('verzugszinsrechner.ch - ' + texts.footerInfo, 15, y + 4);
 
+        if (bill) {
+            QrBillPdf.add(doc, bill, lang, y + 4);
+        }
+
         const filename = `Mahnkosten_${this.formatDateFile(new Date())}.pdf`;
         doc.save(filename);
     },
 
+    /**
+     * Reminder letter (Mahnschreiben) with the address of the debtor in the right window
+     * @param {Object} letter - Content built by ReminderLetter.build (reminder-letter.js)
+     * @param {string} lang - 'de' or 'fr'
+     * @param {Object} bill - Optional QR-bill (SwissQrBill.validate) added as payment part
+     */
+    generateLetter(letter, lang = 'de', bill = null) {
+        const doc = this.createDocument();
+        if (!doc) return;
+
+        // Sender
+        doc.setTextColor(80, 80, 80);
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'normal');
+        doc.text(letter.creditor, 20, 20);
+
+        // Recipient (window envelope, right)
+        doc.setTextColor(0, 0, 0);
+        doc.setFontSize(10);
+        doc.text(letter.debtor, 120, 50);
+
+        let y = 95;
+        doc.text(letter.placeDate, 20, y);
+        y += 12;
+
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'bold');
+        doc.text(letter.subject, 20, y);
+        y += 12;
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.text(letter.salutation, 20, y);
+        y += 9;
+
+        letter.paragraphs.forEach(paragraph => {
+            const lines = doc.splitTextToSize(paragraph, 170);
+            y = this.checkPageBreak(doc, y, lines.length * 5);
+            doc.text(lines, 20, y);
+            y += lines.length * 5 + 4;
+        });
+
+        // Amounts as in the result
+        y = this.checkPageBreak(doc, y, 20 + letter.amounts.length * 6);
+        y += 2;
+        y = this.addTable(doc, letter.amounts, 20, y);
+        doc.setDrawColor(0, 0, 0);
+        doc.line(20, y - 3, 190, y - 3);
+        y += 2;
+        doc.setFont('helvetica', 'bold');
+        doc.text(letter.total[0], 20, y);
+        doc.text(letter.total[1], 190, y, { align: 'right' });
+        y += 6;
+        doc.setFont('helvetica', 'normal');
+        doc.text(letter.deadline[0], 20, y);
+        doc.setFont('helvetica', 'bold');
+        doc.text(letter.deadline[1], 190, y, { align: 'right' });
+        y += 14;
+
+        y = this.checkPageBreak(doc, y, 25);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.text(doc.splitTextToSize(letter.closing, 170), 20, y);
+        doc.text(letter.signature, 20, y + 20);
+
+        if (bill) {
+            QrBillPdf.add(doc, bill, lang, y + 20);
+        }
+
+        doc.save(`Mahnschreiben_${this.formatDateFile(new Date())}.pdf`);
+    },
+
+    /**
+     * Rule for the start of default as stated in the result
+     */
+    formatDefaultRule(data, texts, lang) {
+        const rule = data.defaultStart;
+        const date = this.formatDate(rule.eventDate, lang);
+        if (rule.rule === 'invoiceTerm') {
+            return `${texts.ruleInvoiceDate} ${this.formatDate(data.invoiceDate, lang)} + ${rule.term} ${texts.ruleTerm}, ` +
+                `${texts.ruleDueDateShort} ${date} (${texts.ruleArticleDueDate})`;
+        }
+        if (rule.rule === 'dueDate') {
+            return `${texts.ruleDueDate} ${date} (${texts.ruleArticleDueDate})`;
+        }
+        return `${texts.ruleReceipt} ${rule.reminder}. ${texts.reminder} ${texts.ruleReceiptOn} ${date} (${texts.ruleArticleReminder})`;
+    },
+
+    addCollectionFees(doc, fees, texts, y, color, lang) {
+        y = this.checkPageBreak(doc, y, 20 + fees.lines.length * 6);
+        y = this.addSectionHeader(doc, texts.collectionFees, y, color);
+
+        const rows = fees.lines.map(line => [`${line.name[lang]} (${line.article[lang]})`, this.formatCHF(line.fee)]);
+        rows.push([texts.collectionFeesTotal, this.formatCHF(fees.total)]);
+        y = this.addTable(doc, rows, 20, y);
+
+        doc.setFontSize(8);
+        doc.setTextColor(80, 80, 80);
+        doc.text(`${texts.collectionFeesNote} ${this.formatCHF(fees.claim)}${texts.collectionFeesExpenses}`, 20, y);
+        doc.setTextColor(0, 0, 0);
+        return y + 10;
+    },
+
+    checkPageBreak(doc, y, needed) {
+        if (y + needed > 280) {
+            doc.addPage();
+            return 20;
+        }
+        return y;
+    },
+
     addSectionHeader(doc, title, y, color) {
         doc.setFillColor(...color);
         doc.rect(15, y, 3, 7, 'F');
@@ -384,7 +1068,13 @@ const MahnrechnerPdfExport = {
     },
 
     formatCHF(amount) {
-        return 'CHF ' + amount.toLocaleString('de-CH', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        // Via whole Rappen, so that the PDF shows the same amounts as the screen
+        const rounded = Money.toCHF(Money.toRappen(amount));
+        return 'CHF ' + rounded.toLocaleString('de-CH', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    },
+
+    formatSignedCHF(amount) {
+        return (amount > 0 ? '+ ' : '- ') + this.formatCHF(Math.abs(amount));
     },
 
     formatDate(date, lang) {
@@ -411,14 +1101,33 @@ const MahnrechnerPdfExport = {
                 principal: 'Montant de la facture:',
                 reminderFeesTitle: 'Frais de rappel',
                 reminder: 'Rappel',
+                deadline: 'délai au',
                 totalReminderFees: 'Total frais de rappel:',
                 interestTitle: 'Intérêts moratoires',
+                defaultRule: 'Événement déclencheur:',
+                ruleInvoiceDate: 'Date de la facture',
+                ruleTerm: 'jours de délai de paiement',
+                ruleDueDateShort: 'échéance',
+                ruleDueDate: 'Jour d\'échéance fixe',
+                ruleReceipt: 'Réception du',
+                ruleReceiptOn: 'le',
+                ruleArticleDueDate: 'CO art. 102 al. 2',
+                ruleArticleReminder: 'CO art. 102 al. 1',
+                defaultStart: 'Début de la demeure:',
+                dueDateShifted: 'échéance reportée, CO art. 78',
                 rate: 'Taux d\'intérêt:',
                 period: 'Période de retard:',
                 days: 'jours',
                 interestAmount: 'Intérêts moratoires:',
+                cashRounding: 'Arrondi à 5 centimes:',
                 total: 'Créance totale:',
+                collectionFees: 'Frais de poursuite (OELP)',
+                collectionFeesTotal: 'Total frais de poursuite',
+                collectionFeesNote: 'Émoluments pour une créance de',
+                collectionFeesExpenses: ', plus les débours (port)',
                 legalBasis: 'Base légale',
+                legalDueDate: 'CO art. 102 al. 2: Demeure dès l\'expiration du jour d\'échéance',
+                legalReminder: 'CO art. 102 al. 1: Demeure par l\'interpellation du créancier',
                 disclaimer: 'Ce document sert uniquement d\'orientation. Pas de conseil juridique.',
                 footerInfo: 'Calculateur de frais de rappel'
             };
@@ -431,21 +1140,226 @@ const MahnrechnerPdfExport = {
             principal: 'Rechnungsbetrag:',
             reminderFeesTitle: 'Mahngebühren',
             reminder: 'Mahnung',
+            deadline: 'Frist bis',
             totalReminderFees: 'Total Mahngebühren:',
             interestTitle: 'Verzugszinsen',
+            defaultRule: 'Auslösendes Ereignis:',
+            ruleInvoiceDate: 'Rechnungsdatum',
+            ruleTerm: 'Tage Zahlungsfrist',
+            ruleDueDateShort: 'Verfalltag',
+            ruleDueDate: 'Fester Verfalltag',
+            ruleReceipt: 'Zugang der',
+            ruleReceiptOn: 'am',
+            ruleArticleDueDate: 'OR Art. 102 Abs. 2',
+            ruleArticleReminder: 'OR Art. 102 Abs. 1',
+            defaultStart: 'Verzugsbeginn:',
+            dueDateShifted: 'Fälligkeit verschoben, OR Art. 78',
             rate: 'Zinssatz:',
             period: 'Verzugszeitraum:',
             days: 'Tage',
             interestAmount: 'Verzugszinsen:',
+            cashRounding: 'Rundung auf 5 Rappen:',
             total: 'Gesamtforderung:',
+            collectionFees: 'Betreibungskosten (GebV SchKG)',
+            collectionFeesTotal: 'Total Betreibungskosten',
+            collectionFeesNote: 'Gebühren für eine Forderung von',
+            collectionFeesExpenses: ', zuzüglich Auslagen (Porto)',
             legalBasis: 'Rechtliche Grundlagen',
+            legalDueDate: 'OR Art. 102 Abs. 2: Verzug mit Ablauf des Verfalltags',
+            legalReminder: 'OR Art. 102 Abs. 1: Verzug durch Mahnung des Gläubigers',
             disclaimer: 'Dieses Dokument dient nur zur Orientierung. Keine Rechtsberatung.',
             footerInfo: 'Mahnkostenrechner'
         };
     }
 };
 
+/**
+ * Payment part of a Swiss QR-bill at the bottom of an A4 page: receipt (62 mm) and
+ * payment part (148 mm) with the Swiss QR code, 105 mm high, laid out according to
+ * the Style Guide of the QR-bill (SIX). The content comes from SwissQrBill (qr-bill.js).
+ */
+const QrBillPdf = {
+    // Top of the payment part on the A4 page (297 - 105 mm)
+    TOP: 192,
+
+    /**
+     * Add the payment part below the content, on a new page if it does not fit
+     * @param {Object} doc - jsPDF document
+     * @param {Object} bill - Bill validated by SwissQrBill.validate
+     * @param {string} lang - 'de' or 'fr'
+     * @param {number} y - End of the content on the current page
+     */
+    add(doc, bill, lang, y) {
+        const texts = this.getTexts(lang);
+        const top = this.TOP;
+        if (y > top - 10) {
+            doc.addPage();
+        }
+
+        // Separation lines, perforated
+        doc.setTextColor(0, 0, 0);
+        doc.setDrawColor(0, 0, 0);
+        doc.setLineWidth(0.2);
+        doc.setLineDashPattern([1, 1], 0);
+        doc.line(0, top, 210, top);
+        doc.line(62, top, 62, 297);
+        doc.setLineDashPattern([], 0);
+        doc.setFontSize(7);
+        doc.setFont('helvetica', 'normal');
+        doc.text(texts.separate, 105, top - 2, { align: 'center' });
+
+        const creditor = [SwissQrBill.formatIban(bill.account), ...SwissQrBill.formatAddress(bill.creditor)];
+        const reference = bill.reference ? SwissQrBill.formatReference(bill) : '';
+        const amount = SwissQrBill.formatAmount(bill.amount);
+
+        // Receipt
+        const receipt = { heading: 6, value: 8, headingLine: 3, valueLine: 3.5, gap: 2.5 };
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(11);
+        doc.text(texts.receipt, 5, top + 9);
+        let receiptY = this.addInfo(doc, 5, top + 16, 52, texts.account, creditor, receipt);
+        if (reference) {
+            receiptY = this.addInfo(doc, 5, receiptY, 52, texts.reference, [reference], receipt);
+        }
+        if (bill.debtor) {
+            this.addInfo(doc, 5, receiptY, 52, texts.payableBy, SwissQrBill.formatAddress(bill.debtor), receipt);
+        } else {
+            this.addInfo(doc, 5, receiptY, 52, texts.payableByBlank, [], receipt);
+            this.addBlankField(doc, 5, receiptY + 1.5, 52, 20);
+        }
+        this.addAmount(doc, 5, 18, top + 71, bill.currency, amount, texts, receipt);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(6);
+        doc.text(texts.acceptancePoint, 57, top + 86, { align: 'right' });
+
+        // Payment part
+        const payment = { heading: 8, value: 10, headingLine: 3.5, valueLine: 4.2, gap: 3.5 };
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(11);
+        doc.text(texts.paymentPart, 67, top + 9);
+        this.addQrCode(doc, SwissQrBill.buildPayload(bill), 67, top + 17, 46);
+        this.addAmount(doc, 67, 87, top + 71, bill.currency, amount, texts, payment);
+
+        let paymentY = this.addInfo(doc, 118, top + 9, 87, texts.account, creditor, payment);
+        if (reference) {
+            paymentY = this.addInfo(doc, 118, paymentY, 87, texts.reference, [reference], payment);
+        }
+        if (bill.message) {
+            paymentY = this.addInfo(doc, 118, paymentY, 87, texts.additionalInformation, [bill.message], payment);
+        }
+        if (bill.debtor) {
+            this.addInfo(doc, 118, paymentY, 87, texts.payableBy, SwissQrBill.formatAddress(bill.debtor), payment);
+        } else {
+            this.addInfo(doc, 118, paymentY, 87, texts.payableByBlank, [], payment);
+            this.addBlankField(doc, 118, paymentY + 1.5, 65, 25);
+        }
+    },
+
+    /**
+     * Heading with its lines below; returns the position of the next heading
+     */
+    addInfo(doc, x, y, width, heading, lines, sizes) {
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(sizes.heading);
+        doc.text(heading, x, y);
+        y += sizes.headingLine;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(sizes.value);
+        lines.forEach(line => {
+            doc.splitTextToSize(line, width).forEach(part => {
+                doc.text(part, x, y);
+                y += sizes.valueLine;
+            });
+        });
+        return y + sizes.gap;
+    },
+
+    addAmount(doc, x, amountX, y, currency, amount, texts, sizes) {
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(sizes.heading);
+        doc.text(texts.currency, x, y);
+        doc.text(texts.amount, amountX, y);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(sizes.value);
+        doc.text(currency, x, y + sizes.headingLine + 1);
+        doc.text(amount, amountX, y + sizes.headingLine + 1);
+    },
+
+    /**
+     * Corner marks of a field to be filled in by hand
+     */
+    addBlankField(doc, x, y, width, height) {
+        doc.setLineWidth(0.26);
+        [[x, y, 1, 1], [x + width, y, -1, 1], [x, y + height, 1, -1], [x + width, y + height, -1, -1]].forEach(([cornerX, cornerY, dx, dy]) => {
+            doc.line(cornerX, cornerY, cornerX + dx * 3, cornerY);
+            doc.line(cornerX, cornerY, cornerX, cornerY + dy * 3);
+        });
+    },
+
+    /**
+     * Swiss QR code (error correction level M) with the Swiss cross of 7 mm in the centre
+     */
+    addQrCode(doc, payload, x, y, size) {
+        const qr = QrCode.encode(payload, 'M');
+        const module = size / qr.size;
+        doc.setFillColor(0, 0, 0);
+        qr.modules.forEach((row, r) => {
+            // One rectangle per run of dark modules
+            let start = -1;
+            for (let c = 0; c <= qr.size; c++) {
+                if (c < qr.size && row[c]) {
+                    if (start < 0) start = c;
+                } else if (start >= 0) {
+                    doc.rect(x + start * module, y + r * module, (c - start) * module, module, 'F');
+                    start = -1;
+                }
+            }
+        });
+
+        const centerX = x + size / 2;
+        const centerY = y + size / 2;
+        doc.setFillColor(255, 255, 255);
+        doc.rect(centerX - 3.5, centerY - 3.5, 7, 7, 'F');
+        doc.setFillColor(0, 0, 0);
+        doc.rect(centerX - 3, centerY - 3, 6, 6, 'F');
+        doc.setFillColor(255, 255, 255);
+        doc.rect(centerX - 0.6, centerY - 1.95, 1.2, 3.9, 'F');
+        doc.rect(centerX - 1.95, centerY - 0.6, 3.9, 1.2, 'F');
+    },
+
+    getTexts(lang) {
+        if (lang === 'fr') {
+            return {
+                receipt: 'Récépissé',
+                paymentPart: 'Section paiement',
+                account: 'Compte / Payable à',
+                reference: 'Référence',
+                additionalInformation: 'Informations supplémentaires',
+                payableBy: 'Payable par',
+                payableByBlank: 'Payable par (nom/adresse)',
+                currency: 'Monnaie',
+                amount: 'Montant',
+                acceptancePoint: 'Point de dépôt',
+                separate: 'À détacher avant le versement'
+            };
+        }
+        return {
+            receipt: 'Empfangsschein',
+            paymentPart: 'Zahlteil',
+            account: 'Konto / Zahlbar an',
+            reference: 'Referenz',
+            additionalInformation: 'Zusätzliche Informationen',
+            payableBy: 'Zahlbar durch',
+            payableByBlank: 'Zahlbar durch (Name/Adresse)',
+            currency: 'Währung',
+            amount: 'Betrag',
+            acceptancePoint: 'Annahmestelle',
+            separate: 'Vor der Einzahlung abtrennen'
+        };
+    }
+};
+
 // Export for Node.js testing
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { VerzugszinsPdfExport, MahnrechnerPdfExport };
+    module.exports = { VerzugszinsPdfExport, MahnrechnerPdfExport, QrBillPdf };
 }
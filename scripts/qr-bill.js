@@ -0,0 +1,363 @@
+/**
+ * Swiss QR-bill for Swiss Legal Tools
+ * Validates the data of a payment part and builds the content of the Swiss QR code
+ * according to the Swiss Implementation Guidelines for the QR-bill (SIX, version 2.3):
+ * IBAN or QR-IBAN with check digits, structured addresses, amount and a QR reference
+ * or creditor reference (ISO 11649). The QR code itself is encoded by qr-code.js,
+ * the payment part is laid out by QrBillPdf (pdf-export.js).
+ */
+
+const SwissQrBill = {
+    CURRENCIES: ['CHF', 'EUR'],
+
+    // Maximum lengths of the address fields (structured address, type S)
+    ADDRESS_LIMITS: { name: 70, street: 70, buildingNumber: 16, postalCode: 16, town: 35 },
+
+    // Characters allowed in the QR code: printable Latin characters and the euro sign
+    ALLOWED_CHARACTERS: /^[\u0020-\u007E\u00A0-\u017F\u0218-\u021B\u20AC]*$/,
+
+    /**
+     * Remainder modulo 97 of a string of letters and digits, letters counted
+     * as A = 10 to Z = 35 (IBAN and creditor reference)
+     */
+    mod97(text) {
+        const digits = text.toUpperCase().replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+        let remainder = 0;
+        for (let i = 0; i < digits.length; i += 7) {
+            remainder = Number(String(remainder) + digits.slice(i, i + 7)) % 97;
+        }
+        return remainder;
+    },
+
+    /**
+     * Check an IBAN of Switzerland or Liechtenstein
+     * @param {string} iban - IBAN, spaces allowed
+     * @returns {Object} { iban: without spaces, qrIban: true for a QR-IBAN } or { error }
+     */
+    validateIban(iban) {
+        const value = String(iban || '').replace(/\s+/g, '').toUpperCase();
+        if (!/^(CH|LI)\d{7}[0-9A-Z]{12}$/.test(value)) {
+            return { error: 'IBAN must be a Swiss or Liechtenstein IBAN with 21 characters' };
+        }
+        if (this.mod97(value.slice(4) + value.slice(0, 4)) !== 1) {
+            return { error: 'IBAN check digits are invalid' };
+        }
+        // QR-IBAN: institution identification (QR-IID) from 30000 to 31999
+        const iid = Number(value.slice(4, 9));
+        return { iban: value, qrIban: iid >= 30000 && iid <= 31999 };
+    },
+
+    /**
+     * Check digit of a QR reference: recursive modulo 10
+     * @param {string} digits - First 26 digits of the reference
+     * @returns {number} Check digit
+     */
+    qrReferenceCheckDigit(digits) {
+        const table = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+        let carry = 0;
+        for (const digit of digits) {
+            carry = table[(carry + Number(digit)) % 10];
+        }
+        return (10 - carry) % 10;
+    },
+
+    /**
+     * Check a QR reference (27 digits, the last one the check digit)
+     * @returns {Object} { reference: without spaces } or { error }
+     */
+    validateQrReference(reference) {
+        const value = String(reference || '').replace(/\s+/g, '');
+        if (!/^\d{27}$/.test(value)) {
+            return { error: 'QR reference must have 27 digits' };
+        }
+        if (this.qrReferenceCheckDigit(value.slice(0, 26)) !== Number(value[26])) {
+            return { error: 'QR reference check digit is invalid' };
+        }
+        return { reference: value };
+    },
+
+    /**
+     * Check a creditor reference (ISO 11649: RF, two check digits, up to 21 characters)
+     * @returns {Object} { reference: without spaces } or { error }
+     */
+    validateCreditorReference(reference) {
+        const value = String(reference || '').replace(/\s+/g, '').toUpperCase();
+        if (!/^RF\d{2}[0-9A-Z]{1,21}$/.test(value)) {
+            return { error: 'Creditor reference must start with RF and have 5 to 25 characters' };
+        }
+        if (this.mod97(value.slice(4) + value.slice(0, 4)) !== 1) {
+            return { error: 'Creditor reference check digits are invalid' };
+        }
+        return { reference: value };
+    },
+
+    /**
+     * Check a structured address; errors name the role ('creditor' or 'debtor')
+     * and the field, e.g. { error: 'Address field is too long', role, field, limit }
+     */
+    validateAddress(address, role) {
+        const fields = {};
+        for (const key of Object.keys(this.ADDRESS_LIMITS)) {
+            fields[key] = String(address[key] || '').trim();
+            if (fields[key].length > this.ADDRESS_LIMITS[key]) {
+                return { error: 'Address field is too long', role: role, field: key, limit: this.ADDRESS_LIMITS[key] };
+            }
+            if (!this.ALLOWED_CHARACTERS.test(fields[key])) {
+                return { error: 'Address field contains characters not allowed in a QR-bill', role: role, field: key };
+            }
+        }
+        fields.country = String(address.country || 'CH').trim().toUpperCase();
+        if (!fields.name || !fields.postalCode || !fields.town) {
+            return { error: 'Name, postal code and town are required', role: role };
+        }
+        if (!/^[A-Z]{2}$/.test(fields.country)) {
+            return { error: 'Country must be a two-letter country code', role: role };
+        }
+        return fields;
+    },
+
+    /**
+     * Validate the data of a QR-bill
+     * @param {Object} bill - { account: IBAN or QR-IBAN, creditor: address, amount, currency,
+     *                         reference: QR or creditor reference (optional), message (optional),
+     *                         debtor: address (optional) }
+     *                        Address: { name, street, buildingNumber, postalCode, town, country }
+     * @returns {Object} Bill with normalised values and referenceType ('QRR', 'SCOR' or 'NON'),
+     *                   or { error }
+     */
+    validate(bill) {
+        const account = this.validateIban(bill.account);
+        if (account.error) return account;
+
+        const creditor = this.validateAddress(bill.creditor || {}, 'creditor');
+        if (creditor.error) return creditor;
+
+        const debtorGiven = bill.debtor && Object.keys(this.ADDRESS_LIMITS).some(key => String(bill.debtor[key] || '').trim());
+        const debtor = debtorGiven ? this.validateAddress(bill.debtor, 'debtor') : null;
+        if (debtor && debtor.error) return debtor;
+
+        const amount = Math.round(bill.amount * 100) / 100;
+        if (!isFinite(amount) || amount < 0.01 || amount > 999999999.99) {
+            return { error: 'Amount must be between 0.01 and 999999999.99' };
+        }
+        if (!this.CURRENCIES.includes(bill.currency)) {
+            return { error: 'Currency must be CHF or EUR' };
+        }
+
+        // A QR-IBAN requires a QR reference, an IBAN a creditor reference or none
+        const referenceText = String(bill.reference || '').trim();
+        let referenceType = 'NON';
+        let reference = '';
+        if (account.qrIban) {
+            const checked = this.validateQrReference(referenceText);
+            if (checked.error) {
+                return { error: referenceText ? checked.error : 'QR-IBAN requires a QR reference' };
+            }
+            referenceType = 'QRR';
+            reference = checked.reference;
+        } else if (referenceText) {
+            if (/^\d[\d\s]*$/.test(referenceText)) {
+                return { error: 'QR reference requires a QR-IBAN' };
+            }
+            const checked = this.validateCreditorReference(referenceText);
+            if (checked.error) return checked;
+            referenceType = 'SCOR';
+            reference = checked.reference;
+        }
+
+        const message = String(bill.message || '').trim();
+        if (message.length > 140) {
+            return { error: 'Additional information is too long (at most 140 characters)' };
+        }
+        if (!this.ALLOWED_CHARACTERS.test(message)) {
+            return { error: 'Additional information contains characters not allowed in a QR-bill' };
+        }
+
+        return {
+            account: account.iban,
+            qrIban: account.qrIban,
+            creditor: creditor,
+            amount: amount,
+            currency: bill.currency,
+            debtor: debtor,
+            referenceType: referenceType,
+            reference: reference,
+            message: message
+        };
+    },
+
+    /**
+     * Content of the Swiss QR code, one element per line
+     * @param {Object} bill - Bill returned by validate()
+     * @returns {string} Payload
+     */
+    buildPayload(bill) {
+        const address = (fields) => fields
+            ? ['S', fields.name, fields.street, fields.buildingNumber, fields.postalCode, fields.town, fields.country]
+            : ['', '', '', '', '', '', ''];
+        return [
+            'SPC', '0200', '1',
+            bill.account,
+            ...address(bill.creditor),
+            ...address(null), // ultimate creditor, reserved for future use
+            bill.amount.toFixed(2),
+            bill.currency,
+            ...address(bill.debtor),
+            bill.referenceType,
+            bill.reference,
+            bill.message,
+            'EPD'
+        ].join('\n');
+    },
+
+    /**
+     * Address lines as printed on the payment part
+     */
+    formatAddress(fields) {
+        return [
+            fields.name,
+            [fields.street, fields.buildingNumber].filter(part => part).join(' '),
+            `${fields.country === 'CH' ? '' : fields.country + '-'}${fields.postalCode} ${fields.town}`
+        ].filter(line => line);
+    },
+
+    formatAmount(amount) {
+        const [francs, cents] = amount.toFixed(2).split('.');
+        return francs.replace(/\B(?=(\d{3})+(?!\d))/g, ' ') + '.' + cents;
+    },
+
+    formatIban(iban) {
+        return iban.replace(/(.{4})(?=.)/g, '$1 ');
+    },
+
+    /**
+     * Reference in blocks: QR reference 2 + 5 digits each, creditor reference 4 characters each
+     */
+    formatReference(bill) {
+        if (bill.referenceType === 'QRR') {
+            return bill.reference.slice(0, 2) + ' ' + bill.reference.slice(2).replace(/(.{5})(?=.)/g, '$1 ');
+        }
+        return bill.reference.replace(/(.{4})(?=.)/g, '$1 ');
+    }
+};
+
+/**
+ * Form of the optional payment part on the calculator pages; the account and
+ * the creditor address are kept in this browser
+ */
+const QrBillForm = {
+    STORAGE_KEY: 'qrbill_creditor',
+
+    ADDRESS_FIELDS: { name: 'Name', street: 'Street', buildingNumber: 'Number', postalCode: 'PostalCode', town: 'Town', country: 'Country' },
+
+    readAddress(prefix) {
+        const address = {};
+        Object.entries(this.ADDRESS_FIELDS).forEach(([key, suffix]) => {
+            address[key] = document.getElementById(prefix + suffix).value;
+        });
+        return address;
+    },
+
+    /**
+     * Validated bill for the amount of a result
+     * @returns {Object|null} Bill (see SwissQrBill.validate), { error } or null if no payment part is wanted
+     */
+    read(amount, currency) {
+        if (!document.getElementById('qrBillEnabled').checked) {
+            return null;
+        }
+        const creditor = this.readAddress('qrCreditor');
+        const account = document.getElementById('qrAccount').value;
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ account: account, creditor: creditor }));
+
+        return SwissQrBill.validate({
+            account: account,
+            creditor: creditor,
+            amount: amount,
+            currency: currency,
+            reference: document.getElementById('qrReference').value,
+            message: document.getElementById('qrMessage').value,
+            debtor: this.readAddress('qrDebtor')
+        });
+    },
+
+    getLabels(lang) {
+        return lang === 'fr' ? {
+            errors: {
+                'IBAN must be a Swiss or Liechtenstein IBAN with 21 characters': 'L\'IBAN doit être un IBAN suisse ou liechtensteinois de 21 caractères.',
+                'IBAN check digits are invalid': 'Les chiffres de contrôle de l\'IBAN sont incorrects. Veuillez vérifier l\'IBAN.',
+                'QR reference must have 27 digits': 'La référence QR doit comporter 27 chiffres.',
+                'QR reference check digit is invalid': 'Le chiffre de contrôle de la référence QR est incorrect. Veuillez vérifier la référence.',
+                'Creditor reference must start with RF and have 5 to 25 characters': 'La référence créancier doit commencer par RF et comporter 5 à 25 caractères.',
+                'Creditor reference check digits are invalid': 'Les chiffres de contrôle de la référence créancier sont incorrects. Veuillez vérifier la référence.',
+                'Address field is too long': (e) => `${e.role}: le champ ${e.field} est trop long (${e.limit} caractères au maximum).`,
+                'Address field contains characters not allowed in a QR-bill': (e) => `${e.role}: le champ ${e.field} contient des caractères non admis dans une facture QR.`,
+                'Name, postal code and town are required': (e) => `${e.role}: le nom, le NPA et la localité sont obligatoires.`,
+                'Country must be a two-letter country code': (e) => `${e.role}: le pays doit être indiqué par un code à deux lettres (p.ex. CH).`,
+                'Amount must be between 0.01 and 999999999.99': 'Le montant de la facture QR doit être compris entre 0.01 et 999 999 999.99.',
+                'Currency must be CHF or EUR': 'La facture QR n\'est possible qu\'en CHF ou en EUR.',
+                'QR-IBAN requires a QR reference': 'Un QR-IBAN exige une référence QR.',
+                'QR reference requires a QR-IBAN': 'Une référence QR ne peut être utilisée qu\'avec un QR-IBAN.',
+                'Additional information is too long (at most 140 characters)': 'Les informations supplémentaires sont trop longues (140 caractères au maximum).',
+                'Additional information contains characters not allowed in a QR-bill': 'Les informations supplémentaires contiennent des caractères non admis dans une facture QR.'
+            },
+            roles: { creditor: 'Bénéficiaire', debtor: 'Débiteur' },
+            fields: { name: 'Nom / entreprise', street: 'Rue', buildingNumber: 'N°', postalCode: 'NPA', town: 'Localité' }
+        } : {
+            errors: {
+                'IBAN must be a Swiss or Liechtenstein IBAN with 21 characters': 'Die IBAN muss eine Schweizer oder Liechtensteiner IBAN mit 21 Zeichen sein.',
+                'IBAN check digits are invalid': 'Die Prüfziffern der IBAN stimmen nicht. Bitte prüfen Sie die IBAN.',
+                'QR reference must have 27 digits': 'Die QR-Referenz muss 27 Ziffern haben.',
+                'QR reference check digit is invalid': 'Die Prüfziffer der QR-Referenz stimmt nicht. Bitte prüfen Sie die Referenz.',
+                'Creditor reference must start with RF and have 5 to 25 characters': 'Die Creditor Reference muss mit RF beginnen und 5 bis 25 Zeichen haben.',
+                'Creditor reference check digits are invalid': 'Die Prüfziffern der Creditor Reference stimmen nicht. Bitte prüfen Sie die Referenz.',
+                'Address field is too long': (e) => `${e.role}: Das Feld ${e.field} ist zu lang (höchstens ${e.limit} Zeichen).`,
+                'Address field contains characters not allowed in a QR-bill': (e) => `${e.role}: Das Feld ${e.field} enthält Zeichen, die in einer QR-Rechnung nicht erlaubt sind.`,
+                'Name, postal code and town are required': (e) => `${e.role}: Name, PLZ und Ort sind erforderlich.`,
+                'Country must be a two-letter country code': (e) => `${e.role}: Das Land ist als zweistelliger Ländercode anzugeben (z.B. CH).`,
+                'Amount must be between 0.01 and 999999999.99': 'Der Betrag der QR-Rechnung muss zwischen 0.01 und 999 999 999.99 liegen.',
+                'Currency must be CHF or EUR': 'Die QR-Rechnung ist nur in CHF oder EUR möglich.',
+                'QR-IBAN requires a QR reference': 'Zu einer QR-IBAN gehört eine QR-Referenz.',
+                'QR reference requires a QR-IBAN': 'Eine QR-Referenz kann nur mit einer QR-IBAN verwendet werden.',
+                'Additional information is too long (at most 140 characters)': 'Die zusätzlichen Informationen sind zu lang (höchstens 140 Zeichen).',
+                'Additional information contains characters not allowed in a QR-bill': 'Die zusätzlichen Informationen enthalten Zeichen, die in einer QR-Rechnung nicht erlaubt sind.'
+            },
+            roles: { creditor: 'Zahlungsempfänger', debtor: 'Zahlungspflichtiger' },
+            fields: { name: 'Name / Firma', street: 'Strasse', buildingNumber: 'Nr.', postalCode: 'PLZ', town: 'Ort' }
+        };
+    },
+
+    /**
+     * Error of SwissQrBill.validate() as text of the page language; address
+     * errors name the role and the field as labelled in the form
+     */
+    getErrorText(result, lang) {
+        const labels = this.getLabels(lang);
+        const text = labels.errors[result.error];
+        if (typeof text === 'function') {
+            return text({ role: labels.roles[result.role], field: labels.fields[result.field], limit: result.limit });
+        }
+        return text || result.error;
+    },
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+        } catch (e) {
+            saved = null;
+        }
+        if (!saved) return;
+        document.getElementById('qrAccount').value = saved.account || '';
+        Object.entries(this.ADDRESS_FIELDS).forEach(([key, suffix]) => {
+            if (saved.creditor && saved.creditor[key]) {
+                document.getElementById('qrCreditor' + suffix).value = saved.creditor[key];
+            }
+        });
+    }
+};
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SwissQrBill, QrBillForm };
+}
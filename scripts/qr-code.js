@@ -0,0 +1,422 @@
+/**
+ * QR code encoder for Swiss Legal Tools
+ * Encodes a text in byte mode (UTF-8) as a QR code (ISO/IEC 18004), as needed for
+ * the Swiss QR code of a QR-bill (see qr-bill.js). Everything is computed locally,
+ * so the encoder also works in the offline bundles.
+ * Steps: data codewords, Reed-Solomon error correction per block, interleaving,
+ * function patterns, data placement and the mask with the lowest penalty.
+ */
+
+const QrCode = {
+    // Index of an error correction level in the tables below
+    ECC_LEVELS: { 'L': 0, 'M': 1, 'Q': 2, 'H': 3 },
+
+    // Bits of an error correction level in the format information
+    FORMAT_BITS: { 'L': 1, 'M': 0, 'Q': 3, 'H': 2 },
+
+    // Error correction codewords per block, by level and version (index 0 unused)
+    ECC_CODEWORDS_PER_BLOCK: [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ],
+
+    // Number of error correction blocks, by level and version (index 0 unused)
+    NUM_ERROR_CORRECTION_BLOCKS: [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ],
+
+    /**
+     * Encode a text as a QR code of the smallest version that fits
+     * @param {string} text - Text, encoded as UTF-8 bytes
+     * @param {string} ecl - Error correction level 'L', 'M', 'Q' or 'H' (default M)
+     * @param {Object} options - { maxVersion: largest version allowed (default 40) }
+     * @returns {Object} { version, size, modules: rows of booleans (true = dark) } or { error }
+     */
+    encode(text, ecl = 'M', options = {}) {
+        if (!(ecl in this.ECC_LEVELS)) {
+            return { error: 'Unknown error correction level' };
+        }
+        const bytes = Array.from(new TextEncoder().encode(text));
+        const maxVersion = options.maxVersion || 40;
+
+        let version = 1;
+        let dataBits;
+        for (; version <= maxVersion; version++) {
+            dataBits = 4 + (version <= 9 ? 8 : 16) + bytes.length * 8;
+            if (dataBits <= this.getNumDataCodewords(version, ecl) * 8) {
+                break;
+            }
+        }
+        if (version > maxVersion) {
+            return { error: 'Text is too long for a QR code' };
+        }
+
+        // Mode indicator (byte mode), character count and data
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        append(0x4, 4);
+        append(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+
+        // Terminator, byte alignment and alternating pad bytes
+        const capacity = this.getNumDataCodewords(version, ecl) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+
+        const matrix = this.createMatrix(version, ecl);
+        matrix.drawCodewords(this.addEccAndInterleave(data, version, ecl));
+
+        // Mask with the lowest penalty
+        let bestMask = 0;
+        let minPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            matrix.applyMask(mask);
+            matrix.drawFormatBits(mask);
+            const penalty = matrix.getPenaltyScore();
+            if (penalty < minPenalty) {
+                bestMask = mask;
+                minPenalty = penalty;
+            }
+            matrix.applyMask(mask);
+        }
+        matrix.applyMask(bestMask);
+        matrix.drawFormatBits(bestMask);
+
+        return { version: version, size: matrix.size, modules: matrix.modules };
+    },
+
+    /**
+     * Number of modules available for data and error correction in a version
+     */
+    getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    },
+
+    getNumDataCodewords(version, ecl) {
+        const level = this.ECC_LEVELS[ecl];
+        return Math.floor(this.getNumRawDataModules(version) / 8) -
+            this.ECC_CODEWORDS_PER_BLOCK[level][version] * this.NUM_ERROR_CORRECTION_BLOCKS[level][version];
+    },
+
+    /**
+     * Split the data into blocks, add the error correction codewords of each
+     * block and interleave the blocks
+     */
+    addEccAndInterleave(data, version, ecl) {
+        const level = this.ECC_LEVELS[ecl];
+        const numBlocks = this.NUM_ERROR_CORRECTION_BLOCKS[level][version];
+        const blockEccLength = this.ECC_CODEWORDS_PER_BLOCK[level][version];
+        const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = this.reedSolomonDivisor(blockEccLength);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        // Column by column; the placeholder of the short blocks is skipped
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    },
+
+    /**
+     * Product in GF(2^8) with the polynomial x^8 + x^4 + x^3 + x^2 + 1
+     */
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < degree) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    },
+
+    reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    },
+
+    /**
+     * Module matrix of a version with its function patterns drawn
+     */
+    createMatrix(version, ecl) {
+        const size = version * 4 + 17;
+        const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+        const matrix = {
+            size: size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false)),
+
+            setFunction(x, y, dark) {
+                this.modules[y][x] = dark;
+                this.isFunction[y][x] = true;
+            },
+
+            drawFinder(x, y) {
+                for (let dy = -4; dy <= 4; dy++) {
+                    for (let dx = -4; dx <= 4; dx++) {
+                        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                        if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+                            this.setFunction(x + dx, y + dy, distance !== 2 && distance !== 4);
+                        }
+                    }
+                }
+            },
+
+            drawAlignment(x, y) {
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            },
+
+            drawFormatBits(mask) {
+                const data = QrCode.FORMAT_BITS[ecl] << 3 | mask;
+                let remainder = data;
+                for (let i = 0; i < 10; i++) {
+                    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+                }
+                const bits = (data << 10 | remainder) ^ 0x5412;
+
+                // Around the top left finder
+                for (let i = 0; i <= 5; i++) {
+                    this.setFunction(8, i, getBit(bits, i));
+                }
+                this.setFunction(8, 7, getBit(bits, 6));
+                this.setFunction(8, 8, getBit(bits, 7));
+                this.setFunction(7, 8, getBit(bits, 8));
+                for (let i = 9; i < 15; i++) {
+                    this.setFunction(14 - i, 8, getBit(bits, i));
+                }
+
+                // Next to the other two finders, and the dark module
+                for (let i = 0; i < 8; i++) {
+                    this.setFunction(size - 1 - i, 8, getBit(bits, i));
+                }
+                for (let i = 8; i < 15; i++) {
+                    this.setFunction(8, size - 15 + i, getBit(bits, i));
+                }
+                this.setFunction(8, size - 8, true);
+            },
+
+            drawVersion() {
+                if (version < 7) return;
+                let remainder = version;
+                for (let i = 0; i < 12; i++) {
+                    remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+                }
+                const bits = version << 12 | remainder;
+                for (let i = 0; i < 18; i++) {
+                    const a = size - 11 + i % 3;
+                    const b = Math.floor(i / 3);
+                    this.setFunction(a, b, getBit(bits, i));
+                    this.setFunction(b, a, getBit(bits, i));
+                }
+            },
+
+            /**
+             * Place the codewords in the zigzag order, two columns at a time
+             */
+            drawCodewords(codewords) {
+                let i = 0;
+                for (let right = size - 1; right >= 1; right -= 2) {
+                    if (right === 6) {
+                        right = 5;
+                    }
+                    for (let vertical = 0; vertical < size; vertical++) {
+                        for (let j = 0; j < 2; j++) {
+                            const x = right - j;
+                            const upward = ((right + 1) & 2) === 0;
+                            const y = upward ? size - 1 - vertical : vertical;
+                            if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                                this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                                i++;
+                            }
+                        }
+                    }
+                }
+            },
+
+            /**
+             * XOR a mask pattern onto the data modules; applying it twice undoes it
+             */
+            applyMask(mask) {
+                const patterns = [
+                    (x, y) => (x + y) % 2 === 0,
+                    (x, y) => y % 2 === 0,
+                    (x, y) => x % 3 === 0,
+                    (x, y) => (x + y) % 3 === 0,
+                    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+                    (x, y) => x * y % 2 + x * y % 3 === 0,
+                    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+                    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+                ];
+                for (let y = 0; y < size; y++) {
+                    for (let x = 0; x < size; x++) {
+                        if (!this.isFunction[y][x] && patterns[mask](x, y)) {
+                            this.modules[y][x] = !this.modules[y][x];
+                        }
+                    }
+                }
+            },
+
+            /**
+             * Penalty of the current modules: runs, 2x2 blocks, finder-like
+             * patterns and the balance of dark and light modules
+             */
+            getPenaltyScore() {
+                let result = 0;
+                const finderLike = [[true, false, true, true, true, false, true, false, false, false, false],
+                    [false, false, false, false, true, false, true, true, true, false, true]];
+                const lines = [];
+                for (let i = 0; i < size; i++) {
+                    lines.push(this.modules[i]);
+                    lines.push(this.modules.map(row => row[i]));
+                }
+                lines.forEach(line => {
+                    let run = 1;
+                    for (let i = 1; i <= size; i++) {
+                        if (i < size && line[i] === line[i - 1]) {
+                            run++;
+                        } else {
+                            if (run >= 5) {
+                                result += run - 2;
+                            }
+                            run = 1;
+                        }
+                    }
+                    for (let i = 0; i + 11 <= size; i++) {
+                        finderLike.forEach(pattern => {
+                            if (pattern.every((dark, k) => line[i + k] === dark)) {
+                                result += 40;
+                            }
+                        });
+                    }
+                });
+
+                let dark = 0;
+                for (let y = 0; y < size; y++) {
+                    for (let x = 0; x < size; x++) {
+                        const color = this.modules[y][x];
+                        if (color) {
+                            dark++;
+                        }
+                        if (x + 1 < size && y + 1 < size && color === this.modules[y][x + 1] &&
+                            color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                            result += 3;
+                        }
+                    }
+                }
+                const total = size * size;
+                result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+                return result;
+            }
+        };
+
+        // Timing patterns, finders, alignment patterns, format and version
+        for (let i = 0; i < size; i++) {
+            matrix.setFunction(6, i, i % 2 === 0);
+            matrix.setFunction(i, 6, i % 2 === 0);
+        }
+        matrix.drawFinder(3, 3);
+        matrix.drawFinder(size - 4, 3);
+        matrix.drawFinder(3, size - 4);
+
+        const positions = this.getAlignmentPatternPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                    matrix.drawAlignment(x, y);
+                }
+            });
+        });
+
+        matrix.drawFormatBits(0);
+        matrix.drawVersion();
+        return matrix;
+    },
+
+    getAlignmentPatternPositions(version) {
+        if (version === 1) {
+            return [];
+        }
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = size - 7; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+};
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QrCode };
+}
@@ -0,0 +1,171 @@
+/**
+ * Reminder letter (Mahnschreiben) for Swiss Legal Tools
+ * Builds the content of a reminder letter in German or French from a Mahnrechner
+ * result: addresses, subject, the text of the reminder level with its placeholders
+ * filled in, and the amounts broken down as in the result. The PDF only lays the
+ * content out (see MahnrechnerPdfExport.generateLetter).
+ */
+
+if (typeof require === 'function' && typeof CalendarDates === 'undefined') {
+    globalThis.CalendarDates = require('./dates.js').CalendarDates;
+}
+if (typeof require === 'function' && typeof formatCHF === 'undefined') {
+    globalThis.formatCHF = require('./calculations.js').formatCHF;
+}
+if (typeof require === 'function' && typeof DebtCollectionFees === 'undefined') {
+    globalThis.DebtCollectionFees = require('./debt-collection.js').DebtCollectionFees;
+}
+
+const ReminderLetter = {
+    /**
+     * Reminder levels: payment reminder, second reminder, final notice with the
+     * threat of a Betreibung
+     */
+    LEVELS: ['first', 'second', 'final'],
+
+    /**
+     * Placeholders of the templates, filled in by build()
+     */
+    PLACEHOLDERS: ['reference', 'invoiceDate', 'total', 'deadline', 'paymentOrderFee'],
+
+    getTexts(lang) {
+        if (lang === 'fr') {
+            return {
+                levels: {
+                    'first': 'Rappel de paiement',
+                    'second': 'Deuxième rappel',
+                    'final': 'Dernier rappel avant poursuite'
+                },
+                templates: {
+                    'first': 'Sauf erreur de notre part, notre facture {reference} du {invoiceDate} n\'a pas encore été réglée. ' +
+                        'Nous vous prions de verser le montant de {total} d\'ici au {deadline}.\n\n' +
+                        'Si votre paiement a croisé ce courrier, veuillez ne pas en tenir compte.',
+                    'second': 'Malgré notre rappel, notre facture {reference} du {invoiceDate} n\'est toujours pas réglée. ' +
+                        'Nous vous prions de payer le montant de {total}, frais de rappel et intérêts moratoires compris, ' +
+                        'au plus tard le {deadline}.',
+                    'final': 'Malgré plusieurs rappels, notre facture {reference} du {invoiceDate} reste impayée. ' +
+                        'Nous vous impartissons un dernier délai au {deadline} pour payer le montant de {total}.\n\n' +
+                        'À défaut de paiement dans ce délai, nous introduirons une poursuite sans autre avis. ' +
+                        'Les frais de poursuite, rien que {paymentOrderFee} pour le commandement de payer, sont à votre charge (LP art. 68).'
+                },
+                invoice: 'Facture',
+                salutation: 'Madame, Monsieur,',
+                closing: 'Nous vous prions d\'agréer, Madame, Monsieur, nos salutations distinguées.',
+                principal: 'Montant de la facture',
+                reminderFee: (number) => `Frais du ${number === 1 ? '1er' : number + 'e'} rappel`,
+                interest: (rate, start, end, days) => `Intérêt moratoire de ${rate}% du ${start} au ${end} (${days} jours)`,
+                cashRounding: 'Arrondi à 5 centimes',
+                total: 'Montant dû',
+                deadline: 'Délai de paiement'
+            };
+        }
+        return {
+            levels: {
+                'first': 'Zahlungserinnerung',
+                'second': '2. Mahnung',
+                'final': 'Letzte Mahnung vor Betreibung'
+            },
+            templates: {
+                'first': 'Sicher ist Ihrer Aufmerksamkeit entgangen, dass unsere Rechnung {reference} vom {invoiceDate} noch offen ist. ' +
+                    'Wir bitten Sie, den Betrag von {total} bis zum {deadline} zu überweisen.\n\n' +
+                    'Sollte sich Ihre Zahlung mit diesem Schreiben gekreuzt haben, betrachten Sie es bitte als gegenstandslos.',
+                'second': 'Trotz unserer Zahlungserinnerung ist unsere Rechnung {reference} vom {invoiceDate} noch immer nicht beglichen. ' +
+                    'Wir fordern Sie auf, den Betrag von {total} einschliesslich Mahngebühren und Verzugszins ' +
+                    'bis spätestens {deadline} zu bezahlen.',
+                'final': 'Unsere Rechnung {reference} vom {invoiceDate} ist trotz mehrfacher Mahnung unbezahlt. ' +
+                    'Wir setzen Ihnen hiermit eine letzte Frist bis zum {deadline}, um den Betrag von {total} zu bezahlen.\n\n' +
+                    'Geht die Zahlung nicht fristgerecht ein, leiten wir ohne weitere Ankündigung die Betreibung ein. ' +
+                    'Die Betreibungskosten, allein für den Zahlungsbefehl {paymentOrderFee}, gehen zu Ihren Lasten (SchKG Art. 68).'
+            },
+            invoice: 'Rechnung',
+            salutation: 'Sehr geehrte Damen und Herren',
+            closing: 'Freundliche Grüsse',
+            principal: 'Rechnungsbetrag',
+            reminderFee: (number) => `Mahngebühr ${number}. Mahnung`,
+            interest: (rate, start, end, days) => `Verzugszins ${rate}% vom ${start} bis ${end} (${days} Tage)`,
+            cashRounding: 'Rundung auf 5 Rappen',
+            total: 'Offener Betrag',
+            deadline: 'Zahlungsfrist'
+        };
+    },
+
+    /**
+     * Replace the placeholders "{name}" of a template; unknown ones stay as they are
+     */
+    fill(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+    },
+
+    /**
+     * Build the content of a reminder letter
+     * @param {Object} data - Result of calculateReminderClaim (mahnrechner.js)
+     * @param {Object} letter - { creditor, debtor: addresses, one line each,
+     *                           reference: invoice number, place, date: date of the letter,
+     *                           level: see LEVELS, deadline: new payment deadline,
+     *                           template: text of the level (default: standard text) }
+     * @param {string} lang - 'de' or 'fr'
+     * @param {Object} options - { formatAmount: (amount) => string, formatDate: (date) => string }
+     * @returns {Object} { creditor, debtor, placeDate, subject, salutation, paragraphs,
+     *                    amounts: [[label, amount]], total: [label, amount], deadline: [label, date],
+     *                    closing, signature } or { error }
+     */
+    build(data, letter, lang, options = {}) {
+        const texts = this.getTexts(lang);
+        const amount = options.formatAmount || formatCHF;
+        const date = options.formatDate || ((value) => CalendarDates.format(value));
+        const lines = (text) => (text || '').split(/\r?\n/).map(line => line.trim()).filter(line => line);
+
+        if (!this.LEVELS.includes(letter.level)) {
+            return { error: 'Unknown reminder level' };
+        }
+        if (!(letter.deadline instanceof Date) || isNaN(letter.deadline)) {
+            return { error: 'Payment deadline is required' };
+        }
+        if (lines(letter.creditor).length === 0 || lines(letter.debtor).length === 0) {
+            return { error: 'Creditor and debtor addresses are required' };
+        }
+
+        const values = {
+            reference: (letter.reference || '').trim(),
+            invoiceDate: date(data.invoiceDate),
+            total: amount(data.total),
+            deadline: date(letter.deadline),
+            paymentOrderFee: amount(DebtCollectionFees.getFee('paymentOrder', data.total))
+        };
+        const template = letter.template !== undefined ? letter.template : texts.templates[letter.level];
+
+        // Amounts broken down as in the result
+        const amounts = [[texts.principal, amount(data.principal)]];
+        data.reminders.forEach((reminder, i) => {
+            if (reminder.fee > 0) {
+                amounts.push([texts.reminderFee(i + 1), amount(reminder.fee)]);
+            }
+        });
+        if (data.interest > 0) {
+            amounts.push([texts.interest(data.interestRate, date(data.startDate), date(data.endDate), data.days), amount(data.interest)]);
+        }
+        if (data.cashRoundingDifference) {
+            amounts.push([texts.cashRounding, (data.cashRoundingDifference > 0 ? '+ ' : '- ') + amount(Math.abs(data.cashRoundingDifference))]);
+        }
+
+        const creditor = lines(letter.creditor);
+        return {
+            creditor: creditor,
+            debtor: lines(letter.debtor),
+            placeDate: `${letter.place ? letter.place.trim() + ', ' : ''}${date(letter.date || new Date())}`,
+            subject: `${texts.levels[letter.level]}: ${texts.invoice}${values.reference ? ' ' + values.reference : ''}`,
+            salutation: texts.salutation,
+            paragraphs: this.fill(template, values).split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(paragraph => paragraph),
+            amounts: amounts,
+            total: [texts.total, amount(data.total)],
+            deadline: [texts.deadline, values.deadline],
+            closing: texts.closing,
+            signature: creditor[0]
+        };
+    }
+};
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReminderLetter };
+}
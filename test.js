@@ -5,11 +5,44 @@
 
 const {
     calculateDefaultInterest,
+    solveEndDate,
+    solveInterestRate,
+    solvePrincipal,
+    solveDays,
+    calculateProjection,
+    checkInterestRates,
+    calculatePrescription,
+    calculateInterestWithPayments,
+    calculateClaimLedger,
+    calculateDefaultStart,
+    calculatePaymentDeadline,
+    getDayCountParts,
+    getRatePeriods,
+    formatDayCountFraction,
     calculateCompoundInterest,
     formatCHF,
+    formatAmount,
     formatNumber,
     parseSwissNumber
 } = require('./scripts/calculations.js');
+const { CalendarDates } = require('./scripts/dates.js');
+const { SwissHolidays } = require('./scripts/holidays.js');
+const { Money } = require('./scripts/money.js');
+const { DebtCollectionFees } = require('./scripts/debt-collection.js');
+const { Currencies } = require('./scripts/currency.js');
+const { CalculationExplanation } = require('./scripts/explanation.js');
+const {
+    calculateReminderClaim,
+    formatReminderParam,
+    parseReminderParam,
+    formatDefaultStartParams,
+    parseDefaultStartParams
+} = require('./scripts/mahnrechner.js');
+const { ReminderLetter } = require('./scripts/reminder-letter.js');
+const { DunningPolicies } = require('./scripts/dunning-policy.js');
+const { QrCode } = require('./scripts/qr-code.js');
+const { SwissQrBill, QrBillForm } = require('./scripts/qr-bill.js');
+const { getVatRates, getVatRatePeriods, calculateVat, calculateVatInvoice, calculateNetTaxRate } = require('./scripts/mwst.js');
 
 let passed = 0;
 let failed = 0;
@@ -239,6 +272,854 @@ console.log('\n--- Ergebnisobjekt ---');
     test('Ergebnis enthält total', result.total === result.principal + result.interest);
 }
 
+// --- Partial Payments ---
+console.log('\n--- Teilzahlungen (OR Art. 85) ---');
+
+// CHF 10'000 from 1.1.2024, payment of CHF 1'041.67 on 31.1.2024 (30 days interest = 41.67)
+// → 41.67 to interest, 1'000 to capital; then 9'000 for 30 days = 37.50
+{
+    const result = calculateInterestWithPayments(
+        10000,
+        new Date(2024, 0, 1),
+        new Date(2024, 2, 1),
+        5,
+        [{ date: new Date(2024, 0, 31), amount: 1041.67 }]
+    );
+    const first = result.segments[0];
+    test('Teilzahlung: zuerst an Zins (41.67), dann an Kapital (1\'000)',
+        first.payments[0].toInterest === 41.67 && first.payments[0].toCapital === 1000);
+    test('Teilzahlung: Restkapital 9\'000 verzinst → CHF 37.50',
+        result.segments[1].capital === 9000 && result.segments[1].interest === 37.5);
+    test('Teilzahlung: offener Saldo CHF 9\'037.50', result.total === 9037.5);
+}
+
+// Costs are settled before interest
+{
+    const result = calculateInterestWithPayments(
+        10000,
+        new Date(2024, 0, 1),
+        new Date(2024, 2, 1),
+        5,
+        [{ date: new Date(2024, 0, 31), amount: 60 }],
+        { costs: 50 }
+    );
+    const p = result.segments[0].payments[0];
+    test('Teilzahlung: Kosten vor Zinsen (50 / 10 / 0)',
+        p.toCosts === 50 && p.toInterest === 10 && p.toCapital === 0);
+    test('Teilzahlung: offene Zinsen ohne Zinseszins',
+        result.openCapital === 10000 && approxEqual(result.openInterest, 41.67 - 10 + 41.67, 0.001));
+}
+
+// Payment outside the calculation period
+{
+    const result = calculateInterestWithPayments(
+        10000,
+        new Date(2024, 0, 1),
+        new Date(2024, 2, 1),
+        5,
+        [{ date: new Date(2024, 5, 1), amount: 500 }]
+    );
+    test('Teilzahlung ausserhalb des Zeitraums → Fehler', result.error !== undefined);
+}
+
+console.log('\n--- Mehrere Rechnungen ---');
+
+// Two invoices up to 1.3.2024: 10'000 from 1.1. at 5% (60 days = 83.33), 5'000 from 1.2. at 8% (29 days = 32.22)
+{
+    const result = calculateClaimLedger([
+        { reference: 'R-1', principal: 10000, startDate: new Date(2024, 0, 1) },
+        { reference: 'R-2', principal: 5000, startDate: new Date(2024, 1, 1), interestRate: 8 }
+    ], new Date(2024, 2, 1), 5);
+    test('Aufstellung: Zins Rechnung 1 (gemeinsamer Satz)',
+        result.lines[0].interestRate === 5 && approxEqual(result.lines[0].interest, 83.33, 0.001));
+    test('Aufstellung: Zins Rechnung 2 (eigener Satz)',
+        result.lines[1].interestRate === 8 && approxEqual(result.lines[1].interest, 32.22, 0.001));
+    test('Aufstellung: Totale',
+        result.principal === 15000 && approxEqual(result.interest, 115.55, 0.001) && approxEqual(result.total, 15115.55, 0.001));
+    test('Aufstellung: frühester Verzugsbeginn', result.startDate.getTime() === new Date(2024, 0, 1).getTime());
+}
+
+// Invoice with start date after the calculation date
+{
+    const result = calculateClaimLedger([
+        { reference: 'R-1', principal: 10000, startDate: new Date(2024, 0, 1) },
+        { reference: 'R-2', principal: 5000, startDate: new Date(2024, 3, 1) }
+    ], new Date(2024, 2, 1));
+    test('Aufstellung: ungültige Zeile → Fehler mit Zeilennummer',
+        result.error !== undefined && result.error.startsWith('Line 2'));
+}
+
+console.log('\n--- Zinsmethoden ---');
+
+// CHF 10'000 at 5% from 1.1.2024 to 1.3.2024: 60 actual days, 60 days under 30/360
+{
+    const start = new Date(2024, 0, 1);
+    const end = new Date(2024, 2, 1);
+    const act360 = calculateDefaultInterest(10000, start, end, 5);
+    const thirty360 = calculateDefaultInterest(10000, start, end, 5, { dayCount: '30/360' });
+    const act365 = calculateDefaultInterest(10000, start, end, 5, { dayCount: 'act/365' });
+    const actact = calculateDefaultInterest(10000, start, end, 5, { dayCount: 'act/act' });
+    test('Zinsmethode: Standard ist act/360', act360.dayCount === 'act/360' && approxEqual(act360.interest, 83.33, 0.001));
+    test('Zinsmethode: 30/360 (60 Tage)', thirty360.days === 60 && approxEqual(thirty360.interest, 83.33, 0.001));
+    test('Zinsmethode: act/365 (60/365 = 82.19)', approxEqual(act365.interest, 82.19, 0.001));
+    test('Zinsmethode: act/act im Schaltjahr (60/366 = 81.97)', approxEqual(actact.interest, 81.97, 0.001));
+}
+
+// 30/360: the 31st and the end of February count as the 30th
+{
+    test('30/360: 31.1. bis 31.3. = 60 Tage',
+        getDayCountParts(new Date(2024, 0, 31), new Date(2024, 2, 31), '30/360')[0].days === 60);
+    test('30/360: 15.1. bis 28.2.2023 (Monatsende) = 45 Tage',
+        getDayCountParts(new Date(2023, 0, 15), new Date(2023, 1, 28), '30/360')[0].days === 45);
+    test('30/360: 15.1. bis 28.2.2024 (kein Monatsende) = 43 Tage',
+        getDayCountParts(new Date(2024, 0, 15), new Date(2024, 1, 28), '30/360')[0].days === 43);
+}
+
+// act/act splits the period at the year end: 1.12.2023 - 1.2.2024 = 31/365 + 31/366
+{
+    const parts = getDayCountParts(new Date(2023, 11, 1), new Date(2024, 1, 1), 'act/act');
+    test('act/act: Aufteilung nach Kalenderjahren',
+        parts.length === 2 && parts[0].days === 31 && parts[0].basis === 365 && parts[1].days === 31 && parts[1].basis === 366);
+    test('act/act: Formeldarstellung', formatDayCountFraction(parts) === '(31 / 365 + 31 / 366)');
+    const result = calculateDefaultInterest(10000, new Date(2023, 11, 1), new Date(2024, 1, 1), 5, { dayCount: 'act/act' });
+    test('act/act: Zins (42.47 + 42.35 = 84.82)', approxEqual(result.interest, 84.82, 0.001));
+}
+
+// Unknown convention
+{
+    const result = calculateDefaultInterest(10000, new Date(2024, 0, 1), new Date(2024, 2, 1), 5, { dayCount: '30/365' });
+    test('Unbekannte Zinsmethode → Fehler', result.error !== undefined);
+}
+
+console.log('\n--- Zinssatzänderungen ---');
+
+// CHF 10'000 from 1.1.2024 to 1.3.2024, 5% until 1.2., then 8%:
+// 31 days at 5% = 43.06, 29 days at 8% = 64.44
+{
+    const result = calculateDefaultInterest(10000, new Date(2024, 0, 1), new Date(2024, 2, 1), 5, {
+        rateChanges: [{ date: new Date(2024, 1, 1), rate: 8 }]
+    });
+    test('Zinssatzänderung: zwei Teilperioden', result.ratePeriods.length === 2);
+    test('Zinssatzänderung: Teilperiode 1 (31 Tage zu 5%)',
+        result.ratePeriods[0].days === 31 && result.ratePeriods[0].interestRate === 5 && approxEqual(result.ratePeriods[0].interest, 43.06, 0.001));
+    test('Zinssatzänderung: Teilperiode 2 (29 Tage zu 8%)',
+        result.ratePeriods[1].days === 29 && result.ratePeriods[1].interestRate === 8 && approxEqual(result.ratePeriods[1].interest, 64.44, 0.001));
+    test('Zinssatzänderung: Total Zins', result.days === 60 && approxEqual(result.interest, 107.50, 0.001));
+}
+
+// Changes before the start replace the initial rate, changes after the end are ignored
+{
+    const periods = getRatePeriods(new Date(2024, 0, 1), new Date(2024, 2, 1), 5, [
+        { date: new Date(2024, 5, 1), rate: 9 },
+        { date: new Date(2023, 5, 1), rate: 6 }
+    ]);
+    test('Zinssatzänderung vor Beginn / nach Ende', periods.length === 1 && periods[0].interestRate === 6);
+}
+
+// With a partial payment on 1.2.2024 the rate change and the payment share one segment boundary
+{
+    const result = calculateInterestWithPayments(10000, new Date(2024, 0, 1), new Date(2024, 2, 1), 5,
+        [{ date: new Date(2024, 1, 1), amount: 1043.06 }],
+        { rateChanges: [{ date: new Date(2024, 1, 1), rate: 8 }] });
+    test('Zinssatzänderung mit Teilzahlung: Segmente',
+        result.segments.length === 2 && result.segments[1].interestRate === 8 && result.segments[1].capital === 9000);
+    test('Zinssatzänderung mit Teilzahlung: Zins 2. Segment (9000 x 8% x 29 / 360 = 58.00)',
+        approxEqual(result.segments[1].interest, 58, 0.001));
+}
+
+// A partial payment on the end date closes the last segment, with and without a rate change
+{
+    const payment = [{ date: new Date(2024, 11, 31), amount: 1000 }];
+    const single = calculateInterestWithPayments(10000, new Date(2024, 0, 1), new Date(2024, 11, 31), 5, payment);
+    test('Teilzahlung am Enddatum: ein Segment, Zins 506.94 angerechnet',
+        single.segments.length === 1 && single.segments[0].payments[0].toInterest === 506.94 && single.total === 9506.94);
+    const changed = calculateInterestWithPayments(10000, new Date(2024, 0, 1), new Date(2024, 11, 31), 5, payment,
+        { rateChanges: [{ date: new Date(2024, 6, 1), rate: 8 }] });
+    test('Teilzahlung am Enddatum mit Zinssatzänderung: Segmente 5% und 8%',
+        changed.segments.map(segment => `${segment.days}:${segment.interestRate}`).join(' ') === '182:5 183:8' &&
+        changed.segments[1].payments[0].amount === 1000 && changed.total === 9659.45);
+}
+
+// Two partial payments on the same day close one segment and are applied in order
+{
+    const result = calculateInterestWithPayments(1000, new Date(2024, 0, 1), new Date(2024, 11, 31), 5, [
+        { date: new Date(2024, 5, 1), amount: 100 },
+        { date: new Date(2024, 5, 1), amount: 200 }
+    ]);
+    const [first, second] = result.segments[0].payments;
+    test('Zwei Teilzahlungen am selben Tag: keine 0-Tage-Segmente (152 / 213)',
+        result.segments.map(segment => segment.days).join(' ') === '152 213');
+    test('Zwei Teilzahlungen am selben Tag: der Reihe nach an Zins und Kapital',
+        first.toInterest === 21.11 && first.toCapital === 78.89 && second.toInterest === 0 && second.toCapital === 200 &&
+        result.segments[1].capital === 721.11 && result.total === 742.44);
+}
+
+console.log('\n--- Kalenderdaten ---');
+
+test('Datum parsen (dd.mm.yyyy)', JSON.stringify(CalendarDates.parse('05.03.2024')) === JSON.stringify({ year: 2024, month: 3, day: 5 }));
+test('Ungültiges Datum → null', CalendarDates.parse('31.02.2024') === null && CalendarDates.parse('2024-03-05') === null);
+test('Datum formatieren', CalendarDates.format({ year: 2024, month: 3, day: 5 }) === '05.03.2024');
+test('Tage über Schaltjahr (1.2.2024 - 1.3.2024 = 29)',
+    CalendarDates.daysBetween({ year: 2024, month: 2, day: 1 }, { year: 2024, month: 3, day: 1 }) === 29);
+test('Tage addieren über Jahreswechsel',
+    CalendarDates.format(CalendarDates.addDays({ year: 2023, month: 12, day: 30 }, 3)) === '02.01.2024');
+
+// Across the change to summer time (31.3.2024) the local Date difference is one hour short of 31 days
+{
+    const result = calculateDefaultInterest(10000, new Date(2024, 2, 1), new Date(2024, 3, 1), 5);
+    test('Sommerzeitumstellung: 1.3. - 1.4.2024 = 31 Tage', result.days === 31);
+    test('Tage aus Kalenderdaten und Date-Objekten identisch',
+        CalendarDates.daysBetween(new Date(2024, 2, 1), new Date(2024, 9, 31)) ===
+        CalendarDates.daysBetween({ year: 2024, month: 3, day: 1 }, { year: 2024, month: 10, day: 31 }));
+}
+
+console.log('\n--- Verzugsbeginn ---');
+
+// Verfalltag Saturday 31.7.2021 → Sunday 1.8. (also Bundesfeier) → Monday 2.8.; default from 3.8.
+{
+    const result = calculateDefaultStart('dueDate', new Date(2021, 6, 31));
+    test('Verfalltag am Wochenende → nächster Werktag (OR Art. 78)',
+        CalendarDates.format(result.dueDate) === '02.08.2021' && result.skippedDays.length === 2);
+    test('Verzugsbeginn am Tag nach dem Verfalltag', CalendarDates.format(result.startDate) === '03.08.2021');
+}
+
+// Verfalltag on Christmas (Wednesday 25.12.2024)
+{
+    const result = calculateDefaultStart('dueDate', new Date(2024, 11, 25));
+    test('Verfalltag an Weihnachten → Feiertag übersprungen',
+        result.skippedDays[0].reason === 'holiday' && CalendarDates.format(result.startDate) === '27.12.2024');
+}
+
+// Receipt of a reminder is not shifted
+{
+    const result = calculateDefaultStart('reminder', new Date(2021, 6, 31));
+    test('Mahnung: kein Verschieben, Verzug ab Folgetag',
+        result.skippedDays.length === 0 && CalendarDates.format(result.startDate) === '01.08.2021');
+    test('Unbekanntes Ereignis → Fehler', calculateDefaultStart('invoice', new Date(2024, 0, 1)).error !== undefined);
+}
+
+console.log('\n--- Feiertage ---');
+
+// Easter-dependent holidays 2024 (Easter Sunday 31.3.2024)
+{
+    const holidays = SwissHolidays.getHolidays(2024, 'ZH');
+    const dateOf = (id) => CalendarDates.format(holidays.find(h => h.id === id).date);
+    test('Ostersonntag 2024 = 31.03.2024', CalendarDates.format(SwissHolidays.getEasterSunday(2024)) === '31.03.2024');
+    test('Ostersonntag 2025 = 20.04.2025', CalendarDates.format(SwissHolidays.getEasterSunday(2025)) === '20.04.2025');
+    test('Karfreitag / Ostermontag 2024', dateOf('goodFriday') === '29.03.2024' && dateOf('easterMonday') === '01.04.2024');
+    test('Auffahrt / Pfingstmontag 2024', dateOf('ascension') === '09.05.2024' && dateOf('whitMonday') === '20.05.2024');
+}
+
+// Cantonal differences
+{
+    test('Karfreitag kein Feiertag im Tessin', !SwissHolidays.isHoliday(new Date(2024, 2, 29), 'TI'));
+    test('Fronleichnam 2024 in Luzern, nicht in Zürich',
+        SwissHolidays.isHoliday(new Date(2024, 4, 30), 'LU') && !SwissHolidays.isHoliday(new Date(2024, 4, 30), 'ZH'));
+    test('Jeûne genevois 2024 = 05.09.2024', SwissHolidays.isHoliday(new Date(2024, 8, 5), 'GE'));
+    test('Lundi du Jeûne 2024 = 16.09.2024 (VD)', SwissHolidays.isHoliday(new Date(2024, 8, 16), 'VD'));
+    test('Ohne Kanton nur landesweite Feiertage',
+        SwissHolidays.isHoliday(new Date(2024, 4, 9)) && !SwissHolidays.isHoliday(new Date(2024, 2, 29)));
+}
+
+// Business days
+{
+    test('Ostermontag kein Werktag (BE)', !SwissHolidays.isBusinessDay(new Date(2024, 3, 1), 'BE'));
+    test('Nächster Werktag nach Gründonnerstag 2024 (BE) = 02.04.2024',
+        CalendarDates.format(SwissHolidays.nextBusinessDay(new Date(2024, 2, 28), 'BE')) === '02.04.2024');
+    test('Nächster Werktag nach Gründonnerstag 2024 (TI) = 29.03.2024',
+        CalendarDates.format(SwissHolidays.nextBusinessDay(new Date(2024, 2, 28), 'TI')) === '29.03.2024');
+}
+
+// Due dates and reminder deadlines per canton
+{
+    const result = calculateDefaultStart('dueDate', new Date(2024, 11, 25), { canton: 'ZH' });
+    test('Verfalltag an Weihnachten in Zürich → auch Stephanstag übersprungen',
+        result.skippedDays.length === 2 && result.skippedDays[1].holiday.de === 'Stephanstag' &&
+        CalendarDates.format(result.startDate) === '28.12.2024');
+
+    // Reminder 19.3.2024 + 10 days = Good Friday 29.3. → Tuesday 2.4. in BE
+    const deadline = calculatePaymentDeadline(new Date(2024, 2, 19), 10, { canton: 'BE' });
+    test('Zahlungsfrist endet an Karfreitag → Dienstag nach Ostern',
+        CalendarDates.format(deadline.unadjustedDeadline) === '29.03.2024' && CalendarDates.format(deadline.deadline) === '02.04.2024');
+    test('Zahlungsfrist: ungültige Tage → Fehler', calculatePaymentDeadline(new Date(2024, 2, 19), -1).error !== undefined);
+}
+
+console.log('\n--- Kontokorrent ---');
+
+// CHF 10'000 at 4%, 30/360, one year: 1% per quarter, 2% per half-year
+{
+    const start = new Date(2024, 0, 1);
+    const end = new Date(2025, 0, 1);
+    const quarterly = calculateCompoundInterest(10000, start, end, 4, { capitalisation: 'quarterly', dayCount: '30/360' });
+    test('Vierteljährliche Kapitalisierung: 4 Perioden', quarterly.schedule.length === 4 && quarterly.schedule.every(p => p.capitalised));
+    test('Vierteljährlich: Zins 100 + 101 + 102.01 + 103.03 = 406.04', approxEqual(quarterly.interest, 406.04, 0.001));
+    test('Zweite Periode verzinst kapitalisierten Zins', quarterly.schedule[1].capital === 10100);
+    test('Kapitalisierung per Quartalsende',
+        CalendarDates.format(quarterly.schedule[0].capitalisationDate) === '31.03.2024');
+
+    const halfYearly = calculateCompoundInterest(10000, start, end, 4, { capitalisation: 'half-yearly', dayCount: '30/360' });
+    test('Halbjährliche Kapitalisierung: 404.00', approxEqual(halfYearly.interest, 404, 0.001));
+
+    const annual = calculateCompoundInterest(10000, start, end, 4, { capitalisation: 'annual', dayCount: '30/360' });
+    test('Jährliche Kapitalisierung nach einem Jahr = einfacher Zins',
+        approxEqual(annual.interest, annual.simpleInterest, 0.001) && approxEqual(annual.interest, 400, 0.001));
+}
+
+// Broken periods: 15.2.–1.4. capitalised, 1.4.–15.5. only accrued
+{
+    const result = calculateCompoundInterest(10000, new Date(2024, 1, 15), new Date(2024, 4, 15), 4,
+        { capitalisation: 'quarterly', dayCount: '30/360' });
+    test('Angebrochenes Quartal: 46 Tage kapitalisiert',
+        result.schedule[0].days === 46 && approxEqual(result.capitalisedInterest, 51.11, 0.001));
+    test('Letzte Periode aufgelaufen, nicht kapitalisiert',
+        !result.schedule[1].capitalised && result.schedule[1].capitalisationDate === null && approxEqual(result.accruedInterest, 49.14, 0.001));
+    test('Unbekannte Kapitalisierung → Fehler',
+        calculateCompoundInterest(10000, new Date(2024, 0, 1), new Date(2025, 0, 1), 4, { capitalisation: 'monthly' }).error !== undefined);
+}
+
+console.log('\n--- Rappen-Arithmetik ---');
+
+{
+    test('Kaufmännische Rundung: 12.5 Rp → 13 Rp', Money.round(12.5) === 13 && Money.round(-12.5) === -13);
+    test('CHF 1.005 → 101 Rappen (keine Binärfehler)', Money.toRappen(1.005) === 101);
+    test('0.1 + 0.2 in Rappen exakt', Money.toRappen(0.1) + Money.toRappen(0.2) === Money.toRappen(0.3));
+    test('5-Rappen-Rundung', Money.roundToFiveRappen(1002) === 1000 && Money.roundToFiveRappen(1003) === 1005);
+    test('Formatierung in Rappen', Money.format(123456789) === "CHF 1'234'567.89" && Money.format(-5) === 'CHF -0.05');
+}
+
+// Two invoices of CHF 1'000, 3 days at 5%: 41.67 Rp each
+{
+    const lines = [
+        { principal: 1000, startDate: new Date(2024, 0, 1) },
+        { principal: 1000, startDate: new Date(2024, 0, 1) }
+    ];
+    const perLine = calculateClaimLedger(lines, new Date(2024, 0, 4), 5, { rounding: { mode: 'line' } });
+    const totalOnly = calculateClaimLedger(lines, new Date(2024, 0, 4), 5, { rounding: { mode: 'total' } });
+    test('Rundung pro Zeile: 0.42 + 0.42 = 0.84', perLine.interest === 0.84 && perLine.total === 2000.84);
+    test('Rundung nur Total: 0.8333 → 0.83', totalOnly.interest === 0.83 && totalOnly.total === 2000.83);
+}
+
+// Cash rounding of the amount payable
+{
+    const result = calculateDefaultInterest(10000, new Date(2024, 0, 1), new Date(2024, 0, 31), 5, {
+        rounding: { mode: 'line', cashRounding: true }
+    });
+    test('5-Rappen-Rundung des Totals: 10041.67 → 10041.65',
+        result.interest === 41.67 && result.total === 10041.65 && result.cashRoundingDifference === -0.02);
+    test('Unbekannte Rundungsart → Fehler',
+        calculateDefaultInterest(10000, new Date(2024, 0, 1), new Date(2024, 0, 31), 5, { rounding: { mode: 'bank' } }).error !== undefined);
+}
+
+// Partial payments: balances stay whole Rappen
+{
+    const result = calculateInterestWithPayments(1000, new Date(2024, 0, 1), new Date(2024, 0, 7), 5,
+        [{ date: new Date(2024, 0, 4), amount: 100.1 }], { rounding: { mode: 'total' } });
+    test('Teilzahlung in Rappen: 0.42 Zins, 99.68 Kapital angerechnet',
+        result.segments[0].payments[0].toInterest === 0.42 && result.openCapital === 900.32);
+    test('Teilzahlung in Rappen: Total 900.32 + 0.38 = 900.70', result.total === 900.7);
+}
+
+console.log('\n--- Betreibungskosten (GebV SchKG) ---');
+
+test('Zahlungsbefehl bis CHF 100: CHF 7', DebtCollectionFees.getFee('paymentOrder', 100) === 7);
+test('Zahlungsbefehl über CHF 100: CHF 20', DebtCollectionFees.getFee('paymentOrder', 100.05) === 20);
+test('Zahlungsbefehl CHF 10\'000: CHF 60', DebtCollectionFees.getFee('paymentOrder', 10000) === 60);
+test('Pfändungsvollzug über CHF 1 Mio.: CHF 400', DebtCollectionFees.getFee('seizure', 2000000) === 400);
+
+{
+    const result = DebtCollectionFees.calculate(1024.05, ['seizure', 'paymentOrder']);
+    test('Zahlungsbefehl + Pfändung CHF 1\'024.05: 60 + 65 = 125',
+        result.total === 125 && result.lines.length === 2 && result.lines[0].step === 'paymentOrder');
+    test('Pfändung und Konkursandrohung → Fehler',
+        DebtCollectionFees.calculate(1000, ['paymentOrder', 'seizure', 'bankruptcyNotice']).error !== undefined);
+    test('Unbekannter Schritt → Fehler', DebtCollectionFees.calculate(1000, ['auction']).error !== undefined);
+    test('Forderung 0 → Fehler', DebtCollectionFees.calculate(0, ['paymentOrder']).error !== undefined);
+}
+
+console.log('\n--- Verjährung ---');
+
+{
+    // Verzug seit 1.1.2015, geltend gemacht am 1.1.2022: Zinsen vor dem 1.1.2017 sind verjährt
+    const result = calculatePrescription(10000, new Date(2015, 0, 1), new Date(2022, 0, 1), 5);
+    const p = result.prescription;
+    test('Kapital nach 10 Jahren (OR 127) nicht verjährt', p.capitalBarred === false && p.claimableCapital === 10000);
+    test('Verjährungsfrist Kapital endet am 31.12.2024', p.capitalExpiry.getTime() === new Date(2024, 11, 31).getTime());
+    test('Zinsen vor 5 Jahren verjährt: 731 Tage = CHF 1015.28', p.barredInterest === 1015.28);
+    test('Verjährte Periode bis 1.1.2017', p.barredPeriod.endDate.getTime() === new Date(2017, 0, 1).getTime());
+    test('Geltend zu machender Zins: 3551.39 - 1015.28 = 2536.11',
+        result.interest === 3551.39 && p.claimableInterest === 2536.11 && p.claimableTotal === 12536.11);
+}
+
+{
+    const result = calculatePrescription(10000, new Date(2015, 0, 1), new Date(2022, 0, 1), 5, {
+        interruptions: [{ date: new Date(2019, 5, 1), type: 'prosecution' }]
+    });
+    test('Betreibung 2019 unterbricht die Zinsverjährung (OR 135 Ziff. 2)',
+        result.prescription.barredInterest === 0 && result.prescription.barredPeriod === null);
+}
+
+{
+    const barred = calculatePrescription(10000, new Date(2015, 0, 1), new Date(2022, 0, 1), 5, { claimType: 'trade' });
+    test('Handwerkerforderung nach 5 Jahren verjährt (OR 128 Ziff. 3), Zinsen mit (OR 133)',
+        barred.prescription.capitalBarred && barred.prescription.claimableTotal === 0 &&
+        barred.prescription.barredInterest === barred.interest);
+
+    const acknowledged = calculatePrescription(10000, new Date(2015, 0, 1), new Date(2022, 0, 1), 5, {
+        claimType: 'trade',
+        interruptions: [{ date: new Date(2019, 2, 1), type: 'acknowledgement' }]
+    });
+    test('Schuldanerkennung 2019: neue Frist bis 1.3.2024 (OR 137 Abs. 1)',
+        !acknowledged.prescription.capitalBarred &&
+        acknowledged.prescription.capitalExpiry.getTime() === new Date(2024, 2, 1).getTime());
+}
+
+test('Unbekannte Forderungsart → Fehler',
+    calculatePrescription(1000, new Date(2020, 0, 1), new Date(2021, 0, 1), 5, { claimType: 'tax' }).error !== undefined);
+test('Unterbrechung ohne gültigen Typ → Fehler',
+    calculatePrescription(1000, new Date(2020, 0, 1), new Date(2021, 0, 1), 5, {
+        interruptions: [{ date: new Date(2020, 5, 1), type: 'letter' }]
+    }).error !== undefined);
+
+console.log('\n--- Fremdwährungen ---');
+
+{
+    const csv = 'Datum;Währung;Kurs\n31.01.2024;EUR;0.9312\n2024-02-29;EUR;0.9518\n31.01.2024;USD;0.8601';
+    const table = Currencies.parseRateTable(csv);
+    test('CSV-Kurstabelle mit Kopfzeile: 3 Kurse', table.rates.length === 3);
+    const rate = Currencies.getRate(table.rates, 'EUR', { year: 2024, month: 2, day: 15 });
+    test('Kurs am 15.2.2024 = letzter Kurs davor (31.1.2024: 0.9312)', rate.rate === 0.9312 && rate.date.day === 31);
+    test('Kein Kurs vor dem ersten Tabellendatum',
+        Currencies.getRate(table.rates, 'EUR', { year: 2024, month: 1, day: 30 }) === null);
+
+    const json = Currencies.parseRateTable('{"EUR": {"2024-01-31": 0.9312}}');
+    test('JSON-Kurstabelle { Währung: { Datum: Kurs } }', json.rates.length === 1 && json.rates[0].currency === 'EUR');
+    test('Ungültiger Kurs → Fehler', Currencies.parseRateTable('31.01.2024;EUR;abc').error !== undefined);
+}
+
+{
+    // Zins wird in EUR gerechnet, Umrechnung am Zahlungstag
+    const result = calculateDefaultInterest(10000, new Date(2024, 0, 1), new Date(2024, 6, 1), 5);
+    const table = Currencies.parseRateTable('2024-06-28;EUR;0.9612');
+    const conversion = Currencies.convert(
+        { principal: result.principal, interest: result.interest, total: result.total },
+        'EUR', new Date(2024, 6, 1), { basis: 'payment', rates: table.rates });
+    test('EUR 252.78 Zins → CHF 242.97 (Kurs 0.9612)',
+        result.interest === 252.78 && conversion.amounts.interest === 242.97);
+    test('Umrechnung: Kapital und Total in CHF',
+        conversion.amounts.principal === 9612 && conversion.amounts.total === 9854.97);
+    test('Fester Kurs geht der Tabelle vor',
+        Currencies.convert({ total: 100 }, 'EUR', new Date(2024, 6, 1), { rate: 0.95, rates: table.rates }).amounts.total === 95);
+    test('Fehlender Kurs → Fehler',
+        Currencies.convert({ total: 100 }, 'USD', new Date(2024, 6, 1), { rates: table.rates }).error !== undefined);
+    test('formatAmount mit Währungscode', formatAmount(1234.5, 'EUR').startsWith('EUR') &&
+        formatAmount(1234.5, 'EUR').endsWith('234.50'));
+}
+
+console.log('\n--- Rückwärtsrechnung ---');
+
+{
+    // Bis wann decken CHF 500 Zins? 10000 x 5% x 360 / 360 = 500
+    const result = solveEndDate(10000, new Date(2024, 0, 1), 500, 5);
+    test('Enddatum: CHF 500 Zins nach 360 Tagen (26.12.2024)',
+        result.endDate.getTime() === new Date(2024, 11, 26).getTime() && result.interest === 500);
+    const dayBefore = calculateDefaultInterest(10000, new Date(2024, 0, 1), new Date(2024, 11, 25), 5);
+    test('Enddatum ist der erste Tag, an dem das Ziel erreicht wird', dayBefore.interest < 500);
+    test('Enddatum mit Ziel Total', solveEndDate(10000, new Date(2024, 0, 1), 10500, 5, { targetType: 'total' })
+        .endDate.getTime() === result.endDate.getTime());
+}
+
+{
+    const result = solveInterestRate(10000, new Date(2024, 0, 1), new Date(2024, 6, 1), 252.78);
+    test('Zinssatz aus Zinsbetrag: CHF 252.78 in 182 Tagen → 5%',
+        result.interestRate === 5 && result.solver.deviation === 0);
+    const total = solveInterestRate(10000, new Date(2024, 0, 1), new Date(2024, 6, 1), 10398.90, { targetType: 'total', dayCount: 'act/365' });
+    test('Zinssatz aus Total (act/365): 8%', total.interestRate === 8);
+}
+
+{
+    const result = solvePrincipal(new Date(2024, 0, 1), new Date(2024, 6, 1), 10252.78, 5, { targetType: 'total' });
+    test('Kapital aus Total: CHF 10\'252.78 → CHF 10\'000', result.principal === 10000 && result.interest === 252.78);
+    test('Kapital aus Zins: CHF 500 in 360 Tagen → CHF 10\'000',
+        solvePrincipal(new Date(2024, 0, 1), new Date(2024, 11, 26), 500, 5).principal === 10000);
+}
+
+{
+    test('Anzahl Tage: CHF 50 Zins auf CHF 1\'000 zu 5% → 360 Tage', solveDays(1000, 50, 5).days === 360);
+    test('Anzahl Tage wird aufgerundet: CHF 20 Mahngebühren → 144 Tage', solveDays(1000, 20, 5).days === 144);
+    test('Anzahl Tage mit act/act → Fehler', solveDays(1000, 20, 5, { dayCount: 'act/act' }).error !== undefined);
+    test('Ziel nicht erreichbar → Fehler', solveEndDate(1000, new Date(2024, 0, 1), 1000000, 5).error !== undefined);
+    test('Ziel-Total unter dem Kapital → Fehler', solveDays(1000, 900, 5, { targetType: 'total' }).error !== undefined);
+}
+
+console.log('\n--- Zins pro Tag und Hochrechnung ---');
+
+{
+    // 10000 x 5% / 360 = 1.3889
+    const result = calculateDefaultInterest(10000, new Date(2024, 0, 1), new Date(2024, 2, 15), 5);
+    test('Zins pro Tag (act/360): CHF 1.39', result.dailyInterest === 1.39);
+    test('Zins pro Tag (act/act, Schaltjahr): 10000 x 5% / 366 = CHF 1.37',
+        calculateDefaultInterest(10000, new Date(2024, 0, 1), new Date(2024, 2, 15), 5, { dayCount: 'act/act' }).dailyInterest === 1.37);
+    const changed = calculateDefaultInterest(10000, new Date(2024, 0, 1), new Date(2024, 2, 15), 5, {
+        rateChanges: [{ date: new Date(2024, 1, 1), rate: 9 }]
+    });
+    test('Zins pro Tag mit dem zuletzt geltenden Zinssatz (9%): CHF 2.50', changed.dailyInterest === 2.5);
+    const payments = calculateInterestWithPayments(10000, new Date(2024, 0, 1), new Date(2024, 2, 15), 5,
+        [{ date: new Date(2024, 1, 1), amount: 5000 }]);
+    test('Zins pro Tag nach Teilzahlung auf dem offenen Kapital', payments.dailyInterest ===
+        Money.toCHF(Money.round(Money.toRappen(payments.openCapital) * 0.05 / 360)));
+}
+
+{
+    const projection = calculateProjection(10000, new Date(2024, 0, 1), new Date(2024, 2, 15), 5, {
+        paymentDate: new Date(2024, 4, 1)
+    });
+    test('Hochrechnung: Monatsende, +30/60/90 Tage und Zahlungsdatum, nach Datum sortiert',
+        projection.rows.map(row => row.key).join(',') === 'monthEnd,plus30,paymentDate,plus60,plus90');
+    test('Hochrechnung per 31.3.2024: 90 Tage, Zins CHF 125.00, Total CHF 10\'125.00',
+        projection.rows[0].days === 90 && projection.rows[0].interest === 125 && projection.rows[0].total === 10125);
+    test('Am Monatsende folgt das nächste Monatsende',
+        calculateProjection(10000, new Date(2024, 0, 1), new Date(2024, 2, 31), 5).rows[0].date.getTime() === new Date(2024, 3, 30).getTime());
+    test('Zahlungsdatum vor dem Berechnungsdatum → Fehler',
+        calculateProjection(10000, new Date(2024, 0, 1), new Date(2024, 2, 15), 5, { paymentDate: new Date(2024, 2, 1) }).error !== undefined);
+}
+
+console.log('\n--- Plausibilität des Zinssatzes ---');
+
+{
+    test('Gesetzlicher Zinssatz 5%: keine Hinweise', checkInterestRates([5]).length === 0);
+    const typo = checkInterestRates([50]);
+    test('Tippfehler 50%: Wucherwarnung (StGB Art. 157)',
+        typo.length === 1 && typo[0].type === 'usury' && typo[0].legalBasis.de.includes('StGB Art. 157'));
+    const cash = checkInterestRates([11], { creditType: 'cash' });
+    test('Barkredit 11% über dem KKG-Höchstzinssatz von 10%', cash.length === 1 && cash[0].type === 'consumerCredit' && cash[0].limit === 10);
+    test('Überziehungskredit 11% unter dem Höchstzinssatz von 12%', checkInterestRates([11], { creditType: 'overdraft' }).length === 0);
+    const low = checkInterestRates([3, 8]);
+    test('Zinssatz unter 5%: Hinweis (OR Art. 104 Abs. 1)',
+        low.length === 1 && low[0].type === 'belowStatutory' && low[0].severity === 'note' && low[0].rate === 3);
+    test('Unbekannte Kreditart → Fehler', checkInterestRates([5], { creditType: 'leasing' }).error !== undefined);
+}
+
+console.log('\n--- Erklärung der Berechnung ---');
+
+{
+    const single = calculateDefaultInterest(10000, new Date(2024, 0, 1), new Date(2024, 2, 15), 5);
+    const trace = single.explanation;
+    test('Erklärung: Eingaben Kapital, Daten, Zinssatz, Methode, Rundung',
+        trace.inputs.map(input => input.key).join() === 'principal,startDate,endDate,interestRate,dayCount,rounding');
+    test('Erklärung: eine Formel mit ungerundetem Zins',
+        trace.formulas.length === 1 && Math.abs(trace.formulas[0].exactInterest - 102.7778) < 0.0001 && trace.formulas[0].interest === 102.78);
+    test('Erklärung: gesetzlicher Zinssatz nach OR Art. 104 Abs. 1, kein vertraglicher Zins',
+        trace.legalBasis.map(p => p.key).join() === 'defaultInterest,compoundBan');
+
+    const payments = calculateInterestWithPayments(10000, new Date(2024, 0, 1), new Date(2024, 2, 16), 8,
+        [{ date: new Date(2024, 1, 1), amount: 1000 }], { rounding: { cashRounding: true } });
+    test('Erklärung Teilzahlung: eine Formel je Abschnitt, OR Art. 85 und Art. 104 Abs. 2',
+        payments.explanation.formulas.length === 2 && payments.explanation.formulas[1].capital === 9068.89 &&
+        payments.explanation.legalBasis.some(p => p.key === 'partialPayments') &&
+        payments.explanation.legalBasis.some(p => p.key === 'contractualRate'));
+    test('Erklärung: Rappenrundung als Rundungsschritt',
+        payments.explanation.rounding.cash !== null &&
+        payments.explanation.rounding.cash.before === 9157.56 && payments.explanation.rounding.cash.total === 9157.55);
+
+    const solved = solveDays(10000, 100, 5);
+    test('Erklärung Rückwärtsrechnung: gesuchte Grösse markiert',
+        solved.explanation.inputs.find(input => input.key === 'days').solved === true);
+
+    const de = CalculationExplanation.render(trace, 'de');
+    test('Darstellung DE: Abschnitte von Eingaben bis Rechtsgrundlagen',
+        de.map(section => section.key).join() === 'inputs,dayCount,formulas,rounding,legalBasis');
+    test('Darstellung DE: Zinsformel',
+        de[2].lines[0] === `01.01.2024 – 15.03.2024: ${formatAmount(10000)} × 5% × 74 / 360 = ${formatAmount(102.78)}`);
+    const fr = CalculationExplanation.render(trace, 'fr', { plain: true });
+    test('Darstellung FR ohne Sonderzeichen für das PDF',
+        fr[4].lines[0] === 'CO art. 104 al. 1: Taux d\'intérêt moratoire de 5% par an' && !/[×–→]/.test(fr[2].lines[0] + fr[3].lines[1]));
+}
+
+console.log('\n--- Mahnrechner ---');
+
+{
+    // Rechnung fällig am Samstag 02.03.2024, zwei Mahnungen, Zahlungsfrist 10 Tage (ZH)
+    const result = calculateReminderClaim(1000, new Date(2024, 2, 2), new Date(2024, 3, 4),
+        [{ date: new Date(2024, 2, 15), fee: 20 }, { date: new Date(2024, 2, 20), fee: 30 }], 5,
+        { canton: 'ZH', collectionStep: 'seizure', rounding: { cashRounding: true } });
+    test('Mahnrechner: Fälligkeit am Samstag auf Montag 04.03. verschoben, Verzug ab 05.03.',
+        result.dueDateShifted && CalendarDates.format(result.dueDate) === '04.03.2024' &&
+        CalendarDates.format(result.startDate) === '05.03.2024');
+    test('Mahnrechner: Frist der 2. Mahnung über Ostern auf 02.04.2024',
+        CalendarDates.format(result.reminders[0].deadline) === '25.03.2024' &&
+        CalendarDates.format(result.reminders[1].deadline) === '02.04.2024');
+    test('Mahnrechner: Mahngebühren CHF 50, Zins 30 Tage CHF 4.17',
+        result.totalFees === 50 && result.days === 30 && result.interest === 4.17);
+    test('Mahnrechner: Gesamtforderung 1054.17 auf 5 Rappen gerundet',
+        result.total === 1054.15 && result.cashRoundingDifference === -0.02);
+    test('Mahnrechner: Betreibungskosten auf der Gesamtforderung 60 + 65',
+        result.collectionFees.claim === 1054.15 && result.collectionFees.total === 125);
+
+    const early = calculateReminderClaim(1000, new Date(2024, 3, 4), new Date(2024, 3, 4));
+    test('Mahnrechner: vor Verzugsbeginn kein Zins, Total = Rechnungsbetrag',
+        early.days === 0 && early.interest === 0 && early.total === 1000 && early.collectionFees === null);
+
+    test('Mahnrechner: Rechnungsbetrag 0 → Fehler',
+        calculateReminderClaim(0, new Date(2024, 0, 1), new Date(2024, 1, 1)).error !== undefined);
+    test('Mahnrechner: Mahnung ohne Datum → Fehler',
+        calculateReminderClaim(1000, new Date(2024, 0, 1), new Date(2024, 1, 1), [{ date: null, fee: 20 }]).error !== undefined);
+}
+
+{
+    // Rechnung vom 01.03.2024, Mahnungen am 15.04. und 06.05.2024 (ZH)
+    const reminders = [{ date: new Date(2024, 3, 15), fee: 20 }, { date: new Date(2024, 4, 6), fee: 30 }];
+    const claim = (defaultStart) => calculateReminderClaim(1000, new Date(2024, 2, 1), new Date(2024, 5, 30), reminders, 5,
+        { canton: 'ZH', defaultStart: defaultStart });
+
+    const term = claim({ rule: 'invoiceTerm', term: 30 });
+    test('Verzugsbeginn 30 Tage netto: Verfalltag Ostersonntag 31.03. → Verzug ab 03.04.2024',
+        CalendarDates.format(term.defaultStart.eventDate) === '31.03.2024' && term.dueDateShifted &&
+        CalendarDates.format(term.startDate) === '03.04.2024' && term.days === 88);
+    const fixed = claim({ rule: 'dueDate', dueDate: new Date(2024, 2, 15) });
+    test('Verzugsbeginn fester Verfalltag 15.03.2024 → Verzug ab 16.03.2024, OR Art. 102 Abs. 2',
+        CalendarDates.format(fixed.startDate) === '16.03.2024' && fixed.defaultStart.legalBasis[0] === 'OR Art. 102 Abs. 2');
+    const reminder = claim({ rule: 'reminder', reminder: 2, receiptDays: 5 });
+    test('Verzugsbeginn Zugang der 2. Mahnung am Samstag 11.05. → Verzug ab 12.05.2024, nicht verschoben',
+        CalendarDates.format(reminder.startDate) === '12.05.2024' && !reminder.dueDateShifted &&
+        reminder.defaultStart.legalBasis[0] === 'OR Art. 102 Abs. 1' && reminder.days === 49);
+    test('Verzugsbeginn 3. Mahnung ohne erfasste Mahnung → Fehler', claim({ rule: 'reminder', reminder: 3 }).error !== undefined);
+    test('Verzugsbeginn unbekannte Regel → Fehler', claim({ rule: 'delivery' }).error !== undefined);
+}
+
+{
+    // Share link: reminders (mg) and rule for the start of default (vb, zt, vt, vm, zg)
+    const reminders = [{ date: new Date(2024, 3, 15), fee: 20 }, { date: new Date(2024, 4, 6), fee: 32.5 }];
+    const mg = formatReminderParam(reminders);
+    const parsed = parseReminderParam(mg);
+    test('Link Mahnungen: Hin und zurück mit Dezimalgebühr',
+        mg === '15.04.2024:20;06.05.2024:32.5' && parsed.length === 2 &&
+        CalendarDates.format(parsed[1].date) === '06.05.2024' && parsed[1].fee === 32.5);
+    test('Link Mahnungen: leerer Parameter → keine Mahnungen',
+        formatReminderParam([]) === '' && parseReminderParam('').length === 0);
+    test('Link Mahnungen: fehlerhafte Einträge übersprungen',
+        parseReminderParam('31.02.2024:20;15.04.2024;abc:10;15.04.2024:x;06.05.2024:30')
+            .map(reminder => `${CalendarDates.format(reminder.date)}:${reminder.fee}`).join(';') === '06.05.2024:30');
+
+    const roundTrip = (defaultStart) => {
+        const params = formatDefaultStartParams(defaultStart);
+        // URL parameters are strings
+        Object.keys(params).forEach(key => { params[key] = String(params[key]); });
+        return parseDefaultStartParams(params);
+    };
+    const term = roundTrip({ rule: 'invoiceTerm', term: 30 });
+    const due = roundTrip({ rule: 'dueDate', eventDate: new Date(2024, 2, 15) });
+    const reminder = roundTrip({ rule: 'reminder', reminder: 2, receiptDays: 5 });
+    test('Link Verzugsbeginn: Hin und zurück für alle Regeln',
+        term.rule === 'invoiceTerm' && term.term === 30 &&
+        due.rule === 'dueDate' && CalendarDates.format(due.dueDate) === '15.03.2024' &&
+        reminder.rule === 'reminder' && reminder.reminder === 2 && reminder.receiptDays === 5);
+    test('Link Verzugsbeginn: unbekannte Regel, negative Tage und ungültiges Datum ignoriert',
+        JSON.stringify(parseDefaultStartParams({ vb: 'delivery', zt: '-3', zg: 'x', vt: '31.02.2024' })) === '{}');
+}
+
+console.log('\n--- Mahnschreiben ---');
+
+{
+    const data = calculateReminderClaim(1000, new Date(2024, 2, 1), new Date(2024, 5, 30), [{ date: new Date(2024, 3, 15), fee: 20 }], 5,
+        { canton: 'ZH', defaultStart: { rule: 'invoiceTerm', term: 30 } });
+    const letter = {
+        creditor: 'Muster AG\nBahnhofstrasse 1\n\n8001 Zürich',
+        debtor: 'Hans Beispiel\nWeg 2\n3000 Bern',
+        reference: '2024-017',
+        place: 'Zürich',
+        date: new Date(2024, 5, 30),
+        level: 'final',
+        deadline: new Date(2024, 6, 10)
+    };
+    const de = ReminderLetter.build(data, letter, 'de');
+    test('Mahnschreiben: Adressen zeilenweise, leere Zeilen entfernt',
+        de.creditor.length === 3 && de.debtor[2] === '3000 Bern' && de.signature === 'Muster AG');
+    test('Mahnschreiben: Betreff mit Mahnstufe und Rechnungsnummer',
+        de.subject === 'Letzte Mahnung vor Betreibung: Rechnung 2024-017' && de.placeDate === 'Zürich, 30.06.2024');
+    test('Mahnschreiben letzte Mahnung: Frist, Total und Kosten des Zahlungsbefehls eingesetzt',
+        de.paragraphs.length === 2 && de.paragraphs[0].includes('bis zum 10.07.2024') &&
+        de.paragraphs[0].includes(formatCHF(1032.22)) && de.paragraphs[1].includes(formatCHF(60)));
+    test('Mahnschreiben: Beträge wie im Ergebnis',
+        de.amounts.length === 3 && de.amounts[1][0] === 'Mahngebühr 1. Mahnung' &&
+        de.amounts[2][0] === 'Verzugszins 5% vom 03.04.2024 bis 30.06.2024 (88 Tage)' && de.total[1] === formatCHF(1032.22));
+
+    const fr = ReminderLetter.build(data, { ...letter, level: 'first', template: 'Facture {reference}, délai {deadline} {inconnu}' }, 'fr');
+    test('Mahnschreiben FR mit eigenem Text: Platzhalter ersetzt, unbekannte bleiben',
+        fr.subject === 'Rappel de paiement: Facture 2024-017' && fr.paragraphs[0] === 'Facture 2024-017, délai 10.07.2024 {inconnu}');
+    test('Mahnschreiben ohne Empfänger → Fehler', ReminderLetter.build(data, { ...letter, debtor: ' ' }, 'de').error !== undefined);
+    test('Mahnschreiben unbekannte Mahnstufe → Fehler', ReminderLetter.build(data, { ...letter, level: 'third' }, 'de').error !== undefined);
+}
+
+console.log('\n--- Mahnplan ---');
+
+{
+    const policy = DunningPolicies.DEFAULT_POLICIES.find(entry => entry.id === 'escalating');
+    const plan = DunningPolicies.plan(policy, new Date(2024, 3, 2), { canton: 'ZH' });
+    test('Mahnplan: Erinnerung 10 Tage nach Verfalltag gratis, dann alle 14 Tage CHF 20 und 30',
+        plan.reminders.map(reminder => `${CalendarDates.format(reminder.date)}:${reminder.fee}`).join(' ') ===
+        '12.04.2024:0 26.04.2024:20 10.05.2024:30' && plan.collectionStep === 'paymentOrder');
+
+    // 27.12.2024 + 5 Tage = Neujahr, 2. Januar Berchtoldstag in Zürich
+    const custom = DunningPolicies.validate({ name: ' Firma ', steps: [{ days: 5, fee: 0 }, { days: 14, fee: 20 }] });
+    const shifted = DunningPolicies.plan(custom, new Date(2024, 11, 27), { canton: 'ZH' });
+    test('Mahnplan: Mahndatum an Feiertag auf den nächsten Werktag verschoben, Folgemahnung ab dort',
+        custom.name === 'Firma' && CalendarDates.format(shifted.reminders[0].date) === '03.01.2025' &&
+        shifted.reminders[0].shifted && CalendarDates.format(shifted.reminders[1].date) === '17.01.2025' && !shifted.reminders[1].shifted);
+
+    const usual = DunningPolicies.DEFAULT_POLICIES[0];
+    test('Mahnplan: Gebühr weiterer Mahnungen, nach der letzten Stufe deren Gebühr',
+        DunningPolicies.getFee(usual, 1) === 20 && DunningPolicies.getFee(usual, 3) === 40 && DunningPolicies.getFee(usual, 5) === 40);
+    test('Mahnplan ohne Namen, ohne Stufen oder mit Bruchteil von Tagen → Fehler',
+        DunningPolicies.validate({ name: '', steps: [{ days: 10, fee: 0 }] }).error !== undefined &&
+        DunningPolicies.validate({ name: 'A', steps: [] }).error !== undefined &&
+        DunningPolicies.validate({ name: 'A', steps: [{ days: 1.5, fee: 0 }] }).error !== undefined &&
+        DunningPolicies.validate({ name: 'A', steps: [{ days: 10, fee: -5 }] }).error !== undefined);
+    test('Mahnplan ohne Verfalltag → Fehler', DunningPolicies.plan(usual, null).error !== undefined);
+}
+
+console.log('\n--- QR-Rechnung ---');
+
+{
+    // Fehlerkorrektur des Beispiels "HELLO WORLD" (Version 1-M) aus ISO/IEC 18004
+    test('QR-Code: Reed-Solomon-Fehlerkorrektur wie im Normbeispiel',
+        QrCode.reedSolomonRemainder([32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17],
+            QrCode.reedSolomonDivisor(10)).join(',') === '196,35,39,119,235,215,231,226,93,23');
+
+    const qr = QrCode.encode('x'.repeat(14), 'M');
+    const finder = [0, 1, 2, 3, 4, 5, 6].map(i => qr.modules[0][i] && qr.modules[6][i] && qr.modules[i][0] && qr.modules[i][6]);
+    test('QR-Code: Version 1 mit 21×21 Modulen, Suchmuster und Taktmuster',
+        qr.version === 1 && qr.size === 21 && finder.every(dark => dark) && !qr.modules[1][1] && qr.modules[2][2] &&
+        [8, 9, 10, 11, 12].every(i => qr.modules[6][i] === (i % 2 === 0)));
+    test('QR-Code: Kapazität Version 1-M 14 Bytes, Version 40-M 2331 Bytes',
+        QrCode.encode('x'.repeat(15), 'M').version === 2 && QrCode.encode('x'.repeat(2331), 'M').version === 40 &&
+        QrCode.encode('x'.repeat(2332), 'M').error !== undefined);
+
+    test('IBAN: Prüfziffern, QR-IBAN an der QR-IID erkannt',
+        SwissQrBill.validateIban('CH44 3199 9123 0008 8901 2').qrIban === true &&
+        SwissQrBill.validateIban('ch93 0076 2011 6238 5295 7').iban === 'CH9300762011623852957' &&
+        SwissQrBill.validateIban('CH9300762011623852957').qrIban === false);
+    test('IBAN mit falscher Prüfziffer oder aus dem Ausland → Fehler',
+        SwissQrBill.validateIban('CH9300762011623852958').error !== undefined &&
+        SwissQrBill.validateIban('DE89370400440532013000').error !== undefined);
+    test('QR-Referenz: Prüfziffer Modulo 10 rekursiv',
+        SwissQrBill.qrReferenceCheckDigit('21000000000313947143000901') === 7 &&
+        SwissQrBill.validateQrReference('21 00000 00003 13947 14300 09017').reference === '210000000003139471430009017' &&
+        SwissQrBill.validateQrReference('210000000003139471430009018').error !== undefined);
+    test('Creditor Reference (ISO 11649): Prüfziffern Modulo 97',
+        SwissQrBill.validateCreditorReference('RF18 5390 0754 7034').reference === 'RF18539007547034' &&
+        SwissQrBill.validateCreditorReference('RF19 5390 0754 7034').error !== undefined);
+
+    const bill = {
+        account: 'CH44 3199 9123 0008 8901 2',
+        creditor: { name: 'Robert Schneider AG', street: 'Rue du Lac', buildingNumber: '1268', postalCode: '2501', town: 'Biel' },
+        amount: 1949.75,
+        currency: 'CHF',
+        reference: '21 00000 00003 13947 14300 09017',
+        message: 'Auftrag vom 15.06.2020',
+        debtor: { name: 'Pia-Maria Rutschmann-Schnyder', street: 'Grosse Marktgasse', buildingNumber: '28', postalCode: '9400', town: 'Rorschach', country: 'CH' }
+    };
+    const valid = SwissQrBill.validate(bill);
+    const lines = SwissQrBill.buildPayload(valid).split('\n');
+    test('QR-Rechnung: Inhalt des Swiss QR Code nach den Implementation Guidelines',
+        lines.length === 31 && lines.slice(0, 5).join('|') === 'SPC|0200|1|CH4431999123000889012|S' &&
+        lines[10] === 'CH' && lines.slice(11, 18).every(line => line === '') &&
+        lines[18] === '1949.75' && lines[19] === 'CHF' && lines[20] === 'S' && lines[26] === 'CH' &&
+        lines[27] === 'QRR' && lines[28] === '210000000003139471430009017' && lines[30] === 'EPD');
+    test('QR-Rechnung: Betrag, IBAN und Referenz für den Zahlteil formatiert',
+        SwissQrBill.formatAmount(valid.amount) === '1 949.75' && SwissQrBill.formatIban(valid.account) === 'CH44 3199 9123 0008 8901 2' &&
+        SwissQrBill.formatReference(valid) === '21 00000 00003 13947 14300 09017');
+
+    const withoutDebtor = SwissQrBill.validate({ ...bill, account: 'CH93 0076 2011 6238 5295 7', reference: 'RF18539007547034', debtor: { country: 'CH' } });
+    test('QR-Rechnung mit IBAN: Creditor Reference, ohne Zahlungspflichtigen',
+        withoutDebtor.referenceType === 'SCOR' && withoutDebtor.debtor === null &&
+        SwissQrBill.buildPayload(withoutDebtor).split('\n').slice(20, 27).every(line => line === ''));
+    test('QR-IBAN ohne QR-Referenz, IBAN mit QR-Referenz → Fehler',
+        SwissQrBill.validate({ ...bill, reference: '' }).error !== undefined &&
+        SwissQrBill.validate({ ...bill, account: 'CH9300762011623852957' }).error !== undefined);
+    test('QR-Rechnung: Währung nur CHF oder EUR, Betrag ab 0.01',
+        SwissQrBill.validate({ ...bill, currency: 'USD' }).error !== undefined &&
+        SwissQrBill.validate({ ...bill, amount: 0 }).error !== undefined &&
+        SwissQrBill.validate({ ...bill, currency: 'EUR' }).currency === 'EUR');
+
+    const typo = SwissQrBill.validate({ ...bill, account: 'CH44 3199 9123 0008 8901 3' });
+    const tooLong = SwissQrBill.validate({ ...bill, creditor: { ...bill.creditor, town: 'x'.repeat(36) } });
+    test('QR-Rechnung: Fehler auf Deutsch und Französisch, Adressfehler mit Feld',
+        QrBillForm.getErrorText(typo, 'de') === 'Die Prüfziffern der IBAN stimmen nicht. Bitte prüfen Sie die IBAN.' &&
+        QrBillForm.getErrorText(typo, 'fr').startsWith('Les chiffres de contrôle de l\'IBAN') &&
+        QrBillForm.getErrorText(tooLong, 'de') === 'Zahlungsempfänger: Das Feld Ort ist zu lang (höchstens 35 Zeichen).' &&
+        QrBillForm.getErrorText(tooLong, 'fr') === 'Bénéficiaire: le champ Localité est trop long (35 caractères au maximum).');
+}
+
+console.log('\n--- MWST ---');
+
+{
+    test('MWST-Sätze nach Leistungsdatum: 7.6 / 8.0 / 7.7 / 8.1 %',
+        getVatRates(new Date(2010, 11, 31)).rates.normal === 7.6 && getVatRates(new Date(2011, 0, 1)).rates.normal === 8.0 &&
+        getVatRates(new Date(2023, 11, 31)).rates.reduced === 2.5 && getVatRates(new Date(2024, 0, 1)).rates.accommodation === 3.8 &&
+        getVatRates(new Date(2024, 0, 1)).to === null);
+    test('MWST vor 2001 → Fehler', getVatRates(new Date(2000, 11, 31)).error !== undefined);
+
+    const periods = getVatRatePeriods('normal', new Date(2017, 11, 1), new Date(2018, 0, 31));
+    test('Leistungszeitraum an der Satzänderung aufgeteilt',
+        periods.length === 2 && periods[0].days === 31 && periods[0].rate === 8.0 &&
+        CalendarDates.format(periods[1].start) === '01.01.2018' && periods[1].rate === 7.7);
+
+    // 90 Tage: 61 zu 7.7 %, 29 zu 8.1 % (2024 ist ein Schaltjahr)
+    const split = calculateVat(1000, { direction: 'net-to-gross', date: new Date(2023, 10, 1), endDate: new Date(2024, 0, 29) });
+    test('MWST pro rata: Netto 677.78 zu 7.7 %, 322.22 zu 8.1 %',
+        split.parts.map(part => `${part.days}:${part.rate}:${part.net}:${part.vat}`).join(' ') === '61:7.7:677.78:52.19 29:8.1:322.22:26.1' &&
+        split.vat === 78.29 && split.gross === 1078.29);
+
+    const gross = calculateVat(1000, { date: new Date(2023, 11, 1), endDate: new Date(2024, 0, 31) });
+    test('MWST pro rata aus Brutto: Teile ergeben genau den Bruttobetrag',
+        gross.parts[0].gross + gross.parts[1].gross === 1000 && Money.toRappen(gross.net) + Money.toRappen(gross.vat) === 100000 &&
+        gross.vat === 73.22);
+    test('MWST Netto → Brutto mit Rundung auf 5 Rappen',
+        calculateVat(10.03, { direction: 'net-to-gross', date: new Date(2024, 5, 1), cashRounding: true }).gross === 10.85 &&
+        calculateVat(10.03, { direction: 'net-to-gross', date: new Date(2024, 5, 1), cashRounding: true }).cashRoundingDifference === 0.01);
+    test('MWST mit Zeitraumende vor Beginn oder unbekanntem Satz → Fehler',
+        calculateVat(100, { date: new Date(2024, 1, 1), endDate: new Date(2024, 0, 1) }).error !== undefined &&
+        calculateVat(100, { category: 'luxury' }).error !== undefined && calculateVat(0).error !== undefined);
+
+    const invoice = calculateVatInvoice([
+        { amount: 1000, entry: 'gross', category: 'normal', description: 'Beratung' },
+        { amount: 200, entry: 'net', category: 'reduced' },
+        { amount: 10.03, entry: 'net', category: 'normal' }
+    ], { date: new Date(2024, 5, 1), cashRounding: true });
+    test('MWST-Rechnung: Zwischensummen je Satz aus Brutto- und Nettopositionen',
+        invoice.rates.map(rate => `${rate.rate}:${rate.net}:${rate.vat}`).join(' ') === '8.1:935.1:75.74 2.6:200:5.2' &&
+        invoice.net === 1135.1 && invoice.vat === 80.94 && invoice.gross === 1216.05 && invoice.cashRoundingDifference === 0.01);
+
+    const acrossChange = calculateVatInvoice([{ amount: 1000, entry: 'net', category: 'normal' }],
+        { date: new Date(2023, 11, 1), endDate: new Date(2024, 0, 31) });
+    test('MWST-Rechnung: Position über eine Satzänderung zählt zu beiden Sätzen',
+        acrossChange.rates.map(rate => `${rate.rate}:${rate.vat}`).join(' ') === '8.1:40.5 7.7:38.5' &&
+        acrossChange.lines[0].rates.join('/') === '7.7/8.1');
+    test('MWST-Rechnung ohne Positionen oder mit ungültiger Position → Fehler mit Positionsnummer',
+        calculateVatInvoice([]).error !== undefined &&
+        calculateVatInvoice([{ amount: 10, entry: 'net', category: 'normal' }, { amount: 0, entry: 'net', category: 'normal' }]).line === 2 &&
+        calculateVatInvoice([{ amount: 10, entry: 'both', category: 'normal' }]).line === 1);
+
+    const semester = { date: new Date(2024, 0, 1), endDate: new Date(2024, 5, 30), inputTax: 3000 };
+    const netTax = calculateNetTaxRate([
+        { revenue: 100000, netTaxRate: 6.8, category: 'normal' },
+        { revenue: 20000, netTaxRate: 0.6, category: 'reduced' }
+    ], semester);
+    test('Saldosteuersatz: zwei Tätigkeiten 6.8 % und 0.6 % auf dem Umsatz inkl. MWST',
+        netTax.activities.map(activity => activity.tax).join(' ') === '6800 120' && netTax.netTaxRateTax === 6920);
+    test('Saldosteuersatz im Vergleich: effektiv Umsatzsteuer abzüglich Vorsteuer',
+        netTax.outputTax === 7999.88 && netTax.effectiveTax === 4999.88 && netTax.difference === 1920.12 && netTax.cheaper === 'effective');
+    test('Saldosteuersatz günstiger ohne nennenswerte Vorsteuer',
+        calculateNetTaxRate([{ revenue: 80000, netTaxRate: 5.9, category: 'normal' }], { ...semester, inputTax: 500 }).cheaper === 'netTaxRate');
+    test('Saldosteuersatz: mehr als zwei Sätze, Satz 0 oder negative Vorsteuer → Fehler',
+        calculateNetTaxRate([1, 2, 3].map(() => ({ revenue: 100, netTaxRate: 1, category: 'normal' }))).error !== undefined &&
+        calculateNetTaxRate([{ revenue: 100, netTaxRate: 0, category: 'normal' }]).error !== undefined &&
+        calculateNetTaxRate([{ revenue: 100, netTaxRate: 1, category: 'normal' }], { inputTax: -1 }).error !== undefined);
+    test('Saldosteuersatz: ungültige Vorsteuer (NaN) → Fehler, fehlende Vorsteuer → 0',
+        calculateNetTaxRate([{ revenue: 100, netTaxRate: 1, category: 'normal' }], { inputTax: NaN }).error !== undefined &&
+        calculateNetTaxRate([{ revenue: 100, netTaxRate: 1, category: 'normal' }], {}).inputTax === 0);
+}
+
 // --- Summary ---
 console.log('\n=== ERGEBNIS ===');
 console.log(`${passed} bestanden, ${failed} fehlgeschlagen`);